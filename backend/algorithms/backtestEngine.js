@@ -0,0 +1,285 @@
+import TradingAlgorithms from './tradingAlgorithms.js';
+import strategyRegistry from './strategyRegistry.js';
+
+/**
+ * Compute per-bar Sharpe ratio and maximum drawdown from an equity curve
+ * @param {Array} equityCurve - Points with an equity field
+ * @param {number} initialCapital - Equity before the first point
+ * @returns {Object} { sharpeRatio, maxDrawdown } with drawdown in percent
+ */
+export function calculateEquityStats(equityCurve, initialCapital) {
+  let peak = initialCapital;
+  let maxDrawdown = 0;
+  const returns = [];
+
+  equityCurve.forEach((point, index) => {
+    peak = Math.max(peak, point.equity);
+    maxDrawdown = Math.max(maxDrawdown, (peak - point.equity) / peak);
+
+    const previous = index > 0 ? equityCurve[index - 1].equity : initialCapital;
+    returns.push(previous > 0 ? (point.equity - previous) / previous : 0);
+  });
+
+  const avgReturn = returns.length > 0 ? returns.reduce((sum, r) => sum + r, 0) / returns.length : 0;
+  const variance = returns.length > 0
+    ? returns.reduce((sum, r) => sum + Math.pow(r - avgReturn, 2), 0) / returns.length
+    : 0;
+  const sharpeRatio = Math.sqrt(variance) > 0 ? avgReturn / Math.sqrt(variance) : 0;
+
+  return {
+    sharpeRatio: parseFloat(sharpeRatio.toFixed(4)),
+    maxDrawdown: parseFloat((maxDrawdown * 100).toFixed(2))
+  };
+}
+
+/**
+ * Event-driven Backtest Engine for AlphaFxTrader
+ * Replays price bars through a strategy with its own isolated
+ * TradingAlgorithms instance, trading long and short at the bar's bid/ask
+ * with commission and slippage, and records a per-bar equity curve.
+ */
+export class BacktestEngine {
+  /**
+   * @param {Object} config - Backtest configuration
+   * @param {string} config.algorithm - Strategy name or key from the strategy registry
+   * @param {string} config.symbol - Currency pair symbol
+   * @param {Object} config.parameters - Strategy parameters; omitted ones use the registry defaults
+   * @param {number} config.initialCapital - Starting equity (default: 10000)
+   * @param {number} config.positionSize - Fraction of equity per position (default: 0.1)
+   * @param {number|null} config.spread - Fixed spread around mid; null uses recorded bid/ask
+   * @param {number} config.commission - Commission as a fraction of notional per fill
+   * @param {number} config.slippage - Adverse price slippage per fill
+   * @param {number} config.minConfidence - Minimum signal confidence to act on
+   * @param {boolean} config.allowShort - Whether SELL signals may open shorts (default: true)
+   * @param {number} config.tradeFromIndex - First bar allowed to trade; earlier bars only warm up
+   */
+  constructor({
+    algorithm,
+    symbol,
+    parameters = {},
+    initialCapital = 10000,
+    positionSize = 0.1,
+    spread = null,
+    commission = 0,
+    slippage = 0,
+    minConfidence = 0,
+    allowShort = true,
+    tradeFromIndex = 0
+  }) {
+    this.strategy = strategyRegistry.require(algorithm);
+    this.symbol = symbol;
+    this.parameters = strategyRegistry.resolveParameters(algorithm, parameters);
+    this.initialCapital = initialCapital;
+    this.positionSize = positionSize;
+    this.spread = spread;
+    this.commission = commission;
+    this.slippage = slippage;
+    this.minConfidence = minConfidence;
+    this.allowShort = allowShort;
+    this.tradeFromIndex = tradeFromIndex;
+
+    // Strategy state is private to this run
+    this.tradingAlgorithms = new TradingAlgorithms();
+  }
+
+  /**
+   * Get the strategy signal for the bars seen so far
+   * @returns {Object|null} Trading signal
+   */
+  getSignal() {
+    return strategyRegistry.generateSignal(this.strategy.name, this.tradingAlgorithms, this.symbol, this.parameters);
+  }
+
+  /**
+   * Get executable bid/ask for a bar
+   * @param {Object} bar - price_data row
+   * @returns {Object} { bid, ask, mid }
+   */
+  getQuote(bar) {
+    const mid = bar.mid_price;
+
+    if (this.spread !== null && this.spread !== undefined) {
+      return { bid: mid - this.spread / 2, ask: mid + this.spread / 2, mid };
+    }
+
+    return {
+      bid: bar.bid_price ?? mid,
+      ask: bar.ask_price ?? mid,
+      mid
+    };
+  }
+
+  /**
+   * Run the backtest
+   * @param {Array} priceData - price_data rows ordered by timestamp
+   * @returns {Object} Backtest results with trades and equity curve
+   */
+  run(priceData) {
+    this.cash = this.initialCapital;
+    this.position = null; // { side, quantity, entryPrice, entryTime, entryCommission }
+    this.trades = [];
+    this.equityCurve = [];
+    this.totalCommission = 0;
+
+    priceData.forEach((bar, index) => {
+      const timestamp = new Date(bar.timestamp);
+      const quote = this.getQuote(bar);
+
+      this.tradingAlgorithms.addPriceData(this.symbol, quote.mid, timestamp);
+
+      if (index >= this.tradeFromIndex) {
+        const signal = this.getSignal();
+
+        if (signal && signal.signal !== 'HOLD' && signal.normalizedConfidence >= this.minConfidence) {
+          this.onSignal(signal.signal, quote, timestamp);
+        }
+      }
+
+      this.equityCurve.push({
+        timestamp,
+        price: quote.mid,
+        equity: parseFloat(this.getEquity(quote).toFixed(2)),
+        position: this.position
+          ? (this.position.side === 'LONG' ? this.position.quantity : -this.position.quantity)
+          : 0
+      });
+    });
+
+    // Close any remaining position on the last bar
+    if (this.position && priceData.length > 0) {
+      const lastBar = priceData[priceData.length - 1];
+      this.closePosition(this.getQuote(lastBar), new Date(lastBar.timestamp), 'END_OF_DATA');
+
+      const lastPoint = this.equityCurve[this.equityCurve.length - 1];
+      lastPoint.equity = parseFloat(this.cash.toFixed(2));
+      lastPoint.position = 0;
+    }
+
+    return this.buildResults();
+  }
+
+  /**
+   * Act on a BUY or SELL signal: close an opposite position, then open
+   * a new one in the signal's direction if flat
+   * @param {string} signal - 'BUY' or 'SELL'
+   * @param {Object} quote - { bid, ask, mid }
+   * @param {Date} timestamp - Bar timestamp
+   */
+  onSignal(signal, quote, timestamp) {
+    const side = signal === 'BUY' ? 'LONG' : 'SHORT';
+
+    if (this.position && this.position.side !== side) {
+      this.closePosition(quote, timestamp, 'SIGNAL');
+    }
+
+    if (!this.position && (side === 'LONG' || this.allowShort)) {
+      this.openPosition(side, quote, timestamp);
+    }
+  }
+
+  /**
+   * Open a position sized as a fraction of current equity
+   * @param {string} side - 'LONG' or 'SHORT'
+   * @param {Object} quote - { bid, ask, mid }
+   * @param {Date} timestamp - Bar timestamp
+   */
+  openPosition(side, quote, timestamp) {
+    const quantity = Math.floor(this.cash * this.positionSize / quote.mid);
+    if (quantity <= 0) {
+      return;
+    }
+
+    const entryPrice = side === 'LONG'
+      ? quote.ask + this.slippage
+      : quote.bid - this.slippage;
+    const entryCommission = quantity * entryPrice * this.commission;
+
+    this.cash -= entryCommission;
+    this.totalCommission += entryCommission;
+
+    this.position = { side, quantity, entryPrice, entryTime: timestamp, entryCommission };
+  }
+
+  /**
+   * Close the open position and record the round trip
+   * @param {Object} quote - { bid, ask, mid }
+   * @param {Date} timestamp - Bar timestamp
+   * @param {string} exitReason - Why the position was closed
+   */
+  closePosition(quote, timestamp, exitReason) {
+    const { side, quantity, entryPrice, entryTime, entryCommission } = this.position;
+
+    const exitPrice = side === 'LONG'
+      ? quote.bid - this.slippage
+      : quote.ask + this.slippage;
+    const exitCommission = quantity * exitPrice * this.commission;
+    const grossPnl = side === 'LONG'
+      ? (exitPrice - entryPrice) * quantity
+      : (entryPrice - exitPrice) * quantity;
+
+    this.cash += grossPnl - exitCommission;
+    this.totalCommission += exitCommission;
+
+    this.trades.push({
+      side,
+      quantity,
+      entryPrice,
+      exitPrice,
+      entryTime,
+      exitTime: timestamp,
+      grossPnl: parseFloat(grossPnl.toFixed(2)),
+      commission: parseFloat((entryCommission + exitCommission).toFixed(2)),
+      pnl: parseFloat((grossPnl - entryCommission - exitCommission).toFixed(2)),
+      exitReason
+    });
+
+    this.position = null;
+  }
+
+  /**
+   * Mark equity to the closing side of the quote
+   * @param {Object} quote - { bid, ask, mid }
+   * @returns {number} Current equity
+   */
+  getEquity(quote) {
+    if (!this.position) {
+      return this.cash;
+    }
+
+    const { side, quantity, entryPrice } = this.position;
+    const unrealized = side === 'LONG'
+      ? (quote.bid - entryPrice) * quantity
+      : (entryPrice - quote.ask) * quantity;
+
+    return this.cash + unrealized;
+  }
+
+  /**
+   * Compute summary metrics from the trades and equity curve
+   * @returns {Object} Backtest results
+   */
+  buildResults() {
+    const metrics = this.tradingAlgorithms.calculatePerformanceMetrics(this.trades);
+    const finalCapital = parseFloat(this.cash.toFixed(2));
+    const totalReturn = ((finalCapital - this.initialCapital) / this.initialCapital) * 100;
+
+    const { sharpeRatio, maxDrawdown } = calculateEquityStats(this.equityCurve, this.initialCapital);
+
+    return {
+      parameters: this.parameters,
+      finalCapital,
+      totalReturn: parseFloat(totalReturn.toFixed(2)),
+      totalTrades: metrics.totalTrades,
+      winningTrades: metrics.winningTrades,
+      winRate: metrics.winRate,
+      sharpeRatio,
+      maxDrawdown,
+      totalCommission: parseFloat(this.totalCommission.toFixed(2)),
+      metrics,
+      trades: this.trades,
+      equityCurve: this.equityCurve
+    };
+  }
+}
+
+export default BacktestEngine;
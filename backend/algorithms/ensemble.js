@@ -0,0 +1,184 @@
+/**
+ * Ensemble voting for AlphaFxTrader
+ * Combines member strategy signals into one signal. Every member signal
+ * carries a normalizedConfidence in [0, 1] (see strategyRegistry), so
+ * members are weighed on a common scale.
+ *
+ * Modes:
+ * - weighted: net weighted confidence (BUY positive, SELL negative) must reach the threshold
+ * - unanimous: every weighted member must signal the same direction
+ * - any: any weighted member's signal is enough, unless members disagree
+ *
+ * A veto member blocks any trade it signals against.
+ */
+
+export const ENSEMBLE_MODES = ['weighted', 'unanimous', 'any'];
+
+export const DEFAULT_ENSEMBLE = {
+  mode: 'weighted',
+  threshold: 0.3,
+  weights: { sma: 1, rsi: 1, bollinger: 1 },
+  vetoes: [],
+  vetoConfidence: 0
+};
+
+/**
+ * Merge ensemble overrides over the defaults
+ * @param {Object} overrides - Partial ensemble configuration
+ * @returns {Object} Complete ensemble configuration
+ */
+export function resolveEnsemble(overrides = {}) {
+  return {
+    ...DEFAULT_ENSEMBLE,
+    ...overrides,
+    weights: { ...(overrides.weights || DEFAULT_ENSEMBLE.weights) },
+    vetoes: [...(overrides.vetoes || DEFAULT_ENSEMBLE.vetoes)]
+  };
+}
+
+/**
+ * Validate an ensemble configuration
+ * @param {Object} config - Partial ensemble configuration
+ * @param {Array<string>} memberKeys - Strategy keys that may take part
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateEnsemble(config, memberKeys) {
+  if (typeof config !== 'object' || config === null || Array.isArray(config)) {
+    return 'ensemble must be an object';
+  }
+
+  const { mode, threshold, weights, vetoes, vetoConfidence } = config;
+
+  if (mode !== undefined && !ENSEMBLE_MODES.includes(mode)) {
+    return `Invalid mode. Must be one of: ${ENSEMBLE_MODES.join(', ')}`;
+  }
+
+  if (threshold !== undefined && !(Number(threshold) >= 0 && Number(threshold) <= 1)) {
+    return 'threshold must be between 0 and 1';
+  }
+
+  if (vetoConfidence !== undefined && !(Number(vetoConfidence) >= 0 && Number(vetoConfidence) <= 1)) {
+    return 'vetoConfidence must be between 0 and 1';
+  }
+
+  if (weights !== undefined) {
+    if (typeof weights !== 'object' || weights === null || Array.isArray(weights)) {
+      return 'weights must be an object of strategy key to weight';
+    }
+
+    for (const [key, weight] of Object.entries(weights)) {
+      if (!memberKeys.includes(key)) {
+        return `Unknown ensemble member: ${key}`;
+      }
+      if (!(Number(weight) >= 0)) {
+        return `Weight for ${key} must be a non-negative number`;
+      }
+    }
+
+    if (!Object.values(weights).some(weight => Number(weight) > 0)) {
+      return 'At least one member needs a positive weight';
+    }
+  }
+
+  if (vetoes !== undefined) {
+    if (!Array.isArray(vetoes)) {
+      return 'vetoes must be an array of strategy keys';
+    }
+
+    const unknown = vetoes.filter(key => !memberKeys.includes(key));
+    if (unknown.length > 0) {
+      return `Unknown veto members: ${unknown.join(', ')}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the members whose signals the ensemble needs
+ * @param {Object} config - Ensemble configuration
+ * @returns {Array<string>} Strategy keys with a positive weight or a veto
+ */
+export function getActiveMembers(config) {
+  const weighted = Object.keys(config.weights).filter(key => Number(config.weights[key]) > 0);
+  return [...new Set([...weighted, ...config.vetoes])];
+}
+
+const direction = (signal) => (signal.signal === 'BUY' ? 1 : signal.signal === 'SELL' ? -1 : 0);
+
+/**
+ * Combine member signals
+ * @param {Object} signals - Member signals by strategy key, each with normalizedConfidence
+ * @param {Object} config - Ensemble configuration
+ * @returns {Object} Trading signal with the member signals attached
+ */
+export function combineSignals(signals, config) {
+  const { mode, threshold, weights, vetoes, vetoConfidence } = resolveEnsemble(config);
+
+  const members = Object.keys(weights)
+    .filter(key => Number(weights[key]) > 0 && signals[key])
+    .map(key => ({
+      key,
+      weight: Number(weights[key]),
+      direction: direction(signals[key]),
+      confidence: signals[key].normalizedConfidence || 0,
+      reason: signals[key].reason
+    }));
+
+  const totalWeight = members.reduce((sum, m) => sum + m.weight, 0);
+  const voting = members.filter(m => m.direction !== 0);
+
+  let finalDirection = 0;
+  let confidence = 0;
+
+  if (totalWeight > 0 && voting.length > 0) {
+    if (mode === 'weighted') {
+      const score = members.reduce((sum, m) => sum + m.weight * m.direction * m.confidence, 0) / totalWeight;
+      if (Math.abs(score) >= threshold && score !== 0) {
+        finalDirection = Math.sign(score);
+        confidence = Math.abs(score);
+      }
+    } else {
+      const directions = new Set(voting.map(m => m.direction));
+      const allVoted = voting.length === members.length;
+
+      if (directions.size === 1 && (mode === 'any' || allVoted)) {
+        const votingWeight = voting.reduce((sum, m) => sum + m.weight, 0);
+        finalDirection = voting[0].direction;
+        confidence = voting.reduce((sum, m) => sum + m.weight * m.confidence, 0) / votingWeight;
+
+        if (confidence < threshold) {
+          finalDirection = 0;
+        }
+      }
+    }
+  }
+
+  const individualSignals = { ...signals };
+  const agreeing = voting.filter(m => m.direction === finalDirection);
+
+  // A veto member signalling the other way blocks the trade
+  const veto = finalDirection === 0 ? null : vetoes.find(key => {
+    const signal = signals[key];
+    return signal && direction(signal) === -finalDirection
+      && (signal.normalizedConfidence || 0) >= vetoConfidence;
+  });
+
+  if (veto) {
+    return {
+      signal: 'HOLD',
+      confidence: 0,
+      reasons: [`Vetoed by ${veto}: ${signals[veto].reason}`],
+      mode,
+      individualSignals
+    };
+  }
+
+  return {
+    signal: finalDirection === 1 ? 'BUY' : finalDirection === -1 ? 'SELL' : 'HOLD',
+    confidence: parseFloat(confidence.toFixed(4)),
+    reasons: finalDirection === 0 ? [] : agreeing.map(m => m.reason),
+    mode,
+    individualSignals
+  };
+}
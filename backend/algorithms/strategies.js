@@ -0,0 +1,175 @@
+import { DEFAULT_ENSEMBLE, resolveEnsemble, validateEnsemble, getActiveMembers, combineSignals } from './ensemble.js';
+
+/**
+ * Built-in Strategy Definitions for AlphaFxTrader
+ * Each definition declares:
+ * - name: canonical name used by the API and stored configuration
+ * - key: short name used as the key in signal responses
+ * - parameters: schema of { type, default, min, max } per parameter
+ * - isValid: optional constraint across parameters
+ * - warmUp: bars of history needed before the first signal
+ * - signal: (tradingAlgorithms, symbol, parameters) => signal
+ * - confidenceScale: raw confidence that counts as full confidence (default 1),
+ *   so signals can be compared on a 0-1 scale
+ * Composite strategies list their components instead of parameters and
+ * receive { [componentKey]: componentParameters } plus their own options,
+ * together with the signals of the components they need.
+ */
+
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+export const smaCrossover = {
+  name: 'sma_crossover',
+  key: 'sma',
+  label: 'SMA Crossover',
+  description: 'Buy when the short SMA crosses above the long SMA, sell on the opposite cross',
+  parameters: {
+    shortPeriod: { type: 'integer', default: envNumber('SMA_SHORT_PERIOD', 10), min: 2, max: 100 },
+    longPeriod: { type: 'integer', default: envNumber('SMA_LONG_PERIOD', 20), min: 3, max: 199 }
+  },
+  isValid: ({ shortPeriod, longPeriod }) => shortPeriod < longPeriod,
+  warmUp: ({ longPeriod }) => longPeriod + 1,
+  // Relative SMA separation; freshly crossed averages sit close together
+  confidenceScale: 0.0002,
+  signal: (algorithms, symbol, { shortPeriod, longPeriod }) =>
+    algorithms.smaCrossover(symbol, shortPeriod, longPeriod)
+};
+
+export const rsi = {
+  name: 'rsi',
+  key: 'rsi',
+  label: 'RSI',
+  description: 'Buy when RSI falls below the oversold level, sell above the overbought level',
+  parameters: {
+    period: { type: 'integer', default: envNumber('RSI_PERIOD', 14), min: 2, max: 199 },
+    overbought: { type: 'number', default: envNumber('RSI_OVERBOUGHT', 70), min: 50, max: 100 },
+    oversold: { type: 'number', default: envNumber('RSI_OVERSOLD', 30), min: 0, max: 50 }
+  },
+  isValid: ({ oversold, overbought }) => oversold < overbought,
+  warmUp: ({ period }) => period + 1,
+  confidenceScale: 0.4,
+  signal: (algorithms, symbol, { period, overbought, oversold }) =>
+    algorithms.rsiStrategy(symbol, period, overbought, oversold)
+};
+
+export const bollinger = {
+  name: 'bollinger',
+  key: 'bollinger',
+  label: 'Bollinger Bands',
+  description: 'Buy below the lower band, sell above the upper band',
+  parameters: {
+    period: { type: 'integer', default: envNumber('BOLLINGER_PERIOD', 20), min: 2, max: 200 },
+    stdDev: { type: 'number', default: envNumber('BOLLINGER_STD_DEV', 2), min: 0.5, max: 5 }
+  },
+  warmUp: ({ period }) => period,
+  // Relative distance beyond the band
+  confidenceScale: 0.0005,
+  signal: (algorithms, symbol, { period, stdDev }) =>
+    algorithms.bollingerBandsStrategy(symbol, period, stdDev)
+};
+
+export const macd = {
+  name: 'macd',
+  key: 'macd',
+  label: 'MACD',
+  description: 'Buy when MACD crosses above its signal line, sell when it crosses below',
+  parameters: {
+    fastPeriod: { type: 'integer', default: 12, min: 2, max: 100 },
+    slowPeriod: { type: 'integer', default: 26, min: 3, max: 150 },
+    signalPeriod: { type: 'integer', default: 9, min: 2, max: 50 }
+  },
+  isValid: ({ fastPeriod, slowPeriod }) => fastPeriod < slowPeriod,
+  warmUp: ({ slowPeriod, signalPeriod }) => slowPeriod + signalPeriod,
+  signal: (algorithms, symbol, { fastPeriod, slowPeriod, signalPeriod }) =>
+    algorithms.macdStrategy(symbol, fastPeriod, slowPeriod, signalPeriod)
+};
+
+export const stochastic = {
+  name: 'stochastic',
+  key: 'stochastic',
+  label: 'Stochastic Oscillator',
+  description: 'Buy when %K crosses above %D while oversold, sell when it crosses below while overbought',
+  parameters: {
+    period: { type: 'integer', default: 14, min: 2, max: 150 },
+    signalPeriod: { type: 'integer', default: 3, min: 1, max: 20 },
+    overbought: { type: 'number', default: 80, min: 50, max: 100 },
+    oversold: { type: 'number', default: 20, min: 0, max: 50 }
+  },
+  isValid: ({ oversold, overbought }) => oversold < overbought,
+  warmUp: ({ period, signalPeriod }) => period + signalPeriod,
+  signal: (algorithms, symbol, { period, signalPeriod, overbought, oversold }) =>
+    algorithms.stochasticStrategy(symbol, period, signalPeriod, overbought, oversold)
+};
+
+export const atrBreakout = {
+  name: 'atr_breakout',
+  key: 'atr',
+  label: 'ATR Breakout',
+  description: 'Buy on a break above SMA + multiplier x ATR, sell on a break below SMA - multiplier x ATR',
+  parameters: {
+    period: { type: 'integer', default: 14, min: 2, max: 150 },
+    multiplier: { type: 'number', default: 2, min: 0.5, max: 5 }
+  },
+  warmUp: ({ period }) => period + 2,
+  signal: (algorithms, symbol, { period, multiplier }) =>
+    algorithms.atrBreakoutStrategy(symbol, period, multiplier)
+};
+
+export const donchian = {
+  name: 'donchian',
+  key: 'donchian',
+  label: 'Donchian Channel',
+  description: 'Buy on a new high above the channel, sell on a new low below it',
+  parameters: {
+    period: { type: 'integer', default: 20, min: 2, max: 199 }
+  },
+  warmUp: ({ period }) => period + 1,
+  // Breakout distance as a fraction of the channel width
+  confidenceScale: 0.25,
+  signal: (algorithms, symbol, { period }) =>
+    algorithms.donchianBreakoutStrategy(symbol, period)
+};
+
+export const emaRibbon = {
+  name: 'ema_ribbon',
+  key: 'ema_ribbon',
+  label: 'EMA Ribbon',
+  description: 'Buy when the EMA ribbon stacks bullish, sell when it stacks bearish',
+  parameters: {
+    fastPeriod: { type: 'integer', default: 8, min: 2, max: 100 },
+    slowPeriod: { type: 'integer', default: 55, min: 3, max: 199 },
+    ribbonCount: { type: 'integer', default: 5, min: 2, max: 10 }
+  },
+  // Every ribbon EMA needs a distinct period
+  isValid: ({ fastPeriod, slowPeriod, ribbonCount }) => slowPeriod - fastPeriod >= ribbonCount - 1,
+  warmUp: ({ slowPeriod }) => slowPeriod + 1,
+  // Relative spread between the outer EMAs
+  confidenceScale: 0.004,
+  signal: (algorithms, symbol, { fastPeriod, slowPeriod, ribbonCount }) =>
+    algorithms.emaRibbonStrategy(symbol, fastPeriod, slowPeriod, ribbonCount)
+};
+
+const ensembleMembers = [smaCrossover, rsi, bollinger, macd, stochastic, atrBreakout, donchian, emaRibbon];
+
+export const combined = {
+  name: 'combined',
+  key: 'combined',
+  label: 'Combined',
+  description: 'Weighted ensemble of the other strategies with weighted-vote, unanimous and any-of modes and veto members',
+  components: ensembleMembers.map(strategy => strategy.name),
+  options: {
+    ensemble: {
+      default: DEFAULT_ENSEMBLE,
+      resolve: resolveEnsemble,
+      validate: (ensemble) => validateEnsemble(ensemble, ensembleMembers.map(strategy => strategy.key))
+    }
+  },
+  activeComponents: ({ ensemble }) => getActiveMembers(ensemble),
+  signal: (algorithms, symbol, { ensemble }, componentSignals) =>
+    combineSignals(componentSignals, ensemble)
+};
+
+export default [...ensembleMembers, combined];
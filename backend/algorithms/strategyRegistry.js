@@ -0,0 +1,320 @@
+import builtInStrategies from './strategies.js';
+import { MAX_PRICE_HISTORY } from './tradingAlgorithms.js';
+
+/**
+ * Strategy Registry for AlphaFxTrader
+ * Single source of truth for the available strategies. Backtesting,
+ * optimisation, live auto-trading and signal endpoints look strategies up
+ * here instead of switching on algorithm names.
+ */
+export class StrategyRegistry {
+  constructor() {
+    this.strategies = new Map(); // name -> definition
+    this.lookup = new Map(); // lower-case name or key -> name
+  }
+
+  /**
+   * Register a strategy definition (see strategies.js for the shape)
+   * @param {Object} definition - Strategy definition
+   */
+  register(definition) {
+    const { name, key = name, parameters = {}, components, signal } = definition;
+
+    if (!name || typeof signal !== 'function') {
+      throw new Error('A strategy needs a name and a signal function');
+    }
+
+    if (this.lookup.has(name.toLowerCase()) || this.lookup.has(key.toLowerCase())) {
+      throw new Error(`Strategy already registered: ${name}`);
+    }
+
+    (components || []).forEach(component => {
+      if (!this.get(component)) {
+        throw new Error(`Unknown component strategy for ${name}: ${component}`);
+      }
+    });
+
+    const defaults = Object.fromEntries(
+      Object.entries(parameters).map(([param, schema]) => [param, schema.default])
+    );
+    const warmUp = components
+      ? Math.max(...components.map(component => this.getWarmUp(component)))
+      : (definition.warmUp ? definition.warmUp(defaults) : 0);
+
+    if (warmUp > MAX_PRICE_HISTORY) {
+      throw new Error(`Strategy ${name} needs ${warmUp} bars of warm-up (max ${MAX_PRICE_HISTORY})`);
+    }
+
+    this.strategies.set(name, { ...definition, key, parameters });
+    this.lookup.set(name.toLowerCase(), name);
+    this.lookup.set(key.toLowerCase(), name);
+  }
+
+  /**
+   * Find a strategy by name or key, case-insensitively
+   * @param {string} name - Strategy name or key
+   * @returns {Object|null} Strategy definition
+   */
+  get(name) {
+    const canonical = name ? this.lookup.get(String(name).toLowerCase()) : null;
+    return canonical ? this.strategies.get(canonical) : null;
+  }
+
+  /**
+   * Get all registered strategies in registration order
+   * @returns {Array<Object>} Strategy definitions
+   */
+  list() {
+    return Array.from(this.strategies.values());
+  }
+
+  /**
+   * Get a strategy or throw if it is not registered
+   * @param {string} name - Strategy name or key
+   * @returns {Object} Strategy definition
+   */
+  require(name) {
+    const strategy = this.get(name);
+    if (!strategy) {
+      throw new Error(`Unknown algorithm: ${name}`);
+    }
+    return strategy;
+  }
+
+  /**
+   * Merge parameter overrides over the declared defaults
+   * @param {string} name - Strategy name or key
+   * @param {Object} overrides - Parameter overrides; per component key for composites
+   * @returns {Object} Complete parameter set
+   */
+  resolveParameters(name, overrides = {}) {
+    const strategy = this.require(name);
+
+    if (strategy.components) {
+      const options = Object.entries(strategy.options || {}).map(([option, { resolve }]) =>
+        [option, resolve(overrides[option] || {})]
+      );
+
+      return Object.fromEntries([
+        ...strategy.components.map(component => {
+          const { key } = this.require(component);
+          return [key, this.resolveParameters(component, overrides[key] || {})];
+        }),
+        ...options
+      ]);
+    }
+
+    return Object.fromEntries(Object.entries(strategy.parameters).map(([param, schema]) => {
+      const value = overrides[param];
+      return [param, value === undefined || value === null ? schema.default : Number(value)];
+    }));
+  }
+
+  /**
+   * Validate parameter overrides against the schema
+   * @param {string} name - Strategy name or key
+   * @param {Object} overrides - Parameter overrides
+   * @returns {string|null} Error message, or null when valid
+   */
+  validateParameters(name, overrides = {}) {
+    const strategy = this.get(name);
+    if (!strategy) {
+      return `Unknown algorithm: ${name}`;
+    }
+
+    if (strategy.components) {
+      for (const component of strategy.components) {
+        const { key } = this.get(component);
+        const error = this.validateParameters(component, overrides[key] || {});
+        if (error) {
+          return `${key}: ${error}`;
+        }
+      }
+
+      for (const [option, { validate }] of Object.entries(strategy.options || {})) {
+        const error = overrides[option] !== undefined && validate ? validate(overrides[option]) : null;
+        if (error) {
+          return `${option}: ${error}`;
+        }
+      }
+      return null;
+    }
+
+    for (const [param, value] of Object.entries(overrides)) {
+      const error = this.validateValue(strategy, param, value);
+      if (error) {
+        return error;
+      }
+    }
+
+    if (!this.satisfiesConstraints(name, overrides)) {
+      return `Invalid parameter combination for ${strategy.name}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Check a single parameter value against its schema
+   * @param {Object} strategy - Strategy definition
+   * @param {string} param - Parameter name
+   * @param {*} value - Parameter value
+   * @returns {string|null} Error message, or null when valid
+   */
+  validateValue(strategy, param, value) {
+    const schema = strategy.parameters[param];
+    if (!schema) {
+      return `Unknown parameter for ${strategy.name}: ${param}`;
+    }
+
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+      return `${param} must be a number`;
+    }
+
+    if (schema.type === 'integer' && !Number.isInteger(number)) {
+      return `${param} must be an integer`;
+    }
+
+    if (number < schema.min || number > schema.max) {
+      return `${param} must be between ${schema.min} and ${schema.max}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Check a strategy's cross-parameter constraint
+   * @param {string} name - Strategy name or key
+   * @param {Object} overrides - Parameter overrides
+   * @returns {boolean} Whether the resolved parameters satisfy the constraint
+   */
+  satisfiesConstraints(name, overrides = {}) {
+    const strategy = this.require(name);
+    return strategy.isValid ? strategy.isValid(this.resolveParameters(name, overrides)) : true;
+  }
+
+  /**
+   * Get the bars of history a strategy needs before its first signal
+   * @param {string} name - Strategy name or key
+   * @param {Object} overrides - Parameter overrides
+   * @returns {number} Warm-up length in bars
+   */
+  getWarmUp(name, overrides = {}) {
+    const strategy = this.require(name);
+
+    if (strategy.components) {
+      const parameters = this.resolveParameters(name, overrides);
+      return Math.max(0, ...this.getActiveComponents(name, parameters).map(component =>
+        this.getWarmUp(component.name, parameters[component.key])
+      ));
+    }
+
+    return strategy.warmUp ? strategy.warmUp(this.resolveParameters(name, overrides)) : 0;
+  }
+
+  /**
+   * Get the components a composite strategy needs signals from
+   * @param {string} name - Strategy name or key
+   * @param {Object} parameters - Resolved composite parameters
+   * @returns {Array<Object>} Component strategy definitions
+   */
+  getActiveComponents(name, parameters) {
+    const strategy = this.require(name);
+    const components = strategy.components.map(component => this.require(component));
+
+    if (!strategy.activeComponents) {
+      return components;
+    }
+
+    const active = strategy.activeComponents(parameters);
+    return components.filter(component => active.includes(component.key));
+  }
+
+  /**
+   * Attach a confidence on a common 0-1 scale. Strategies report confidence
+   * in their own units; confidenceScale is the raw confidence that counts
+   * as full confidence.
+   * @param {Object} strategy - Strategy definition
+   * @param {Object} signal - Trading signal
+   * @returns {Object} Signal with normalizedConfidence
+   */
+  normalizeSignal(strategy, signal) {
+    const scale = strategy.confidenceScale || 1;
+    const normalized = signal.signal === 'HOLD'
+      ? 0
+      : Math.min(1, Math.max(0, (signal.confidence || 0) / scale));
+
+    return { ...signal, normalizedConfidence: parseFloat(normalized.toFixed(4)) };
+  }
+
+  /**
+   * Generate a strategy's signal from the history in a TradingAlgorithms instance.
+   * Composite strategies receive their active components' signals by key.
+   * @param {string} name - Strategy name or key
+   * @param {TradingAlgorithms} tradingAlgorithms - Instance holding the price history
+   * @param {string} symbol - Currency pair symbol
+   * @param {Object} overrides - Parameter overrides
+   * @returns {Object} Trading signal with normalizedConfidence
+   */
+  generateSignal(name, tradingAlgorithms, symbol, overrides = {}) {
+    const strategy = this.require(name);
+    const parameters = this.resolveParameters(name, overrides);
+
+    if (!strategy.components) {
+      return this.normalizeSignal(strategy, strategy.signal(tradingAlgorithms, symbol, parameters));
+    }
+
+    const componentSignals = Object.fromEntries(
+      this.getActiveComponents(name, parameters).map(component => [
+        component.key,
+        this.generateSignal(component.name, tradingAlgorithms, symbol, parameters[component.key])
+      ])
+    );
+
+    return this.normalizeSignal(strategy, strategy.signal(tradingAlgorithms, symbol, parameters, componentSignals));
+  }
+
+  /**
+   * Generate signals for several strategies, keyed by strategy key
+   * @param {TradingAlgorithms} tradingAlgorithms - Instance holding the price history
+   * @param {string} symbol - Currency pair symbol
+   * @param {Function} getParameters - Returns the parameter overrides for a strategy name
+   * @param {Array<string>} names - Strategy names or keys (default: all)
+   * @returns {Object} Signals by strategy key
+   */
+  generateSignals(tradingAlgorithms, symbol, getParameters = () => ({}), names = null) {
+    const strategies = names ? names.map(name => this.require(name)) : this.list();
+
+    return Object.fromEntries(strategies.map(strategy => [
+      strategy.key,
+      this.generateSignal(strategy.name, tradingAlgorithms, symbol, getParameters(strategy.name))
+    ]));
+  }
+
+  /**
+   * Describe every strategy for API consumers
+   * @returns {Array<Object>} Strategy descriptions
+   */
+  describe() {
+    return this.list().map(({ name, key, label, description, parameters, components, options, confidenceScale = 1 }) => ({
+      name,
+      key,
+      label,
+      description,
+      parameters,
+      components: components || null,
+      options: options
+        ? Object.fromEntries(Object.entries(options).map(([option, { default: value }]) => [option, value]))
+        : null,
+      confidenceScale,
+      warmUp: this.getWarmUp(name)
+    }));
+  }
+}
+
+// Create singleton instance with the built-in strategies
+const strategyRegistry = new StrategyRegistry();
+builtInStrategies.forEach(strategy => strategyRegistry.register(strategy));
+
+export default strategyRegistry;
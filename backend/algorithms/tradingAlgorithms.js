@@ -1,8 +1,12 @@
-import { SMA, EMA, RSI, BollingerBands } from 'technicalindicators';
+import { SMA, EMA, RSI, BollingerBands, MACD, Stochastic, ATR } from 'technicalindicators';
+
+// Prices kept per symbol; no strategy can need a longer warm-up
+export const MAX_PRICE_HISTORY = 200;
 
 /**
  * Trading Algorithms for AlphaFxTrader
- * Implements SMA Crossover, RSI, and Bollinger Bands strategies
+ * Implements SMA Crossover, RSI, Bollinger Bands, MACD, Stochastic,
+ * ATR breakout, Donchian channel and EMA ribbon strategies
  */
 
 export class TradingAlgorithms {
@@ -25,8 +29,8 @@ export class TradingAlgorithms {
     const history = this.priceHistory.get(symbol);
     history.push({ price, timestamp });
     
-    // Keep only last 200 prices for performance
-    if (history.length > 200) {
+    // Keep only last MAX_PRICE_HISTORY prices for performance
+    if (history.length > MAX_PRICE_HISTORY) {
       history.shift();
     }
   }
@@ -50,7 +54,7 @@ export class TradingAlgorithms {
    * @returns {Object} Trading signal
    */
   smaCrossover(symbol, shortPeriod = 10, longPeriod = 20) {
-    const prices = this.getPriceHistory(symbol).map(p => p.price);
+    const prices = this.getPriceHistory(symbol, Math.max(50, longPeriod + 1)).map(p => p.price);
     
     if (prices.length < longPeriod) {
       return { signal: 'HOLD', reason: 'Insufficient data' };
@@ -106,7 +110,7 @@ export class TradingAlgorithms {
    * @returns {Object} Trading signal
    */
   rsiStrategy(symbol, period = 14, overbought = 70, oversold = 30) {
-    const prices = this.getPriceHistory(symbol).map(p => p.price);
+    const prices = this.getPriceHistory(symbol, Math.max(50, period + 1)).map(p => p.price);
     
     if (prices.length < period + 1) {
       return { signal: 'HOLD', reason: 'Insufficient data for RSI' };
@@ -154,7 +158,7 @@ export class TradingAlgorithms {
    * @returns {Object} Trading signal
    */
   bollingerBandsStrategy(symbol, period = 20, stdDev = 2) {
-    const prices = this.getPriceHistory(symbol).map(p => p.price);
+    const prices = this.getPriceHistory(symbol, Math.max(50, period)).map(p => p.price);
     
     if (prices.length < period) {
       return { signal: 'HOLD', reason: 'Insufficient data for Bollinger Bands' };
@@ -208,43 +212,356 @@ export class TradingAlgorithms {
   }
 
   /**
-   * Combined Strategy - Uses multiple algorithms for better accuracy
+   * MACD Signal-Line Crossover Strategy
    * @param {string} symbol - Currency pair symbol
-   * @returns {Object} Combined trading signal
+   * @param {number} fastPeriod - Fast EMA period (default: 12)
+   * @param {number} slowPeriod - Slow EMA period (default: 26)
+   * @param {number} signalPeriod - Signal line EMA period (default: 9)
+   * @returns {Object} Trading signal
    */
-  combinedStrategy(symbol) {
-    const smaSignal = this.smaCrossover(symbol);
-    const rsiSignal = this.rsiStrategy(symbol);
-    const bbSignal = this.bollingerBandsStrategy(symbol);
+  macdStrategy(symbol, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+    const prices = this.getPriceHistory(symbol, Math.max(50, slowPeriod + signalPeriod)).map(p => p.price);
 
-    const signals = [smaSignal, rsiSignal, bbSignal];
-    const buySignals = signals.filter(s => s.signal === 'BUY').length;
-    const sellSignals = signals.filter(s => s.signal === 'SELL').length;
+    if (prices.length < slowPeriod + signalPeriod) {
+      return { signal: 'HOLD', reason: 'Insufficient data for MACD' };
+    }
+
+    const macd = MACD.calculate({
+      values: prices,
+      fastPeriod,
+      slowPeriod,
+      signalPeriod,
+      SimpleMAOscillator: false,
+      SimpleMASignal: false
+    }).filter(m => m.signal !== undefined);
+
+    if (macd.length < 2) {
+      return { signal: 'HOLD', reason: 'Insufficient MACD data' };
+    }
 
-    let finalSignal = 'HOLD';
-    let confidence = 0;
-    let reasons = [];
+    const current = macd[macd.length - 1];
+    const previous = macd[macd.length - 2];
+
+    // Store MACD for reference
+    this.indicators.set(`${symbol}_MACD`, current.MACD);
+    this.indicators.set(`${symbol}_MACD_SIGNAL`, current.signal);
+    this.indicators.set(`${symbol}_MACD_HISTOGRAM`, current.histogram);
+
+    // Histogram size relative to its recent average size
+    const averageHistogram = macd.reduce((sum, m) => sum + Math.abs(m.histogram), 0) / macd.length;
+    const confidence = averageHistogram > 0
+      ? Math.min(1, Math.abs(current.histogram) / averageHistogram)
+      : 0;
+
+    // Bullish crossover: MACD crosses above its signal line
+    if (previous.MACD <= previous.signal && current.MACD > current.signal) {
+      return {
+        signal: 'BUY',
+        reason: 'Bullish MACD signal-line crossover',
+        macd: current.MACD,
+        signalLine: current.signal,
+        histogram: current.histogram,
+        confidence
+      };
+    }
 
-    if (buySignals >= 2) {
-      finalSignal = 'BUY';
-      confidence = buySignals / 3;
-      reasons = signals.filter(s => s.signal === 'BUY').map(s => s.reason);
-    } else if (sellSignals >= 2) {
-      finalSignal = 'SELL';
-      confidence = sellSignals / 3;
-      reasons = signals.filter(s => s.signal === 'SELL').map(s => s.reason);
+    // Bearish crossover: MACD crosses below its signal line
+    if (previous.MACD >= previous.signal && current.MACD < current.signal) {
+      return {
+        signal: 'SELL',
+        reason: 'Bearish MACD signal-line crossover',
+        macd: current.MACD,
+        signalLine: current.signal,
+        histogram: current.histogram,
+        confidence
+      };
     }
 
-    return {
-      signal: finalSignal,
-      confidence,
-      reasons,
-      individualSignals: {
-        sma: smaSignal,
-        rsi: rsiSignal,
-        bollinger: bbSignal
-      }
-    };
+    return { signal: 'HOLD', reason: 'No MACD crossover detected' };
+  }
+
+  /**
+   * Stochastic Oscillator Strategy
+   * Price history holds one price per tick, so high, low and close are the
+   * same series and %K measures the close against the recent range.
+   * @param {string} symbol - Currency pair symbol
+   * @param {number} period - %K lookback period (default: 14)
+   * @param {number} signalPeriod - %D smoothing period (default: 3)
+   * @param {number} overbought - Overbought threshold (default: 80)
+   * @param {number} oversold - Oversold threshold (default: 20)
+   * @returns {Object} Trading signal
+   */
+  stochasticStrategy(symbol, period = 14, signalPeriod = 3, overbought = 80, oversold = 20) {
+    const prices = this.getPriceHistory(symbol, Math.max(50, period + signalPeriod)).map(p => p.price);
+
+    if (prices.length < period + signalPeriod) {
+      return { signal: 'HOLD', reason: 'Insufficient data for Stochastic' };
+    }
+
+    const stochastic = Stochastic.calculate({
+      high: prices,
+      low: prices,
+      close: prices,
+      period,
+      signalPeriod
+    }).filter(s => Number.isFinite(s.k) && Number.isFinite(s.d));
+
+    if (stochastic.length < 2) {
+      return { signal: 'HOLD', reason: 'Insufficient Stochastic data' };
+    }
+
+    const current = stochastic[stochastic.length - 1];
+    const previous = stochastic[stochastic.length - 2];
+
+    // Store Stochastic for reference
+    this.indicators.set(`${symbol}_STOCH_K`, current.k);
+    this.indicators.set(`${symbol}_STOCH_D`, current.d);
+
+    // %K crosses above %D in the oversold zone
+    if (previous.k <= previous.d && current.k > current.d && current.d < oversold) {
+      return {
+        signal: 'BUY',
+        reason: 'Stochastic bullish crossover in oversold zone',
+        k: current.k,
+        d: current.d,
+        threshold: oversold,
+        confidence: (oversold - current.d) / oversold
+      };
+    }
+
+    // %K crosses below %D in the overbought zone
+    if (previous.k >= previous.d && current.k < current.d && current.d > overbought) {
+      return {
+        signal: 'SELL',
+        reason: 'Stochastic bearish crossover in overbought zone',
+        k: current.k,
+        d: current.d,
+        threshold: overbought,
+        confidence: (current.d - overbought) / (100 - overbought)
+      };
+    }
+
+    return { signal: 'HOLD', reason: 'No Stochastic crossover in an extreme zone' };
+  }
+
+  /**
+   * ATR Volatility Breakout Strategy
+   * Trades a break out of a channel of `multiplier` ATRs around the SMA.
+   * With one price per tick the true range is the absolute price change.
+   * @param {string} symbol - Currency pair symbol
+   * @param {number} period - ATR and SMA period (default: 14)
+   * @param {number} multiplier - Channel width in ATRs (default: 2)
+   * @returns {Object} Trading signal
+   */
+  atrBreakoutStrategy(symbol, period = 14, multiplier = 2) {
+    const prices = this.getPriceHistory(symbol, Math.max(50, period + 2)).map(p => p.price);
+
+    if (prices.length < period + 2) {
+      return { signal: 'HOLD', reason: 'Insufficient data for ATR' };
+    }
+
+    const atr = ATR.calculate({ high: prices, low: prices, close: prices, period });
+    const sma = SMA.calculate({ period, values: prices });
+
+    if (atr.length < 2 || sma.length < 2) {
+      return { signal: 'HOLD', reason: 'Insufficient ATR data' };
+    }
+
+    const currentATR = atr[atr.length - 1];
+    const upper = sma[sma.length - 1] + multiplier * currentATR;
+    const lower = sma[sma.length - 1] - multiplier * currentATR;
+    const previousUpper = sma[sma.length - 2] + multiplier * atr[atr.length - 2];
+    const previousLower = sma[sma.length - 2] - multiplier * atr[atr.length - 2];
+    const currentPrice = prices[prices.length - 1];
+    const previousPrice = prices[prices.length - 2];
+
+    // Store ATR channel for reference
+    this.indicators.set(`${symbol}_ATR`, currentATR);
+    this.indicators.set(`${symbol}_ATR_UPPER`, upper);
+    this.indicators.set(`${symbol}_ATR_LOWER`, lower);
+
+    if (currentATR <= 0) {
+      return { signal: 'HOLD', reason: 'No volatility' };
+    }
+
+    // Price breaks out above the channel
+    if (previousPrice <= previousUpper && currentPrice > upper) {
+      return {
+        signal: 'BUY',
+        reason: 'Upside ATR volatility breakout',
+        price: currentPrice,
+        atr: currentATR,
+        upperChannel: upper,
+        confidence: Math.min(1, (currentPrice - upper) / currentATR)
+      };
+    }
+
+    // Price breaks out below the channel
+    if (previousPrice >= previousLower && currentPrice < lower) {
+      return {
+        signal: 'SELL',
+        reason: 'Downside ATR volatility breakout',
+        price: currentPrice,
+        atr: currentATR,
+        lowerChannel: lower,
+        confidence: Math.min(1, (lower - currentPrice) / currentATR)
+      };
+    }
+
+    return { signal: 'HOLD', reason: 'Price within ATR channel' };
+  }
+
+  /**
+   * Donchian Channel Breakout Strategy
+   * @param {string} symbol - Currency pair symbol
+   * @param {number} period - Channel lookback period (default: 20)
+   * @returns {Object} Trading signal
+   */
+  donchianBreakoutStrategy(symbol, period = 20) {
+    const prices = this.getPriceHistory(symbol, Math.max(50, period + 1)).map(p => p.price);
+
+    if (prices.length < period + 1) {
+      return { signal: 'HOLD', reason: 'Insufficient data for Donchian channel' };
+    }
+
+    // Channel of the previous `period` prices, excluding the current one
+    const channel = prices.slice(-(period + 1), -1);
+    const upper = Math.max(...channel);
+    const lower = Math.min(...channel);
+    const width = upper - lower;
+    const currentPrice = prices[prices.length - 1];
+
+    // Store Donchian channel for reference
+    this.indicators.set(`${symbol}_DONCHIAN_UPPER`, upper);
+    this.indicators.set(`${symbol}_DONCHIAN_LOWER`, lower);
+
+    if (currentPrice > upper) {
+      return {
+        signal: 'BUY',
+        reason: 'Breakout above Donchian channel',
+        price: currentPrice,
+        upperChannel: upper,
+        lowerChannel: lower,
+        confidence: width > 0 ? Math.min(1, (currentPrice - upper) / width) : 0
+      };
+    }
+
+    if (currentPrice < lower) {
+      return {
+        signal: 'SELL',
+        reason: 'Breakdown below Donchian channel',
+        price: currentPrice,
+        upperChannel: upper,
+        lowerChannel: lower,
+        confidence: width > 0 ? Math.min(1, (lower - currentPrice) / width) : 0
+      };
+    }
+
+    return { signal: 'HOLD', reason: 'Price within Donchian channel' };
+  }
+
+  /**
+   * EMA Ribbon Strategy
+   * Signals when a ribbon of EMAs spaced evenly between the fast and slow
+   * periods becomes fully stacked in one direction.
+   * @param {string} symbol - Currency pair symbol
+   * @param {number} fastPeriod - Fastest EMA period (default: 8)
+   * @param {number} slowPeriod - Slowest EMA period (default: 55)
+   * @param {number} ribbonCount - Number of EMAs in the ribbon (default: 5)
+   * @returns {Object} Trading signal
+   */
+  emaRibbonStrategy(symbol, fastPeriod = 8, slowPeriod = 55, ribbonCount = 5) {
+    const prices = this.getPriceHistory(symbol, Math.max(50, slowPeriod + 1)).map(p => p.price);
+
+    if (prices.length < slowPeriod + 1) {
+      return { signal: 'HOLD', reason: 'Insufficient data for EMA ribbon' };
+    }
+
+    const step = (slowPeriod - fastPeriod) / (ribbonCount - 1);
+    const periods = Array.from({ length: ribbonCount }, (_, i) => Math.round(fastPeriod + i * step));
+    const ribbon = periods.map(period => EMA.calculate({ period, values: prices }).slice(-2));
+
+    // Ribbon values ordered fastest to slowest, for the previous and current bar
+    const previous = ribbon.map(values => values[0]);
+    const current = ribbon.map(values => values[1]);
+
+    const isStacked = (values, direction) => values.every((value, i) =>
+      i === 0 || (direction === 'UP' ? values[i - 1] > value : values[i - 1] < value)
+    );
+
+    // Store ribbon edges for reference
+    this.indicators.set(`${symbol}_EMA_FAST`, current[0]);
+    this.indicators.set(`${symbol}_EMA_SLOW`, current[current.length - 1]);
+
+    const fast = current[0];
+    const slow = current[current.length - 1];
+
+    if (isStacked(current, 'UP') && !isStacked(previous, 'UP')) {
+      return {
+        signal: 'BUY',
+        reason: 'EMA ribbon aligned bullish',
+        periods,
+        fastEMA: fast,
+        slowEMA: slow,
+        confidence: Math.abs(fast - slow) / slow
+      };
+    }
+
+    if (isStacked(current, 'DOWN') && !isStacked(previous, 'DOWN')) {
+      return {
+        signal: 'SELL',
+        reason: 'EMA ribbon aligned bearish',
+        periods,
+        fastEMA: fast,
+        slowEMA: slow,
+        confidence: Math.abs(fast - slow) / slow
+      };
+    }
+
+    return { signal: 'HOLD', reason: 'No new EMA ribbon alignment' };
+  }
+
+  /**
+   * Calculate indicator series over a price series for charting. Uses the
+   * same indicator settings as the strategies; every series is aligned to
+   * the input and padded with null until the indicator has enough data.
+   * @param {Array<number>} values - Prices, oldest first
+   * @param {Object} options - { sma: [periods], ema: [periods], bollinger: { period, stdDev },
+   *   rsi: { period }, macd: { fastPeriod, slowPeriod, signalPeriod } }
+   * @returns {Object} Indicator series by name
+   */
+  calculateIndicatorSeries(values, { sma = [], ema = [], bollinger = null, rsi = null, macd = null } = {}) {
+    const align = (series) => [...new Array(Math.max(0, values.length - series.length)).fill(null), ...series];
+    const series = { sma: {}, ema: {} };
+
+    sma.forEach(period => {
+      series.sma[period] = align(SMA.calculate({ period, values }));
+    });
+
+    ema.forEach(period => {
+      series.ema[period] = align(EMA.calculate({ period, values }));
+    });
+
+    if (bollinger) {
+      series.bollinger = align(BollingerBands.calculate({ period: bollinger.period, values, stdDev: bollinger.stdDev }));
+    }
+
+    if (rsi) {
+      series.rsi = align(RSI.calculate({ period: rsi.period, values }));
+    }
+
+    if (macd) {
+      series.macd = align(MACD.calculate({
+        values,
+        fastPeriod: macd.fastPeriod,
+        slowPeriod: macd.slowPeriod,
+        signalPeriod: macd.signalPeriod,
+        SimpleMAOscillator: false,
+        SimpleMASignal: false
+      }));
+    }
+
+    return series;
   }
 
   /**
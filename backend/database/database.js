@@ -2,15 +2,24 @@ import sqlite3 from 'sqlite3';
 import { promisify } from 'util';
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import { AsyncLocalStorage } from 'async_hooks';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+// Set while the code running belongs to a transaction
+const transactionContext = new AsyncLocalStorage();
 
+/**
+ * The server shares one connection, and a transaction on it would take in
+ * every statement run while it is open, e.g. live ticks during an import.
+ * So transactions run one at a time through transaction(), and statements
+ * from outside the open transaction wait for it to finish.
+ */
 class Database {
   constructor() {
     this.db = null;
     this.isConnected = false;
+    this.openTransaction = null; // Settles when the open transaction ends
+    this.pending = 0; // Statements in flight outside a transaction
+    this.drained = null; // Called when pending drops to 0
   }
 
   async connect(dbPath = './data/trading.db') {
@@ -33,10 +42,8 @@ class Database {
 
       // Enable foreign keys
       await this.run('PRAGMA foreign_keys = ON');
-      
-      // Initialize database schema
-      await this.initializeSchema();
-      
+
+      // The schema is created and upgraded by migrations (see migrator.js)
       return this.db;
     } catch (error) {
       console.error('Database connection failed:', error);
@@ -44,31 +51,50 @@ class Database {
     }
   }
 
-  async initializeSchema() {
+  /**
+   * Add any columns missing from an existing table
+   * @param {string} table - Table name
+   * @param {Object} columns - Map of column name to column definition
+   */
+  async ensureColumns(table, columns) {
+    const existingColumns = await this.all(`PRAGMA table_info(${table})`);
+    const existingNames = new Set(existingColumns.map(column => column.name));
+
+    for (const [name, definition] of Object.entries(columns)) {
+      if (!existingNames.has(name)) {
+        await this.run(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+      }
+    }
+  }
+
+  /**
+   * Run a statement once no transaction it is not part of is open
+   * @param {Function} query - () => Promise of the statement's result
+   * @returns {Promise<*>} The statement's result
+   */
+  async schedule(query) {
+    if (transactionContext.getStore()) {
+      return query();
+    }
+
+    while (this.openTransaction) {
+      await this.openTransaction;
+    }
+
+    this.pending++;
     try {
-      const schemaPath = path.join(__dirname, 'schema.sql');
-      const schema = fs.readFileSync(schemaPath, 'utf8');
-      
-      // Split schema into individual statements
-      const statements = schema
-        .split(';')
-        .map(stmt => stmt.trim())
-        .filter(stmt => stmt.length > 0);
-
-      for (const statement of statements) {
-        await this.run(statement);
+      return await query();
+    } finally {
+      this.pending--;
+      if (this.pending === 0 && this.drained) {
+        this.drained();
       }
-      
-      console.log('Database schema initialized successfully');
-    } catch (error) {
-      console.error('Error initializing schema:', error);
-      throw error;
     }
   }
 
   // Promisify database methods
   run(sql, params = []) {
-    return new Promise((resolve, reject) => {
+    return this.schedule(() => new Promise((resolve, reject) => {
       this.db.run(sql, params, function(err) {
         if (err) {
           reject(err);
@@ -76,11 +102,11 @@ class Database {
           resolve({ id: this.lastID, changes: this.changes });
         }
       });
-    });
+    }));
   }
 
   get(sql, params = []) {
-    return new Promise((resolve, reject) => {
+    return this.schedule(() => new Promise((resolve, reject) => {
       this.db.get(sql, params, (err, row) => {
         if (err) {
           reject(err);
@@ -88,11 +114,11 @@ class Database {
           resolve(row);
         }
       });
-    });
+    }));
   }
 
   all(sql, params = []) {
-    return new Promise((resolve, reject) => {
+    return this.schedule(() => new Promise((resolve, reject) => {
       this.db.all(sql, params, (err, rows) => {
         if (err) {
           reject(err);
@@ -100,20 +126,66 @@ class Database {
           resolve(rows);
         }
       });
-    });
+    }));
   }
 
-  // Transaction support
-  async beginTransaction() {
-    await this.run('BEGIN TRANSACTION');
+  /**
+   * Run a script of one or more statements as is, e.g. a migration that
+   * creates triggers; bound parameters are not supported
+   * @param {string} sql - SQL script
+   */
+  exec(sql) {
+    return this.schedule(() => new Promise((resolve, reject) => {
+      this.db.exec(sql, (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    }));
   }
 
-  async commit() {
-    await this.run('COMMIT');
-  }
+  /**
+   * Run work in a transaction, committed if it resolves and rolled back if
+   * it throws. Waits for the open transaction, if any; called from inside
+   * one, the work simply joins it.
+   * @param {Function} work - async () => result, running its statements through this database
+   * @returns {Promise<*>} The work's result
+   */
+  async transaction(work) {
+    if (transactionContext.getStore()) {
+      return work();
+    }
+
+    while (this.openTransaction) {
+      await this.openTransaction;
+    }
+
+    let release;
+    this.openTransaction = new Promise(resolve => { release = resolve; });
 
-  async rollback() {
-    await this.run('ROLLBACK');
+    try {
+      if (this.pending > 0) {
+        await new Promise(resolve => { this.drained = resolve; });
+      }
+
+      return await transactionContext.run(true, async () => {
+        await this.run('BEGIN TRANSACTION');
+        try {
+          const result = await work();
+          await this.run('COMMIT');
+          return result;
+        } catch (error) {
+          await this.run('ROLLBACK');
+          throw error;
+        }
+      });
+    } finally {
+      this.openTransaction = null;
+      this.drained = null;
+      release();
+    }
   }
 
   // Close database connection
@@ -135,6 +207,21 @@ class Database {
     });
   }
 
+  /**
+   * Get the size of the database file
+   * @returns {Promise<Object>} { sizeBytes, freeBytes } free pages are reused before the file grows
+   */
+  async getSize() {
+    const { page_size: pageSize } = await this.get('PRAGMA page_size');
+    const { page_count: pageCount } = await this.get('PRAGMA page_count');
+    const { freelist_count: freePages } = await this.get('PRAGMA freelist_count');
+
+    return {
+      sizeBytes: pageSize * pageCount,
+      freeBytes: pageSize * freePages
+    };
+  }
+
   // Health check
   async healthCheck() {
     try {
@@ -0,0 +1,138 @@
+/**
+ * The original schema (formerly database/schema.sql): prices, indicators,
+ * trades, sessions, notifications, risk rules and backtest results.
+ *
+ * Tables are created IF NOT EXISTS so that databases from before migrations
+ * existed are adopted as they are.
+ */
+
+/**
+ * @param {Object} db - Database connection
+ */
+export async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS currency_pairs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      symbol TEXT UNIQUE NOT NULL,
+      base_currency TEXT NOT NULL,
+      quote_currency TEXT NOT NULL,
+      is_active BOOLEAN DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS price_data (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      symbol TEXT NOT NULL,
+      bid_price REAL NOT NULL,
+      ask_price REAL NOT NULL,
+      mid_price REAL NOT NULL,
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+      volume INTEGER DEFAULT 0
+    );
+
+    CREATE TABLE IF NOT EXISTS technical_indicators (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      symbol TEXT NOT NULL,
+      indicator_type TEXT NOT NULL,
+      period INTEGER NOT NULL,
+      value REAL NOT NULL,
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS trades (
+      id TEXT PRIMARY KEY,
+      symbol TEXT NOT NULL,
+      action TEXT NOT NULL,
+      quantity INTEGER NOT NULL,
+      price REAL NOT NULL,
+      status TEXT DEFAULT 'PENDING',
+      algorithm_used TEXT,
+      pnl REAL DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      filled_at DATETIME
+    );
+
+    CREATE TABLE IF NOT EXISTS trading_sessions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_name TEXT NOT NULL,
+      start_time DATETIME NOT NULL,
+      end_time DATETIME,
+      total_volume INTEGER DEFAULT 0,
+      total_trades INTEGER DEFAULT 0,
+      total_pnl REAL DEFAULT 0,
+      status TEXT DEFAULT 'ACTIVE',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS algorithm_performance (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      algorithm_name TEXT NOT NULL,
+      symbol TEXT NOT NULL,
+      total_trades INTEGER DEFAULT 0,
+      winning_trades INTEGER DEFAULT 0,
+      losing_trades INTEGER DEFAULT 0,
+      total_pnl REAL DEFAULT 0,
+      win_rate REAL DEFAULT 0,
+      sharpe_ratio REAL DEFAULT 0,
+      max_drawdown REAL DEFAULT 0,
+      period_start DATETIME NOT NULL,
+      period_end DATETIME NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS notifications (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      type TEXT NOT NULL,
+      title TEXT NOT NULL,
+      message TEXT NOT NULL,
+      symbol TEXT,
+      is_read BOOLEAN DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS risk_management_rules (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      rule_name TEXT NOT NULL,
+      rule_type TEXT NOT NULL,
+      value REAL NOT NULL,
+      is_active BOOLEAN DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS backtest_results (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      algorithm_name TEXT NOT NULL,
+      symbol TEXT NOT NULL,
+      start_date DATETIME NOT NULL,
+      end_date DATETIME NOT NULL,
+      initial_capital REAL NOT NULL,
+      final_capital REAL NOT NULL,
+      total_return REAL NOT NULL,
+      sharpe_ratio REAL NOT NULL,
+      max_drawdown REAL NOT NULL,
+      total_trades INTEGER NOT NULL,
+      win_rate REAL NOT NULL,
+      parameters TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+}
+
+/**
+ * @param {Object} db - Database connection
+ */
+export async function down(db) {
+  await db.exec(`
+    DROP TABLE IF EXISTS backtest_results;
+    DROP TABLE IF EXISTS risk_management_rules;
+    DROP TABLE IF EXISTS notifications;
+    DROP TABLE IF EXISTS algorithm_performance;
+    DROP TABLE IF EXISTS trading_sessions;
+    DROP TABLE IF EXISTS trades;
+    DROP TABLE IF EXISTS technical_indicators;
+    DROP TABLE IF EXISTS price_data;
+    DROP TABLE IF EXISTS currency_pairs;
+  `);
+}
@@ -0,0 +1,289 @@
+/**
+ * Tables and columns the services used to create on startup: users and
+ * sessions, orders, positions and accounts, protective stops, the audit log,
+ * strategy parameters, optimization and walk-forward runs, candles and data
+ * imports.
+ *
+ * Tables are created IF NOT EXISTS and columns only added when missing, so
+ * that databases from before migrations existed are adopted as they are.
+ */
+
+// Columns added to tables of 001_initial_schema
+const ADDED_COLUMNS = {
+  trades: {
+    order_type: "TEXT DEFAULT 'MARKET'",
+    limit_price: 'REAL',
+    stop_price: 'REAL',
+    triggered_at: 'DATETIME',
+    reason: 'TEXT',
+    user_id: 'INTEGER',
+    account_id: 'INTEGER',
+    parent_trade_id: 'TEXT'
+  },
+  risk_management_rules: {
+    symbol: 'TEXT'
+  },
+  backtest_results: {
+    execution_costs: 'TEXT',
+    metrics: 'TEXT',
+    equity_curve: 'TEXT',
+    trade_log: 'TEXT',
+    timeframe: 'TEXT'
+  },
+  price_data: {
+    import_id: 'INTEGER'
+  }
+};
+
+/**
+ * @param {Object} db - Database connection
+ */
+export async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      email TEXT NOT NULL UNIQUE,
+      name TEXT,
+      password_hash TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_login_at DATETIME
+    );
+  `);
+
+  // Older databases have users without roles
+  await db.ensureColumns('users', {
+    role: "TEXT NOT NULL DEFAULT 'viewer'"
+  });
+
+  for (const [table, columns] of Object.entries(ADDED_COLUMNS)) {
+    await db.ensureColumns(table, columns);
+  }
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS refresh_tokens (
+      id TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      expires_at DATETIME NOT NULL,
+      revoked_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens(user_id);
+
+    CREATE TABLE IF NOT EXISTS positions (
+      symbol TEXT PRIMARY KEY,
+      quantity REAL NOT NULL DEFAULT 0,
+      average_price REAL NOT NULL DEFAULT 0,
+      realized_pnl REAL NOT NULL DEFAULT 0,
+      unrealized_pnl REAL NOT NULL DEFAULT 0,
+      last_price REAL,
+      updated_at DATETIME
+    );
+
+    CREATE TABLE IF NOT EXISTS accounts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER,
+      name TEXT NOT NULL,
+      base_currency TEXT NOT NULL DEFAULT 'USD',
+      balance REAL NOT NULL DEFAULT 0,
+      leverage REAL NOT NULL DEFAULT 30,
+      margin_rates TEXT,
+      is_system BOOLEAN DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS account_positions (
+      account_id INTEGER NOT NULL,
+      symbol TEXT NOT NULL,
+      quantity REAL NOT NULL DEFAULT 0,
+      average_price REAL NOT NULL DEFAULT 0,
+      realized_pnl REAL NOT NULL DEFAULT 0,
+      updated_at DATETIME,
+      PRIMARY KEY (account_id, symbol),
+      FOREIGN KEY (account_id) REFERENCES accounts(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS account_transactions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      account_id INTEGER NOT NULL,
+      trade_id TEXT,
+      type TEXT NOT NULL,
+      amount REAL NOT NULL,
+      balance_after REAL NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (account_id) REFERENCES accounts(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_account_transactions_account
+    ON account_transactions(account_id, created_at);
+
+    CREATE TABLE IF NOT EXISTS protective_stops (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      account_id INTEGER NOT NULL,
+      symbol TEXT NOT NULL,
+      trade_id TEXT,
+      side TEXT,
+      quantity REAL,
+      entry_price REAL,
+      stop_loss_distance REAL,
+      take_profit_distance REAL,
+      trailing_distance REAL,
+      stop_loss REAL,
+      take_profit REAL,
+      trailing_anchor REAL,
+      status TEXT NOT NULL DEFAULT 'PENDING',
+      trigger_type TEXT,
+      closing_trade_id TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      activated_at DATETIME,
+      closed_at DATETIME,
+      FOREIGN KEY (account_id) REFERENCES accounts(id),
+      FOREIGN KEY (trade_id) REFERENCES trades(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_protective_stops_status
+    ON protective_stops(status, account_id, symbol);
+
+    CREATE INDEX IF NOT EXISTS idx_protective_stops_trade
+    ON protective_stops(trade_id);
+
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      action TEXT NOT NULL,
+      actor TEXT NOT NULL,
+      reason TEXT,
+      details TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS strategy_parameters (
+      algorithm_name TEXT PRIMARY KEY,
+      parameters TEXT NOT NULL,
+      source_job_id INTEGER,
+      updated_by TEXT,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS optimization_jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      algorithm_name TEXT NOT NULL,
+      symbol TEXT NOT NULL,
+      start_date DATETIME NOT NULL,
+      end_date DATETIME NOT NULL,
+      parameter_ranges TEXT NOT NULL,
+      settings TEXT,
+      status TEXT NOT NULL DEFAULT 'QUEUED',
+      total_combinations INTEGER NOT NULL,
+      completed_combinations INTEGER DEFAULT 0,
+      best_parameters TEXT,
+      error TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      completed_at DATETIME
+    );
+
+    CREATE TABLE IF NOT EXISTS optimization_results (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      job_id INTEGER NOT NULL,
+      parameters TEXT NOT NULL,
+      final_capital REAL NOT NULL,
+      total_return REAL NOT NULL,
+      sharpe_ratio REAL NOT NULL,
+      max_drawdown REAL NOT NULL,
+      total_trades INTEGER NOT NULL,
+      win_rate REAL NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (job_id) REFERENCES optimization_jobs(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_optimization_results_job
+    ON optimization_results(job_id);
+
+    CREATE TABLE IF NOT EXISTS walk_forward_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      algorithm_name TEXT NOT NULL,
+      symbol TEXT NOT NULL,
+      start_date DATETIME NOT NULL,
+      end_date DATETIME NOT NULL,
+      parameter_ranges TEXT NOT NULL,
+      settings TEXT,
+      status TEXT NOT NULL DEFAULT 'QUEUED',
+      total_windows INTEGER NOT NULL,
+      completed_windows INTEGER DEFAULT 0,
+      windows TEXT,
+      out_of_sample TEXT,
+      equity_curve TEXT,
+      trade_log TEXT,
+      error TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      completed_at DATETIME
+    );
+
+    CREATE TABLE IF NOT EXISTS price_candles (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      symbol TEXT NOT NULL,
+      timeframe TEXT NOT NULL,
+      open_time DATETIME NOT NULL,
+      open REAL NOT NULL,
+      high REAL NOT NULL,
+      low REAL NOT NULL,
+      close REAL NOT NULL,
+      close_bid REAL,
+      close_ask REAL,
+      tick_count INTEGER NOT NULL,
+      UNIQUE (symbol, timeframe, open_time)
+    );
+
+    CREATE TABLE IF NOT EXISTS data_imports (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      source TEXT,
+      format TEXT NOT NULL,
+      timezone TEXT,
+      timeframe TEXT,
+      status TEXT NOT NULL DEFAULT 'RUNNING',
+      rows INTEGER DEFAULT 0,
+      inserted INTEGER DEFAULT 0,
+      duplicates INTEGER DEFAULT 0,
+      skipped INTEGER DEFAULT 0,
+      report TEXT,
+      error TEXT,
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      completed_at DATETIME
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_price_data_symbol_timestamp
+    ON price_data(symbol, timestamp);
+  `);
+}
+
+/**
+ * @param {Object} db - Database connection
+ */
+export async function down(db) {
+  await db.exec(`
+    DROP INDEX IF EXISTS idx_price_data_symbol_timestamp;
+    DROP TABLE IF EXISTS data_imports;
+    DROP TABLE IF EXISTS price_candles;
+    DROP TABLE IF EXISTS walk_forward_runs;
+    DROP TABLE IF EXISTS optimization_results;
+    DROP TABLE IF EXISTS optimization_jobs;
+    DROP TABLE IF EXISTS strategy_parameters;
+    DROP TABLE IF EXISTS audit_log;
+    DROP TABLE IF EXISTS protective_stops;
+    DROP TABLE IF EXISTS account_transactions;
+    DROP TABLE IF EXISTS account_positions;
+    DROP TABLE IF EXISTS accounts;
+    DROP TABLE IF EXISTS positions;
+    DROP TABLE IF EXISTS refresh_tokens;
+    DROP TABLE IF EXISTS users;
+  `);
+
+  for (const [table, columns] of Object.entries(ADDED_COLUMNS)) {
+    for (const column of Object.keys(columns)) {
+      await db.run(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+    }
+  }
+}
@@ -0,0 +1,220 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import database from './database.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// e.g. 003_add_order_tags.js
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+/**
+ * Migrator for AlphaFxTrader
+ * Versions the schema with numbered migrations in database/migrations. Each
+ * exports async up(db) and down(db); applied versions are recorded in
+ * schema_migrations. A migration and its record are committed in one
+ * transaction, so a failed migration leaves the schema as it was.
+ *
+ * A database with versions this code does not know (i.e. migrated by a newer
+ * release) is refused rather than run against a schema it may not match.
+ */
+class Migrator {
+  constructor(directory = MIGRATIONS_DIR) {
+    this.directory = directory;
+    this.migrations = null;
+  }
+
+  /**
+   * Load the migrations, ordered by version
+   * @returns {Promise<Array>} [{ version, name, up, down }]
+   */
+  async loadMigrations() {
+    if (this.migrations) {
+      return this.migrations;
+    }
+
+    const migrations = [];
+
+    for (const file of fs.readdirSync(this.directory).sort()) {
+      const match = file.match(MIGRATION_FILE);
+      if (!match) {
+        continue;
+      }
+
+      const version = parseInt(match[1], 10);
+      if (migrations.some(migration => migration.version === version)) {
+        throw new Error(`Duplicate migration version ${version}: ${file}`);
+      }
+
+      const { up, down } = await import(pathToFileURL(path.join(this.directory, file)).href);
+      if (typeof up !== 'function' || typeof down !== 'function') {
+        throw new Error(`Migration ${file} must export up(db) and down(db)`);
+      }
+
+      migrations.push({ version, name: match[2], up, down });
+    }
+
+    this.migrations = migrations.sort((a, b) => a.version - b.version);
+    return this.migrations;
+  }
+
+  async ensureTable() {
+    await database.run(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at DATETIME NOT NULL
+      )
+    `);
+  }
+
+  /**
+   * Compare the applied versions with the migrations in the code
+   * @returns {Promise<Object>} { current, latest, applied, pending, unknown }
+   */
+  async getStatus() {
+    await this.ensureTable();
+    const migrations = await this.loadMigrations();
+    const rows = await database.all('SELECT * FROM schema_migrations ORDER BY version');
+
+    const known = new Set(migrations.map(migration => migration.version));
+    const applied = new Set(rows.map(row => row.version));
+
+    return {
+      current: rows.length > 0 ? rows[rows.length - 1].version : 0,
+      latest: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+      applied: rows.map(row => ({
+        version: row.version,
+        name: row.name,
+        appliedAt: new Date(row.applied_at)
+      })),
+      pending: migrations
+        .filter(migration => !applied.has(migration.version))
+        .map(({ version, name }) => ({ version, name })),
+      unknown: rows
+        .filter(row => !known.has(row.version))
+        .map(row => ({ version: row.version, name: row.name }))
+    };
+  }
+
+  /**
+   * Throw if the database has versions the code does not know about
+   * @param {Object} status - Result of getStatus()
+   */
+  assertKnown(status) {
+    if (status.unknown.length > 0) {
+      const versions = status.unknown.map(({ version, name }) => `${version} (${name})`).join(', ');
+      throw new Error(
+        `Database schema is at version ${status.current} but this code only knows up to ${status.latest}; ` +
+        `unknown migrations ${versions}. Run a release that has them, or roll back with it first.`
+      );
+    }
+  }
+
+  /**
+   * Run one migration step and record it, in one transaction
+   * @param {Object} migration - Migration from loadMigrations()
+   * @param {string} direction - 'up' or 'down'
+   */
+  async runStep(migration, direction) {
+    try {
+      await database.transaction(async () => {
+        await migration[direction](database);
+
+        if (direction === 'up') {
+          await database.run(
+            'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+            [migration.version, migration.name, new Date()]
+          );
+        } else {
+          await database.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+        }
+      });
+    } catch (error) {
+      throw new Error(`Migration ${migration.version}_${migration.name} ${direction} failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Apply pending migrations in order
+   * @param {Object} options - { to } highest version to apply (default: all)
+   * @returns {Promise<Array>} Migrations applied, as { version, name }
+   */
+  async migrate({ to } = {}) {
+    const status = await this.getStatus();
+    this.assertKnown(status);
+
+    const target = to !== undefined ? to : status.latest;
+    const pending = new Set(status.pending.map(({ version }) => version));
+    const migrations = (await this.loadMigrations())
+      .filter(migration => pending.has(migration.version) && migration.version <= target);
+
+    for (const migration of migrations) {
+      await this.runStep(migration, 'up');
+      console.log(`⬆️ Applied migration ${migration.version}_${migration.name}`);
+    }
+
+    return migrations.map(({ version, name }) => ({ version, name }));
+  }
+
+  /**
+   * Revert applied migrations, newest first
+   * @param {Object} options - { steps } number to revert (default 1), or
+   *   { to } version to revert down to (0 reverts everything)
+   * @returns {Promise<Array>} Migrations reverted, as { version, name }
+   */
+  async rollback({ steps = 1, to } = {}) {
+    const status = await this.getStatus();
+    this.assertKnown(status);
+
+    const applied = new Set(status.applied.map(({ version }) => version));
+    let migrations = (await this.loadMigrations())
+      .filter(migration => applied.has(migration.version))
+      .reverse();
+
+    migrations = to !== undefined
+      ? migrations.filter(migration => migration.version > to)
+      : migrations.slice(0, steps);
+
+    for (const migration of migrations) {
+      await this.runStep(migration, 'down');
+      console.log(`⬇️ Reverted migration ${migration.version}_${migration.name}`);
+    }
+
+    return migrations.map(({ version, name }) => ({ version, name }));
+  }
+
+  /**
+   * Bring the schema up to date on startup. Refuses to start against a
+   * database migrated by newer code, or, with DB_AUTO_MIGRATE=false, one
+   * that still has pending migrations.
+   * @returns {Promise<Object>} Status after migrating
+   */
+  async startup() {
+    const status = await this.getStatus();
+    this.assertKnown(status);
+
+    if (status.pending.length > 0) {
+      if (process.env.DB_AUTO_MIGRATE === 'false') {
+        throw new Error(
+          `Database schema is at version ${status.current} but this code needs ${status.latest}; ` +
+          'run npm run migrate first'
+        );
+      }
+
+      await this.migrate();
+    }
+
+    const current = await this.getStatus();
+    console.log(`🗄️ Database schema version ${current.current}`);
+    return current;
+  }
+}
+
+// Create singleton instance
+const migrator = new Migrator();
+
+export default migrator;
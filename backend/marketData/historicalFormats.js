@@ -0,0 +1,444 @@
+import path from 'path';
+
+/**
+ * Historical Data Formats for AlphaFxTrader
+ * Parses bulk historical tick and bar files line by line into records
+ * { kind: 'tick' | 'bar', symbol, time, bid, ask, price, open, high, low,
+ * close, volume } with UTC times in milliseconds.
+ *
+ * - csv: a header row naming the columns. Ticks have bid/ask (or price/mid)
+ *   columns, bars open/high/low/close (plus optional bid/ask at the close).
+ *   Time is one timestamp/datetime/time column or separate date and time
+ *   columns; MetaTrader style <DATE>,<TIME> headers work too.
+ * - histdata-tick: HistData ASCII ticks, `20240102 170014000,bid,ask,volume`
+ * - histdata-bar: HistData ASCII M1 bars, `20240102 170000;open;high;low;close;volume`
+ * - metatrader: HistData MetaTrader bars, `2024.01.02,17:00,open,high,low,close,volume`
+ *
+ * Times without an explicit offset are read in the import's timezone.
+ * HistData publishes EST without daylight saving, so HistData formats
+ * default to EST; everything else defaults to UTC.
+ */
+
+export const IMPORT_FORMATS = ['auto', 'csv', 'histdata-tick', 'histdata-bar', 'metatrader'];
+
+const HISTDATA_FORMATS = ['histdata-tick', 'histdata-bar', 'metatrader'];
+
+// Fixed-offset zone names, in minutes east of UTC
+const FIXED_ZONES = {
+  UTC: 0,
+  GMT: 0,
+  EST: -5 * 60 // HistData: Eastern Standard Time all year round
+};
+
+// Currencies recognised in file names
+const CURRENCIES = [
+  'USD', 'EUR', 'GBP', 'JPY', 'AUD', 'NZD', 'CAD', 'CHF', 'SEK', 'NOK', 'DKK', 'PLN',
+  'HUF', 'CZK', 'TRY', 'ZAR', 'MXN', 'SGD', 'HKD', 'CNH', 'XAU', 'XAG'
+];
+
+const COLUMN_ALIASES = {
+  timestamp: ['timestamp', 'datetime', 'gmttime', 'localtime', 'ts'],
+  date: ['date', 'day', 'dtyyyymmdd'],
+  time: ['time'],
+  symbol: ['symbol', 'pair', 'instrument', 'ticker'],
+  bid: ['bid', 'bidprice'],
+  ask: ['ask', 'askprice', 'offer'],
+  price: ['price', 'mid', 'last', 'rate'],
+  open: ['open', 'o'],
+  high: ['high', 'h'],
+  low: ['low', 'l'],
+  close: ['close', 'c'],
+  volume: ['volume', 'vol', 'tickvol', 'tickvolume', 'volumes']
+};
+
+/**
+ * Guess the format of a file from its first non-empty line
+ * @param {string} line - First non-empty line
+ * @returns {string} Format name
+ */
+export function detectFormat(line) {
+  const text = line.trim();
+
+  if (/^\d{8} \d{9},/.test(text)) {
+    return 'histdata-tick';
+  }
+  if (/^\d{8} \d{6};/.test(text)) {
+    return 'histdata-bar';
+  }
+  if (/^\d{4}\.\d{2}\.\d{2},\d{2}:\d{2},/.test(text)) {
+    return 'metatrader';
+  }
+  return 'csv';
+}
+
+/**
+ * Get the default timezone of a format
+ * @param {string} format - Format name
+ * @returns {string} Timezone
+ */
+export function getDefaultTimezone(format) {
+  return HISTDATA_FORMATS.includes(format) ? 'EST' : 'UTC';
+}
+
+/**
+ * Offset of an IANA zone from UTC at an instant
+ * @param {string} timeZone - IANA zone name
+ * @param {number} utc - UTC time in milliseconds
+ * @returns {number} Offset in milliseconds
+ */
+function getZoneOffset(timeZone, utc) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(utc)).map(part => [part.type, part.value]));
+
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(utc / 1000) * 1000;
+}
+
+/**
+ * Build a converter from wall-clock time in a zone to UTC
+ * @param {string} timezone - UTC, GMT, EST, a fixed offset like +02:00, or an IANA zone like Europe/London
+ * @returns {Function|null} (localMs) => utcMs, or null for an unknown zone
+ */
+export function createTimezone(timezone) {
+  const name = String(timezone).trim();
+
+  if (FIXED_ZONES[name.toUpperCase()] !== undefined) {
+    const offset = FIXED_ZONES[name.toUpperCase()] * 60 * 1000;
+    return local => local - offset;
+  }
+
+  const fixed = name.match(/^(?:UTC|GMT)?([+-])(\d{1,2}):?(\d{2})?$/i);
+  if (fixed) {
+    const offset = (fixed[1] === '-' ? -1 : 1) * (parseInt(fixed[2]) * 60 + parseInt(fixed[3] || '0')) * 60 * 1000;
+    return local => local - offset;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: name });
+  } catch (error) {
+    return null;
+  }
+
+  // Two passes settle times next to a daylight-saving change
+  return local => {
+    const guess = local - getZoneOffset(name, local);
+    return local - getZoneOffset(name, guess);
+  };
+}
+
+/**
+ * Parse a date/time string without an offset into wall-clock milliseconds
+ * @param {string} text - Date/time text
+ * @returns {number} Milliseconds as if the wall-clock time were UTC, NaN if unparsable
+ */
+function parseWallClock(text) {
+  const patterns = [
+    // 2024-01-02 17:00:00.123, 2024.01.02 17:00, 2024/01/02T17:00:00
+    /^(\d{4})[-./](\d{2})[-./](\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2})(?:[.,](\d{1,6}))?)?)?$/,
+    // 20240102 170000, 20240102 170014000
+    /^(\d{4})(\d{2})(\d{2})[ T]?(\d{2})(\d{2})(\d{2})(\d{3})?$/
+  ];
+
+  for (const pattern of patterns) {
+    const match = text.match(pattern);
+    if (match) {
+      const [, year, month, day, hour = 0, minute = 0, second = 0, fraction = '0'] = match;
+      return Date.UTC(year, month - 1, day, hour, minute, second, parseInt(fraction.padEnd(3, '0').slice(0, 3)));
+    }
+  }
+
+  // 02.01.2024 17:00:00.123 (day first)
+  const dayFirst = text.match(/^(\d{2})\.(\d{2})\.(\d{4}) (\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?$/);
+  if (dayFirst) {
+    const [, day, month, year, hour, minute, second = 0, fraction = '0'] = dayFirst;
+    return Date.UTC(year, month - 1, day, hour, minute, second, parseInt(fraction.padEnd(3, '0')));
+  }
+
+  return NaN;
+}
+
+/**
+ * Parse a timestamp: epoch seconds or milliseconds, ISO with an offset, or wall-clock time in the import's zone
+ * @param {string} text - Timestamp text
+ * @param {Function} toUtc - Wall-clock to UTC converter
+ * @returns {number} UTC milliseconds
+ */
+export function parseTimestamp(text, toUtc) {
+  const value = String(text ?? '').trim();
+
+  if (/^\d{13}$/.test(value)) {
+    return Number(value);
+  }
+  if (/^\d{10}(\.\d+)?$/.test(value)) {
+    return Math.round(Number(value) * 1000);
+  }
+  if (/(Z|[+-]\d{2}:?\d{2})$/i.test(value) && /\d{2}:\d{2}/.test(value)) {
+    const time = Date.parse(value);
+    if (!Number.isNaN(time)) {
+      return time;
+    }
+  }
+
+  const wallClock = parseWallClock(value);
+  if (Number.isNaN(wallClock)) {
+    throw new Error(`Unrecognised timestamp "${value}"`);
+  }
+  return toUtc(wallClock);
+}
+
+/**
+ * Turn EURUSD, EUR/USD, eur_usd or EUR-USD into EUR/USD
+ * @param {string} value - Symbol text
+ * @returns {string|null} Normalised symbol, or null if it is not a currency pair
+ */
+export function normalizeSymbol(value) {
+  const letters = String(value ?? '').toUpperCase().replace(/[^A-Z]/g, '');
+  return letters.length === 6 ? `${letters.slice(0, 3)}/${letters.slice(3)}` : null;
+}
+
+/**
+ * Infer a symbol from a file name such as DAT_ASCII_EURUSD_M1_2023.csv
+ * @param {string} filename - File name
+ * @returns {string|null} Symbol, or null if no pair of known currencies is in the name
+ */
+export function inferSymbol(filename) {
+  const pattern = /(?:^|[^A-Z])([A-Z]{3})[/_-]?([A-Z]{3})(?=[^A-Z]|$)/g;
+  const name = path.basename(String(filename ?? '')).toUpperCase();
+
+  for (const [, base, quoteCurrency] of name.matchAll(pattern)) {
+    if (CURRENCIES.includes(base) && CURRENCIES.includes(quoteCurrency)) {
+      return `${base}/${quoteCurrency}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse a positive number
+ * @param {string} value - Text
+ * @param {string} field - Field name for the error message
+ * @returns {number} Number
+ */
+function positive(value, field) {
+  const number = Number(value);
+  if (!(number > 0)) {
+    throw new Error(`${field} must be a positive number, got "${value ?? ''}"`);
+  }
+  return number;
+}
+
+/**
+ * Build a tick record; a missing side defaults to the other or the price
+ * @param {Object} fields - { symbol, time, bid, ask, price, volume }
+ * @returns {Object} Tick record
+ */
+function toTick({ symbol, time, bid, ask, price, volume }) {
+  const has = value => value !== undefined && value !== '';
+  let bidPrice = has(bid) ? positive(bid, 'bid') : null;
+  let askPrice = has(ask) ? positive(ask, 'ask') : null;
+  let mid = has(price) ? positive(price, 'price') : null;
+
+  if (mid === null) {
+    if (bidPrice === null && askPrice === null) {
+      throw new Error('A tick needs a bid, an ask or a price');
+    }
+    mid = bidPrice !== null && askPrice !== null ? (bidPrice + askPrice) / 2 : (bidPrice ?? askPrice);
+  }
+  bidPrice = bidPrice ?? askPrice ?? mid;
+  askPrice = askPrice ?? bidPrice;
+
+  if (askPrice < bidPrice) {
+    throw new Error(`ask ${askPrice} is below bid ${bidPrice}`);
+  }
+
+  return { kind: 'tick', symbol, time, bid: bidPrice, ask: askPrice, price: mid, volume: parseInt(volume) || 0 };
+}
+
+/**
+ * Build a bar record
+ * @param {Object} fields - { symbol, time, open, high, low, close, bid, ask, volume }
+ * @returns {Object} Bar record
+ */
+function toBar({ symbol, time, open, high, low, close, bid, ask, volume }) {
+  const bar = {
+    kind: 'bar',
+    symbol,
+    time,
+    open: positive(open, 'open'),
+    high: positive(high, 'high'),
+    low: positive(low, 'low'),
+    close: positive(close, 'close'),
+    volume: parseInt(volume) || 0
+  };
+
+  if (bar.high < Math.max(bar.open, bar.close) || bar.low > Math.min(bar.open, bar.close)) {
+    throw new Error('high/low do not contain open and close');
+  }
+
+  bar.bid = bid ? positive(bid, 'bid') : bar.close;
+  bar.ask = ask ? positive(ask, 'ask') : bar.close;
+  return bar;
+}
+
+/**
+ * Find the index of the first header column matching one of a field's aliases
+ * @param {Array<string>} header - Normalised header columns
+ * @param {string} field - Field name
+ * @returns {number} Column index, -1 if absent
+ */
+function findColumn(header, field) {
+  return header.findIndex(column => COLUMN_ALIASES[field].includes(column));
+}
+
+/**
+ * Line parser for one file
+ */
+export class RecordParser {
+  /**
+   * @param {Object} options - { format, timezone, symbol }; format 'auto' is detected from the first line
+   */
+  constructor({ format = 'auto', timezone = null, symbol = null } = {}) {
+    this.format = format;
+    this.timezone = timezone;
+    this.symbol = symbol ? normalizeSymbol(symbol) : null;
+    this.toUtc = null;
+    this.columns = null;
+    this.delimiter = ',';
+  }
+
+  /**
+   * Whether the format, timezone and any CSV header are settled
+   * @returns {boolean} True once data lines can be parsed
+   */
+  get ready() {
+    return Boolean(this.toUtc) && (this.format !== 'csv' || Boolean(this.columns));
+  }
+
+  /**
+   * Settle the format and timezone on the first line
+   * @param {string} line - First non-empty line
+   */
+  start(line) {
+    if (this.format === 'auto') {
+      this.format = detectFormat(line);
+    }
+
+    if (this.format !== 'csv' && !this.symbol) {
+      throw new Error(`${this.format} files have no symbol column; pass the symbol`);
+    }
+
+    this.timezone = this.timezone || getDefaultTimezone(this.format);
+    this.toUtc = createTimezone(this.timezone);
+    if (!this.toUtc) {
+      throw new Error(`Unknown timezone: ${this.timezone}`);
+    }
+  }
+
+  /**
+   * Read the CSV header
+   * @param {string} line - Header line
+   */
+  readHeader(line) {
+    const delimiters = [',', ';', '\t'];
+    this.delimiter = delimiters.reduce((best, delimiter) =>
+      line.split(delimiter).length > line.split(best).length ? delimiter : best, ',');
+
+    const header = line.split(this.delimiter).map(column => column.trim().toLowerCase().replace(/[^a-z]/g, ''));
+    const columns = Object.fromEntries(Object.keys(COLUMN_ALIASES).map(field => [field, findColumn(header, field)]));
+
+    if (columns.timestamp === -1 && columns.time === -1 && columns.date === -1) {
+      throw new Error('CSV header needs a timestamp, datetime, time or date column');
+    }
+
+    const isBar = ['open', 'high', 'low', 'close'].every(field => columns[field] !== -1);
+    if (!isBar && columns.bid === -1 && columns.ask === -1 && columns.price === -1) {
+      throw new Error('CSV header needs bid/ask, price or open/high/low/close columns');
+    }
+
+    if (columns.symbol === -1 && !this.symbol) {
+      throw new Error('CSV header has no symbol column; pass the symbol');
+    }
+
+    this.columns = { ...columns, isBar };
+  }
+
+  /**
+   * Resolve a record's symbol from its column or the import's symbol
+   * @param {string} value - Symbol column value
+   * @returns {string} Symbol
+   */
+  resolveSymbol(value) {
+    const symbol = value ? normalizeSymbol(value) : this.symbol;
+    if (!symbol) {
+      throw new Error(value ? `Invalid symbol "${value}"` : 'Missing symbol');
+    }
+    return symbol;
+  }
+
+  /**
+   * Parse one line
+   * @param {string} line - Raw line
+   * @returns {Object|null} Record, or null for blank and header lines
+   */
+  parseLine(line) {
+    if (!line.trim()) {
+      return null;
+    }
+
+    if (!this.toUtc) {
+      this.start(line);
+    }
+
+    switch (this.format) {
+      case 'histdata-tick': {
+        const [time, bid, ask, volume] = line.trim().split(',');
+        return toTick({ symbol: this.resolveSymbol(), time: parseTimestamp(time, this.toUtc), bid, ask, volume });
+      }
+
+      case 'histdata-bar': {
+        const [time, open, high, low, close, volume] = line.trim().split(';');
+        return toBar({ symbol: this.resolveSymbol(), time: parseTimestamp(time, this.toUtc), open, high, low, close, volume });
+      }
+
+      case 'metatrader': {
+        const [date, time, open, high, low, close, volume] = line.trim().split(',');
+        return toBar({ symbol: this.resolveSymbol(), time: parseTimestamp(`${date} ${time}`, this.toUtc), open, high, low, close, volume });
+      }
+
+      default: {
+        if (!this.columns) {
+          this.readHeader(line);
+          return null;
+        }
+
+        const values = line.split(this.delimiter).map(value => value.trim());
+        const column = field => (this.columns[field] === -1 ? undefined : values[this.columns[field]]);
+
+        const timeText = column('timestamp')
+          ?? (column('date') !== undefined && column('time') !== undefined
+            ? `${column('date')} ${column('time')}`
+            : column('time') ?? column('date'));
+
+        const fields = {
+          symbol: this.resolveSymbol(column('symbol')),
+          time: parseTimestamp(timeText, this.toUtc),
+          bid: column('bid'),
+          ask: column('ask'),
+          volume: column('volume')
+        };
+
+        return this.columns.isBar
+          ? toBar({ ...fields, open: column('open'), high: column('high'), low: column('low'), close: column('close') })
+          : toTick({ ...fields, price: column('price') });
+      }
+    }
+  }
+}
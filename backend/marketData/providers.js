@@ -0,0 +1,350 @@
+import fs from 'fs';
+import path from 'path';
+import axios from 'axios';
+
+/**
+ * Market Data Providers for AlphaFxTrader
+ * Every provider turns some source of quotes into price ticks
+ * { symbol, bid, ask, price, timestamp, source } for the server's price
+ * loop. A provider has a `type`, an optional `start()` that loads what it
+ * needs before the first poll, `getRates()` that returns the ticks since the
+ * last poll, and `healthCheck()`.
+ *
+ * - simulator: random walk from fixed base prices, reproducible with a seed
+ * - replay: recorded ticks from a CSV or NDJSON file at a configurable speed
+ * - http: exchangerate-api style { base, rates } payloads
+ */
+
+export const PROVIDER_TYPES = ['simulator', 'replay', 'http'];
+
+// Starting prices of the simulator, and the pairs quoted by the HTTP provider
+export const DEFAULT_BASE_PRICES = {
+  'EUR/USD': 1.0850,
+  'GBP/USD': 1.2650,
+  'USD/JPY': 149.50,
+  'AUD/USD': 0.6580,
+  'USD/CAD': 1.3650,
+  'USD/CHF': 0.8750,
+  'NZD/USD': 0.6120,
+  'EUR/GBP': 0.8580
+};
+
+const DEFAULT_SPREAD = 0.0002; // 2 pips for major pairs
+
+/**
+ * Build a tick from a mid price and a spread
+ * @param {string} symbol - Currency pair symbol
+ * @param {number} mid - Mid price
+ * @param {Date} timestamp - Tick time
+ * @param {string} source - Provider that produced the tick
+ * @returns {Object} Price tick
+ */
+function quote(symbol, mid, timestamp, source) {
+  return {
+    symbol,
+    bid: parseFloat((mid - DEFAULT_SPREAD / 2).toFixed(5)),
+    ask: parseFloat((mid + DEFAULT_SPREAD / 2).toFixed(5)),
+    price: parseFloat(mid.toFixed(5)),
+    timestamp,
+    source
+  };
+}
+
+/**
+ * Seeded pseudo-random generator (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Random-walk price simulator. Each poll moves every pair by up to
+ * ±volatility/2 of its price. With a seed the walk is the same every run.
+ */
+export class SimulatorProvider {
+  constructor({ seed = null, volatility = 0.001, basePrices = DEFAULT_BASE_PRICES } = {}) {
+    this.type = 'simulator';
+    this.seed = seed;
+    this.volatility = volatility;
+    this.random = seed === null ? Math.random : seededRandom(seed);
+    this.prices = new Map(Object.entries(basePrices));
+  }
+
+  async getRates() {
+    const timestamp = new Date();
+
+    return Array.from(this.prices.entries()).map(([symbol, price]) => {
+      const next = price * (1 + (this.random() - 0.5) * this.volatility);
+      this.prices.set(symbol, next);
+      return quote(symbol, next, timestamp, 'simulator');
+    });
+  }
+
+  async healthCheck() {
+    return { status: 'healthy', seed: this.seed };
+  }
+}
+
+/**
+ * Parse a timestamp column: epoch milliseconds or any Date-parsable string
+ * @param {*} value - Raw value
+ * @returns {number} Time in milliseconds, NaN if unparsable
+ */
+function parseTime(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  const text = String(value ?? '').trim();
+  return /^\d+$/.test(text) ? Number(text) : Date.parse(text);
+}
+
+/**
+ * Normalise a recorded tick; bid/ask default to the price and the price to the mid
+ * @param {Object} record - Parsed record with symbol, bid, ask, price/mid and timestamp/time
+ * @returns {Object|null} { symbol, bid, ask, price, time }, or null if unusable
+ */
+function toTick(record) {
+  const symbol = record.symbol || record.pair;
+  const time = parseTime(record.timestamp ?? record.time);
+  const bid = record.bid !== undefined && record.bid !== '' ? Number(record.bid) : NaN;
+  const ask = record.ask !== undefined && record.ask !== '' ? Number(record.ask) : NaN;
+  let price = Number(record.price ?? record.mid ?? NaN);
+
+  if (Number.isNaN(price) && !Number.isNaN(bid) && !Number.isNaN(ask)) {
+    price = (bid + ask) / 2;
+  }
+
+  if (!symbol || Number.isNaN(time) || !(price > 0)) {
+    return null;
+  }
+
+  return {
+    symbol,
+    bid: Number.isNaN(bid) ? price : bid,
+    ask: Number.isNaN(ask) ? price : ask,
+    price,
+    time
+  };
+}
+
+/**
+ * Parse recorded ticks. CSV files need a header row naming the columns
+ * (symbol, bid, ask, price or mid, timestamp or time); NDJSON files hold one
+ * object per line with the same fields.
+ * @param {string} content - File content
+ * @param {string} format - 'csv' or 'ndjson'
+ * @returns {Array} Ticks { symbol, bid, ask, price, time } in time order
+ */
+export function parseTicks(content, format) {
+  const lines = content.split(/\r?\n/);
+  const ticks = [];
+  let header = null;
+
+  lines.forEach((line, index) => {
+    if (!line.trim()) {
+      return;
+    }
+
+    let record;
+    if (format === 'ndjson') {
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Line ${index + 1}: invalid JSON`);
+      }
+    } else if (!header) {
+      header = line.split(',').map(column => column.trim().toLowerCase());
+      return;
+    } else {
+      const values = line.split(',').map(value => value.trim());
+      record = Object.fromEntries(header.map((column, i) => [column, values[i]]));
+    }
+
+    const tick = toTick(record);
+    if (!tick) {
+      throw new Error(`Line ${index + 1}: a tick needs a symbol, a timestamp and a positive price`);
+    }
+    ticks.push(tick);
+  });
+
+  // Stable sort keeps same-time ticks in file order
+  return ticks.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Read a recorded tick file; .ndjson and .jsonl files are NDJSON, anything else CSV
+ * @param {string} file - File path
+ * @returns {Array} Ticks in time order
+ */
+export function parseTickFile(file) {
+  const extension = path.extname(file).toLowerCase();
+  const format = ['.ndjson', '.jsonl'].includes(extension) ? 'ndjson' : 'csv';
+
+  try {
+    return parseTicks(fs.readFileSync(file, 'utf8'), format);
+  } catch (error) {
+    throw new Error(`Cannot read tick file ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Replays a recorded tick file. With a positive speed the recording runs
+ * against the wall clock (2 = twice as fast); with speed 0 every poll
+ * releases the next recorded timestamp, so a session does not depend on
+ * timing at all. Ticks released between two polls are conflated to the
+ * latest per symbol and stamped with the replay time; the recorded time is
+ * kept as recordedAt.
+ */
+export class ReplayProvider {
+  constructor({ file, speed = 1, loop = false } = {}) {
+    if (!file) {
+      throw new Error('The replay provider needs a tick file (MARKET_DATA_REPLAY_FILE)');
+    }
+    if (!(speed >= 0)) {
+      throw new Error('Replay speed must be 0 (one step per poll) or a positive multiplier');
+    }
+
+    this.type = 'replay';
+    this.file = file;
+    this.speed = speed;
+    this.loop = loop;
+    this.ticks = [];
+    this.cursor = 0;
+    this.startedAt = null;
+  }
+
+  async start() {
+    this.ticks = parseTickFile(this.file);
+    this.rewind();
+  }
+
+  rewind() {
+    this.cursor = 0;
+    this.startedAt = Date.now();
+  }
+
+  get finished() {
+    return this.cursor >= this.ticks.length;
+  }
+
+  async getRates() {
+    if (this.finished && this.loop && this.ticks.length > 0) {
+      this.rewind();
+    }
+    if (this.finished) {
+      return [];
+    }
+
+    const now = Date.now();
+    const until = this.speed > 0
+      ? this.ticks[0].time + (now - this.startedAt) * this.speed
+      : this.ticks[this.cursor].time;
+
+    const latest = new Map();
+    while (!this.finished && this.ticks[this.cursor].time <= until) {
+      const tick = this.ticks[this.cursor++];
+      latest.set(tick.symbol, tick);
+    }
+
+    const timestamp = new Date(now);
+    return Array.from(latest.values()).map(tick => ({
+      symbol: tick.symbol,
+      bid: tick.bid,
+      ask: tick.ask,
+      price: tick.price,
+      timestamp,
+      recordedAt: new Date(tick.time),
+      source: 'replay'
+    }));
+  }
+
+  async healthCheck() {
+    return {
+      status: 'healthy',
+      file: this.file,
+      speed: this.speed,
+      loop: this.loop,
+      replayed: this.cursor,
+      total: this.ticks.length,
+      finished: this.finished && !this.loop
+    };
+  }
+}
+
+/**
+ * Polls an exchangerate-api style endpoint: { base, rates: { CUR: units per base } }.
+ * Pair rates are crossed through the payload's base currency.
+ */
+export class HttpProvider {
+  constructor({ url, request, symbols = Object.keys(DEFAULT_BASE_PRICES) } = {}) {
+    if (!url) {
+      throw new Error('The http provider needs a URL (EXCHANGE_RATE_API_URL)');
+    }
+
+    this.type = 'http';
+    this.url = url;
+    this.symbols = symbols;
+    this.request = request || (async (target) => (await axios.get(target, { timeout: 10000 })).data);
+  }
+
+  async getRates() {
+    const data = await this.request(this.url);
+
+    if (!data || !data.rates) {
+      throw new Error('Invalid response format from exchange rate API');
+    }
+
+    const rates = { ...data.rates, [data.base || 'USD']: 1 };
+    // Polled rates are stamped with the poll time; data.date is only a day
+    const timestamp = new Date();
+    const result = [];
+
+    for (const symbol of this.symbols) {
+      const [base, quoteCurrency] = symbol.split('/');
+
+      if (!(rates[base] > 0) || !(rates[quoteCurrency] > 0)) {
+        console.warn(`No exchange rate for ${symbol}`);
+        continue;
+      }
+
+      result.push(quote(symbol, rates[quoteCurrency] / rates[base], timestamp, 'exchange-rate-api'));
+    }
+
+    return result;
+  }
+
+  async healthCheck() {
+    const startTime = Date.now();
+    await this.request(this.url);
+
+    return { status: 'healthy', url: this.url, responseTime: Date.now() - startTime };
+  }
+}
+
+/**
+ * Create a provider by type
+ * @param {string} type - One of PROVIDER_TYPES
+ * @param {Object} config - Options for the provider's constructor
+ * @returns {Object} Provider
+ */
+export function createProvider(type, config = {}) {
+  switch (type) {
+    case 'simulator':
+      return new SimulatorProvider(config);
+    case 'replay':
+      return new ReplayProvider(config);
+    case 'http':
+      return new HttpProvider(config);
+    default:
+      throw new Error(`Unknown market data provider: ${type}. Must be one of: ${PROVIDER_TYPES.join(', ')}`);
+  }
+}
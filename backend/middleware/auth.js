@@ -0,0 +1,111 @@
+import authService from '../services/authService.js';
+import auditService from '../services/auditService.js';
+import { hasPermission } from '../services/permissions.js';
+
+/**
+ * Read the bearer token from an Authorization header
+ * @param {string|undefined} header - Authorization header value
+ * @returns {string|null} Token
+ */
+function getBearerToken(header) {
+  const match = /^Bearer (.+)$/i.exec(header || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Express middleware rejecting requests without a valid access token.
+ * The authenticated user is available as req.user.
+ */
+export async function requireAuth(req, res, next) {
+  try {
+    const user = await authService.authenticate(getBearerToken(req.headers.authorization));
+
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Error authenticating request:', error);
+    res.status(500).json({ error: 'Failed to authenticate request' });
+  }
+}
+
+/**
+ * Check a user's permission; denials are written to the audit log
+ * @param {Object} user - Public user record
+ * @param {string} permission - Permission name
+ * @param {string} target - What was attempted, e.g. 'POST /api/trades'
+ * @returns {Promise<boolean>} True if allowed
+ */
+export async function authorize(user, permission, target) {
+  if (hasPermission(user, permission)) {
+    return true;
+  }
+
+  await auditService.record({
+    action: 'PERMISSION_DENIED',
+    actor: user.email,
+    reason: `Role ${user.role} lacks ${permission}`,
+    details: { userId: user.id, role: user.role, permission, target }
+  });
+
+  return false;
+}
+
+/**
+ * Express middleware allowing only users whose role grants a permission.
+ * Unauthenticated requests get 401, users without the permission 403.
+ * @param {string} permission - Permission name
+ * @returns {Function} Middleware
+ */
+export function requirePermission(permission) {
+  return async (req, res, next) => {
+    try {
+      const user = req.user || await authService.authenticate(getBearerToken(req.headers.authorization));
+
+      if (!user) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+
+      req.user = user;
+
+      if (!(await authorize(user, permission, `${req.method} ${req.originalUrl}`))) {
+        return res.status(403).json({ error: `Forbidden: requires the ${permission} permission` });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Error authorizing request:', error);
+      res.status(500).json({ error: 'Failed to authorize request' });
+    }
+  };
+}
+
+/**
+ * socket.io middleware authenticating the handshake. Clients pass the
+ * access token as `auth.token`; connections without one are allowed as
+ * anonymous (socket.data.user is null), invalid tokens are refused.
+ */
+export async function authenticateSocket(socket, next) {
+  try {
+    const token = socket.handshake.auth?.token || getBearerToken(socket.handshake.headers.authorization);
+    socket.data.user = null;
+
+    if (!token) {
+      return next();
+    }
+
+    const user = await authService.authenticate(token);
+    if (!user) {
+      return next(new Error('Authentication failed'));
+    }
+
+    socket.data.user = user;
+    next();
+  } catch (error) {
+    console.error('Error authenticating socket:', error);
+    next(new Error('Failed to authenticate connection'));
+  }
+}
@@ -0,0 +1,241 @@
+import express from 'express';
+import accountService from '../services/accountService.js';
+import auditService from '../services/auditService.js';
+import protectionService from '../services/protectionService.js';
+import { requirePermission } from '../middleware/auth.js';
+import { hasPermission } from '../services/permissions.js';
+
+const router = express.Router();
+
+/**
+ * Check whether a user may see an account: their own, or any with risk:manage
+ * @param {Object} user - Authenticated user
+ * @param {Object} account - Account
+ * @returns {boolean} True if the account is visible to the user
+ */
+function canView(user, account) {
+  return account.userId === user.id || hasPermission(user, 'risk:manage');
+}
+
+/**
+ * GET /api/accounts
+ * List the caller's accounts; risk managers see every account
+ */
+router.get('/', async (req, res) => {
+  try {
+    const accounts = await accountService.getAccounts(
+      hasPermission(req.user, 'risk:manage') ? {} : { userId: req.user.id }
+    );
+
+    res.json({ accounts });
+  } catch (error) {
+    console.error('Error fetching accounts:', error);
+    res.status(500).json({ error: 'Failed to fetch accounts' });
+  }
+});
+
+/**
+ * POST /api/accounts
+ * Open a trading account for the caller. Only risk managers choose the
+ * opening balance, leverage and margin rates; other callers get the defaults.
+ */
+router.post('/', requirePermission('trades:execute'), async (req, res) => {
+  try {
+    const { name, baseCurrency } = req.body;
+    const { balance, leverage, marginRates } = hasPermission(req.user, 'risk:manage') ? req.body : {};
+
+    const validationError = accountService.validateAccount({ name, baseCurrency, balance, leverage, marginRates });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const account = await accountService.createAccount({
+      userId: req.user.id,
+      name,
+      baseCurrency,
+      balance,
+      leverage,
+      marginRates
+    });
+
+    res.status(201).json(await accountService.getSummary(account.id));
+  } catch (error) {
+    console.error('Error creating account:', error);
+    res.status(500).json({ error: 'Failed to create account' });
+  }
+});
+
+/**
+ * GET /api/accounts/:id
+ * Get an account with its positions, equity, used margin and free margin
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const summary = await accountService.getSummary(parseInt(req.params.id));
+
+    if (!summary) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    if (!canView(req.user, summary)) {
+      return res.status(403).json({ error: 'Forbidden: not your account' });
+    }
+
+    res.json(summary);
+  } catch (error) {
+    console.error('Error fetching account:', error);
+    res.status(500).json({ error: 'Failed to fetch account' });
+  }
+});
+
+/**
+ * PUT /api/accounts/:id
+ * Change an account's name, leverage or per-symbol margin rates
+ */
+router.put('/:id', requirePermission('risk:manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const { name, leverage, marginRates } = req.body;
+
+    const validationError = accountService.validateAccount({ name, leverage, marginRates });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const summary = await accountService.updateAccount(id, { name, leverage, marginRates });
+    if (!summary) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    await auditService.record({
+      action: 'ACCOUNT_UPDATED',
+      actor: req.user.email,
+      reason: `Account ${id} settings changed`,
+      details: { accountId: id, name, leverage, marginRates }
+    });
+
+    res.json(summary);
+  } catch (error) {
+    console.error('Error updating account:', error);
+    res.status(500).json({ error: 'Failed to update account' });
+  }
+});
+
+/**
+ * GET /api/accounts/:id/transactions
+ * Get an account's deposits and realized P&L bookings, newest first
+ */
+router.get('/:id/transactions', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const { limit = 100, offset = 0 } = req.query;
+
+    const account = await accountService.getAccount(id);
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    if (!canView(req.user, account)) {
+      return res.status(403).json({ error: 'Forbidden: not your account' });
+    }
+
+    const transactions = await accountService.getTransactions(id, { limit, offset });
+
+    res.json({ transactions });
+  } catch (error) {
+    console.error('Error fetching account transactions:', error);
+    res.status(500).json({ error: 'Failed to fetch account transactions' });
+  }
+});
+
+/**
+ * GET /api/accounts/:id/protection
+ * List the account's pending and active stop-loss, take-profit and trailing stops
+ */
+router.get('/:id/protection', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    const account = await accountService.getAccount(id);
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    if (!canView(req.user, account)) {
+      return res.status(403).json({ error: 'Forbidden: not your account' });
+    }
+
+    res.json({ protection: await protectionService.getOpenProtections(id) });
+  } catch (error) {
+    console.error('Error fetching protection:', error);
+    res.status(500).json({ error: 'Failed to fetch protection' });
+  }
+});
+
+/**
+ * PUT /api/accounts/:id/positions/:symbol/protection
+ * Protect the whole open position in a symbol, replacing earlier position protection
+ */
+router.put('/:id/positions/:symbol/protection', requirePermission('trades:execute'), async (req, res) => {
+  try {
+    const { symbol } = req.params;
+    const { stopLoss, takeProfit, trailingStop, distanceUnit } = req.body;
+
+    const account = await accountService.getTradingAccount(req.user.id, req.params.id);
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const validationError = protectionService.validateProtection({ stopLoss, takeProfit, trailingStop, distanceUnit });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (!protectionService.toDistances(symbol, { stopLoss, takeProfit, trailingStop, distanceUnit })) {
+      return res.status(400).json({ error: 'At least one of stopLoss, takeProfit or trailingStop is required' });
+    }
+
+    const protection = await protectionService.protectPosition(account.id, symbol, {
+      stopLoss,
+      takeProfit,
+      trailingStop,
+      distanceUnit
+    });
+
+    if (!protection) {
+      return res.status(404).json({ error: `No open position in ${symbol}` });
+    }
+
+    res.json(protection);
+  } catch (error) {
+    console.error('Error setting position protection:', error);
+    res.status(500).json({ error: 'Failed to set position protection' });
+  }
+});
+
+/**
+ * DELETE /api/accounts/:id/protection/:protectionId
+ * Cancel pending or active protection
+ */
+router.delete('/:id/protection/:protectionId', requirePermission('trades:execute'), async (req, res) => {
+  try {
+    const account = await accountService.getTradingAccount(req.user.id, req.params.id);
+    const protection = account && await protectionService.getProtection(parseInt(req.params.protectionId));
+
+    if (!protection || protection.accountId !== account.id) {
+      return res.status(404).json({ error: 'Protection not found' });
+    }
+
+    const cancelled = await protectionService.cancelProtection(protection.id);
+    if (!cancelled) {
+      return res.status(409).json({ error: `Protection is already ${protection.status}` });
+    }
+
+    res.json(cancelled);
+  } catch (error) {
+    console.error('Error cancelling protection:', error);
+    res.status(500).json({ error: 'Failed to cancel protection' });
+  }
+});
+
+export default router;
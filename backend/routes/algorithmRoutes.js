@@ -1,9 +1,15 @@
 import express from 'express';
 import database from '../database/database.js';
-import TradingAlgorithms from '../algorithms/tradingAlgorithms.js';
+import TradingAlgorithms, { MAX_PRICE_HISTORY } from '../algorithms/tradingAlgorithms.js';
+import strategyRegistry from '../algorithms/strategyRegistry.js';
+import backtestService from '../services/backtestService.js';
+import optimizationService, { SORT_FIELDS } from '../services/optimizationService.js';
+import strategyConfig from '../services/strategyConfig.js';
+import walkForwardService from '../services/walkForwardService.js';
+import candleService, { TIMEFRAMES } from '../services/candleService.js';
+import { requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
-const tradingAlgorithms = new TradingAlgorithms();
 
 /**
  * GET /api/algorithms/performance
@@ -113,6 +119,7 @@ router.get('/backtest', async (req, res) => {
 
     const backtests = await database.all(`
       SELECT 
+        id,
         algorithm_name,
         symbol,
         start_date,
@@ -138,19 +145,38 @@ router.get('/backtest', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/algorithms/backtest/:id
+ * Get a stored backtest with its equity curve and trade list
+ */
+router.get('/backtest/:id', async (req, res) => {
+  try {
+    const backtest = await backtestService.getResult(req.params.id);
+
+    if (!backtest) {
+      return res.status(404).json({ error: 'Backtest not found' });
+    }
+
+    res.json(backtest);
+  } catch (error) {
+    console.error('Error fetching backtest:', error);
+    res.status(500).json({ error: 'Failed to fetch backtest' });
+  }
+});
+
 /**
  * POST /api/algorithms/backtest
  * Run a new backtest for a trading algorithm
  */
-router.post('/backtest', async (req, res) => {
+router.post('/backtest', requirePermission('algorithms:run'), async (req, res) => {
   try {
     const { 
       algorithm, 
       symbol, 
       startDate, 
       endDate, 
-      initialCapital = 10000,
-      parameters = {} 
+      parameters: overrides = {},
+      useLiveParameters = false
     } = req.body;
 
     // Validate input
@@ -160,62 +186,379 @@ router.post('/backtest', async (req, res) => {
       });
     }
 
-    // Get historical price data for backtesting
-    const priceData = await database.all(`
-      SELECT mid_price, timestamp 
-      FROM price_data 
-      WHERE symbol = ? AND timestamp BETWEEN ? AND ?
-      ORDER BY timestamp ASC
-    `, [symbol, startDate, endDate]);
+    if (!strategyRegistry.get(algorithm)) {
+      return res.status(400).json({ error: `Unknown algorithm: ${algorithm}` });
+    }
+
+    // Start from the live parameters (incl. ensemble weights) when asked to
+    const parameters = useLiveParameters === true || useLiveParameters === 'true'
+      ? { ...strategyConfig.getLiveParameters(algorithm), ...overrides }
+      : overrides;
 
-    if (priceData.length < 50) {
+    const parameterError = strategyRegistry.validateParameters(algorithm, parameters);
+    if (parameterError) {
+      return res.status(400).json({ error: parameterError });
+    }
+
+    const settings = parseBacktestSettings(req.body);
+    const settingsError = validateBacktestSettings(settings);
+    if (settingsError) {
+      return res.status(400).json({ error: settingsError });
+    }
+
+    // Get historical bars (raw ticks, or candles of the requested timeframe)
+    const priceData = await backtestService.loadPriceData(symbol, startDate, endDate, settings.timeframe);
+
+    if (priceData.length < Math.max(50, strategyRegistry.getWarmUp(algorithm, parameters) + 1)) {
       return res.status(400).json({ 
         error: 'Insufficient historical data for backtesting' 
       });
     }
 
-    // Add price data to trading algorithms
-    priceData.forEach(price => {
-      tradingAlgorithms.addPriceData(symbol, price.mid_price, new Date(price.timestamp));
-    });
+    const config = {
+      algorithm,
+      symbol,
+      startDate,
+      endDate,
+      parameters,
+      ...settings
+    };
 
     // Run backtest simulation
-    const backtestResults = await runBacktest(
-      algorithm, 
-      symbol, 
-      priceData, 
-      initialCapital, 
-      parameters
-    );
+    const backtestResults = backtestService.run(priceData, config);
 
     // Store backtest results
-    const backtestId = await database.run(`
-      INSERT INTO backtest_results (
-        algorithm_name, symbol, start_date, end_date, initial_capital,
-        final_capital, total_return, sharpe_ratio, max_drawdown,
-        total_trades, win_rate, parameters, created_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `, [
-      algorithm, symbol, startDate, endDate, initialCapital,
-      backtestResults.finalCapital, backtestResults.totalReturn,
-      backtestResults.sharpeRatio, backtestResults.maxDrawdown,
-      backtestResults.totalTrades, backtestResults.winRate,
-      JSON.stringify(parameters), new Date()
-    ]);
+    const backtestId = await backtestService.saveResult(config, backtestResults);
 
     res.status(201).json({
-      id: backtestId.lastID,
-      ...backtestResults,
+      id: backtestId,
+      ...config,
+      ...backtestResults
+    });
+  } catch (error) {
+    console.error('Error running backtest:', error);
+    res.status(500).json({ error: 'Failed to run backtest' });
+  }
+});
+
+/**
+ * GET /api/algorithms/optimizations
+ * List parameter optimization jobs
+ */
+router.get('/optimizations', async (req, res) => {
+  try {
+    const { algorithm, symbol, status, limit = 50 } = req.query;
+
+    const jobs = await optimizationService.getJobs({ algorithm, symbol, status, limit });
+
+    res.json(jobs);
+  } catch (error) {
+    console.error('Error fetching optimization jobs:', error);
+    res.status(500).json({ error: 'Failed to fetch optimization jobs' });
+  }
+});
+
+/**
+ * GET /api/algorithms/optimizations/:id
+ * Get an optimization job with its results ranked by sharpe, return or drawdown
+ */
+router.get('/optimizations/:id', async (req, res) => {
+  try {
+    const { sortBy = 'sharpe', limit } = req.query;
+
+    if (!SORT_FIELDS[sortBy]) {
+      return res.status(400).json({ 
+        error: `Invalid sortBy. Must be one of: ${Object.keys(SORT_FIELDS).join(', ')}` 
+      });
+    }
+
+    const job = await optimizationService.getJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Optimization job not found' });
+    }
+
+    const results = await optimizationService.getResults(job.id, { sortBy, limit });
+
+    res.json({ ...job, sortBy, results });
+  } catch (error) {
+    console.error('Error fetching optimization job:', error);
+    res.status(500).json({ error: 'Failed to fetch optimization job' });
+  }
+});
+
+/**
+ * POST /api/algorithms/optimizations
+ * Start a grid search over strategy parameter ranges as a background job
+ */
+router.post('/optimizations', requirePermission('algorithms:run'), async (req, res) => {
+  try {
+    const { algorithm, symbol, startDate, endDate, parameterRanges } = req.body;
+
+    // Validate input
+    if (!algorithm || !symbol || !startDate || !endDate || !parameterRanges) {
+      return res.status(400).json({ 
+        error: 'Missing required fields: algorithm, symbol, startDate, endDate, parameterRanges' 
+      });
+    }
+
+    const validationError = optimizationService.validateJob({ algorithm, parameterRanges });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const settings = parseBacktestSettings(req.body);
+    const settingsError = validateBacktestSettings(settings);
+    if (settingsError) {
+      return res.status(400).json({ error: settingsError });
+    }
+
+    const priceData = await backtestService.loadPriceData(symbol, startDate, endDate, settings.timeframe);
+
+    if (priceData.length < 50) {
+      return res.status(400).json({ 
+        error: 'Insufficient historical data for backtesting' 
+      });
+    }
+
+    const job = await optimizationService.createJob({
       algorithm,
       symbol,
       startDate,
       endDate,
-      initialCapital,
-      parameters
-    });
+      parameterRanges,
+      settings
+    }, priceData);
+
+    res.status(202).json(job);
   } catch (error) {
-    console.error('Error running backtest:', error);
-    res.status(500).json({ error: 'Failed to run backtest' });
+    console.error('Error starting optimization:', error);
+    res.status(500).json({ error: 'Failed to start optimization' });
+  }
+});
+
+/**
+ * POST /api/algorithms/optimizations/:id/promote
+ * Promote the best (or a chosen) result's parameters to live auto-trading
+ */
+router.post('/optimizations/:id/promote', requirePermission('algorithms:configure'), async (req, res) => {
+  try {
+    const { resultId, sortBy = 'sharpe' } = req.body;
+    const promotedBy = req.user.email;
+
+    if (!SORT_FIELDS[sortBy]) {
+      return res.status(400).json({ 
+        error: `Invalid sortBy. Must be one of: ${Object.keys(SORT_FIELDS).join(', ')}` 
+      });
+    }
+
+    const job = await optimizationService.getJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Optimization job not found' });
+    }
+
+    if (job.status !== 'COMPLETED') {
+      return res.status(409).json({ error: `Optimization job is ${job.status}` });
+    }
+
+    const config = await optimizationService.promote(job.id, { resultId, sortBy, promotedBy });
+
+    res.json(config);
+  } catch (error) {
+    if (error.message === 'Optimization result not found') {
+      return res.status(404).json({ error: error.message });
+    }
+
+    console.error('Error promoting optimization result:', error);
+    res.status(500).json({ error: 'Failed to promote optimization result' });
+  }
+});
+
+/**
+ * GET /api/algorithms/walk-forward
+ * List walk-forward runs with their out-of-sample summaries
+ */
+router.get('/walk-forward', async (req, res) => {
+  try {
+    const { algorithm, symbol, limit = 50 } = req.query;
+
+    const runs = await walkForwardService.getRuns({ algorithm, symbol, limit });
+
+    res.json(runs);
+  } catch (error) {
+    console.error('Error fetching walk-forward runs:', error);
+    res.status(500).json({ error: 'Failed to fetch walk-forward runs' });
+  }
+});
+
+/**
+ * GET /api/algorithms/walk-forward/:id
+ * Get a walk-forward run with per-window results and the stitched
+ * out-of-sample equity curve and trades
+ */
+router.get('/walk-forward/:id', async (req, res) => {
+  try {
+    const run = await walkForwardService.getRun(req.params.id);
+
+    if (!run) {
+      return res.status(404).json({ error: 'Walk-forward run not found' });
+    }
+
+    res.json(run);
+  } catch (error) {
+    console.error('Error fetching walk-forward run:', error);
+    res.status(500).json({ error: 'Failed to fetch walk-forward run' });
+  }
+});
+
+/**
+ * POST /api/algorithms/walk-forward
+ * Start a walk-forward validation: re-optimise on rolling in-sample windows
+ * and test each winner on the following out-of-sample window
+ */
+router.post('/walk-forward', requirePermission('algorithms:run'), async (req, res) => {
+  try {
+    const {
+      algorithm,
+      symbol,
+      startDate,
+      endDate,
+      parameterRanges,
+      inSampleBars,
+      outOfSampleBars,
+      stepBars,
+      anchored = false,
+      optimizeBy = 'sharpe'
+    } = req.body;
+
+    // Validate input
+    if (!algorithm || !symbol || !startDate || !endDate || !parameterRanges || !inSampleBars || !outOfSampleBars) {
+      return res.status(400).json({ 
+        error: 'Missing required fields: algorithm, symbol, startDate, endDate, parameterRanges, inSampleBars, outOfSampleBars' 
+      });
+    }
+
+    const walkForward = {
+      inSampleBars: parseInt(inSampleBars),
+      outOfSampleBars: parseInt(outOfSampleBars),
+      stepBars: stepBars === undefined ? undefined : parseInt(stepBars),
+      anchored: anchored === true || anchored === 'true',
+      optimizeBy
+    };
+
+    const validationError = walkForwardService.validateRun({ algorithm, parameterRanges, ...walkForward });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const settings = parseBacktestSettings(req.body);
+    const settingsError = validateBacktestSettings(settings);
+    if (settingsError) {
+      return res.status(400).json({ error: settingsError });
+    }
+
+    const priceData = await backtestService.loadPriceData(symbol, startDate, endDate, settings.timeframe);
+
+    if (walkForwardService.buildWindows(priceData.length, walkForward).length === 0) {
+      return res.status(400).json({ 
+        error: `Insufficient historical data: ${priceData.length} bars, at least ${walkForward.inSampleBars + walkForward.outOfSampleBars} needed for one window` 
+      });
+    }
+
+    const run = await walkForwardService.createRun({
+      algorithm,
+      symbol,
+      startDate,
+      endDate,
+      parameterRanges,
+      walkForward,
+      settings
+    }, priceData);
+
+    res.status(202).json(run);
+  } catch (error) {
+    console.error('Error starting walk-forward run:', error);
+    res.status(500).json({ error: 'Failed to start walk-forward run' });
+  }
+});
+
+/**
+ * GET /api/algorithms/parameters
+ * Get the live parameters used by auto-trading
+ */
+router.get('/parameters', async (req, res) => {
+  try {
+    res.json(strategyConfig.getAll());
+  } catch (error) {
+    console.error('Error fetching strategy parameters:', error);
+    res.status(500).json({ error: 'Failed to fetch strategy parameters' });
+  }
+});
+
+/**
+ * GET /api/algorithms/ensemble
+ * Get the live ensemble configuration of the combined strategy
+ */
+router.get('/ensemble', async (req, res) => {
+  try {
+    res.json(getLiveEnsemble());
+  } catch (error) {
+    console.error('Error fetching ensemble configuration:', error);
+    res.status(500).json({ error: 'Failed to fetch ensemble configuration' });
+  }
+});
+
+/**
+ * PUT /api/algorithms/ensemble
+ * Update the ensemble mode, threshold, weights or vetoes; omitted fields keep their live values
+ */
+router.put('/ensemble', requirePermission('algorithms:configure'), async (req, res) => {
+  try {
+    const changes = req.body;
+    const updatedBy = req.user.email;
+
+    const fields = ['mode', 'threshold', 'weights', 'vetoes', 'vetoConfidence'];
+    const unknown = Object.keys(changes).filter(field => !fields.includes(field));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown ensemble fields: ${unknown.join(', ')}` });
+    }
+
+    const { ensemble: current } = strategyRegistry.resolveParameters('combined', strategyConfig.getParameters('combined'));
+    const ensemble = { ...current, ...changes };
+
+    const validationError = strategyRegistry.validateParameters('combined', { ensemble });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    await strategyConfig.setParameters('combined', {
+      ...strategyConfig.getParameters('combined'),
+      ensemble: {
+        ...ensemble,
+        threshold: Number(ensemble.threshold),
+        vetoConfidence: Number(ensemble.vetoConfidence),
+        weights: Object.fromEntries(Object.entries(ensemble.weights).map(([key, weight]) => [key, Number(weight)]))
+      }
+    }, { updatedBy });
+
+    res.json(getLiveEnsemble());
+  } catch (error) {
+    console.error('Error updating ensemble configuration:', error);
+    res.status(500).json({ error: 'Failed to update ensemble configuration' });
+  }
+});
+
+/**
+ * GET /api/algorithms/strategies
+ * List the registered strategies with their parameter schemas
+ */
+router.get('/strategies', async (req, res) => {
+  try {
+    res.json(strategyRegistry.describe());
+  } catch (error) {
+    console.error('Error fetching strategies:', error);
+    res.status(500).json({ error: 'Failed to fetch strategies' });
   }
 });
 
@@ -230,29 +573,11 @@ router.get('/signals', async (req, res) => {
 
     for (const symbol of symbols) {
       try {
-        // Get recent price data
-        const priceData = await database.all(`
-          SELECT mid_price, timestamp 
-          FROM price_data 
-          WHERE symbol = ? 
-          ORDER BY timestamp DESC 
-          LIMIT 50
-        `, [symbol]);
-
-        if (priceData.length >= 20) {
-          // Add prices to trading algorithms
-          priceData.reverse().forEach(price => {
-            tradingAlgorithms.addPriceData(symbol, price.mid_price, new Date(price.timestamp));
-          });
-
-          // Get signals from all algorithms
-          signals[symbol] = {
-            sma: tradingAlgorithms.smaCrossover(symbol),
-            rsi: tradingAlgorithms.rsiStrategy(symbol),
-            bollinger: tradingAlgorithms.bollingerBandsStrategy(symbol),
-            combined: tradingAlgorithms.combinedStrategy(symbol),
-            indicators: tradingAlgorithms.getIndicators(symbol)
-          };
+        const result = await generateLiveSignals(symbol);
+
+        if (result.dataPoints >= 20) {
+          const { dataPoints, ...symbolSignals } = result;
+          signals[symbol] = symbolSignals;
         }
       } catch (error) {
         console.warn(`Failed to get signals for ${symbol}:`, error.message);
@@ -277,49 +602,25 @@ router.get('/signals', async (req, res) => {
 router.get('/signals/:symbol', async (req, res) => {
   try {
     const { symbol } = req.params;
-    const { algorithms = ['sma', 'rsi', 'bollinger', 'combined'] } = req.query;
-
-    // Get recent price data
-    const priceData = await database.all(`
-      SELECT mid_price, timestamp 
-      FROM price_data 
-      WHERE symbol = ? 
-      ORDER BY timestamp DESC 
-      LIMIT 50
-    `, [symbol]);
-
-    if (priceData.length < 20) {
+    const { algorithms } = req.query;
+
+    // Comma-separated strategy names or keys; all strategies by default
+    const names = algorithms ? String(algorithms).split(',').map(name => name.trim()) : null;
+    const unknown = (names || []).filter(name => !strategyRegistry.get(name));
+    if (unknown.length > 0) {
       return res.status(400).json({ 
-        error: 'Insufficient price data for signal generation' 
+        error: `Unknown algorithms: ${unknown.join(', ')}` 
       });
     }
 
-    // Add prices to trading algorithms
-    priceData.reverse().forEach(price => {
-      tradingAlgorithms.addPriceData(symbol, price.mid_price, new Date(price.timestamp));
-    });
-
-    const signals = {};
-
-    if (algorithms.includes('sma')) {
-      signals.sma = tradingAlgorithms.smaCrossover(symbol);
-    }
-
-    if (algorithms.includes('rsi')) {
-      signals.rsi = tradingAlgorithms.rsiStrategy(symbol);
-    }
-
-    if (algorithms.includes('bollinger')) {
-      signals.bollinger = tradingAlgorithms.bollingerBandsStrategy(symbol);
-    }
+    const signals = await generateLiveSignals(symbol, names);
 
-    if (algorithms.includes('combined')) {
-      signals.combined = tradingAlgorithms.combinedStrategy(symbol);
+    if (signals.dataPoints < 20) {
+      return res.status(400).json({ 
+        error: 'Insufficient price data for signal generation' 
+      });
     }
 
-    signals.indicators = tradingAlgorithms.getIndicators(symbol);
-    signals.dataPoints = priceData.length;
-
     res.json({
       symbol,
       signals,
@@ -332,133 +633,189 @@ router.get('/signals/:symbol', async (req, res) => {
 });
 
 /**
- * Helper function to run backtest simulation
+ * GET /api/algorithms/signals/:symbol/history
+ * Get the signals a strategy gave at each completed candle close, with the live
+ * parameters. Only bars where the signal changed to BUY or SELL are returned.
  */
-async function runBacktest(algorithm, symbol, priceData, initialCapital, parameters) {
-  const trades = [];
-  let capital = initialCapital;
-  let position = 0;
-  let maxCapital = initialCapital;
-  let maxDrawdown = 0;
-
-  // Simulate trading based on algorithm signals
-  for (let i = 20; i < priceData.length; i++) {
-    const currentPrice = priceData[i].mid_price;
-    const currentTime = new Date(priceData[i].timestamp);
-
-    // Add price to algorithms
-    tradingAlgorithms.addPriceData(symbol, currentPrice, currentTime);
-
-    let signal = null;
-
-    // Get signal based on algorithm
-    switch (algorithm.toLowerCase()) {
-      case 'sma_crossover':
-        signal = tradingAlgorithms.smaCrossover(symbol, parameters.shortPeriod, parameters.longPeriod);
-        break;
-      case 'rsi':
-        signal = tradingAlgorithms.rsiStrategy(symbol, parameters.period, parameters.overbought, parameters.oversold);
-        break;
-      case 'bollinger':
-        signal = tradingAlgorithms.bollingerBandsStrategy(symbol, parameters.period, parameters.stdDev);
-        break;
-      case 'combined':
-        signal = tradingAlgorithms.combinedStrategy(symbol);
-        break;
-    }
+router.get('/signals/:symbol/history', async (req, res) => {
+  try {
+    const { symbol } = req.params;
+    const { algorithm = 'combined', timeframe = '1m', limit = 200 } = req.query;
 
-    // Execute trade based on signal
-    if (signal && signal.signal !== 'HOLD' && signal.confidence > 0.5) {
-      const quantity = Math.floor(capital * 0.1 / currentPrice); // Use 10% of capital
-
-      if (quantity > 0) {
-        if (signal.signal === 'BUY' && position <= 0) {
-          // Buy
-          const cost = quantity * currentPrice;
-          if (cost <= capital) {
-            capital -= cost;
-            position += quantity;
-            
-            trades.push({
-              action: 'BUY',
-              quantity,
-              price: currentPrice,
-              timestamp: currentTime,
-              capital: capital + position * currentPrice
-            });
-          }
-        } else if (signal.signal === 'SELL' && position > 0) {
-          // Sell
-          const proceeds = position * currentPrice;
-          capital += proceeds;
-          
-          const pnl = proceeds - (position * priceData[i-1].mid_price);
-          
-          trades.push({
-            action: 'SELL',
-            quantity: position,
-            price: currentPrice,
-            timestamp: currentTime,
-            pnl,
-            capital
-          });
-          
-          position = 0;
-        }
-      }
+    const strategy = strategyRegistry.get(algorithm);
+    if (!strategy) {
+      return res.status(400).json({
+        error: `Unknown algorithm: ${algorithm}`
+      });
     }
 
-    // Update max capital and drawdown
-    const currentCapital = capital + position * currentPrice;
-    if (currentCapital > maxCapital) {
-      maxCapital = currentCapital;
-    }
-    
-    const drawdown = (maxCapital - currentCapital) / maxCapital;
-    if (drawdown > maxDrawdown) {
-      maxDrawdown = drawdown;
+    if (!TIMEFRAMES[timeframe]) {
+      return res.status(400).json({
+        error: `Invalid timeframe. Must be one of: ${Object.keys(TIMEFRAMES).join(', ')}`
+      });
     }
-  }
 
-  // Close any remaining position
-  if (position > 0) {
-    const finalPrice = priceData[priceData.length - 1].mid_price;
-    const proceeds = position * finalPrice;
-    capital += proceeds;
-    
-    trades.push({
-      action: 'SELL',
-      quantity: position,
-      price: finalPrice,
-      timestamp: new Date(priceData[priceData.length - 1].timestamp),
-      capital
+    const count = Math.min(parseInt(limit) || 200, 1000);
+    const parameters = strategyConfig.getLiveParameters(strategy.name);
+
+    // Earlier candles only warm up the strategy
+    const warmUp = strategyRegistry.getWarmUp(strategy.name, parameters);
+    const candles = await candleService.getCandles(symbol, timeframe, {
+      limit: count + warmUp,
+      includeForming: false
+    });
+    const firstIndex = Math.max(0, candles.length - count);
+
+    const tradingAlgorithms = new TradingAlgorithms();
+    const signals = [];
+    let previous = 'HOLD';
+
+    candles.forEach((candle, index) => {
+      tradingAlgorithms.addPriceData(symbol, candle.close, candle.closeTime);
+
+      if (index < firstIndex) {
+        return;
+      }
+
+      const signal = strategyRegistry.generateSignal(strategy.name, tradingAlgorithms, symbol, parameters);
+
+      if (signal.signal !== 'HOLD' && signal.signal !== previous) {
+        signals.push({
+          openTime: candle.openTime,
+          timestamp: candle.closeTime,
+          price: candle.close,
+          signal: signal.signal,
+          confidence: signal.confidence,
+          normalizedConfidence: signal.normalizedConfidence,
+          reasons: signal.reasons || [signal.reason]
+        });
+      }
+
+      previous = signal.signal;
+    });
+
+    res.json({
+      symbol,
+      timeframe,
+      algorithm: strategy.key,
+      label: strategy.label,
+      signals
     });
+  } catch (error) {
+    console.error('Error fetching signal history:', error);
+    res.status(500).json({ error: 'Failed to fetch signal history' });
   }
+});
+
+/**
+ * Helper function to generate signals from recent prices with the live parameters
+ */
+async function generateLiveSignals(symbol, names = null) {
+  // Get recent price data
+  const priceData = await database.all(`
+    SELECT mid_price, timestamp 
+    FROM price_data 
+    WHERE symbol = ? 
+    ORDER BY timestamp DESC 
+    LIMIT ?
+  `, [symbol, MAX_PRICE_HISTORY]);
+
+  // Fresh instance per request so requests never share price history
+  const tradingAlgorithms = new TradingAlgorithms();
+  priceData.reverse().forEach(price => {
+    tradingAlgorithms.addPriceData(symbol, price.mid_price, new Date(price.timestamp));
+  });
+
+  const signals = priceData.length >= 20
+    ? strategyRegistry.generateSignals(
+      tradingAlgorithms,
+      symbol,
+      name => strategyConfig.getLiveParameters(name),
+      names
+    )
+    : {};
 
-  // Calculate performance metrics
-  const finalCapital = capital;
-  const totalReturn = ((finalCapital - initialCapital) / initialCapital) * 100;
-  const totalTrades = trades.length;
-  const winningTrades = trades.filter(t => t.pnl > 0).length;
-  const winRate = totalTrades > 0 ? (winningTrades / totalTrades) * 100 : 0;
+  return {
+    ...signals,
+    indicators: tradingAlgorithms.getIndicators(symbol),
+    dataPoints: priceData.length
+  };
+}
 
-  // Calculate Sharpe ratio (simplified)
-  const returns = trades.filter(t => t.pnl !== undefined).map(t => t.pnl);
-  const avgReturn = returns.length > 0 ? returns.reduce((sum, r) => sum + r, 0) / returns.length : 0;
-  const variance = returns.length > 0 ? returns.reduce((sum, r) => sum + Math.pow(r - avgReturn, 2), 0) / returns.length : 0;
-  const sharpeRatio = Math.sqrt(variance) > 0 ? avgReturn / Math.sqrt(variance) : 0;
+/**
+ * Helper function to get the resolved live ensemble configuration
+ */
+function getLiveEnsemble() {
+  const config = strategyConfig.getAll().find(entry => entry.algorithm === 'combined');
+  const { ensemble } = strategyRegistry.resolveParameters('combined', strategyConfig.getParameters('combined'));
 
   return {
-    finalCapital,
-    totalReturn: parseFloat(totalReturn.toFixed(2)),
-    totalTrades,
-    winningTrades,
-    winRate: parseFloat(winRate.toFixed(2)),
-    sharpeRatio: parseFloat(sharpeRatio.toFixed(2)),
-    maxDrawdown: parseFloat((maxDrawdown * 100).toFixed(2)),
-    trades
+    ...ensemble,
+    updatedBy: config ? config.updatedBy : null,
+    updatedAt: config ? config.updatedAt : null
   };
 }
 
-export default router;
+/**
+ * Helper function to read backtest execution settings from a request body
+ */
+function parseBacktestSettings({
+  initialCapital = 10000,
+  positionSize = 0.1,
+  spread = null,
+  commission = 0,
+  slippage = 0,
+  minConfidence = 0.5,
+  allowShort = true,
+  timeframe = null
+}) {
+  return {
+    initialCapital: parseFloat(initialCapital),
+    positionSize: parseFloat(positionSize),
+    spread: spread === null ? null : parseFloat(spread),
+    commission: parseFloat(commission),
+    slippage: parseFloat(slippage),
+    minConfidence: parseFloat(minConfidence),
+    allowShort: allowShort === true || allowShort === 'true',
+    timeframe: timeframe || null
+  };
+}
 
+/**
+ * Helper function to validate parsed backtest execution settings
+ * @param {Object} settings - Result of parseBacktestSettings
+ * @returns {string|null} Validation error message, or null when valid
+ */
+function validateBacktestSettings({ initialCapital, positionSize, spread, commission, slippage, minConfidence, timeframe }) {
+  if (!(Number.isFinite(initialCapital) && initialCapital > 0)) {
+    return 'initialCapital must be a positive number';
+  }
+
+  if (!(positionSize > 0 && positionSize <= 1)) {
+    return 'positionSize must be greater than 0 and at most 1';
+  }
+
+  if (spread !== null && !(Number.isFinite(spread) && spread >= 0)) {
+    return 'spread must be a non-negative number';
+  }
+
+  if (!(commission >= 0 && commission < 1)) {
+    return 'commission must be a fraction of notional, at least 0 and below 1';
+  }
+
+  if (!(Number.isFinite(slippage) && slippage >= 0)) {
+    return 'slippage must be a non-negative number';
+  }
+
+  if (!(minConfidence >= 0 && minConfidence <= 1)) {
+    return 'minConfidence must be between 0 and 1';
+  }
+
+  if (timeframe && !TIMEFRAMES[timeframe]) {
+    return `Invalid timeframe. Must be one of: ${Object.keys(TIMEFRAMES).join(', ')}`;
+  }
+
+  return null;
+}
+
+export default router;
@@ -0,0 +1,114 @@
+import express from 'express';
+import authService from '../services/authService.js';
+import { requireAuth } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * POST /api/auth/register
+ * Create a user and log them in
+ */
+router.post('/register', async (req, res) => {
+  try {
+    const { email, password, name } = req.body;
+
+    const validationError = authService.validateRegistration({ email, password, name });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const user = await authService.register({ email, password, name });
+    if (!user) {
+      return res.status(409).json({ error: 'Email is already registered' });
+    }
+
+    res.status(201).json(await authService.issueTokens(user));
+  } catch (error) {
+    console.error('Error registering user:', error);
+    res.status(500).json({ error: 'Failed to register user' });
+  }
+});
+
+/**
+ * POST /api/auth/login
+ * Exchange email and password for an access and refresh token
+ */
+router.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Missing required fields: email, password' });
+    }
+
+    const session = await authService.login({ email, password });
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    res.json(session);
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+});
+
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new token pair; the old refresh token is revoked
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Missing required field: refreshToken' });
+    }
+
+    const session = await authService.refresh(refreshToken);
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    res.json(session);
+  } catch (error) {
+    console.error('Error refreshing token:', error);
+    res.status(500).json({ error: 'Failed to refresh token' });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * Revoke a refresh token. Access tokens stay valid until they expire.
+ */
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Missing required field: refreshToken' });
+    }
+
+    await authService.logout(refreshToken);
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * Get the authenticated user
+ */
+router.get('/me', requireAuth, async (req, res) => {
+  try {
+    res.json(req.user);
+  } catch (error) {
+    console.error('Error fetching user:', error);
+    res.status(500).json({ error: 'Failed to fetch user' });
+  }
+});
+
+export default router;
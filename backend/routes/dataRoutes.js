@@ -0,0 +1,115 @@
+import express from 'express';
+import historicalDataService from '../services/historicalDataService.js';
+import retentionService from '../services/retentionService.js';
+import auditService from '../services/auditService.js';
+import { IMPORT_FORMATS } from '../marketData/historicalFormats.js';
+import { requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Larger files go through the import-history script
+const MAX_UPLOAD_SIZE = '100mb';
+
+/**
+ * GET /api/data/imports
+ * List historical data imports, newest first
+ */
+router.get('/imports', async (req, res) => {
+  try {
+    const { limit = 50, offset = 0 } = req.query;
+
+    const imports = await historicalDataService.getImports({ limit, offset });
+
+    res.json({ imports, formats: IMPORT_FORMATS });
+  } catch (error) {
+    console.error('Error fetching imports:', error);
+    res.status(500).json({ error: 'Failed to fetch imports' });
+  }
+});
+
+/**
+ * GET /api/data/imports/:id
+ * Get an import with its coverage and gap report
+ */
+router.get('/imports/:id', async (req, res) => {
+  try {
+    const dataImport = await historicalDataService.getImport(req.params.id);
+
+    if (!dataImport) {
+      return res.status(404).json({ error: 'Import not found' });
+    }
+
+    res.json(dataImport);
+  } catch (error) {
+    console.error('Error fetching import:', error);
+    res.status(500).json({ error: 'Failed to fetch import' });
+  }
+});
+
+/**
+ * POST /api/data/import
+ * Import a historical tick or bar file sent as the raw request body
+ * (text/csv or text/plain). Options come from the query string.
+ */
+router.post(
+  '/import',
+  requirePermission('data:import'),
+  express.text({ type: ['text/*', 'application/octet-stream'], limit: MAX_UPLOAD_SIZE }),
+  async (req, res) => {
+    try {
+      const { symbol, format = 'auto', timezone, timeframe, gapMinutes, filename } = req.query;
+
+      const validationError = historicalDataService.validateOptions({ symbol, format, timezone, timeframe, gapMinutes });
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      if (typeof req.body !== 'string' || !req.body.trim()) {
+        return res.status(400).json({ error: 'Send the file as a text/csv or text/plain request body' });
+      }
+
+      if (historicalDataService.running) {
+        return res.status(409).json({ error: 'An import is already running' });
+      }
+
+      // Retention would delete and roll up rows the import has yet to rebuild candles for
+      if (retentionService.running) {
+        return res.status(409).json({ error: 'Data retention is running; try again shortly' });
+      }
+
+      const dataImport = await historicalDataService.importLines(req.body.split(/\r?\n/), {
+        symbol,
+        format,
+        timezone,
+        timeframe,
+        gapMinutes,
+        source: filename || 'upload',
+        createdBy: req.user.id
+      });
+
+      await auditService.record({
+        action: 'DATA_IMPORTED',
+        actor: req.user.email,
+        reason: `Import ${dataImport.id} of ${dataImport.source}: ${dataImport.status}`,
+        details: {
+          importId: dataImport.id,
+          rows: dataImport.rows,
+          inserted: dataImport.inserted,
+          duplicates: dataImport.duplicates,
+          error: dataImport.error
+        }
+      });
+
+      if (dataImport.status === 'FAILED') {
+        return res.status(400).json({ error: dataImport.error, import: dataImport });
+      }
+
+      res.status(201).json(dataImport);
+    } catch (error) {
+      console.error('Error importing historical data:', error);
+      res.status(500).json({ error: 'Failed to import historical data' });
+    }
+  }
+);
+
+export default router;
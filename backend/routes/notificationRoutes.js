@@ -1,5 +1,6 @@
 import express from 'express';
 import database from '../database/database.js';
+import { requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -90,9 +91,10 @@ router.get('/unread-count', async (req, res) => {
 
 /**
  * PUT /api/notifications/:id/read
- * Mark a notification as read
+ * Mark a notification as read. Read state is shared by everyone, so this
+ * takes notifications:manage.
  */
-router.put('/:id/read', async (req, res) => {
+router.put('/:id/read', requirePermission('notifications:manage'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -115,9 +117,9 @@ router.put('/:id/read', async (req, res) => {
 
 /**
  * PUT /api/notifications/read-all
- * Mark all notifications as read
+ * Mark all notifications as read, for everyone
  */
-router.put('/read-all', async (req, res) => {
+router.put('/read-all', requirePermission('notifications:manage'), async (req, res) => {
   try {
     const result = await database.run(`
       UPDATE notifications 
@@ -139,7 +141,7 @@ router.put('/read-all', async (req, res) => {
  * DELETE /api/notifications/:id
  * Delete a notification
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('notifications:manage'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -163,7 +165,7 @@ router.delete('/:id', async (req, res) => {
  * POST /api/notifications
  * Create a new notification
  */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('notifications:manage'), async (req, res) => {
   try {
     const { type, title, message, symbol } = req.body;
 
@@ -174,7 +176,7 @@ router.post('/', async (req, res) => {
       });
     }
 
-    const validTypes = ['PRICE_ALERT', 'TRADE_EXECUTED', 'SYSTEM', 'RISK_MANAGEMENT'];
+    const validTypes = ['PRICE_ALERT', 'TRADE_EXECUTED', 'SYSTEM', 'RISK_MANAGEMENT', 'RISK_ALERT'];
     if (!validTypes.includes(type.toUpperCase())) {
       return res.status(400).json({ 
         error: `Invalid type. Must be one of: ${validTypes.join(', ')}` 
@@ -230,7 +232,8 @@ router.get('/stats', async (req, res) => {
         SUM(CASE WHEN type = 'PRICE_ALERT' THEN 1 ELSE 0 END) as price_alerts,
         SUM(CASE WHEN type = 'TRADE_EXECUTED' THEN 1 ELSE 0 END) as trade_notifications,
         SUM(CASE WHEN type = 'SYSTEM' THEN 1 ELSE 0 END) as system_notifications,
-        SUM(CASE WHEN type = 'RISK_MANAGEMENT' THEN 1 ELSE 0 END) as risk_notifications
+        SUM(CASE WHEN type = 'RISK_MANAGEMENT' THEN 1 ELSE 0 END) as risk_notifications,
+        SUM(CASE WHEN type = 'RISK_ALERT' THEN 1 ELSE 0 END) as risk_alerts
       FROM notifications 
       WHERE created_at >= ${timeFilter}
     `);
@@ -243,7 +246,8 @@ router.get('/stats', async (req, res) => {
         priceAlerts: stats.price_alerts || 0,
         tradeNotifications: stats.trade_notifications || 0,
         systemNotifications: stats.system_notifications || 0,
-        riskNotifications: stats.risk_notifications || 0
+        riskNotifications: stats.risk_notifications || 0,
+        riskAlerts: stats.risk_alerts || 0
       },
       timestamp: new Date()
     });
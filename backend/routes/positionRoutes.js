@@ -0,0 +1,48 @@
+import express from 'express';
+import positionService from '../services/positionService.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/positions
+ * Get net positions with average entry price and P&L
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { openOnly } = req.query;
+
+    const positions = positionService.getPositions({ openOnly: openOnly === 'true' });
+
+    res.json({
+      positions,
+      totals: positionService.getTotals(),
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error('Error fetching positions:', error);
+    res.status(500).json({ error: 'Failed to fetch positions' });
+  }
+});
+
+/**
+ * GET /api/positions/:symbol
+ * Get the net position for a specific currency pair
+ */
+router.get('/:symbol', async (req, res) => {
+  try {
+    const { symbol } = req.params;
+
+    const position = positionService.getPosition(symbol);
+
+    if (!position) {
+      return res.status(404).json({ error: 'No position for symbol' });
+    }
+
+    res.json(position);
+  } catch (error) {
+    console.error('Error fetching position:', error);
+    res.status(500).json({ error: 'Failed to fetch position' });
+  }
+});
+
+export default router;
@@ -1,10 +1,22 @@
 import express from 'express';
 import database from '../database/database.js';
-import TradingAlgorithms from '../algorithms/tradingAlgorithms.js';
+import TradingAlgorithms, { MAX_PRICE_HISTORY } from '../algorithms/tradingAlgorithms.js';
+import strategyRegistry from '../algorithms/strategyRegistry.js';
+import strategyConfig from '../services/strategyConfig.js';
+import candleService, { TIMEFRAMES } from '../services/candleService.js';
+import marketDataService from '../services/marketDataService.js';
 
 const router = express.Router();
 const tradingAlgorithms = new TradingAlgorithms();
 
+// Length of each price history period in milliseconds
+const HISTORY_PERIODS = {
+  '1H': 60 * 60 * 1000,
+  '4H': 4 * 60 * 60 * 1000,
+  '1D': 24 * 60 * 60 * 1000,
+  '1W': 7 * 24 * 60 * 60 * 1000
+};
+
 /**
  * GET /api/prices
  * Get current prices for all currency pairs
@@ -37,9 +49,9 @@ router.get('/', async (req, res) => {
         AND ti_bb_middle.indicator_type = 'BOLLINGER_MIDDLE'
       LEFT JOIN technical_indicators ti_bb_lower ON pd.symbol = ti_bb_lower.symbol 
         AND ti_bb_lower.indicator_type = 'BOLLINGER_LOWER'
-      WHERE pd.timestamp >= datetime('now', '-1 minute')
+      WHERE pd.timestamp >= ?
       ORDER BY pd.timestamp DESC
-    `);
+    `, [new Date(Date.now() - 60 * 1000)]);
 
     // Group by symbol and get latest price for each
     const latestPrices = {};
@@ -55,6 +67,7 @@ router.get('/', async (req, res) => {
       ask: price.ask,
       price: price.price,
       timestamp: price.timestamp,
+      stale: marketDataService.isStale(price.symbol),
       sma: price.sma_long,
       ema: price.sma_short, // Using short SMA as EMA approximation
       rsi: price.rsi,
@@ -112,6 +125,7 @@ router.get('/:symbol', async (req, res) => {
       ask: price.ask,
       price: price.price,
       timestamp: price.timestamp,
+      stale: marketDataService.isStale(price.symbol),
       sma: price.sma_long,
       ema: price.sma_short,
       rsi: price.rsi
@@ -130,24 +144,10 @@ router.get('/:symbol/history', async (req, res) => {
   try {
     const { symbol } = req.params;
     const { period = '1H', limit = 100 } = req.query;
-    
-    let timeFilter = '';
-    switch (period) {
-      case '1H':
-        timeFilter = "datetime('now', '-1 hour')";
-        break;
-      case '4H':
-        timeFilter = "datetime('now', '-4 hours')";
-        break;
-      case '1D':
-        timeFilter = "datetime('now', '-1 day')";
-        break;
-      case '1W':
-        timeFilter = "datetime('now', '-7 days')";
-        break;
-      default:
-        timeFilter = "datetime('now', '-1 hour')";
-    }
+
+    // Ticks are stored with bound Dates (epoch milliseconds), so the period
+    // start is bound as one too rather than compared to datetime('now') text
+    const periodStart = new Date(Date.now() - (HISTORY_PERIODS[period] || HISTORY_PERIODS['1H']));
 
     const prices = await database.all(`
       SELECT 
@@ -157,10 +157,10 @@ router.get('/:symbol/history', async (req, res) => {
         mid_price as price,
         timestamp
       FROM price_data 
-      WHERE symbol = ? AND timestamp >= ${timeFilter}
+      WHERE symbol = ? AND timestamp >= ?
       ORDER BY timestamp ASC
       LIMIT ?
-    `, [symbol, parseInt(limit)]);
+    `, [symbol, periodStart, parseInt(limit)]);
 
     res.json(prices);
   } catch (error) {
@@ -169,6 +169,79 @@ router.get('/:symbol/history', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/prices/:symbol/candles
+ * Get OHLC candles for a currency pair; the last candle may still be forming.
+ * With indicators=true every candle carries moving averages, Bollinger Bands,
+ * RSI and MACD computed over the candle closes with the live strategy parameters.
+ */
+router.get('/:symbol/candles', async (req, res) => {
+  try {
+    const { symbol } = req.params;
+    const { timeframe = '1m', limit = 200, from, to, indicators } = req.query;
+
+    if (!TIMEFRAMES[timeframe]) {
+      return res.status(400).json({ 
+        error: `Invalid timeframe. Must be one of: ${Object.keys(TIMEFRAMES).join(', ')}` 
+      });
+    }
+
+    const count = Math.min(parseInt(limit) || 200, 1000);
+
+    if (indicators !== 'true') {
+      const candles = await candleService.getCandles(symbol, timeframe, { from, to, limit: count });
+      return res.json({ symbol, timeframe, candles });
+    }
+
+    const smaCrossover = liveParameters('sma_crossover');
+    const indicatorParameters = {
+      sma: parsePeriods(req.query.sma, [smaCrossover.shortPeriod, smaCrossover.longPeriod]),
+      ema: parsePeriods(req.query.ema, []),
+      bollinger: liveParameters('bollinger'),
+      rsi: liveParameters('rsi'),
+      macd: liveParameters('macd')
+    };
+
+    if (!indicatorParameters.sma || !indicatorParameters.ema) {
+      return res.status(400).json({ 
+        error: `Moving average periods must be integers between 2 and ${MAX_PRICE_HISTORY}` 
+      });
+    }
+
+    // Load extra candles so the indicators are warmed up for the first returned candle
+    const candles = await candleService.getCandles(symbol, timeframe, {
+      from,
+      to,
+      limit: count + MAX_PRICE_HISTORY
+    });
+    const series = tradingAlgorithms.calculateIndicatorSeries(candles.map(candle => candle.close), indicatorParameters);
+
+    res.json({
+      symbol,
+      timeframe,
+      indicatorParameters,
+      candles: candles.map((candle, index) => {
+        const band = series.bollinger[index];
+        const macd = series.macd[index];
+
+        return {
+          ...candle,
+          indicators: {
+            sma: Object.fromEntries(indicatorParameters.sma.map(period => [period, series.sma[period][index]])),
+            ema: Object.fromEntries(indicatorParameters.ema.map(period => [period, series.ema[period][index]])),
+            bollinger: band ? { upper: band.upper, middle: band.middle, lower: band.lower } : null,
+            rsi: series.rsi[index],
+            macd: macd ? { macd: macd.MACD, signal: macd.signal ?? null, histogram: macd.histogram ?? null } : null
+          }
+        };
+      }).slice(-count)
+    });
+  } catch (error) {
+    console.error('Error fetching candles:', error);
+    res.status(500).json({ error: 'Failed to fetch candles' });
+  }
+});
+
 /**
  * GET /api/prices/:symbol/indicators
  * Get technical indicators for a currency pair
@@ -255,7 +328,12 @@ router.post('/:symbol/analyze', async (req, res) => {
     }
 
     if (algorithms.includes('combined')) {
-      analysis.combined = tradingAlgorithms.combinedStrategy(symbol);
+      analysis.combined = strategyRegistry.generateSignal(
+        'combined',
+        tradingAlgorithms,
+        symbol,
+        strategyConfig.getLiveParameters('combined')
+      );
     }
 
     analysis.indicators = tradingAlgorithms.getIndicators(symbol);
@@ -272,5 +350,27 @@ router.post('/:symbol/analyze', async (req, res) => {
   }
 });
 
+/**
+ * Helper function to get a strategy's resolved live parameters
+ */
+function liveParameters(algorithm) {
+  return strategyRegistry.resolveParameters(algorithm, strategyConfig.getParameters(algorithm));
+}
+
+/**
+ * Helper function to parse comma-separated moving average periods
+ * @returns {Array<number>|null} Periods, or null when any period is invalid
+ */
+function parsePeriods(value, fallback) {
+  if (value === undefined) {
+    return fallback;
+  }
+
+  const periods = String(value).split(',').filter(Boolean).map(Number);
+  const valid = periods.every(period => Number.isInteger(period) && period >= 2 && period <= MAX_PRICE_HISTORY);
+
+  return valid ? [...new Set(periods)] : null;
+}
+
 export default router;
 
@@ -0,0 +1,188 @@
+import express from 'express';
+import database from '../database/database.js';
+import riskEngine, { RULE_TYPES } from '../services/riskEngine.js';
+import { requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/risk/rules
+ * Get all risk management rules
+ */
+router.get('/rules', async (req, res) => {
+  try {
+    const { type, active } = req.query;
+
+    let whereClause = 'WHERE 1=1';
+    const params = [];
+
+    if (type) {
+      whereClause += ' AND rule_type = ?';
+      params.push(type.toUpperCase());
+    }
+
+    if (active !== undefined) {
+      whereClause += ' AND is_active = ?';
+      params.push(active === 'true' ? 1 : 0);
+    }
+
+    const rules = await database.all(`
+      SELECT * FROM risk_management_rules
+      ${whereClause}
+      ORDER BY rule_type, symbol
+    `, params);
+
+    res.json({
+      rules,
+      enabled: riskEngine.enabled,
+      ruleTypes: RULE_TYPES
+    });
+  } catch (error) {
+    console.error('Error fetching risk rules:', error);
+    res.status(500).json({ error: 'Failed to fetch risk rules' });
+  }
+});
+
+/**
+ * POST /api/risk/rules
+ * Create a new risk management rule
+ */
+router.post('/rules', requirePermission('risk:manage'), async (req, res) => {
+  try {
+    const { ruleName, ruleType, value = 1, symbol, isActive = true } = req.body;
+
+    // Validate input
+    if (!ruleName || !ruleType) {
+      return res.status(400).json({
+        error: 'Missing required fields: ruleName, ruleType'
+      });
+    }
+
+    if (!RULE_TYPES.includes(ruleType.toUpperCase())) {
+      return res.status(400).json({
+        error: `Invalid rule type. Must be one of: ${RULE_TYPES.join(', ')}`
+      });
+    }
+
+    if (ruleType.toUpperCase() === 'SYMBOL_WHITELIST' && !symbol) {
+      return res.status(400).json({
+        error: 'SYMBOL_WHITELIST rules require a symbol'
+      });
+    }
+
+    if (isNaN(parseFloat(value)) || parseFloat(value) < 0) {
+      return res.status(400).json({ error: 'Value must be a non-negative number' });
+    }
+
+    const now = new Date();
+    const result = await database.run(`
+      INSERT INTO risk_management_rules (
+        rule_name, rule_type, value, symbol, is_active, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [ruleName, ruleType.toUpperCase(), parseFloat(value), symbol || null, isActive ? 1 : 0, now, now]);
+
+    await riskEngine.loadRules();
+
+    const rule = await database.get(`
+      SELECT * FROM risk_management_rules WHERE id = ?
+    `, [result.id]);
+
+    res.status(201).json(rule);
+  } catch (error) {
+    console.error('Error creating risk rule:', error);
+    res.status(500).json({ error: 'Failed to create risk rule' });
+  }
+});
+
+/**
+ * PUT /api/risk/rules/:id
+ * Update a risk management rule's value, symbol or active flag
+ */
+router.put('/rules/:id', requirePermission('risk:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { ruleName, value, symbol, isActive } = req.body;
+
+    const updates = [];
+    const params = [];
+
+    if (ruleName !== undefined) {
+      updates.push('rule_name = ?');
+      params.push(ruleName);
+    }
+
+    if (value !== undefined) {
+      if (isNaN(parseFloat(value)) || parseFloat(value) < 0) {
+        return res.status(400).json({ error: 'Value must be a non-negative number' });
+      }
+      updates.push('value = ?');
+      params.push(parseFloat(value));
+    }
+
+    if (symbol !== undefined) {
+      updates.push('symbol = ?');
+      params.push(symbol || null);
+    }
+
+    if (isActive !== undefined) {
+      updates.push('is_active = ?');
+      params.push(isActive ? 1 : 0);
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    updates.push('updated_at = ?');
+    params.push(new Date(), id);
+
+    const result = await database.run(`
+      UPDATE risk_management_rules
+      SET ${updates.join(', ')}
+      WHERE id = ?
+    `, params);
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Risk rule not found' });
+    }
+
+    await riskEngine.loadRules();
+
+    const rule = await database.get(`
+      SELECT * FROM risk_management_rules WHERE id = ?
+    `, [id]);
+
+    res.json(rule);
+  } catch (error) {
+    console.error('Error updating risk rule:', error);
+    res.status(500).json({ error: 'Failed to update risk rule' });
+  }
+});
+
+/**
+ * DELETE /api/risk/rules/:id
+ * Delete a risk management rule
+ */
+router.delete('/rules/:id', requirePermission('risk:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await database.run(`
+      DELETE FROM risk_management_rules
+      WHERE id = ?
+    `, [id]);
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Risk rule not found' });
+    }
+
+    await riskEngine.loadRules();
+
+    res.json({ message: 'Risk rule deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting risk rule:', error);
+    res.status(500).json({ error: 'Failed to delete risk rule' });
+  }
+});
+
+export default router;
@@ -1,9 +1,48 @@
 import express from 'express';
 import database from '../database/database.js';
-import { v4 as uuidv4 } from 'uuid';
+import orderService from '../services/orderService.js';
+import accountService from '../services/accountService.js';
+import protectionService from '../services/protectionService.js';
+import { requirePermission } from '../middleware/auth.js';
+import { hasPermission } from '../services/permissions.js';
 
 const router = express.Router();
 
+// Length of each statistics period in milliseconds
+const STATS_PERIODS = {
+  '1H': 60 * 60 * 1000,
+  '1D': 24 * 60 * 60 * 1000,
+  '1W': 7 * 24 * 60 * 60 * 1000,
+  '1M': 30 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Get the start of a statistics period (1D when unknown). trades.created_at
+ * holds bound Dates, i.e. epoch milliseconds, so it is compared with a bound
+ * Date rather than SQLite's datetime('now') text.
+ * @param {string} period - 1H, 1D, 1W or 1M
+ * @returns {Date} Period start
+ */
+function getPeriodStart(period) {
+  return new Date(Date.now() - (STATS_PERIODS[period] || STATS_PERIODS['1D']));
+}
+
+/**
+ * Check whether a user may cancel an order: one on their own account, or any
+ * with risk:manage
+ * @param {Object} user - Authenticated user
+ * @param {Object} order - trades table row
+ * @returns {Promise<boolean>} True if the user may cancel the order
+ */
+async function canCancel(user, order) {
+  if (hasPermission(user, 'risk:manage')) {
+    return true;
+  }
+
+  const account = order.account_id ? await accountService.getAccount(order.account_id) : null;
+  return Boolean(account) && account.userId === user.id;
+}
+
 /**
  * GET /api/trades
  * Get trade history with filtering options
@@ -14,6 +53,7 @@ router.get('/', async (req, res) => {
       symbol, 
       action, 
       status, 
+      accountId,
       startDate, 
       endDate, 
       limit = 100, 
@@ -38,6 +78,11 @@ router.get('/', async (req, res) => {
       params.push(status.toUpperCase());
     }
 
+    if (accountId) {
+      whereClause += ' AND account_id = ?';
+      params.push(parseInt(accountId));
+    }
+
     if (startDate) {
       whereClause += ' AND created_at >= ?';
       params.push(startDate);
@@ -56,7 +101,15 @@ router.get('/', async (req, res) => {
         quantity,
         price,
         status,
+        order_type,
+        limit_price,
+        stop_price,
+        triggered_at,
+        reason,
         algorithm_used,
+        user_id,
+        account_id,
+        parent_trade_id,
         pnl,
         created_at,
         filled_at
@@ -73,6 +126,8 @@ router.get('/', async (req, res) => {
       ${whereClause}
     `, params);
 
+    await protectionService.attachToTrades(trades);
+
     res.json({
       trades,
       pagination: {
@@ -104,7 +159,15 @@ router.get('/:id', async (req, res) => {
         quantity,
         price,
         status,
+        order_type,
+        limit_price,
+        stop_price,
+        triggered_at,
+        reason,
         algorithm_used,
+        user_id,
+        account_id,
+        parent_trade_id,
         pnl,
         created_at,
         filled_at
@@ -116,6 +179,8 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Trade not found' });
     }
 
+    await protectionService.attachToTrades([trade]);
+
     res.json(trade);
   } catch (error) {
     console.error('Error fetching trade:', error);
@@ -125,91 +190,73 @@ router.get('/:id', async (req, res) => {
 
 /**
  * POST /api/trades
- * Execute a new trade
+ * Place a new order on one of the caller's accounts (their default account
+ * unless accountId is given). MARKET orders fill immediately; LIMIT, STOP
+ * and STOP_LIMIT orders rest as PENDING until a price tick triggers them.
+ * Optional stop-loss, take-profit and trailing-stop distances protect the
+ * filled quantity.
  */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('trades:execute'), async (req, res) => {
   try {
-    const { symbol, action, quantity, algorithm } = req.body;
+    const { 
+      symbol, 
+      action, 
+      quantity, 
+      algorithm, 
+      orderType = 'MARKET', 
+      limitPrice, 
+      stopPrice,
+      accountId,
+      stopLoss,
+      takeProfit,
+      trailingStop,
+      distanceUnit
+    } = req.body;
 
     // Validate input
-    if (!symbol || !action || !quantity) {
-      return res.status(400).json({ 
-        error: 'Missing required fields: symbol, action, quantity' 
-      });
+    const validationError = orderService.validateOrder(req.body) ||
+      protectionService.validateProtection({ stopLoss, takeProfit, trailingStop, distanceUnit });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
     }
 
-    if (!['BUY', 'SELL'].includes(action.toUpperCase())) {
+    const quote = await orderService.getLatestQuote(symbol);
+    if (!quote) {
       return res.status(400).json({ 
-        error: 'Action must be either BUY or SELL' 
+        error: `No price data available for ${symbol}` 
       });
     }
 
-    if (quantity <= 0) {
-      return res.status(400).json({ 
-        error: 'Quantity must be greater than 0' 
-      });
+    const account = await accountService.getTradingAccount(req.user.id, accountId);
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
     }
 
-    // Get current price
-    const priceData = await database.get(`
-      SELECT bid_price, ask_price, mid_price 
-      FROM price_data 
-      WHERE symbol = ? 
-      ORDER BY timestamp DESC 
-      LIMIT 1
-    `, [symbol]);
+    const trade = await orderService.placeOrder({
+      symbol,
+      action,
+      quantity,
+      algorithm,
+      orderType,
+      limitPrice,
+      stopPrice,
+      userId: req.user.id,
+      accountId: account.id
+    });
 
-    if (!priceData) {
-      return res.status(400).json({ 
-        error: `No price data available for ${symbol}` 
+    if (trade.status === 'REJECTED') {
+      return res.status(422).json({ 
+        error: `Order rejected: ${trade.reason}`,
+        trade 
       });
     }
 
-    // Determine trade price based on action
-    const tradePrice = action.toUpperCase() === 'BUY' 
-      ? priceData.ask_price 
-      : priceData.bid_price;
-
-    const tradeId = uuidv4();
-    const now = new Date();
-
-    // Create trade record
-    const trade = {
-      id: tradeId,
-      symbol,
-      action: action.toUpperCase(),
-      quantity: parseInt(quantity),
-      price: tradePrice,
-      status: 'FILLED',
-      algorithm_used: algorithm || 'MANUAL',
-      pnl: 0, // Will be calculated later
-      created_at: now,
-      filled_at: now
-    };
-
-    // Store trade in database
-    await database.run(`
-      INSERT INTO trades (
-        id, symbol, action, quantity, price, status, 
-        algorithm_used, pnl, created_at, filled_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `, [
-      trade.id, trade.symbol, trade.action, trade.quantity, 
-      trade.price, trade.status, trade.algorithm_used, 
-      trade.pnl, trade.created_at, trade.filled_at
-    ]);
-
-    // Create notification
-    await database.run(`
-      INSERT INTO notifications (type, title, message, symbol, created_at) 
-      VALUES (?, ?, ?, ?, ?)
-    `, [
-      'TRADE_EXECUTED',
-      'Trade Executed',
-      `${trade.action} ${trade.quantity.toLocaleString()} ${trade.symbol} at ${trade.price}`,
-      trade.symbol,
-      now
-    ]);
+    trade.protection = await protectionService.attachToOrder(trade, {
+      stopLoss,
+      takeProfit,
+      trailingStop,
+      distanceUnit
+    });
 
     res.status(201).json(trade);
   } catch (error) {
@@ -220,57 +267,40 @@ router.post('/', async (req, res) => {
 
 /**
  * PUT /api/trades/:id
- * Update trade status (e.g., cancel trade)
+ * Cancel a pending order. Fills and P&L only come from the order engine, so
+ * CANCELLED is the only status that can be set.
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('trades:execute'), async (req, res) => {
   try {
     const { id } = req.params;
     const { status, pnl } = req.body;
 
-    // Validate status
-    const validStatuses = ['PENDING', 'FILLED', 'CANCELLED', 'REJECTED'];
-    if (status && !validStatuses.includes(status.toUpperCase())) {
-      return res.status(400).json({ 
-        error: `Invalid status. Must be one of: ${validStatuses.join(', ')}` 
-      });
+    if (pnl !== undefined) {
+      return res.status(400).json({ error: 'pnl cannot be set; it is booked when an order fills' });
     }
 
-    let updateClause = '';
-    const params = [];
-
-    if (status) {
-      updateClause += 'status = ?';
-      params.push(status.toUpperCase());
+    if (typeof status !== 'string' || status.toUpperCase() !== 'CANCELLED') {
+      return res.status(400).json({ error: 'Invalid status. Only CANCELLED can be set' });
     }
 
-    if (pnl !== undefined) {
-      if (updateClause) updateClause += ', ';
-      updateClause += 'pnl = ?';
-      params.push(pnl);
+    const order = await database.get('SELECT * FROM trades WHERE id = ?', [id]);
+    if (!order) {
+      return res.status(404).json({ error: 'Trade not found' });
     }
 
-    if (!updateClause) {
-      return res.status(400).json({ error: 'No fields to update' });
+    if (!await canCancel(req.user, order)) {
+      return res.status(403).json({ error: 'Forbidden: not your order' });
     }
 
-    params.push(id);
-
-    const result = await database.run(`
-      UPDATE trades 
-      SET ${updateClause}
-      WHERE id = ?
-    `, params);
+    const trade = await orderService.cancelOrder(id);
 
-    if (result.changes === 0) {
-      return res.status(404).json({ error: 'Trade not found' });
+    if (!trade) {
+      return res.status(404).json({ 
+        error: 'Trade not found or cannot be cancelled' 
+      });
     }
 
-    // Get updated trade
-    const updatedTrade = await database.get(`
-      SELECT * FROM trades WHERE id = ?
-    `, [id]);
-
-    res.json(updatedTrade);
+    res.json(trade);
   } catch (error) {
     console.error('Error updating trade:', error);
     res.status(500).json({ error: 'Failed to update trade' });
@@ -281,14 +311,20 @@ router.put('/:id', async (req, res) => {
  * DELETE /api/trades/:id
  * Cancel a pending trade
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('trades:execute'), async (req, res) => {
   try {
     const { id } = req.params;
 
-    // Check if trade exists and is pending
-    const trade = await database.get(`
-      SELECT * FROM trades WHERE id = ? AND status = 'PENDING'
-    `, [id]);
+    const order = await database.get('SELECT * FROM trades WHERE id = ?', [id]);
+    if (!order) {
+      return res.status(404).json({ error: 'Trade not found' });
+    }
+
+    if (!await canCancel(req.user, order)) {
+      return res.status(403).json({ error: 'Forbidden: not your order' });
+    }
+
+    const trade = await orderService.cancelOrder(id);
 
     if (!trade) {
       return res.status(404).json({ 
@@ -296,25 +332,6 @@ router.delete('/:id', async (req, res) => {
       });
     }
 
-    // Update trade status to cancelled
-    await database.run(`
-      UPDATE trades 
-      SET status = 'CANCELLED' 
-      WHERE id = ?
-    `, [id]);
-
-    // Create notification
-    await database.run(`
-      INSERT INTO notifications (type, title, message, symbol, created_at) 
-      VALUES (?, ?, ?, ?, ?)
-    `, [
-      'TRADE_CANCELLED',
-      'Trade Cancelled',
-      `Trade ${id} has been cancelled`,
-      trade.symbol,
-      new Date()
-    ]);
-
     res.json({ message: 'Trade cancelled successfully' });
   } catch (error) {
     console.error('Error cancelling trade:', error);
@@ -329,24 +346,7 @@ router.delete('/:id', async (req, res) => {
 router.get('/stats/summary', async (req, res) => {
   try {
     const { period = '1D' } = req.query;
-
-    let timeFilter = '';
-    switch (period) {
-      case '1H':
-        timeFilter = "datetime('now', '-1 hour')";
-        break;
-      case '1D':
-        timeFilter = "datetime('now', '-1 day')";
-        break;
-      case '1W':
-        timeFilter = "datetime('now', '-7 days')";
-        break;
-      case '1M':
-        timeFilter = "datetime('now', '-30 days')";
-        break;
-      default:
-        timeFilter = "datetime('now', '-1 day')";
-    }
+    const periodStart = getPeriodStart(period);
 
     const stats = await database.get(`
       SELECT 
@@ -361,8 +361,8 @@ router.get('/stats/summary', async (req, res) => {
         MAX(pnl) as max_profit,
         MIN(pnl) as max_loss
       FROM trades 
-      WHERE created_at >= ${timeFilter} AND status = 'FILLED'
-    `);
+      WHERE created_at >= ? AND status = 'FILLED'
+    `, [periodStart]);
 
     // Calculate win rate
     const winRate = stats.total_trades > 0 
@@ -396,24 +396,7 @@ router.get('/stats/summary', async (req, res) => {
 router.get('/stats/by-symbol', async (req, res) => {
   try {
     const { period = '1D' } = req.query;
-
-    let timeFilter = '';
-    switch (period) {
-      case '1H':
-        timeFilter = "datetime('now', '-1 hour')";
-        break;
-      case '1D':
-        timeFilter = "datetime('now', '-1 day')";
-        break;
-      case '1W':
-        timeFilter = "datetime('now', '-7 days')";
-        break;
-      case '1M':
-        timeFilter = "datetime('now', '-30 days')";
-        break;
-      default:
-        timeFilter = "datetime('now', '-1 day')";
-    }
+    const periodStart = getPeriodStart(period);
 
     const stats = await database.all(`
       SELECT 
@@ -424,10 +407,10 @@ router.get('/stats/by-symbol', async (req, res) => {
         SUM(quantity * price) as total_volume,
         AVG(pnl) as average_pnl
       FROM trades 
-      WHERE created_at >= ${timeFilter} AND status = 'FILLED'
+      WHERE created_at >= ? AND status = 'FILLED'
       GROUP BY symbol
       ORDER BY total_pnl DESC
-    `);
+    `, [periodStart]);
 
     const result = stats.map(stat => ({
       symbol: stat.symbol,
@@ -0,0 +1,94 @@
+import express from 'express';
+import tradingControl from '../services/tradingControl.js';
+import auditService from '../services/auditService.js';
+import { requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/trading/status
+ * Get the kill switch state
+ */
+router.get('/status', async (req, res) => {
+  try {
+    res.json({
+      ...tradingControl.getStatus(),
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error('Error fetching trading status:', error);
+    res.status(500).json({ error: 'Failed to fetch trading status' });
+  }
+});
+
+/**
+ * POST /api/trading/kill
+ * Halt auto-trading, cancel all pending orders and optionally flatten positions
+ */
+router.post('/kill', requirePermission('trading:control'), async (req, res) => {
+  try {
+    const { reason, flatten = false } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({
+        error: 'Missing required field: reason'
+      });
+    }
+
+    const result = await tradingControl.kill({
+      triggeredBy: req.user.email,
+      reason,
+      flatten: flatten === true || flatten === 'true'
+    });
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error activating kill switch:', error);
+    res.status(500).json({ error: 'Failed to activate kill switch' });
+  }
+});
+
+/**
+ * POST /api/trading/resume
+ * Resume auto-trading after a kill
+ */
+router.post('/resume', requirePermission('trading:control'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({
+        error: 'Missing required field: reason'
+      });
+    }
+
+    const result = await tradingControl.resume({ triggeredBy: req.user.email, reason });
+    if (!result) {
+      return res.status(409).json({ error: 'Trading is not halted' });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error resuming trading:', error);
+    res.status(500).json({ error: 'Failed to resume trading' });
+  }
+});
+
+/**
+ * GET /api/trading/audit
+ * Get the audit log: kill switch, resume, parameter, role change and denied actions
+ */
+router.get('/audit', requirePermission('audit:read'), async (req, res) => {
+  try {
+    const { action, limit = 100, offset = 0 } = req.query;
+
+    const entries = await auditService.getEntries({ action, limit, offset });
+
+    res.json({ entries });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+});
+
+export default router;
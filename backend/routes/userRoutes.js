@@ -0,0 +1,78 @@
+import express from 'express';
+import authService from '../services/authService.js';
+import auditService from '../services/auditService.js';
+import { ROLES, ROLE_PERMISSIONS } from '../services/permissions.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/users
+ * List users with their roles
+ */
+router.get('/', async (req, res) => {
+  try {
+    const users = await authService.getUsers();
+    res.json({ users });
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
+
+/**
+ * GET /api/users/roles
+ * List roles and the permissions they grant
+ */
+router.get('/roles', async (req, res) => {
+  try {
+    res.json({
+      roles: ROLES.map(role => ({ role, permissions: ROLE_PERMISSIONS[role] }))
+    });
+  } catch (error) {
+    console.error('Error fetching roles:', error);
+    res.status(500).json({ error: 'Failed to fetch roles' });
+  }
+});
+
+/**
+ * PUT /api/users/:id/role
+ * Change a user's role
+ */
+router.put('/:id/role', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        error: `Invalid role. Must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    const user = await authService.getUser(id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Nobody could manage users any more
+    if (user.role === 'admin' && role !== 'admin' && await authService.countRole('admin') === 1) {
+      return res.status(409).json({ error: 'Cannot remove the last admin' });
+    }
+
+    const updated = await authService.setRole(id, role);
+
+    await auditService.record({
+      action: 'USER_ROLE_CHANGED',
+      actor: req.user.email,
+      reason: `${user.email}: ${user.role} → ${role}`,
+      details: { userId: id, previousRole: user.role, role }
+    });
+
+    res.json(updated);
+  } catch (error) {
+    console.error('Error updating user role:', error);
+    res.status(500).json({ error: 'Failed to update user role' });
+  }
+});
+
+export default router;
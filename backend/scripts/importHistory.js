@@ -0,0 +1,148 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import dotenv from 'dotenv';
+import database from '../database/database.js';
+import migrator from '../database/migrator.js';
+import candleService from '../services/candleService.js';
+import historicalDataService from '../services/historicalDataService.js';
+import { IMPORT_FORMATS } from '../marketData/historicalFormats.js';
+
+dotenv.config();
+
+const USAGE = `Usage: npm run import-history -- [options] <file...>
+
+Imports historical tick or bar files into the database, one import per file.
+
+Options:
+  --symbol <pair>         Currency pair for files without a symbol column
+                          (default: taken from the file name, e.g. DAT_ASCII_EURUSD_M1_2023.csv)
+  --format <format>       ${IMPORT_FORMATS.join(', ')} (default: auto)
+  --timezone <zone>       Zone of times without an offset: UTC, EST, +02:00 or an IANA
+                          zone (default: EST for HistData formats, UTC otherwise)
+  --timeframe <tf>        Bar length, e.g. 1m (default: 1m for HistData bars,
+                          otherwise taken from the file)
+  --gap-minutes <n>       Smallest gap to report (default: 15, or 3 bars)
+  --json                  Print the full reports as JSON
+  --help                  Show this help`;
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} { options, files, json, help }
+ */
+function parseArgs(args) {
+  const options = {};
+  const files = [];
+  let json = false;
+  let help = false;
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    switch (arg) {
+      case '--symbol':
+      case '--format':
+      case '--timezone':
+      case '--timeframe':
+        options[arg.slice(2)] = args[++i];
+        break;
+      case '--gap-minutes':
+        options.gapMinutes = args[++i];
+        break;
+      case '--json':
+        json = true;
+        break;
+      case '--help':
+      case '-h':
+        help = true;
+        break;
+      default:
+        if (arg.startsWith('--')) {
+          throw new Error(`Unknown option ${arg}`);
+        }
+        files.push(arg);
+    }
+  }
+
+  return { options, files, json, help };
+}
+
+/**
+ * Print a one-screen summary of an import
+ * @param {Object} dataImport - Finished import
+ */
+function printSummary(dataImport) {
+  const { report } = dataImport;
+
+  console.log(`\n${dataImport.status === 'COMPLETED' ? '✅' : '❌'} Import ${dataImport.id}: ${dataImport.source}`);
+  console.log(`   Format ${dataImport.format}, timezone ${dataImport.timezone}${dataImport.timeframe ? `, ${dataImport.timeframe} bars` : ''}`);
+  console.log(`   ${dataImport.rows} rows: ${dataImport.inserted} inserted, ${dataImport.duplicates} duplicates, ${dataImport.skipped} skipped`);
+
+  if (dataImport.error) {
+    console.log(`   Error: ${dataImport.error}`);
+  }
+
+  (report?.errors || []).forEach(({ line, error }) => console.log(`   Line ${line}: ${error}`));
+
+  Object.entries(report?.symbols || {}).forEach(([symbol, coverage]) => {
+    console.log(`   ${symbol}: ${coverage.from} → ${coverage.to}, ${coverage.coveragePercent}% covered, ${coverage.gapCount} gaps over ${report.gapMinutes} minutes (${coverage.weekendGaps} weekends)`);
+    coverage.gaps.slice(0, 10).forEach(gap => console.log(`     gap ${gap.from} → ${gap.to} (${gap.minutes} min)`));
+    if (coverage.gapCount > 10) {
+      console.log(`     ... ${coverage.gapCount - 10} more`);
+    }
+  });
+}
+
+async function main() {
+  const { options, files, json, help } = parseArgs(process.argv.slice(2));
+
+  if (help || files.length === 0) {
+    console.log(USAGE);
+    return help ? 0 : 1;
+  }
+
+  const validationError = historicalDataService.validateOptions(options);
+  if (validationError) {
+    throw new Error(validationError);
+  }
+
+  await database.connect(process.env.DB_PATH);
+  await migrator.startup();
+  await candleService.initialize();
+  await historicalDataService.initialize();
+
+  let failed = 0;
+
+  for (const file of files) {
+    const lines = readline.createInterface({
+      input: fs.createReadStream(file),
+      crlfDelay: Infinity
+    });
+
+    const dataImport = await historicalDataService.importLines(lines, {
+      ...options,
+      source: path.basename(file)
+    });
+
+    if (dataImport.status !== 'COMPLETED') {
+      failed++;
+    }
+
+    if (json) {
+      console.log(JSON.stringify(dataImport, null, 2));
+    } else {
+      printSummary(dataImport);
+    }
+  }
+
+  await database.close();
+  return failed > 0 ? 1 : 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('❌ Import failed:', error.message);
+    process.exit(1);
+  });
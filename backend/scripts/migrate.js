@@ -0,0 +1,128 @@
+import dotenv from 'dotenv';
+import database from '../database/database.js';
+import migrator from '../database/migrator.js';
+
+dotenv.config();
+
+const USAGE = `Usage: npm run migrate -- [command] [options]
+
+Applies, reverts or lists the schema migrations in database/migrations.
+
+Commands:
+  up                      Apply pending migrations (default)
+  down                    Revert the newest applied migration
+  status                  List applied and pending migrations
+
+Options:
+  --to <version>          up: apply up to and including this version
+                          down: revert every migration above this version (0 reverts all)
+  --steps <n>             down: number of migrations to revert (default: 1)
+  --json                  Print the status as JSON
+  --help                  Show this help`;
+
+/**
+ * Parse a non-negative integer option
+ * @param {string} option - Option name, for the error message
+ * @param {string} value - Raw value
+ * @returns {number} Parsed value
+ */
+function parseCount(option, value) {
+  if (!/^\d+$/.test(value || '')) {
+    throw new Error(`${option} must be a non-negative integer`);
+  }
+  return parseInt(value, 10);
+}
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} { command, options, json, help }
+ */
+function parseArgs(args) {
+  const options = {};
+  let command = 'up';
+  let json = false;
+  let help = false;
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    switch (arg) {
+      case 'up':
+      case 'down':
+      case 'status':
+        command = arg;
+        break;
+      case '--to':
+      case '--steps':
+        options[arg.slice(2)] = parseCount(arg, args[++i]);
+        break;
+      case '--json':
+        json = true;
+        break;
+      case '--help':
+      case '-h':
+        help = true;
+        break;
+      default:
+        throw new Error(`Unknown argument ${arg}`);
+    }
+  }
+
+  return { command, options, json, help };
+}
+
+/**
+ * Print the applied and pending migrations
+ * @param {Object} status - Result of migrator.getStatus()
+ */
+function printStatus(status) {
+  console.log(`Schema version ${status.current} (latest ${status.latest})`);
+
+  status.applied.forEach(({ version, name, appliedAt }) => {
+    const known = !status.unknown.some(migration => migration.version === version);
+    console.log(`  ${known ? '✅' : '❓'} ${version}_${name}  applied ${appliedAt.toISOString()}${known ? '' : '  (not in this code)'}`);
+  });
+  status.pending.forEach(({ version, name }) => console.log(`  ⏳ ${version}_${name}  pending`));
+}
+
+async function main() {
+  const { command, options, json, help } = parseArgs(process.argv.slice(2));
+
+  if (help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  await database.connect(process.env.DB_PATH);
+
+  try {
+    if (command === 'up') {
+      const applied = await migrator.migrate(options);
+      console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : '✅ Schema is up to date');
+    } else if (command === 'down') {
+      const reverted = await migrator.rollback(options);
+      console.log(reverted.length > 0 ? `✅ Reverted ${reverted.length} migration(s)` : '✅ Nothing to revert');
+    }
+
+    const status = await migrator.getStatus();
+    if (json) {
+      console.log(JSON.stringify(status, null, 2));
+    } else if (command === 'status') {
+      printStatus(status);
+    } else {
+      console.log(`Schema version ${status.current} (latest ${status.latest})`);
+    }
+  } finally {
+    await database.close();
+  }
+
+  return 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+  });
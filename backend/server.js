@@ -9,14 +9,40 @@ import { v4 as uuidv4 } from 'uuid';
 
 // Import our modules
 import database from './database/database.js';
+import migrator from './database/migrator.js';
 import TradingAlgorithms from './algorithms/tradingAlgorithms.js';
+import strategyRegistry from './algorithms/strategyRegistry.js';
 import APIService from './services/apiService.js';
+import orderService from './services/orderService.js';
+import positionService from './services/positionService.js';
+import accountService from './services/accountService.js';
+import riskEngine from './services/riskEngine.js';
+import strategyConfig from './services/strategyConfig.js';
+import optimizationService from './services/optimizationService.js';
+import walkForwardService from './services/walkForwardService.js';
+import candleService from './services/candleService.js';
+import historicalDataService from './services/historicalDataService.js';
+import retentionService from './services/retentionService.js';
+import tradingControl from './services/tradingControl.js';
+import marginMonitor from './services/marginMonitor.js';
+import protectionService from './services/protectionService.js';
+import marketDataService from './services/marketDataService.js';
+import subscriptionService, { ALL_SYMBOLS } from './services/subscriptionService.js';
+import authService from './services/authService.js';
+import { requireAuth, requirePermission, authorize, authenticateSocket } from './middleware/auth.js';
 
 // Import routes
 import priceRoutes from './routes/priceRoutes.js';
 import tradeRoutes from './routes/tradeRoutes.js';
 import algorithmRoutes from './routes/algorithmRoutes.js';
 import notificationRoutes from './routes/notificationRoutes.js';
+import positionRoutes from './routes/positionRoutes.js';
+import riskRoutes from './routes/riskRoutes.js';
+import tradingRoutes from './routes/tradingRoutes.js';
+import authRoutes from './routes/authRoutes.js';
+import userRoutes from './routes/userRoutes.js';
+import accountRoutes from './routes/accountRoutes.js';
+import dataRoutes from './routes/dataRoutes.js';
 
 dotenv.config();
 
@@ -37,12 +63,14 @@ class AlphaFxTraderServer {
     
     // Trading state
     this.isAutoTrading = process.env.AUTO_TRADING_ENABLED === 'true';
-    this.maxTradingVolume = parseInt(process.env.MAX_TRADING_VOLUME) || 10000000;
-    this.currentTradingVolume = 0;
+    // Auto trading state when the kill switch was activated, restored on resume
+    this.autoTradingBeforeHalt = null;
+    this.autoTradingStrategy = strategyRegistry.require(process.env.AUTO_TRADING_STRATEGY || 'combined').name;
+    this.autoTradingMinConfidence = parseFloat(process.env.AUTO_TRADING_MIN_CONFIDENCE ?? '0.3');
     this.tradingSession = null;
     
-    // Connected clients
-    this.connectedClients = new Set();
+    // Latest tick per symbol, for subscription snapshots
+    this.latestPrices = new Map();
     
     this.initializeServer();
   }
@@ -53,6 +81,34 @@ class AlphaFxTraderServer {
       await database.connect(process.env.DB_PATH);
       console.log('✅ Database connected successfully');
 
+      // Refuses to start against a schema from newer code
+      await migrator.startup();
+
+      // Setup order handling and position keeping
+      await authService.initialize();
+      await positionService.initialize();
+      await accountService.initialize();
+      await protectionService.initialize();
+      await riskEngine.initialize();
+      await strategyConfig.initialize();
+      await optimizationService.initialize();
+      await walkForwardService.initialize();
+      await candleService.initialize();
+      await historicalDataService.initialize();
+
+      // Load the market data providers (e.g. a replay file) before the first poll
+      await this.apiService.start();
+      const feeds = marketDataService.feeds;
+      console.log(`📡 Market data provider: ${feeds.primary.provider.type}${feeds.backup ? ` (backup: ${feeds.backup.provider.type})` : ''}`);
+
+      this.setupOrderEvents();
+      this.setupTradingControlEvents();
+      this.setupMarginEvents();
+      this.setupMarketDataEvents();
+      this.setupProtectionEvents();
+      this.setupOptimizationEvents();
+      this.setupCandleEvents();
+
       // Setup middleware
       this.setupMiddleware();
 
@@ -115,12 +171,17 @@ class AlphaFxTraderServer {
           status: 'healthy',
           timestamp: new Date().toISOString(),
           database: dbHealth,
+          storage: {
+            ...await database.getSize(),
+            schemaVersion: (await migrator.getStatus()).current,
+            retention: retentionService.getStatus()
+          },
           api: apiHealth,
           trading: {
             autoTrading: this.isAutoTrading,
-            currentVolume: this.currentTradingVolume,
-            maxVolume: this.maxTradingVolume,
-            sessionActive: !!this.tradingSession
+            halted: tradingControl.halted,
+            sessionActive: !!this.tradingSession,
+            account: await this.getAutoTradingAccountStatus()
           }
         });
       } catch (error) {
@@ -133,10 +194,17 @@ class AlphaFxTraderServer {
     });
 
     // API routes
+    this.app.use('/api/auth', authRoutes);
+    this.app.use('/api/users', requirePermission('users:manage'), userRoutes);
+    this.app.use('/api/accounts', requireAuth, accountRoutes);
     this.app.use('/api/prices', priceRoutes);
-    this.app.use('/api/trades', tradeRoutes);
-    this.app.use('/api/algorithms', algorithmRoutes);
+    this.app.use('/api/trades', requireAuth, tradeRoutes);
+    this.app.use('/api/algorithms', requireAuth, algorithmRoutes);
     this.app.use('/api/notifications', notificationRoutes);
+    this.app.use('/api/positions', requireAuth, positionRoutes);
+    this.app.use('/api/risk', riskRoutes);
+    this.app.use('/api/trading', tradingRoutes);
+    this.app.use('/api/data', requireAuth, dataRoutes);
 
     // 404 handler
     this.app.use('*', (req, res) => {
@@ -144,33 +212,422 @@ class AlphaFxTraderServer {
     });
   }
 
+  setupOrderEvents() {
+    orderService.on('order_placed', (order) => {
+      this.broadcastTradeUpdate(order);
+    });
+
+    orderService.on('order_triggered', (order) => {
+      this.broadcastTradeUpdate(order);
+    });
+
+    orderService.on('order_filled', async (trade) => {
+      await this.createNotification({
+        type: 'TRADE_EXECUTED',
+        title: 'Trade Executed',
+        message: `${trade.action} ${trade.quantity.toLocaleString()} ${trade.symbol} at ${trade.price}`,
+        symbol: trade.symbol
+      });
+
+      console.log(`✅ Trade executed: ${trade.action} ${trade.quantity} ${trade.symbol} at ${trade.price}`);
+
+      this.broadcastTradeUpdate(trade);
+    });
+
+    orderService.on('order_cancelled', async (order) => {
+      await this.createNotification({
+        type: 'TRADE_CANCELLED',
+        title: 'Trade Cancelled',
+        message: `Trade ${order.id} has been cancelled`,
+        symbol: order.symbol
+      });
+
+      this.broadcastTradeUpdate(order);
+    });
+
+    orderService.on('order_rejected', async (order) => {
+      await this.createNotification({
+        type: 'RISK_MANAGEMENT',
+        title: 'Order Rejected',
+        message: `${order.action} ${order.quantity.toLocaleString()} ${order.symbol} rejected: ${order.reason}`,
+        symbol: order.symbol
+      });
+
+      console.warn(`⛔ Order rejected by ${order.rule}: ${order.reason}`);
+
+      this.broadcastTradeUpdate(order);
+    });
+
+    positionService.on('position_update', (position) => {
+      this.broadcastPositionUpdate(position);
+    });
+
+    // Account figures go to their owner only; the auto-trading account has none
+    accountService.on('account_update', (account) => {
+      if (account.userId) {
+        this.io.to(`user:${account.userId}`).emit('account_update', { account, timestamp: new Date() });
+      }
+    });
+  }
+
+  setupProtectionEvents() {
+    protectionService.on('protection_update', (protection) => {
+      this.emitToAccountOwner(protection, 'protection_update', { protection, timestamp: new Date() });
+    });
+
+    protectionService.on('protection_triggered', ({ protection, trade, price }) => {
+      console.log(`🎯 ${protection.triggerType} hit on account ${protection.accountId} ${protection.symbol} at ${price}: ${trade.status}`);
+    });
+  }
+
+  setupMarginEvents() {
+    marginMonitor.on('margin_call', async ({ account, marginCallLevel }) => {
+      await this.createNotification({
+        type: 'RISK_ALERT',
+        title: 'Margin Call',
+        message: `Account ${account.name} (#${account.id}) margin level ${account.marginLevel}% ` +
+          `is below ${marginCallLevel}%: equity ${account.equity} ${account.baseCurrency}, ` +
+          `used margin ${account.usedMargin} ${account.baseCurrency}`
+      });
+
+      console.warn(`⚠️ Margin call on account ${account.id}: margin level ${account.marginLevel}%`);
+
+      this.emitToAccountOwner(account, 'margin_call', { account, marginCallLevel, timestamp: new Date() });
+    });
+
+    marginMonitor.on('stop_out', async (stopOut) => {
+      const { account, marginLevel, trades } = stopOut;
+      const closed = trades.filter(trade => trade.status === 'FILLED');
+
+      await this.createNotification({
+        type: 'RISK_ALERT',
+        title: 'Stop-Out',
+        message: `Account ${account.name} (#${account.id}) reached margin level ${marginLevel}%: ` +
+          `${closed.length} position${closed.length === 1 ? '' : 's'} closed ` +
+          `(${closed.map(trade => trade.symbol).join(', ') || 'none'})`
+      });
+
+      console.warn(`🛑 Stop-out on account ${account.id} at margin level ${marginLevel}%: ${closed.length} positions closed`);
+
+      this.emitToAccountOwner(account, 'stop_out', { ...stopOut, timestamp: new Date() });
+    });
+  }
+
+  setupMarketDataEvents() {
+    marketDataService.on('feed_switched', async ({ from, to, provider, reason }) => {
+      await this.createNotification({
+        type: 'SYSTEM',
+        title: to === 'backup' ? 'Market Data Failover' : 'Market Data Restored',
+        message: `Prices now come from the ${to} feed (${provider}) instead of the ${from} feed: ${reason}`
+      });
+
+      this.broadcastMarketDataStatus();
+    });
+
+    marketDataService.on('staleness_changed', async ({ newlyStale }) => {
+      if (newlyStale.length > 0) {
+        await this.createNotification({
+          type: 'RISK_ALERT',
+          title: 'Stale Prices',
+          message: `No price for ${marketDataService.maxAge / 1000}s on ${newlyStale.join(', ')}; trading these symbols is refused until prices resume`
+        });
+      }
+
+      this.broadcastMarketDataStatus();
+    });
+  }
+
+  setupTradingControlEvents() {
+    tradingControl.on('trading_halted', async (status) => {
+      // Keep the state from the first kill; a repeated kill would record false
+      if (this.autoTradingBeforeHalt === null) {
+        this.autoTradingBeforeHalt = this.isAutoTrading;
+      }
+      this.isAutoTrading = false;
+      if (this.tradingSession) {
+        this.tradingSession.status = 'STOPPED';
+      }
+
+      await this.createNotification({
+        type: 'SYSTEM',
+        title: 'Kill Switch Activated',
+        message: `Auto trading halted by ${status.haltedBy}: ${status.haltReason}. ` +
+          `${status.cancelledOrders.length} pending orders cancelled` +
+          (status.flatten ? `, ${status.flatteningTrades.length} positions flattened` : '') +
+          (status.flattenErrors.length > 0 ? `, ${status.flattenErrors.length} could not be flattened` : '')
+      });
+
+      console.warn(`🛑 Kill switch activated by ${status.haltedBy}: ${status.haltReason}`);
+
+      this.broadcastTradingStatus();
+    });
+
+    tradingControl.on('trading_resumed', async (status) => {
+      // Nothing was saved if no kill went through this listener
+      if (this.autoTradingBeforeHalt !== null) {
+        this.isAutoTrading = this.autoTradingBeforeHalt;
+        this.autoTradingBeforeHalt = null;
+      }
+      if (this.tradingSession && this.isAutoTrading) {
+        this.tradingSession.status = 'ACTIVE';
+      }
+
+      await this.createNotification({
+        type: 'SYSTEM',
+        title: 'Auto Trading Resumed',
+        message: `Auto trading resumed by ${status.resumedBy}: ${status.reason}` +
+          (this.isAutoTrading ? '' : '. Auto trading was disabled before the kill and stays disabled')
+      });
+
+      console.log(`▶️ Trading resumed by ${status.resumedBy}; auto-trading ${this.isAutoTrading ? 'ENABLED' : 'DISABLED'}`);
+
+      this.broadcastTradingStatus();
+    });
+  }
+
+  setupOptimizationEvents() {
+    optimizationService.on('job_progress', (progress) => {
+      this.io.emit('optimization_update', { ...progress, status: 'RUNNING' });
+    });
+
+    optimizationService.on('job_completed', async (job) => {
+      await this.createNotification({
+        type: 'SYSTEM',
+        title: 'Optimization Completed',
+        message: `${job.algorithm_name} on ${job.symbol}: ${job.total_combinations} combinations tested, ` +
+          `best parameters ${JSON.stringify(job.best_parameters)}`
+      });
+
+      this.io.emit('optimization_update', {
+        jobId: job.id,
+        completed: job.completed_combinations,
+        total: job.total_combinations,
+        status: job.status,
+        bestParameters: job.best_parameters
+      });
+    });
+
+    optimizationService.on('job_failed', async ({ jobId, error }) => {
+      await this.createNotification({
+        type: 'SYSTEM',
+        title: 'Optimization Failed',
+        message: `Optimization job ${jobId} failed: ${error}`
+      });
+
+      this.io.emit('optimization_update', { jobId, status: 'FAILED', error });
+    });
+
+    walkForwardService.on('run_progress', (progress) => {
+      this.io.emit('walk_forward_update', { ...progress, status: 'RUNNING' });
+    });
+
+    walkForwardService.on('run_completed', async (run) => {
+      const summary = run.out_of_sample;
+
+      await this.createNotification({
+        type: 'SYSTEM',
+        title: 'Walk-forward Completed',
+        message: `${run.algorithm_name} on ${run.symbol}: out-of-sample return ${summary.totalReturn}% ` +
+          `over ${run.total_windows} windows (efficiency ${summary.efficiency ?? 'n/a'})`
+      });
+
+      this.io.emit('walk_forward_update', {
+        runId: run.id,
+        completed: run.completed_windows,
+        total: run.total_windows,
+        status: run.status,
+        outOfSample: summary
+      });
+    });
+
+    walkForwardService.on('run_failed', async ({ runId, error }) => {
+      await this.createNotification({
+        type: 'SYSTEM',
+        title: 'Walk-forward Failed',
+        message: `Walk-forward run ${runId} failed: ${error}`
+      });
+
+      this.io.emit('walk_forward_update', { runId, status: 'FAILED', error });
+    });
+
+    strategyConfig.on('parameters_updated', async (config) => {
+      await this.createNotification({
+        type: 'SYSTEM',
+        title: 'Strategy Parameters Updated',
+        message: `${config.algorithm} now trades live with ${JSON.stringify(config.parameters)} ` +
+          `(updated by ${config.updatedBy})`
+      });
+
+      console.log(`⚙️ Live parameters for ${config.algorithm} updated by ${config.updatedBy}`);
+    });
+  }
+
+  setupCandleEvents() {
+    candleService.on('candle_closed', (candle) => {
+      subscriptionService.publish('prices', candle.symbol, 'candle_update', candle);
+    });
+  }
+
   setupWebSocket() {
+    subscriptionService.attach(this.io);
+
+    // Tokens are checked once per connection; anonymous clients get read-only access
+    this.io.use(authenticateSocket);
+
     this.io.on('connection', (socket) => {
-      console.log(`🔌 Client connected: ${socket.id}`);
-      this.connectedClients.add(socket.id);
+      const { user } = socket.data;
+      console.log(`🔌 Client connected: ${socket.id}${user ? ` (${user.email})` : ''}`);
+
+      // Private room for the user's account updates, and a room for the
+      // position updates anonymous clients must not see
+      if (user) {
+        socket.join(`user:${user.id}`);
+        socket.join('authenticated');
+      }
 
       // Send current trading session info
       if (this.tradingSession) {
         socket.emit('trading_session_update', this.tradingSession);
       }
 
+      // Send current kill switch state
+      socket.emit('trading_status_update', this.getTradingStatus());
+
+      // Send the active feed and stale symbols
+      socket.emit('market_data_status', { ...marketDataService.getStatus(), timestamp: new Date() });
+
       // Handle client disconnection
       socket.on('disconnect', () => {
         console.log(`🔌 Client disconnected: ${socket.id}`);
-        this.connectedClients.delete(socket.id);
       });
 
+      // Handle channel subscriptions; each subscribe is answered with a snapshot
+      socket.on('subscribe', async (request, ack) => {
+        try {
+          const error = subscriptionService.validateRequest(request);
+          if (error) {
+            throw new Error(error);
+          }
+
+          // Trades are only available over REST with a token, so the channel is too
+          if (request.channel === 'trades' && !socket.data.user) {
+            throw new Error('Authentication required for the trades channel');
+          }
+
+          const symbols = await subscriptionService.subscribe(socket, request.channel, request.symbols);
+
+          socket.emit('snapshot', {
+            channel: request.channel,
+            symbols,
+            data: await this.getSnapshot(request.channel, symbols),
+            timestamp: new Date()
+          });
+
+          if (typeof ack === 'function') {
+            ack({ subscriptions: subscriptionService.getSubscriptions(socket) });
+          }
+        } catch (error) {
+          socket.emit('subscription_error', { request, error: error.message });
+          if (typeof ack === 'function') {
+            ack({ error: error.message });
+          }
+        }
+      });
+
+      socket.on('unsubscribe', async (request, ack) => {
+        try {
+          const error = subscriptionService.validateRequest(request);
+          if (error) {
+            throw new Error(error);
+          }
+
+          await subscriptionService.unsubscribe(socket, request.channel, request.symbols);
+
+          if (typeof ack === 'function') {
+            ack({ subscriptions: subscriptionService.getSubscriptions(socket) });
+          }
+        } catch (error) {
+          socket.emit('subscription_error', { request, error: error.message });
+          if (typeof ack === 'function') {
+            ack({ error: error.message });
+          }
+        }
+      });
+
+      // Resolve the connection's user again so role changes apply without reconnecting;
+      // throws for anonymous connections and for users lacking the permission
+      const authorizeSocket = async (permission, event) => {
+        const socketUser = socket.data.user && await authService.getUser(socket.data.user.id);
+        if (!socketUser) {
+          throw new Error('Authentication required');
+        }
+
+        if (!(await authorize(socketUser, permission, `socket ${event}`))) {
+          throw new Error(`Forbidden: requires the ${permission} permission`);
+        }
+
+        return socketUser;
+      };
+
       // Handle trade execution requests
       socket.on('execute_trade', async (tradeData) => {
         try {
-          const trade = await this.executeTrade(tradeData);
-          socket.emit('trade_executed', trade);
-          this.broadcastTradeUpdate(trade);
+          const socketUser = await authorizeSocket('trades:execute', 'execute_trade');
+          const account = await accountService.getTradingAccount(socketUser.id, tradeData.accountId);
+          if (!account) {
+            throw new Error('Account not found');
+          }
+
+          const protectionError = protectionService.validateProtection(tradeData);
+          if (protectionError) {
+            throw new Error(protectionError);
+          }
+
+          const trade = await this.executeTrade({ ...tradeData, userId: socketUser.id, accountId: account.id });
+
+          if (trade.status === 'REJECTED') {
+            socket.emit('trade_error', { error: `Order rejected: ${trade.reason}`, trade });
+          } else {
+            trade.protection = await protectionService.attachToOrder(trade, tradeData);
+            socket.emit('trade_executed', trade);
+          }
         } catch (error) {
           socket.emit('trade_error', { error: error.message });
         }
       });
 
+      // Handle kill switch requests
+      socket.on('kill_switch', async (data = {}) => {
+        try {
+          const socketUser = await authorizeSocket('trading:control', 'kill_switch');
+          const result = await tradingControl.kill({
+            triggeredBy: socketUser.email,
+            reason: data.reason || 'Kill switch activated from dashboard',
+            flatten: data.flatten === true
+          });
+          socket.emit('kill_switch_result', result);
+        } catch (error) {
+          socket.emit('trading_control_error', { error: error.message });
+        }
+      });
+
+      socket.on('resume_trading', async (data = {}) => {
+        try {
+          const socketUser = await authorizeSocket('trading:control', 'resume_trading');
+          const result = await tradingControl.resume({
+            triggeredBy: socketUser.email,
+            reason: data.reason || 'Trading resumed from dashboard'
+          });
+          if (!result) {
+            socket.emit('trading_control_error', { error: 'Trading is not halted' });
+            return;
+          }
+          socket.emit('resume_trading_result', result);
+        } catch (error) {
+          socket.emit('trading_control_error', { error: error.message });
+        }
+      });
+
       // Handle algorithm analysis requests
       socket.on('analyze_symbol', async (symbol) => {
         try {
@@ -191,7 +648,7 @@ class AlphaFxTraderServer {
 
     // Run trading algorithms every 10 seconds
     cron.schedule('*/10 * * * * *', async () => {
-      if (this.isAutoTrading && this.currentTradingVolume < this.maxTradingVolume) {
+      if (this.isAutoTrading && !tradingControl.halted) {
         await this.runTradingAlgorithms();
       }
     });
@@ -223,8 +680,27 @@ class AlphaFxTraderServer {
         this.tradingAlgorithms.addPriceData(price.symbol, price.price, price.timestamp);
       }
 
-      // Broadcast to connected clients
+      prices.forEach(price => this.latestPrices.set(price.symbol, price));
+
+      // Roll the ticks into OHLC candles
+      await candleService.processPrices(prices);
+
+      // Send to subscribed clients
       this.broadcastPriceUpdate(prices);
+      await this.broadcastSignals(prices.map(price => price.symbol));
+
+      // Fill any resting orders crossed by this tick
+      await orderService.processPriceUpdate(prices);
+
+      // Trail stops and close positions whose stop-loss or take-profit was hit
+      await protectionService.processPriceUpdate(prices);
+
+      // Mark open positions and account equity to the new prices
+      await positionService.markToMarket(prices);
+      const accounts = await accountService.markToMarket(prices);
+
+      // Margin calls and stop-outs for the accounts just marked
+      await marginMonitor.check(accounts);
 
     } catch (error) {
       console.error('Failed to update prices:', error.message);
@@ -236,18 +712,33 @@ class AlphaFxTraderServer {
       const symbols = ['EUR/USD', 'GBP/USD', 'USD/JPY', 'AUD/USD', 'USD/CAD'];
       
       for (const symbol of symbols) {
-        // Run combined strategy
-        const signal = this.tradingAlgorithms.combinedStrategy(symbol);
+        // Stop mid-run if the kill switch was hit
+        if (tradingControl.halted) {
+          break;
+        }
+
+        // Orders on stale prices would only be rejected
+        if (marketDataService.isStale(symbol)) {
+          continue;
+        }
+
+        // Run the auto-trading strategy with the live (possibly promoted) parameters
+        const signal = strategyRegistry.generateSignal(
+          this.autoTradingStrategy,
+          this.tradingAlgorithms,
+          symbol,
+          strategyConfig.getLiveParameters(this.autoTradingStrategy)
+        );
         
-        if (signal.signal !== 'HOLD' && signal.confidence > 0.6) {
+        if (signal.signal !== 'HOLD' && signal.normalizedConfidence >= this.autoTradingMinConfidence) {
           // Execute trade based on signal
           const tradeData = {
             symbol,
             action: signal.signal,
             quantity: 10000, // Fixed quantity for auto-trading
-            algorithm: 'COMBINED',
-            confidence: signal.confidence,
-            reasons: signal.reasons
+            algorithm: this.autoTradingStrategy.toUpperCase(),
+            confidence: signal.normalizedConfidence,
+            reasons: signal.reasons || [signal.reason]
           };
 
           await this.executeTrade(tradeData);
@@ -260,55 +751,7 @@ class AlphaFxTraderServer {
 
   async executeTrade(tradeData) {
     try {
-      // Get current price
-      const priceData = await database.get(
-        `SELECT * FROM price_data WHERE symbol = ? ORDER BY timestamp DESC LIMIT 1`,
-        [tradeData.symbol]
-      );
-
-      if (!priceData) {
-        throw new Error(`No price data available for ${tradeData.symbol}`);
-      }
-
-      const tradePrice = tradeData.action === 'BUY' ? priceData.ask_price : priceData.bid_price;
-      const tradeId = uuidv4();
-
-      // Create trade record
-      const trade = {
-        id: tradeId,
-        symbol: tradeData.symbol,
-        action: tradeData.action,
-        quantity: tradeData.quantity,
-        price: tradePrice,
-        status: 'FILLED',
-        algorithm_used: tradeData.algorithm || 'MANUAL',
-        created_at: new Date(),
-        filled_at: new Date()
-      };
-
-      // Store in database
-      await database.run(
-        `INSERT INTO trades (id, symbol, action, quantity, price, status, algorithm_used, created_at, filled_at) 
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [trade.id, trade.symbol, trade.action, trade.quantity, trade.price, 
-         trade.status, trade.algorithm_used, trade.created_at, trade.filled_at]
-      );
-
-      // Update trading volume
-      this.currentTradingVolume += trade.quantity * trade.price;
-
-      // Create notification
-      await this.createNotification({
-        type: 'TRADE_EXECUTED',
-        title: 'Trade Executed',
-        message: `${trade.action} ${trade.quantity.toLocaleString()} ${trade.symbol} at ${trade.price}`,
-        symbol: trade.symbol
-      });
-
-      console.log(`✅ Trade executed: ${trade.action} ${trade.quantity} ${trade.symbol} at ${trade.price}`);
-
-      return trade;
-
+      return await orderService.placeOrder(tradeData);
     } catch (error) {
       console.error('Failed to execute trade:', error.message);
       throw error;
@@ -317,20 +760,16 @@ class AlphaFxTraderServer {
 
   async analyzeSymbol(symbol) {
     try {
-      const smaSignal = this.tradingAlgorithms.smaCrossover(symbol);
-      const rsiSignal = this.tradingAlgorithms.rsiStrategy(symbol);
-      const bbSignal = this.tradingAlgorithms.bollingerBandsStrategy(symbol);
-      const combinedSignal = this.tradingAlgorithms.combinedStrategy(symbol);
+      const signals = strategyRegistry.generateSignals(
+        this.tradingAlgorithms,
+        symbol,
+        name => strategyConfig.getLiveParameters(name)
+      );
       const indicators = this.tradingAlgorithms.getIndicators(symbol);
 
       return {
         symbol,
-        signals: {
-          sma: smaSignal,
-          rsi: rsiSignal,
-          bollinger: bbSignal,
-          combined: combinedSignal
-        },
+        signals,
         indicators,
         timestamp: new Date()
       };
@@ -342,18 +781,19 @@ class AlphaFxTraderServer {
 
   async createNotification(notificationData) {
     try {
-      await database.run(
+      const createdAt = new Date();
+      const result = await database.run(
         `INSERT INTO notifications (type, title, message, symbol, created_at) 
          VALUES (?, ?, ?, ?, ?)`,
         [notificationData.type, notificationData.title, notificationData.message, 
-         notificationData.symbol, new Date()]
+         notificationData.symbol, createdAt]
       );
 
-      // Broadcast to connected clients
-      this.io.emit('notification', {
+      // Send to subscribed clients with the stored id so they can mark it read
+      subscriptionService.publish('notifications', notificationData.symbol || null, 'notification', {
         ...notificationData,
-        id: Date.now(),
-        timestamp: new Date()
+        id: result.id,
+        timestamp: createdAt
       });
     } catch (error) {
       console.error('Failed to create notification:', error.message);
@@ -390,18 +830,6 @@ class AlphaFxTraderServer {
       this.tradingSession.totalVolume = stats.total_volume || 0;
       this.tradingSession.totalPnl = stats.total_pnl || 0;
 
-      // Check if we should stop auto-trading
-      if (this.currentTradingVolume >= this.maxTradingVolume) {
-        this.isAutoTrading = false;
-        this.tradingSession.status = 'STOPPED';
-        
-        await this.createNotification({
-          type: 'SYSTEM',
-          title: 'Auto Trading Stopped',
-          message: `Trading volume limit of ${this.maxTradingVolume.toLocaleString()} reached`
-        });
-      }
-
       // Broadcast session update
       this.io.emit('trading_session_update', this.tradingSession);
 
@@ -412,46 +840,140 @@ class AlphaFxTraderServer {
 
   async cleanupOldData() {
     try {
-      // Keep only last 7 days of price data
-      const cutoffDate = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
-      
-      await database.run(
-        `DELETE FROM price_data WHERE timestamp < ?`,
-        [cutoffDate]
-      );
-
-      // Keep only last 30 days of technical indicators
-      await database.run(
-        `DELETE FROM technical_indicators WHERE timestamp < ?`,
-        [cutoffDate]
-      );
-
-      console.log('✅ Old data cleaned up successfully');
+      // Downsample and age out data per the retention policies
+      const result = await retentionService.run();
+
+      if (result) {
+        const deleted = Object.entries(result.deleted)
+          .filter(([, count]) => count > 0)
+          .map(([name, count]) => `${count} ${name}`);
+        console.log(`✅ Old data cleaned up successfully${deleted.length > 0 ? ` (deleted ${deleted.join(', ')})` : ''}`);
+      }
     } catch (error) {
       console.error('Failed to cleanup old data:', error.message);
     }
   }
 
+  /**
+   * Build the snapshot sent when a client subscribes to a channel
+   * @param {string} channel - Channel name
+   * @param {Array<string>} symbols - Subscribed symbols; '*' for all
+   * @returns {Promise<Array>} Latest prices, recent trades, current signals or recent notifications
+   */
+  async getSnapshot(channel, symbols) {
+    const allSymbols = symbols.includes(ALL_SYMBOLS);
+    const placeholders = symbols.map(() => '?').join(', ');
+
+    switch (channel) {
+      case 'prices':
+        return [...this.latestPrices.values()]
+          .filter(price => allSymbols || symbols.includes(price.symbol))
+          .map(price => ({ ...price, stale: marketDataService.isStale(price.symbol) }));
+
+      case 'trades':
+        return database.all(`
+          SELECT * FROM trades
+          ${allSymbols ? '' : `WHERE symbol IN (${placeholders})`}
+          ORDER BY created_at DESC
+          LIMIT 50
+        `, allSymbols ? [] : symbols);
+
+      case 'signals': {
+        const signalSymbols = allSymbols ? [...this.latestPrices.keys()] : symbols;
+        return Promise.all(signalSymbols.map(symbol => this.analyzeSymbol(symbol)));
+      }
+
+      case 'notifications':
+        return database.all(`
+          SELECT * FROM notifications
+          ${allSymbols ? '' : `WHERE symbol IS NULL OR symbol IN (${placeholders})`}
+          ORDER BY created_at DESC
+          LIMIT 20
+        `, allSymbols ? [] : symbols);
+
+      default:
+        return [];
+    }
+  }
+
   broadcastPriceUpdate(prices) {
-    this.io.emit('price_update', {
-      prices,
-      timestamp: new Date()
-    });
+    const timestamp = new Date();
+
+    subscriptionService.publishBatch('prices', prices, 'price_update', (subscribed) => ({
+      prices: subscribed,
+      timestamp
+    }));
   }
 
   broadcastTradeUpdate(trade) {
-    this.io.emit('trade_update', {
+    subscriptionService.publish('trades', trade.symbol, 'trade_update', {
       trade,
       timestamp: new Date()
     });
   }
 
+  // Signals are only computed for symbols someone subscribed to
+  async broadcastSignals(symbols) {
+    for (const symbol of symbols) {
+      if (subscriptionService.hasSubscribers('signals', symbol)) {
+        try {
+          const analysis = await this.analyzeSymbol(symbol);
+          subscriptionService.publish('signals', symbol, 'signal_update', analysis);
+        } catch (error) {
+          console.error(`Failed to broadcast signals for ${symbol}:`, error.message);
+        }
+      }
+    }
+  }
+
+  getTradingStatus() {
+    return {
+      ...tradingControl.getStatus(),
+      autoTrading: this.isAutoTrading,
+      timestamp: new Date()
+    };
+  }
+
+  async getAutoTradingAccountStatus() {
+    const account = await accountService.getSummary(accountService.systemAccountId);
+    if (!account) {
+      return null;
+    }
+
+    const { id, baseCurrency, balance, equity, usedMargin, freeMargin, marginLevel } = account;
+    return { id, baseCurrency, balance, equity, usedMargin, freeMargin, marginLevel };
+  }
+
+  broadcastTradingStatus() {
+    this.io.emit('trading_status_update', this.getTradingStatus());
+  }
+
+  broadcastMarketDataStatus() {
+    this.io.emit('market_data_status', { ...marketDataService.getStatus(), timestamp: new Date() });
+  }
+
+  // Send an account's event to its owner; events of the auto-trading
+  // account concern every authenticated user watching the desk
+  emitToAccountOwner(account, event, data) {
+    if (account.userId) {
+      this.io.to(`user:${account.userId}`).emit(event, data);
+    } else {
+      this.io.to('authenticated').emit(event, data);
+    }
+  }
+
+  broadcastPositionUpdate(position) {
+    this.io.to('authenticated').emit('position_update', {
+      position,
+      timestamp: new Date()
+    });
+  }
+
   startServer() {
     this.server.listen(this.port, () => {
       console.log(`🚀 AlphaFxTrader Server running on port ${this.port}`);
       console.log(`📊 WebSocket server ready for real-time connections`);
       console.log(`🤖 Auto-trading: ${this.isAutoTrading ? 'ENABLED' : 'DISABLED'}`);
-      console.log(`💰 Max trading volume: ${this.maxTradingVolume.toLocaleString()}`);
       console.log(`🌐 Health check: http://localhost:${this.port}/health`);
     });
   }
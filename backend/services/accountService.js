@@ -0,0 +1,622 @@
+import { EventEmitter } from 'events';
+import dotenv from 'dotenv';
+import database from '../database/database.js';
+import positionService from './positionService.js';
+
+dotenv.config();
+
+export const MAX_LEVERAGE = 500;
+
+const DEFAULT_BASE_CURRENCY = process.env.ACCOUNT_BASE_CURRENCY || 'USD';
+const DEFAULT_BALANCE = parseFloat(process.env.DEFAULT_ACCOUNT_BALANCE) || 100000;
+const DEFAULT_LEVERAGE = parseFloat(process.env.DEFAULT_ACCOUNT_LEVERAGE) || 30;
+const AUTO_TRADING_BALANCE = parseFloat(process.env.AUTO_TRADING_ACCOUNT_BALANCE) || 1000000;
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+const SYMBOL_PATTERN = /^[A-Z]{3}\/[A-Z]{3}$/;
+
+/**
+ * Round an amount to cents
+ * @param {number} value - Amount
+ * @returns {number} Rounded amount
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Account Service for AlphaFxTrader
+ * Trading accounts with a base currency, cash balance, leverage and
+ * optional per-symbol margin rates. Each account nets its own fills into
+ * positions; realized P&L is converted to the base currency and booked
+ * to the balance, with every change written to account_transactions.
+ * Equity, used margin and free margin are computed from the latest quotes.
+ *
+ * Margin for a position is its notional in the account currency times the
+ * symbol's margin rate, which defaults to 1 / leverage.
+ *
+ * Fills without an account (auto-trading, and trades from before accounts
+ * existed) belong to the system "Auto Trading" account.
+ *
+ * Events:
+ * - account_update: an account's balance, positions or marks changed
+ */
+class AccountService extends EventEmitter {
+  constructor() {
+    super();
+    this.quotes = new Map(); // Latest { bid, ask, price } per symbol
+    this.positions = new Map(); // account id -> Map of symbol -> position
+    this.systemAccountId = null;
+  }
+
+  /**
+   * Load account positions and latest quotes, and set up the auto-trading
+   * account on first start
+   */
+  async initialize() {
+    await this.loadQuotes();
+
+    const rows = await database.all('SELECT * FROM account_positions');
+    rows.forEach(row => {
+      this.getOrCreatePosition(row.account_id, row.symbol);
+      Object.assign(this.positions.get(row.account_id).get(row.symbol), {
+        quantity: row.quantity,
+        averagePrice: row.average_price,
+        realizedPnl: row.realized_pnl,
+        updatedAt: row.updated_at
+      });
+    });
+
+    let systemAccount = await database.get('SELECT id FROM accounts WHERE is_system = 1');
+    if (!systemAccount) {
+      systemAccount = await this.createAccount({
+        userId: null,
+        name: 'Auto Trading',
+        balance: AUTO_TRADING_BALANCE,
+        isSystem: true
+      });
+
+      // Fills from before accounts existed are attributed to auto-trading
+      await database.run('UPDATE trades SET account_id = ? WHERE account_id IS NULL', [systemAccount.id]);
+      await this.rebuildPositions();
+    }
+
+    this.systemAccountId = systemAccount.id;
+  }
+
+  /**
+   * Load the latest quote of every symbol from price_data
+   */
+  async loadQuotes() {
+    const rows = await database.all(`
+      SELECT p.symbol, p.bid_price, p.ask_price, p.mid_price
+      FROM price_data p
+      JOIN (
+        SELECT symbol, MAX(timestamp) AS timestamp FROM price_data GROUP BY symbol
+      ) latest ON latest.symbol = p.symbol AND latest.timestamp = p.timestamp
+    `);
+
+    rows.forEach(row => {
+      this.quotes.set(row.symbol, { bid: row.bid_price, ask: row.ask_price, price: row.mid_price });
+    });
+  }
+
+  /**
+   * Replay filled trades into account positions and balances, storing the
+   * realized P&L each booked in trades.pnl. Realized P&L is converted at
+   * current rates, since historical rates are not kept.
+   */
+  async rebuildPositions() {
+    this.positions.clear();
+
+    const trades = await database.all(`
+      SELECT * FROM trades WHERE status = 'FILLED' AND account_id IS NOT NULL ORDER BY filled_at ASC
+    `);
+
+    for (const trade of trades) {
+      const amount = await this.applyFill(trade, { silent: true });
+      await database.run('UPDATE trades SET pnl = ? WHERE id = ?', [amount, trade.id]);
+    }
+  }
+
+  /**
+   * Validate account settings
+   * @param {Object} data - { name, baseCurrency, balance, leverage, marginRates }
+   * @returns {string|null} Validation error message, or null when valid
+   */
+  validateAccount({ name, baseCurrency, balance, leverage, marginRates } = {}) {
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      return 'name must be a non-empty string';
+    }
+
+    if (baseCurrency !== undefined && !CURRENCY_PATTERN.test(baseCurrency)) {
+      return 'baseCurrency must be a three-letter currency code, e.g. USD';
+    }
+
+    if (balance !== undefined && !(Number(balance) >= 0)) {
+      return 'balance must be a non-negative number';
+    }
+
+    if (leverage !== undefined && !(Number(leverage) >= 1 && Number(leverage) <= MAX_LEVERAGE)) {
+      return `leverage must be between 1 and ${MAX_LEVERAGE}`;
+    }
+
+    if (marginRates !== undefined) {
+      if (!marginRates || typeof marginRates !== 'object' || Array.isArray(marginRates)) {
+        return 'marginRates must be an object of symbol to margin rate';
+      }
+
+      for (const [symbol, rate] of Object.entries(marginRates)) {
+        if (!SYMBOL_PATTERN.test(symbol)) {
+          return `Invalid symbol in marginRates: ${symbol}`;
+        }
+        if (!(Number(rate) > 0 && Number(rate) <= 1)) {
+          return `Margin rate for ${symbol} must be greater than 0 and at most 1`;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Convert a database row to an account object
+   * @param {Object} row - accounts table row
+   * @returns {Object} Account
+   */
+  fromRow(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      name: row.name,
+      baseCurrency: row.base_currency,
+      balance: row.balance,
+      leverage: row.leverage,
+      marginRates: row.margin_rates ? JSON.parse(row.margin_rates) : {},
+      isSystem: Boolean(row.is_system),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Create an account, booking the opening balance as a deposit
+   * @param {Object} data - { userId, name, baseCurrency, balance, leverage, marginRates, isSystem }
+   * @returns {Promise<Object>} Account
+   */
+  async createAccount({
+    userId,
+    name = 'Trading account',
+    baseCurrency = DEFAULT_BASE_CURRENCY,
+    balance = DEFAULT_BALANCE,
+    leverage = DEFAULT_LEVERAGE,
+    marginRates = {},
+    isSystem = false
+  }) {
+    const now = new Date();
+    const openingBalance = Number(balance);
+
+    const result = await database.run(`
+      INSERT INTO accounts (
+        user_id, name, base_currency, balance, leverage, margin_rates, is_system, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      userId, name.trim(), baseCurrency, openingBalance, Number(leverage),
+      JSON.stringify(marginRates), isSystem ? 1 : 0, now, now
+    ]);
+
+    if (openingBalance > 0) {
+      await this.recordTransaction(result.id, {
+        type: 'DEPOSIT',
+        amount: openingBalance,
+        balanceAfter: openingBalance
+      });
+    }
+
+    return this.getAccount(result.id);
+  }
+
+  /**
+   * Change an account's name, leverage or margin rates
+   * @param {number} id - Account id
+   * @param {Object} changes - { name, leverage, marginRates }
+   * @returns {Promise<Object|null>} Account summary, or null if not found
+   */
+  async updateAccount(id, { name, leverage, marginRates }) {
+    const account = await this.getAccount(id);
+    if (!account) {
+      return null;
+    }
+
+    await database.run(`
+      UPDATE accounts SET name = ?, leverage = ?, margin_rates = ?, updated_at = ? WHERE id = ?
+    `, [
+      name !== undefined ? name.trim() : account.name,
+      leverage !== undefined ? Number(leverage) : account.leverage,
+      JSON.stringify(marginRates !== undefined ? marginRates : account.marginRates),
+      new Date(),
+      id
+    ]);
+
+    const summary = await this.getSummary(id);
+    this.emit('account_update', summary);
+
+    return summary;
+  }
+
+  /**
+   * Get an account
+   * @param {number} id - Account id
+   * @returns {Promise<Object|null>} Account
+   */
+  async getAccount(id) {
+    const row = await database.get('SELECT * FROM accounts WHERE id = ?', [id]);
+    return row ? this.fromRow(row) : null;
+  }
+
+  /**
+   * List accounts
+   * @param {Object} filters - { userId } limits the list to one user's accounts
+   * @returns {Promise<Array>} Accounts
+   */
+  async getAccounts({ userId } = {}) {
+    const rows = userId === undefined
+      ? await database.all('SELECT * FROM accounts ORDER BY id')
+      : await database.all('SELECT * FROM accounts WHERE user_id = ? ORDER BY id', [userId]);
+
+    return rows.map(row => this.fromRow(row));
+  }
+
+  /**
+   * Get a user's first account, opening one with the default balance and
+   * leverage if they have none yet
+   * @param {number} userId - User id
+   * @returns {Promise<Object>} Account
+   */
+  async getDefaultAccount(userId) {
+    const row = await database.get('SELECT * FROM accounts WHERE user_id = ? ORDER BY id LIMIT 1', [userId]);
+    return row ? this.fromRow(row) : this.createAccount({ userId });
+  }
+
+  /**
+   * Get the account a user trades on: the given one if they own it,
+   * otherwise their default account
+   * @param {number} userId - User id
+   * @param {number|string} [accountId] - Requested account id
+   * @returns {Promise<Object|null>} Account, or null if the requested account is not theirs
+   */
+  async getTradingAccount(userId, accountId) {
+    if (accountId === undefined || accountId === null || accountId === '') {
+      return this.getDefaultAccount(userId);
+    }
+
+    const account = await this.getAccount(parseInt(accountId));
+    return account && account.userId === userId ? account : null;
+  }
+
+  /**
+   * Get an account's position in a symbol, creating a flat one if missing
+   * @param {number} accountId - Account id
+   * @param {string} symbol - Currency pair symbol
+   * @returns {Object} Position
+   */
+  getOrCreatePosition(accountId, symbol) {
+    if (!this.positions.has(accountId)) {
+      this.positions.set(accountId, new Map());
+    }
+
+    const positions = this.positions.get(accountId);
+    if (!positions.has(symbol)) {
+      positions.set(symbol, { symbol, quantity: 0, averagePrice: 0, realizedPnl: 0, updatedAt: null });
+    }
+
+    return positions.get(symbol);
+  }
+
+  /**
+   * Get an account's position in a symbol
+   * @param {number} accountId - Account id
+   * @param {string} symbol - Currency pair symbol
+   * @returns {Object|null} Position, or null if the account never traded the symbol
+   */
+  getPosition(accountId, symbol) {
+    const positions = this.positions.get(accountId);
+    return (positions && positions.get(symbol)) || null;
+  }
+
+  /**
+   * Get an account's open positions
+   * @param {number} accountId - Account id
+   * @returns {Array} Positions
+   */
+  getPositions(accountId) {
+    return Array.from((this.positions.get(accountId) || new Map()).values())
+      .filter(position => position.quantity !== 0);
+  }
+
+  /**
+   * Get every open position of every account
+   * @returns {Array} { accountId, symbol, quantity }
+   */
+  getOpenPositions() {
+    const open = [];
+
+    this.positions.forEach((positions, accountId) => {
+      positions.forEach(position => {
+        if (position.quantity !== 0) {
+          open.push({ accountId, symbol: position.symbol, quantity: position.quantity });
+        }
+      });
+    });
+
+    return open;
+  }
+
+  /**
+   * Convert an amount between currencies at the latest mid prices, directly
+   * or through USD
+   * @param {number} amount - Amount in the source currency
+   * @param {string} from - Source currency
+   * @param {string} to - Target currency
+   * @returns {number|null} Converted amount, or null if no rate is known
+   */
+  convert(amount, from, to) {
+    if (from === to) {
+      return amount;
+    }
+
+    const direct = this.quotes.get(`${from}/${to}`);
+    if (direct) {
+      return amount * direct.price;
+    }
+
+    const inverse = this.quotes.get(`${to}/${from}`);
+    if (inverse) {
+      return amount / inverse.price;
+    }
+
+    if (from !== 'USD' && to !== 'USD') {
+      const usd = this.convert(amount, from, 'USD');
+      return usd === null ? null : this.convert(usd, 'USD', to);
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the margin rate an account applies to a symbol
+   * @param {Object} account - Account
+   * @param {string} symbol - Currency pair symbol
+   * @returns {number} Margin rate (fraction of notional)
+   */
+  getMarginRate(account, symbol) {
+    return account.marginRates[symbol] ?? 1 / account.leverage;
+  }
+
+  /**
+   * Calculate the margin a position size requires
+   * @param {Object} account - Account
+   * @param {string} symbol - Currency pair symbol
+   * @param {number} quantity - Signed position quantity in base currency units
+   * @returns {number|null} Margin in the account currency, or null if no rate is known
+   */
+  calculateMargin(account, symbol, quantity) {
+    if (quantity === 0) {
+      return 0;
+    }
+
+    const [baseCurrency] = symbol.split('/');
+    const notional = this.convert(Math.abs(quantity), baseCurrency, account.baseCurrency);
+
+    return notional === null ? null : notional * this.getMarginRate(account, symbol);
+  }
+
+  /**
+   * Get an account with equity, used margin and free margin at the latest quotes
+   * @param {number} id - Account id
+   * @returns {Promise<Object|null>} Account summary, or null if not found
+   */
+  async getSummary(id) {
+    const account = await this.getAccount(id);
+    if (!account) {
+      return null;
+    }
+
+    const positions = this.getPositions(id).map(position => {
+      const [, quoteCurrency] = position.symbol.split('/');
+      const quote = this.quotes.get(position.symbol);
+      const markPrice = quote ? (position.quantity > 0 ? quote.bid : quote.ask) : position.averagePrice;
+      const unrealizedPnl = this.convert(
+        positionService.calculateUnrealizedPnl(position, markPrice),
+        quoteCurrency,
+        account.baseCurrency
+      ) || 0;
+
+      return {
+        symbol: position.symbol,
+        quantity: position.quantity,
+        averagePrice: position.averagePrice,
+        markPrice,
+        unrealizedPnl: round(unrealizedPnl),
+        usedMargin: round(this.calculateMargin(account, position.symbol, position.quantity) || 0),
+        marginRate: this.getMarginRate(account, position.symbol)
+      };
+    });
+
+    const unrealizedPnl = positions.reduce((sum, position) => sum + position.unrealizedPnl, 0);
+    const usedMargin = positions.reduce((sum, position) => sum + position.usedMargin, 0);
+    const equity = account.balance + unrealizedPnl;
+
+    return {
+      ...account,
+      balance: round(account.balance),
+      unrealizedPnl: round(unrealizedPnl),
+      equity: round(equity),
+      usedMargin: round(usedMargin),
+      freeMargin: round(equity - usedMargin),
+      marginLevel: usedMargin > 0 ? round(equity / usedMargin * 100) : null,
+      positions,
+      timestamp: new Date()
+    };
+  }
+
+  /**
+   * Check that an account has the free margin an order needs. Orders that
+   * shrink the position always pass.
+   * @param {Object} order - Order with account_id, symbol, action and quantity
+   * @returns {Promise<Object>} { approved, rule, reason }
+   */
+  async checkMargin(order) {
+    const account = await this.getAccount(order.account_id);
+    if (!account) {
+      return { approved: false, rule: 'MARGIN', reason: `Account ${order.account_id} not found` };
+    }
+
+    const position = this.getOrCreatePosition(account.id, order.symbol);
+    const fillQuantity = order.action === 'BUY' ? order.quantity : -order.quantity;
+    const currentMargin = this.calculateMargin(account, order.symbol, position.quantity);
+    const resultingMargin = this.calculateMargin(account, order.symbol, position.quantity + fillQuantity);
+
+    if (currentMargin === null || resultingMargin === null) {
+      return {
+        approved: false,
+        rule: 'MARGIN',
+        reason: `No rate to convert ${order.symbol} into ${account.baseCurrency}`
+      };
+    }
+
+    const requiredMargin = resultingMargin - currentMargin;
+    if (requiredMargin <= 0) {
+      return { approved: true };
+    }
+
+    const { freeMargin } = await this.getSummary(account.id);
+    if (requiredMargin > freeMargin) {
+      return {
+        approved: false,
+        rule: 'MARGIN',
+        reason: `Insufficient margin: order requires ${requiredMargin.toFixed(2)} ${account.baseCurrency}, ` +
+          `free margin is ${freeMargin.toFixed(2)} ${account.baseCurrency}`
+      };
+    }
+
+    return { approved: true };
+  }
+
+  /**
+   * Net a fill into its account's position and book the realized P&L,
+   * converted to the account currency, to the balance
+   * @param {Object} trade - Filled trade with account_id, symbol, action, quantity and price
+   * @param {Object} options - { silent } suppresses the account_update event
+   * @returns {Promise<number>} Amount credited (negative: debited) to the balance
+   */
+  async applyFill(trade, { silent = false } = {}) {
+    const account = await this.getAccount(trade.account_id);
+    if (!account) {
+      return 0;
+    }
+
+    // The fill price is the best rate we have for a symbol without quotes yet
+    if (!this.quotes.has(trade.symbol)) {
+      this.quotes.set(trade.symbol, { bid: trade.price, ask: trade.price, price: trade.price });
+    }
+
+    const position = this.getOrCreatePosition(account.id, trade.symbol);
+    const realizedPnl = positionService.netFill(position, trade);
+    position.updatedAt = new Date();
+
+    await database.run(`
+      INSERT INTO account_positions (account_id, symbol, quantity, average_price, realized_pnl, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(account_id, symbol) DO UPDATE SET
+        quantity = excluded.quantity,
+        average_price = excluded.average_price,
+        realized_pnl = excluded.realized_pnl,
+        updated_at = excluded.updated_at
+    `, [account.id, trade.symbol, position.quantity, position.averagePrice, position.realizedPnl, position.updatedAt]);
+
+    let amount = 0;
+    if (realizedPnl !== 0) {
+      const [, quoteCurrency] = trade.symbol.split('/');
+      amount = round(this.convert(realizedPnl, quoteCurrency, account.baseCurrency) ?? 0);
+
+      // Updated in place: other fills on the account may have booked since it was read
+      const { balance: balanceAfter } = await database.get(
+        'UPDATE accounts SET balance = balance + ?, updated_at = ? WHERE id = ? RETURNING balance',
+        [amount, new Date(), account.id]
+      );
+      await this.recordTransaction(account.id, {
+        tradeId: trade.id,
+        type: 'REALIZED_PNL',
+        amount,
+        balanceAfter
+      });
+    }
+
+    if (!silent) {
+      this.emit('account_update', await this.getSummary(account.id));
+    }
+
+    return amount;
+  }
+
+  /**
+   * Store the latest quotes and publish fresh summaries of the accounts
+   * holding positions in them
+   * @param {Array} prices - Price ticks with symbol, bid, ask and price
+   * @returns {Promise<Array>} Updated account summaries
+   */
+  async markToMarket(prices) {
+    prices.forEach(price => {
+      this.quotes.set(price.symbol, { bid: price.bid, ask: price.ask, price: price.price });
+    });
+
+    const symbols = new Set(prices.map(price => price.symbol));
+    const summaries = [];
+
+    for (const [accountId, positions] of this.positions) {
+      const affected = Array.from(positions.values())
+        .some(position => position.quantity !== 0 && symbols.has(position.symbol));
+
+      if (affected) {
+        const summary = await this.getSummary(accountId);
+        this.emit('account_update', summary);
+        summaries.push(summary);
+      }
+    }
+
+    return summaries;
+  }
+
+  /**
+   * Write a balance change to the ledger
+   * @param {number} accountId - Account id
+   * @param {Object} entry - { tradeId, type, amount, balanceAfter }
+   */
+  async recordTransaction(accountId, { tradeId = null, type, amount, balanceAfter }) {
+    await database.run(`
+      INSERT INTO account_transactions (account_id, trade_id, type, amount, balance_after, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [accountId, tradeId, type, amount, balanceAfter, new Date()]);
+  }
+
+  /**
+   * Get an account's balance changes, newest first
+   * @param {number} accountId - Account id
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Array>} Ledger entries
+   */
+  async getTransactions(accountId, { limit = 100, offset = 0 } = {}) {
+    return database.all(`
+      SELECT * FROM account_transactions
+      WHERE account_id = ?
+      ORDER BY created_at DESC, id DESC
+      LIMIT ? OFFSET ?
+    `, [accountId, parseInt(limit), parseInt(offset)]);
+  }
+}
+
+// Create singleton instance
+const accountService = new AccountService();
+
+export default accountService;
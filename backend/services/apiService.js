@@ -1,11 +1,15 @@
 import axios from 'axios';
 import dotenv from 'dotenv';
+import marketDataService from './marketDataService.js';
+import candleService from './candleService.js';
 
 dotenv.config();
 
 /**
  * External API Service for Forex Data
- * Integrates with Exchange Rate API and other data sources
+ * Quotes come from the market data service's primary or backup provider
+ * (see marketData/providers.js); the HTTP provider's requests go through
+ * this service's rate limiting.
  */
 
 class APIService {
@@ -79,178 +83,47 @@ class APIService {
   }
 
   /**
-   * Get current exchange rates for major currency pairs
-   * @returns {Promise<Array>} Array of currency pair data
+   * Create the market data providers; the HTTP provider is rate limited here
    */
-  async getCurrentRates() {
-    try {
-      // For demo purposes, use mock data instead of external API
-      return this.getMockRates();
-      
-      // Uncomment below for real API integration
-      /*
-      const data = await this.makeRequest(this.exchangeRateBaseURL);
-      
-      if (!data.rates) {
-        throw new Error('Invalid response format from exchange rate API');
-      }
-
-      // Convert to our format
-      const currencyPairs = [
-        'EUR', 'GBP', 'JPY', 'AUD', 'CAD', 'CHF', 'NZD'
-      ];
-
-      const baseCurrency = data.base || 'USD';
-      const rates = data.rates;
-      const timestamp = new Date(data.date || Date.now());
-
-      const result = [];
-
-      // Create major pairs
-      const majorPairs = [
-        { symbol: 'EUR/USD', base: 'EUR', quote: 'USD' },
-        { symbol: 'GBP/USD', base: 'GBP', quote: 'USD' },
-        { symbol: 'USD/JPY', base: 'USD', quote: 'JPY' },
-        { symbol: 'AUD/USD', base: 'AUD', quote: 'USD' },
-        { symbol: 'USD/CAD', base: 'USD', quote: 'CAD' },
-        { symbol: 'USD/CHF', base: 'USD', quote: 'CHF' },
-        { symbol: 'NZD/USD', base: 'NZD', quote: 'USD' },
-        { symbol: 'EUR/GBP', base: 'EUR', quote: 'GBP' }
-      ];
-
-      for (const pair of majorPairs) {
-        try {
-          let rate;
-          
-          if (pair.base === baseCurrency) {
-            // Direct rate
-            rate = rates[pair.quote] || 1;
-          } else if (pair.quote === baseCurrency) {
-            // Inverse rate
-            rate = 1 / (rates[pair.base] || 1);
-          } else {
-            // Cross rate
-            const baseToUSD = rates[pair.base] || 1;
-            const quoteToUSD = rates[pair.quote] || 1;
-            rate = baseToUSD / quoteToUSD;
-          }
-
-          // Add spread (simulate bid/ask)
-          const spread = 0.0002; // 2 pips for major pairs
-          const bid = rate - spread / 2;
-          const ask = rate + spread / 2;
-
-          result.push({
-            symbol: pair.symbol,
-            bid: parseFloat(bid.toFixed(5)),
-            ask: parseFloat(ask.toFixed(5)),
-            price: parseFloat(rate.toFixed(5)),
-            timestamp,
-            source: 'exchange-rate-api'
-          });
-        } catch (error) {
-          console.warn(`Failed to get rate for ${pair.symbol}:`, error.message);
-        }
-      }
-
-      return result;
-      */
-    } catch (error) {
-      console.error('Failed to get current rates:', error.message);
-      // Fallback to mock data
-      return this.getMockRates();
-    }
+  async start() {
+    await marketDataService.initialize({ request: (url) => this.makeRequest(url) });
   }
 
   /**
-   * Get mock exchange rates for demo purposes
-   * @returns {Array} Array of mock currency pair data
+   * Get the latest rates from the active market data feed
+   * @returns {Promise<Array>} Price ticks { symbol, bid, ask, price, timestamp, source }
    */
-  getMockRates() {
-    const timestamp = new Date();
-    const basePrices = {
-      'EUR/USD': 1.0850,
-      'GBP/USD': 1.2650,
-      'USD/JPY': 149.50,
-      'AUD/USD': 0.6580,
-      'USD/CAD': 1.3650,
-      'USD/CHF': 0.8750,
-      'NZD/USD': 0.6120,
-      'EUR/GBP': 0.8580
-    };
-
-    const result = [];
-
-    for (const [symbol, basePrice] of Object.entries(basePrices)) {
-      // Add some random fluctuation
-      const fluctuation = (Math.random() - 0.5) * 0.001; // 0.1% max change
-      const currentPrice = basePrice * (1 + fluctuation);
-      
-      // Add spread
-      const spread = 0.0002; // 2 pips for major pairs
-      const bid = currentPrice - spread / 2;
-      const ask = currentPrice + spread / 2;
-
-      result.push({
-        symbol,
-        bid: parseFloat(bid.toFixed(5)),
-        ask: parseFloat(ask.toFixed(5)),
-        price: parseFloat(currentPrice.toFixed(5)),
-        timestamp,
-        source: 'mock-data'
-      });
-    }
-
-    return result;
+  async getCurrentRates() {
+    return marketDataService.getRates();
   }
 
   /**
-   * Get historical rates for a currency pair
+   * Get daily historical rates for a currency pair from the stored 1D
+   * candles, which include imported history (see historicalDataService)
    * @param {string} symbol - Currency pair symbol
    * @param {Date} startDate - Start date
    * @param {Date} endDate - End date
-   * @returns {Promise<Array>} Historical rate data
+   * @returns {Promise<Array>} Historical rate data, one entry per day at its close
    */
   async getHistoricalRates(symbol, startDate, endDate) {
     try {
-      // For demo purposes, we'll simulate historical data
-      // In production, you would use a proper historical data API
-      const [base, quote] = symbol.split('/');
-      const daysDiff = Math.ceil((endDate - startDate) / (1000 * 60 * 60 * 24));
-      
-      const historicalData = [];
-      let currentDate = new Date(startDate);
-      
-      // Simulate price movement
-      let basePrice = 1.0;
-      if (symbol === 'EUR/USD') basePrice = 1.0850;
-      else if (symbol === 'GBP/USD') basePrice = 1.2650;
-      else if (symbol === 'USD/JPY') basePrice = 149.50;
-      else if (symbol === 'AUD/USD') basePrice = 0.6580;
-      else if (symbol === 'USD/CAD') basePrice = 1.3650;
-
-      for (let i = 0; i < daysDiff; i++) {
-        // Simulate random walk with slight upward bias
-        const change = (Math.random() - 0.5) * 0.01; // 1% max change
-        basePrice *= (1 + change);
-        
-        const spread = 0.0002;
-        const bid = basePrice - spread / 2;
-        const ask = basePrice + spread / 2;
-
-        historicalData.push({
-          symbol,
-          bid: parseFloat(bid.toFixed(5)),
-          ask: parseFloat(ask.toFixed(5)),
-          price: parseFloat(basePrice.toFixed(5)),
-          timestamp: new Date(currentDate),
-          volume: Math.floor(Math.random() * 1000000) + 100000
-        });
-
-        currentDate.setDate(currentDate.getDate() + 1);
-      }
+      const candles = await candleService.getCandles(symbol, '1D', {
+        from: startDate,
+        to: endDate,
+        includeForming: false
+      });
 
-      return historicalData;
+      return candles.map(candle => ({
+        symbol,
+        bid: candle.closeBid ?? candle.close,
+        ask: candle.closeAsk ?? candle.close,
+        price: candle.close,
+        open: candle.open,
+        high: candle.high,
+        low: candle.low,
+        timestamp: candle.closeTime,
+        volume: candle.tickCount
+      }));
     } catch (error) {
       console.error('Failed to get historical rates:', error.message);
       throw error;
@@ -337,29 +210,15 @@ class APIService {
   }
 
   /**
-   * Health check for API connectivity
-   * @returns {Promise<Object>} Health status
+   * Health check for the market data feeds
+   * @returns {Promise<Object>} Health status with the active feed
    */
   async healthCheck() {
-    try {
-      const startTime = Date.now();
-      await this.makeRequest(this.exchangeRateBaseURL);
-      const responseTime = Date.now() - startTime;
-
-      return {
-        status: 'healthy',
-        responseTime,
-        lastCheck: new Date(),
-        rateLimitRemaining: this.maxRequestsPerMinute - this.requestCount
-      };
-    } catch (error) {
-      return {
-        status: 'unhealthy',
-        error: error.message,
-        lastCheck: new Date(),
-        rateLimitRemaining: this.maxRequestsPerMinute - this.requestCount
-      };
-    }
+    return {
+      ...await marketDataService.healthCheck(),
+      lastCheck: new Date(),
+      rateLimitRemaining: this.maxRequestsPerMinute - this.requestCount
+    };
   }
 }
 
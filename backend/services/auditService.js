@@ -0,0 +1,63 @@
+import database from '../database/database.js';
+
+/**
+ * Audit Service for AlphaFxTrader
+ * Records operator actions such as kill switch activations in the
+ * audit_log table.
+ */
+class AuditService {
+  /**
+   * Record an audit entry
+   * @param {Object} entry - { action, actor, reason, details }
+   * @returns {Promise<Object>} Stored entry
+   */
+  async record({ action, actor, reason = null, details = null }) {
+    const createdAt = new Date();
+
+    const result = await database.run(`
+      INSERT INTO audit_log (action, actor, reason, details, created_at)
+      VALUES (?, ?, ?, ?, ?)
+    `, [action, actor, reason, details ? JSON.stringify(details) : null, createdAt]);
+
+    return {
+      id: result.id,
+      action,
+      actor,
+      reason,
+      details,
+      created_at: createdAt
+    };
+  }
+
+  /**
+   * Get audit entries, newest first
+   * @param {Object} filters - { action, limit, offset }
+   * @returns {Promise<Array>} Audit entries
+   */
+  async getEntries({ action, limit = 100, offset = 0 } = {}) {
+    let whereClause = 'WHERE 1=1';
+    const params = [];
+
+    if (action) {
+      whereClause += ' AND action = ?';
+      params.push(action);
+    }
+
+    const rows = await database.all(`
+      SELECT * FROM audit_log
+      ${whereClause}
+      ORDER BY created_at DESC
+      LIMIT ? OFFSET ?
+    `, [...params, parseInt(limit), parseInt(offset)]);
+
+    return rows.map(row => ({
+      ...row,
+      details: row.details ? JSON.parse(row.details) : null
+    }));
+  }
+}
+
+// Create singleton instance
+const auditService = new AuditService();
+
+export default auditService;
@@ -0,0 +1,330 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import jwt from 'jsonwebtoken';
+import { v4 as uuidv4 } from 'uuid';
+import database from '../database/database.js';
+import { ROLES, DEFAULT_ROLE, getPermissions } from './permissions.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+const KEY_LENGTH = 64;
+
+/**
+ * Auth Service for AlphaFxTrader
+ * Stores users with scrypt-hashed passwords and issues JWTs. Access
+ * tokens are short-lived and stateless; refresh tokens are tracked in
+ * the refresh_tokens table so they can be rotated and revoked.
+ */
+class AuthService {
+  constructor() {
+    this.accessTokenTtl = process.env.JWT_ACCESS_TTL || '15m';
+    this.refreshTokenTtl = process.env.JWT_REFRESH_TTL || '7d';
+    // With ADMIN_EMAIL set, only that user becomes admin on registration
+    this.adminEmail = process.env.ADMIN_EMAIL ? process.env.ADMIN_EMAIL.trim().toLowerCase() : null;
+    this.secret = null;
+  }
+
+  /**
+   * Load the signing secret and make sure there is an admin
+   */
+  async initialize() {
+    this.secret = process.env.JWT_SECRET;
+    if (!this.secret) {
+      // Tokens signed with a random secret stop working on restart
+      this.secret = crypto.randomBytes(32).toString('hex');
+      console.warn('⚠️ JWT_SECRET is not set; using a random secret for this process');
+    }
+
+    // Someone has to be able to manage users: without an admin, the ADMIN_EMAIL
+    // user, or else the first user, becomes one
+    const { admins } = await database.get(`SELECT COUNT(*) as admins FROM users WHERE role = 'admin'`);
+    if (admins === 0) {
+      if (this.adminEmail) {
+        await database.run(`UPDATE users SET role = 'admin' WHERE email = ?`, [this.adminEmail]);
+      } else {
+        await database.run(`UPDATE users SET role = 'admin' WHERE id = (SELECT MIN(id) FROM users)`);
+      }
+    }
+
+    if (!this.adminEmail && process.env.NODE_ENV === 'production') {
+      console.warn('⚠️ ADMIN_EMAIL is not set; the first user to register becomes admin');
+    }
+  }
+
+  /**
+   * Validate a registration request
+   * @param {Object} userData - { email, password, name }
+   * @returns {string|null} Validation error message, or null when valid
+   */
+  validateRegistration({ email, password, name } = {}) {
+    if (typeof email !== 'string' || !EMAIL_PATTERN.test(email)) {
+      return 'A valid email is required';
+    }
+
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+
+    if (name !== undefined && name !== null && typeof name !== 'string') {
+      return 'name must be a string';
+    }
+
+    return null;
+  }
+
+  /**
+   * Hash a password with a random salt
+   * @param {string} password - Plain text password
+   * @returns {Promise<string>} `salt:hash` in hex
+   */
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    return `${salt}:${hash.toString('hex')}`;
+  }
+
+  /**
+   * Check a password against a stored hash
+   * @param {string} password - Plain text password
+   * @param {string} passwordHash - Stored `salt:hash`
+   * @returns {Promise<boolean>} True if the password matches
+   */
+  async verifyPassword(password, passwordHash) {
+    const [salt, hash] = passwordHash.split(':');
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(password, salt, KEY_LENGTH);
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Create a user. The first user becomes admin, everyone else starts as
+   * a viewer until an admin changes their role.
+   * @param {Object} userData - { email, password, name }
+   * @returns {Promise<Object|null>} Public user record, or null if the email is already registered
+   */
+  async register({ email, password, name = null }) {
+    const validationError = this.validateRegistration({ email, password, name });
+    if (validationError) {
+      throw new Error(validationError);
+    }
+
+    const normalizedEmail = email.trim().toLowerCase();
+    const existing = await database.get('SELECT id FROM users WHERE email = ?', [normalizedEmail]);
+    if (existing) {
+      return null;
+    }
+
+    // Without ADMIN_EMAIL the first user becomes admin. That is decided by the
+    // insert itself, so two registrations racing on an empty table cannot both be.
+    const role = this.adminEmail && normalizedEmail === this.adminEmail ? 'admin' : DEFAULT_ROLE;
+    const firstUserRole = this.adminEmail ? role : 'admin';
+
+    const createdAt = new Date();
+    let user;
+    try {
+      user = await database.get(`
+        INSERT INTO users (email, name, password_hash, role, created_at)
+        SELECT ?, ?, ?, CASE WHEN EXISTS (SELECT 1 FROM users) THEN ? ELSE ? END, ?
+        RETURNING id, role
+      `, [normalizedEmail, name, await this.hashPassword(password), role, firstUserRole, createdAt]);
+    } catch (error) {
+      // Registered by a concurrent request since the check above
+      if (error.code === 'SQLITE_CONSTRAINT') {
+        return null;
+      }
+      throw error;
+    }
+
+    return this.toPublicUser({ id: user.id, email: normalizedEmail, name, role: user.role, created_at: createdAt });
+  }
+
+  /**
+   * Check credentials and issue tokens
+   * @param {Object} credentials - { email, password }
+   * @returns {Promise<Object|null>} { user, accessToken, refreshToken, expiresIn }, or null for bad credentials
+   */
+  async login({ email, password }) {
+    if (typeof email !== 'string' || typeof password !== 'string') {
+      return null;
+    }
+
+    const user = await database.get('SELECT * FROM users WHERE email = ?', [email.trim().toLowerCase()]);
+    if (!user || !(await this.verifyPassword(password, user.password_hash))) {
+      return null;
+    }
+
+    await database.run('UPDATE users SET last_login_at = ? WHERE id = ?', [new Date(), user.id]);
+
+    return this.issueTokens(this.toPublicUser(user));
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair. The old refresh token
+   * is revoked, so each one can only be used once.
+   * @param {string} refreshToken - Refresh token
+   * @returns {Promise<Object|null>} New tokens, or null if the token is invalid, expired or revoked
+   */
+  async refresh(refreshToken) {
+    const payload = this.verifyToken(refreshToken, 'refresh');
+    if (!payload) {
+      return null;
+    }
+
+    // Revoking first makes a concurrent second use of the same token fail
+    if (!(await this.revokeRefreshToken(payload.jti))) {
+      return null;
+    }
+
+    const user = await this.getUser(parseInt(payload.sub));
+    return user ? this.issueTokens(user) : null;
+  }
+
+  /**
+   * Revoke a refresh token
+   * @param {string} refreshToken - Refresh token
+   * @returns {Promise<boolean>} True if an active token was revoked
+   */
+  async logout(refreshToken) {
+    const payload = this.verifyToken(refreshToken, 'refresh');
+    if (!payload) {
+      return false;
+    }
+
+    return this.revokeRefreshToken(payload.jti);
+  }
+
+  /**
+   * Revoke a refresh token by id
+   * @param {string} tokenId - Refresh token id (jti)
+   * @returns {Promise<boolean>} True if an active token was revoked
+   */
+  async revokeRefreshToken(tokenId) {
+    const result = await database.run(`
+      UPDATE refresh_tokens SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL
+    `, [new Date(), tokenId]);
+
+    return result.changes > 0;
+  }
+
+  /**
+   * Sign an access token and a stored refresh token for a user
+   * @param {Object} user - Public user record
+   * @returns {Promise<Object>} { user, accessToken, refreshToken, expiresIn }
+   */
+  async issueTokens(user) {
+    const tokenId = uuidv4();
+    const accessToken = jwt.sign(
+      { sub: String(user.id), email: user.email, type: 'access' },
+      this.secret,
+      { expiresIn: this.accessTokenTtl }
+    );
+    const refreshToken = jwt.sign(
+      { sub: String(user.id), type: 'refresh' },
+      this.secret,
+      { expiresIn: this.refreshTokenTtl, jwtid: tokenId }
+    );
+
+    const { exp } = jwt.decode(refreshToken);
+    await database.run(`
+      INSERT INTO refresh_tokens (id, user_id, expires_at, created_at)
+      VALUES (?, ?, ?, ?)
+    `, [tokenId, user.id, new Date(exp * 1000), new Date()]);
+
+    return {
+      user,
+      accessToken,
+      refreshToken,
+      expiresIn: jwt.decode(accessToken).exp - Math.floor(Date.now() / 1000)
+    };
+  }
+
+  /**
+   * Verify a token's signature, expiry and type
+   * @param {string} token - JWT
+   * @param {string} type - 'access' or 'refresh'
+   * @returns {Object|null} Token payload, or null if invalid
+   */
+  verifyToken(token, type = 'access') {
+    if (typeof token !== 'string' || !token) {
+      return null;
+    }
+
+    try {
+      const payload = jwt.verify(token, this.secret);
+      return payload.type === type ? payload : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Resolve the user an access token belongs to
+   * @param {string} accessToken - Access token
+   * @returns {Promise<Object|null>} Public user record, or null if the token is invalid
+   */
+  async authenticate(accessToken) {
+    const payload = this.verifyToken(accessToken, 'access');
+    return payload ? this.getUser(parseInt(payload.sub)) : null;
+  }
+
+  /**
+   * Get a user by id
+   * @param {number} id - User id
+   * @returns {Promise<Object|null>} Public user record
+   */
+  async getUser(id) {
+    const user = await database.get('SELECT * FROM users WHERE id = ?', [id]);
+    return user ? this.toPublicUser(user) : null;
+  }
+
+  /**
+   * List all users
+   * @returns {Promise<Array>} Public user records
+   */
+  async getUsers() {
+    const users = await database.all('SELECT * FROM users ORDER BY id');
+    return users.map(user => this.toPublicUser(user));
+  }
+
+  /**
+   * Count the users holding a role
+   * @param {string} role - Role name
+   * @returns {Promise<number>} Number of users
+   */
+  async countRole(role) {
+    const { total } = await database.get('SELECT COUNT(*) as total FROM users WHERE role = ?', [role]);
+    return total;
+  }
+
+  /**
+   * Change a user's role. Takes effect on their next request, since access
+   * tokens are resolved to the stored user every time.
+   * @param {number} id - User id
+   * @param {string} role - One of ROLES
+   * @returns {Promise<Object|null>} Updated user, or null if not found
+   */
+  async setRole(id, role) {
+    if (!ROLES.includes(role)) {
+      throw new Error(`Invalid role. Must be one of: ${ROLES.join(', ')}`);
+    }
+
+    const result = await database.run('UPDATE users SET role = ? WHERE id = ?', [role, id]);
+    return result.changes > 0 ? this.getUser(id) : null;
+  }
+
+  /**
+   * Strip the password hash from a user row and add the role's permissions
+   * @param {Object} user - users row
+   * @returns {Object} Public user record
+   */
+  toPublicUser({ password_hash, ...user }) {
+    return { ...user, permissions: getPermissions(user.role) };
+  }
+}
+
+// Create singleton instance
+const authService = new AuthService();
+
+export default authService;
@@ -0,0 +1,121 @@
+import database from '../database/database.js';
+import BacktestEngine from '../algorithms/backtestEngine.js';
+import candleService from './candleService.js';
+
+/**
+ * Backtest Service for AlphaFxTrader
+ * Loads historical bars from price_data, runs them through an isolated
+ * BacktestEngine and stores results, equity curves and trade lists in
+ * backtest_results.
+ */
+class BacktestService {
+  /**
+   * Load historical bars for a symbol
+   * @param {string} symbol - Currency pair symbol
+   * @param {string|Date} startDate - Start date
+   * @param {string|Date} endDate - End date
+   * @param {string|null} timeframe - Candle timeframe; null replays raw ticks
+   * @returns {Promise<Array>} Bars shaped like price_data rows, ordered by timestamp
+   */
+  async loadPriceData(symbol, startDate, endDate, timeframe = null) {
+    if (timeframe) {
+      const candles = await candleService.getCandles(symbol, timeframe, {
+        from: startDate,
+        to: endDate,
+        includeForming: false
+      });
+
+      // Completed candles trade at their close, stamped with the close time
+      return candles.map(candle => ({
+        bid_price: candle.closeBid ?? candle.close,
+        ask_price: candle.closeAsk ?? candle.close,
+        mid_price: candle.close,
+        timestamp: candle.closeTime
+      }));
+    }
+
+    return database.all(`
+      SELECT bid_price, ask_price, mid_price, timestamp
+      FROM price_data
+      WHERE symbol = ? AND timestamp BETWEEN ? AND ?
+      ORDER BY timestamp ASC
+    `, [symbol, new Date(startDate), new Date(endDate)]);
+  }
+
+  /**
+   * Run a backtest over already loaded bars
+   * @param {Array} priceData - price_data rows ordered by timestamp
+   * @param {Object} config - BacktestEngine configuration
+   * @returns {Object} Backtest results
+   */
+  run(priceData, config) {
+    const engine = new BacktestEngine(config);
+    return engine.run(priceData);
+  }
+
+  /**
+   * Store a backtest result
+   * @param {Object} config - Backtest configuration incl. startDate and endDate
+   * @param {Object} results - Backtest results
+   * @returns {Promise<number>} Stored result ID
+   */
+  async saveResult(config, results) {
+    const {
+      algorithm, symbol, startDate, endDate, initialCapital,
+      spread = null, commission = 0, slippage = 0, positionSize = 0.1,
+      timeframe = null
+    } = config;
+
+    const result = await database.run(`
+      INSERT INTO backtest_results (
+        algorithm_name, symbol, start_date, end_date, initial_capital,
+        final_capital, total_return, sharpe_ratio, max_drawdown,
+        total_trades, win_rate, parameters, execution_costs, metrics,
+        equity_curve, trade_log, timeframe, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      algorithm, symbol, startDate, endDate, initialCapital,
+      results.finalCapital, results.totalReturn,
+      results.sharpeRatio, results.maxDrawdown,
+      results.totalTrades, results.winRate,
+      JSON.stringify(results.parameters),
+      JSON.stringify({ spread, commission, slippage, positionSize }),
+      JSON.stringify(results.metrics),
+      JSON.stringify(results.equityCurve),
+      JSON.stringify(results.trades),
+      timeframe,
+      new Date()
+    ]);
+
+    return result.id;
+  }
+
+  /**
+   * Get a stored backtest result with its equity curve and trades
+   * @param {number} id - Backtest result ID
+   * @returns {Promise<Object|null>} Backtest result
+   */
+  async getResult(id) {
+    const row = await database.get(`
+      SELECT * FROM backtest_results WHERE id = ?
+    `, [id]);
+
+    if (!row) {
+      return null;
+    }
+
+    return {
+      ...row,
+      parameters: row.parameters ? JSON.parse(row.parameters) : {},
+      execution_costs: row.execution_costs ? JSON.parse(row.execution_costs) : null,
+      metrics: row.metrics ? JSON.parse(row.metrics) : null,
+      equity_curve: row.equity_curve ? JSON.parse(row.equity_curve) : [],
+      trade_log: row.trade_log ? JSON.parse(row.trade_log) : []
+    };
+  }
+}
+
+// Create singleton instance
+const backtestService = new BacktestService();
+
+export default backtestService;
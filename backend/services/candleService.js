@@ -0,0 +1,423 @@
+import { EventEmitter } from 'events';
+import database from '../database/database.js';
+
+// Candle length per timeframe in milliseconds
+export const TIMEFRAMES = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '4h': 4 * 60 * 60 * 1000,
+  '1D': 24 * 60 * 60 * 1000
+};
+
+/**
+ * Get the start of the candle a timestamp falls into; candles are aligned to UTC
+ * @param {number} timestamp - Time in milliseconds
+ * @param {string} timeframe - Timeframe key
+ * @returns {number} Candle open time in milliseconds
+ */
+export function getCandleStart(timestamp, timeframe) {
+  const length = TIMEFRAMES[timeframe];
+  return Math.floor(timestamp / length) * length;
+}
+
+/**
+ * Candle Service for AlphaFxTrader
+ * Aggregates mid-price ticks into 1m/5m/15m/1h/4h/1D OHLC candles. The
+ * candle currently forming is kept in memory; completed candles are stored
+ * in price_candles. On startup, candles are rebuilt from any price_data
+ * ticks newer than the last stored candle. Imported history rebuilds the
+ * candles of the days it covers (see rebuild and aggregate).
+ *
+ * Events:
+ * - candle_closed: a candle completed and was stored
+ */
+class CandleService extends EventEmitter {
+  constructor() {
+    super();
+    this.forming = new Map(); // `${symbol}:${timeframe}` -> forming candle
+  }
+
+  /**
+   * Catch up on stored ticks
+   */
+  async initialize() {
+    await this.backfill();
+  }
+
+  /**
+   * Rebuild candles from price_data ticks newer than the last stored candle
+   * of each timeframe. Leaves the latest candle of each timeframe forming.
+   */
+  async backfill() {
+    this.forming.clear();
+
+    const symbols = await database.all('SELECT DISTINCT symbol FROM price_data');
+
+    for (const { symbol } of symbols) {
+      const resumeFrom = {};
+
+      for (const [timeframe, length] of Object.entries(TIMEFRAMES)) {
+        const last = await database.get(`
+          SELECT MAX(open_time) as open_time FROM price_candles
+          WHERE symbol = ? AND timeframe = ?
+        `, [symbol, timeframe]);
+
+        resumeFrom[timeframe] = last && last.open_time !== null
+          ? new Date(last.open_time).getTime() + length
+          : 0;
+      }
+
+      const ticks = await database.all(`
+        SELECT bid_price, ask_price, mid_price, timestamp
+        FROM price_data
+        WHERE symbol = ? AND timestamp >= ?
+        ORDER BY timestamp ASC
+      `, [symbol, new Date(Math.min(...Object.values(resumeFrom)))]);
+
+      const completed = [];
+
+      ticks.forEach(tick => {
+        const time = new Date(tick.timestamp).getTime();
+        Object.keys(TIMEFRAMES)
+          .filter(timeframe => time >= resumeFrom[timeframe])
+          .forEach(timeframe => {
+            const candle = this.applyTick(symbol, timeframe, tick.mid_price, tick.bid_price, tick.ask_price, time);
+            if (candle) {
+              completed.push(candle);
+            }
+          });
+      });
+
+      await this.saveCandles(completed);
+    }
+  }
+
+  /**
+   * Add a tick to the forming candle of one timeframe
+   * @param {string} symbol - Currency pair symbol
+   * @param {string} timeframe - Timeframe key
+   * @param {number} price - Mid price
+   * @param {number} bid - Bid price
+   * @param {number} ask - Ask price
+   * @param {number} time - Tick time in milliseconds
+   * @param {Map} forming - Forming candles to update; the live ones by default
+   * @returns {Object|null} The candle the tick completed, if any
+   */
+  applyTick(symbol, timeframe, price, bid, ask, time, forming = this.forming) {
+    const key = `${symbol}:${timeframe}`;
+    const openTime = getCandleStart(time, timeframe);
+    const current = forming.get(key);
+
+    // Late ticks for an already completed candle are ignored
+    if (current && openTime < current.openTime) {
+      return null;
+    }
+
+    if (current && openTime === current.openTime) {
+      current.high = Math.max(current.high, price);
+      current.low = Math.min(current.low, price);
+      current.close = price;
+      current.closeBid = bid;
+      current.closeAsk = ask;
+      current.tickCount += 1;
+      return null;
+    }
+
+    forming.set(key, {
+      symbol,
+      timeframe,
+      openTime,
+      open: price,
+      high: price,
+      low: price,
+      close: price,
+      closeBid: bid,
+      closeAsk: ask,
+      tickCount: 1
+    });
+
+    return current || null;
+  }
+
+  /**
+   * Aggregate a batch of price ticks and store the candles they complete
+   * @param {Array} prices - Price ticks { symbol, bid, ask, price, timestamp }
+   * @returns {Promise<Array>} Completed candles
+   */
+  async processPrices(prices) {
+    const completed = [];
+
+    for (const price of prices) {
+      const time = new Date(price.timestamp).getTime();
+
+      for (const timeframe of Object.keys(TIMEFRAMES)) {
+        const candle = this.applyTick(price.symbol, timeframe, price.price, price.bid, price.ask, time);
+        if (candle) {
+          await this.saveCandle(candle);
+          completed.push(candle);
+          this.emit('candle_closed', this.toResponse(candle, true));
+        }
+      }
+    }
+
+    return completed;
+  }
+
+  /**
+   * Store a completed candle
+   * @param {Object} candle - Completed candle
+   * @param {Object} options - { overwrite } false keeps an already stored candle
+   */
+  async saveCandle(candle, { overwrite = true } = {}) {
+    await database.run(`
+      INSERT INTO price_candles (
+        symbol, timeframe, open_time, open, high, low, close,
+        close_bid, close_ask, tick_count
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(symbol, timeframe, open_time) DO ${overwrite ? `UPDATE SET
+        open = excluded.open,
+        high = excluded.high,
+        low = excluded.low,
+        close = excluded.close,
+        close_bid = excluded.close_bid,
+        close_ask = excluded.close_ask,
+        tick_count = excluded.tick_count` : 'NOTHING'}
+    `, [
+      candle.symbol, candle.timeframe, new Date(candle.openTime),
+      candle.open, candle.high, candle.low, candle.close,
+      candle.closeBid, candle.closeAsk, candle.tickCount
+    ]);
+  }
+
+  /**
+   * Store completed candles in one transaction
+   * @param {Array} candles - Completed candles
+   * @param {Object} options - saveCandle options
+   */
+  async saveCandles(candles, options = {}) {
+    if (candles.length === 0) {
+      return;
+    }
+
+    await database.transaction(async () => {
+      for (const candle of candles) {
+        await this.saveCandle(candle, options);
+      }
+    });
+  }
+
+  /**
+   * Call back for every UTC day between two times. Days are aligned to every
+   * timeframe, so a day's candles never depend on another day's data.
+   * @param {number|Date} from - Start time
+   * @param {number|Date} to - End time
+   * @param {Function} callback - async (dayStart, dayEnd) => void
+   */
+  async forEachDay(from, to, callback) {
+    const day = TIMEFRAMES['1D'];
+    const last = getCandleStart(new Date(to).getTime(), '1D');
+
+    for (let start = getCandleStart(new Date(from).getTime(), '1D'); start <= last; start += day) {
+      await callback(start, start + day);
+    }
+  }
+
+  /**
+   * Rebuild candles from the price_data ticks of the days between two times,
+   * e.g. after historical ticks were imported. Candles that have not closed
+   * yet are left to the live aggregation.
+   * @param {string} symbol - Currency pair symbol
+   * @param {number|Date} from - Start time
+   * @param {number|Date} to - End time
+   * @param {Object} options - { timeframes, overwrite } timeframes to build (all by default); overwrite false only fills in missing candles
+   * @returns {Promise<number>} Candles built
+   */
+  async rebuild(symbol, from, to, { timeframes = Object.keys(TIMEFRAMES), overwrite = true } = {}) {
+    let stored = 0;
+
+    await this.forEachDay(from, to, async (dayStart, dayEnd) => {
+      const ticks = await database.all(`
+        SELECT bid_price, ask_price, mid_price, timestamp
+        FROM price_data
+        WHERE symbol = ? AND timestamp >= ? AND timestamp < ?
+        ORDER BY timestamp ASC
+      `, [symbol, new Date(dayStart), new Date(dayEnd)]);
+
+      const forming = new Map();
+      const completed = [];
+
+      ticks.forEach(tick => {
+        const time = new Date(tick.timestamp).getTime();
+        timeframes.forEach(timeframe => {
+          const candle = this.applyTick(symbol, timeframe, tick.mid_price, tick.bid_price, tick.ask_price, time, forming);
+          if (candle) {
+            completed.push(candle);
+          }
+        });
+      });
+
+      const candles = [...completed, ...forming.values()]
+        .filter(candle => candle.openTime + TIMEFRAMES[candle.timeframe] <= Date.now());
+      await this.saveCandles(candles, { overwrite });
+      stored += candles.length;
+    });
+
+    return stored;
+  }
+
+  /**
+   * Rebuild the higher timeframes from stored candles of one timeframe for
+   * the days between two times, e.g. after historical 1m bars were imported
+   * @param {string} symbol - Currency pair symbol
+   * @param {string} timeframe - Timeframe of the stored candles
+   * @param {number|Date} from - Start time
+   * @param {number|Date} to - End time
+   * @param {Object} options - { overwrite } false only fills in missing candles
+   * @returns {Promise<number>} Candles built
+   */
+  async aggregate(symbol, timeframe, from, to, { overwrite = true } = {}) {
+    const higher = Object.keys(TIMEFRAMES).filter(target =>
+      TIMEFRAMES[target] > TIMEFRAMES[timeframe] && TIMEFRAMES[target] % TIMEFRAMES[timeframe] === 0);
+    let stored = 0;
+
+    if (higher.length === 0) {
+      return stored;
+    }
+
+    await this.forEachDay(from, to, async (dayStart, dayEnd) => {
+      const rows = await database.all(`
+        SELECT * FROM price_candles
+        WHERE symbol = ? AND timeframe = ? AND open_time >= ? AND open_time < ?
+        ORDER BY open_time ASC
+      `, [symbol, timeframe, new Date(dayStart), new Date(dayEnd)]);
+
+      const candles = new Map(); // `${timeframe}:${openTime}` -> candle
+
+      rows.forEach(row => {
+        const time = new Date(row.open_time).getTime();
+
+        higher.forEach(target => {
+          const openTime = getCandleStart(time, target);
+          const key = `${target}:${openTime}`;
+          const candle = candles.get(key);
+
+          if (!candle) {
+            candles.set(key, {
+              symbol,
+              timeframe: target,
+              openTime,
+              open: row.open,
+              high: row.high,
+              low: row.low,
+              close: row.close,
+              closeBid: row.close_bid,
+              closeAsk: row.close_ask,
+              tickCount: row.tick_count
+            });
+            return;
+          }
+
+          candle.high = Math.max(candle.high, row.high);
+          candle.low = Math.min(candle.low, row.low);
+          candle.close = row.close;
+          candle.closeBid = row.close_bid;
+          candle.closeAsk = row.close_ask;
+          candle.tickCount += row.tick_count;
+        });
+      });
+
+      const completed = [...candles.values()]
+        .filter(candle => candle.openTime + TIMEFRAMES[candle.timeframe] <= Date.now());
+      await this.saveCandles(completed, { overwrite });
+      stored += completed.length;
+    });
+
+    return stored;
+  }
+
+  /**
+   * Convert a candle to its API shape
+   * @param {Object} candle - Stored or forming candle
+   * @param {boolean} complete - Whether the candle is closed
+   * @returns {Object} Candle
+   */
+  toResponse(candle, complete) {
+    return {
+      symbol: candle.symbol,
+      timeframe: candle.timeframe,
+      openTime: new Date(candle.openTime),
+      closeTime: new Date(candle.openTime + TIMEFRAMES[candle.timeframe]),
+      open: candle.open,
+      high: candle.high,
+      low: candle.low,
+      close: candle.close,
+      closeBid: candle.closeBid,
+      closeAsk: candle.closeAsk,
+      tickCount: candle.tickCount,
+      complete
+    };
+  }
+
+  /**
+   * Get candles for a symbol, oldest first
+   * @param {string} symbol - Currency pair symbol
+   * @param {string} timeframe - Timeframe key
+   * @param {Object} options - { from, to, limit, includeForming }
+   * @returns {Promise<Array>} Candles; the forming candle last when included
+   */
+  async getCandles(symbol, timeframe, { from = null, to = null, limit = null, includeForming = true } = {}) {
+    const conditions = ['symbol = ?', 'timeframe = ?'];
+    const params = [symbol, timeframe];
+
+    if (from) {
+      conditions.push('open_time >= ?');
+      params.push(new Date(from));
+    }
+
+    if (to) {
+      conditions.push('open_time <= ?');
+      params.push(new Date(to));
+    }
+
+    const rows = await database.all(`
+      SELECT * FROM price_candles
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY open_time DESC
+      ${limit ? 'LIMIT ?' : ''}
+    `, limit ? [...params, limit] : params);
+
+    const candles = rows.reverse().map(row => this.toResponse({
+      symbol: row.symbol,
+      timeframe: row.timeframe,
+      openTime: new Date(row.open_time).getTime(),
+      open: row.open,
+      high: row.high,
+      low: row.low,
+      close: row.close,
+      closeBid: row.close_bid,
+      closeAsk: row.close_ask,
+      tickCount: row.tick_count
+    }, true));
+
+    const forming = this.forming.get(`${symbol}:${timeframe}`);
+    const inRange = forming
+      && (!from || forming.openTime >= new Date(from).getTime())
+      && (!to || forming.openTime <= new Date(to).getTime());
+
+    if (includeForming && inRange) {
+      candles.push(this.toResponse(forming, false));
+      if (limit && candles.length > limit) {
+        candles.shift();
+      }
+    }
+
+    return candles;
+  }
+}
+
+// Create singleton instance
+const candleService = new CandleService();
+
+export default candleService;
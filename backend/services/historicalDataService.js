@@ -0,0 +1,432 @@
+import database from '../database/database.js';
+import candleService, { TIMEFRAMES, getCandleStart } from './candleService.js';
+import { IMPORT_FORMATS, RecordParser, createTimezone, inferSymbol, normalizeSymbol } from '../marketData/historicalFormats.js';
+
+const BATCH_SIZE = 5000;
+const MAX_LINE_ERRORS = 20;   // Line errors kept in a report
+const MAX_REPORTED_GAPS = 100; // Gaps listed per symbol in a report
+const MIN_GAP_MINUTES = 15;
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Check whether a gap lies inside one FX weekend close, from Friday 20:00
+ * to Sunday 23:00 UTC. Such gaps are expected and do not reduce coverage.
+ * @param {number} from - Last time before the gap in milliseconds
+ * @param {number} to - First time after the gap in milliseconds
+ * @returns {boolean} True for a weekend gap
+ */
+export function isWeekendGap(from, to) {
+  // Day 0 of the epoch was a Thursday; weeks counted from Friday 00:00 UTC
+  const week = 7 * 24 * HOUR;
+  const fridayStart = Math.floor((from - 24 * HOUR) / week) * week + 24 * HOUR;
+  const closeStart = fridayStart + 20 * HOUR;
+  const closeEnd = fridayStart + (2 * 24 + 23) * HOUR;
+
+  return from >= closeStart && to <= closeEnd;
+}
+
+/**
+ * Historical Data Service for AlphaFxTrader
+ * Loads bulk historical tick and bar files (see marketData/historicalFormats.js)
+ * into price_data so backtests can run over months of history. Rows already
+ * stored for a symbol and timestamp are skipped, so overlapping files can be
+ * imported safely. Bars are stored as one row at their close time and as
+ * candles of their own and every higher timeframe; ticks rebuild the candles
+ * of the days they cover. Imported rows carry their import_id and have
+ * their own retention (see retentionService).
+ *
+ * Every import is recorded in data_imports with a report of its coverage
+ * per symbol and the gaps found outside FX weekends.
+ */
+class HistoricalDataService {
+  constructor() {
+    this.running = false;
+  }
+
+  /**
+   * Fail imports interrupted by a restart
+   */
+  async initialize() {
+    await database.run(`
+      UPDATE data_imports
+      SET status = 'FAILED', error = 'Interrupted by server restart', completed_at = ?
+      WHERE status = 'RUNNING'
+    `, [new Date()]);
+  }
+
+  /**
+   * Check import options
+   * @param {Object} options - { symbol, format, timezone, timeframe, gapMinutes }
+   * @returns {string|null} Error message, or null if the options are valid
+   */
+  validateOptions({ symbol, format, timezone, timeframe, gapMinutes } = {}) {
+    if (symbol && !normalizeSymbol(symbol)) {
+      return 'Invalid symbol. Use a currency pair such as EUR/USD or EURUSD';
+    }
+    if (format && !IMPORT_FORMATS.includes(format)) {
+      return `Invalid format. Must be one of: ${IMPORT_FORMATS.join(', ')}`;
+    }
+    if (timezone && !createTimezone(timezone)) {
+      return 'Invalid timezone. Use UTC, EST, an offset such as +02:00 or an IANA zone such as Europe/London';
+    }
+    if (timeframe && !TIMEFRAMES[timeframe]) {
+      return `Invalid timeframe. Must be one of: ${Object.keys(TIMEFRAMES).join(', ')}`;
+    }
+    if (gapMinutes !== undefined && gapMinutes !== null && !(Number(gapMinutes) > 0)) {
+      return 'gapMinutes must be a positive number';
+    }
+    return null;
+  }
+
+  /**
+   * Work out the bar length from the smallest step between a symbol's bars
+   * @param {Array} records - Parsed bars
+   * @returns {string|null} Timeframe key, or null if it cannot be told
+   */
+  inferTimeframe(records) {
+    const lastTimes = new Map();
+    let step = Infinity;
+
+    records.forEach(record => {
+      const last = lastTimes.get(record.symbol);
+      if (last !== undefined && record.time > last) {
+        step = Math.min(step, record.time - last);
+      }
+      lastTimes.set(record.symbol, record.time);
+    });
+
+    return Object.keys(TIMEFRAMES).find(timeframe => TIMEFRAMES[timeframe] === step) || null;
+  }
+
+  /**
+   * Import historical records from lines of a file
+   * @param {AsyncIterable<string>|Iterable<string>} lines - File lines
+   * @param {Object} options - { symbol, format, timezone, timeframe, gapMinutes, source, createdBy }
+   * @returns {Promise<Object>} The finished import with its report; status FAILED if nothing could be imported
+   */
+  async importLines(lines, options = {}) {
+    if (this.running) {
+      throw new Error('An import is already running');
+    }
+
+    const {
+      format = 'auto',
+      timezone = null,
+      gapMinutes = null,
+      source = null,
+      createdBy = null
+    } = options;
+
+    // Start iterating before the first await: a readline interface drops
+    // lines emitted while nobody is iterating
+    const iterator = (lines[Symbol.asyncIterator] || lines[Symbol.iterator]).call(lines);
+
+    const parser = new RecordParser({
+      format,
+      timezone,
+      symbol: options.symbol || inferSymbol(source)
+    });
+
+    const state = {
+      kind: null,
+      timeframe: options.timeframe || null,
+      lines: 0,
+      skipped: 0,
+      errors: [],
+      symbols: new Map() // symbol -> coverage
+    };
+
+    this.running = true;
+    let importId = null;
+
+    try {
+      const result = await database.run(`
+        INSERT INTO data_imports (source, format, timezone, timeframe, created_by, created_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [source, format, timezone, state.timeframe, createdBy, new Date()]);
+      importId = result.id;
+
+      // Bar files without a timeframe take it from their first batch
+      const store = async (records) => {
+        if (state.kind === 'bar' && !state.timeframe) {
+          state.timeframe = this.inferTimeframe(records);
+          if (!state.timeframe) {
+            return `Cannot tell the bar timeframe from the file; pass one of: ${Object.keys(TIMEFRAMES).join(', ')}`;
+          }
+        }
+        await this.storeBatch(importId, records, state);
+        return null;
+      };
+
+      let batch = [];
+
+      for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+        const line = next.value;
+        state.lines++;
+
+        let record;
+        try {
+          record = parser.parseLine(line);
+        } catch (error) {
+          // Without a format, timezone and header nothing else can be read
+          if (!parser.ready) {
+            return this.finish(importId, parser, state, `Line ${state.lines}: ${error.message}`);
+          }
+
+          state.skipped++;
+          if (state.errors.length < MAX_LINE_ERRORS) {
+            state.errors.push({ line: state.lines, error: error.message });
+          }
+          continue;
+        }
+
+        if (!record) {
+          continue;
+        }
+
+        if (state.kind && record.kind !== state.kind) {
+          return this.finish(importId, parser, state, `Line ${state.lines}: ticks and bars cannot be mixed in one file`);
+        }
+        state.kind = record.kind;
+
+        batch.push(record);
+        if (batch.length >= BATCH_SIZE) {
+          const failure = await store(batch);
+          if (failure) {
+            return this.finish(importId, parser, state, failure);
+          }
+          batch = [];
+        }
+      }
+
+      if (batch.length > 0) {
+        const failure = await store(batch);
+        if (failure) {
+          return this.finish(importId, parser, state, failure);
+        }
+      }
+
+      if (state.symbols.size === 0) {
+        return this.finish(importId, parser, state, 'No valid rows to import');
+      }
+
+      for (const [symbol, coverage] of state.symbols) {
+        if (state.kind === 'bar') {
+          await candleService.aggregate(symbol, state.timeframe, coverage.from - TIMEFRAMES[state.timeframe], coverage.to);
+        } else {
+          await candleService.rebuild(symbol, coverage.from, coverage.to);
+        }
+      }
+
+      return this.finish(importId, parser, state, null, gapMinutes);
+    } catch (error) {
+      if (importId) {
+        await this.finish(importId, parser, state, error.message);
+      }
+      throw error;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Store a batch of parsed records in one transaction, skipping rows
+   * already stored for the same symbol and timestamp
+   * @param {number} importId - Import ID
+   * @param {Array} records - Parsed records
+   * @param {Object} state - Import state
+   */
+  async storeBatch(importId, records, state) {
+    const barLength = state.kind === 'bar' ? TIMEFRAMES[state.timeframe] : 0;
+    const candles = [];
+
+    await database.transaction(async () => {
+      for (const record of records) {
+        // Bars become known at their close
+        const time = record.time + barLength;
+        const price = record.kind === 'bar' ? record.close : record.price;
+
+        const { changes } = await database.run(`
+          INSERT INTO price_data (symbol, bid_price, ask_price, mid_price, timestamp, volume, import_id)
+          SELECT ?, ?, ?, ?, ?, ?, ?
+          WHERE NOT EXISTS (SELECT 1 FROM price_data WHERE symbol = ? AND timestamp = ?)
+        `, [record.symbol, record.bid, record.ask, price, new Date(time), record.volume, importId,
+          record.symbol, new Date(time)]);
+
+        this.track(state, record.symbol, time, changes > 0);
+
+        if (record.kind === 'bar' && changes > 0) {
+          candles.push({
+            symbol: record.symbol,
+            timeframe: state.timeframe,
+            openTime: getCandleStart(record.time, state.timeframe),
+            open: record.open,
+            high: record.high,
+            low: record.low,
+            close: record.close,
+            closeBid: record.bid,
+            closeAsk: record.ask,
+            tickCount: record.volume || 1
+          });
+        }
+      }
+
+      for (const candle of candles) {
+        await candleService.saveCandle(candle, { overwrite: false });
+      }
+    });
+  }
+
+  /**
+   * Record a row's time in its symbol's coverage
+   * @param {Object} state - Import state
+   * @param {string} symbol - Currency pair symbol
+   * @param {number} time - Row time in milliseconds
+   * @param {boolean} inserted - Whether the row was new
+   */
+  track(state, symbol, time, inserted) {
+    let coverage = state.symbols.get(symbol);
+    if (!coverage) {
+      coverage = { from: time, to: time, last: null, rows: 0, inserted: 0, duplicates: 0, outOfOrder: 0, gaps: [] };
+      state.symbols.set(symbol, coverage);
+    }
+
+    coverage.rows++;
+    coverage[inserted ? 'inserted' : 'duplicates']++;
+    coverage.from = Math.min(coverage.from, time);
+    coverage.to = Math.max(coverage.to, time);
+
+    if (coverage.last !== null && time < coverage.last) {
+      coverage.outOfOrder++;
+      return;
+    }
+
+    // Raw steps between rows; which of them count as gaps is decided at the end
+    if (coverage.last !== null && time - coverage.last > 60 * 1000) {
+      coverage.gaps.push([coverage.last, time]);
+    }
+    coverage.last = time;
+  }
+
+  /**
+   * Build the coverage report of one symbol
+   * @param {Object} coverage - Tracked coverage
+   * @param {number} threshold - Smallest gap reported, in milliseconds
+   * @returns {Object} Coverage report
+   */
+  buildCoverage(coverage, threshold) {
+    const gaps = coverage.gaps.filter(([from, to]) => to - from > threshold);
+    const weekend = gaps.filter(([from, to]) => isWeekendGap(from, to));
+    const missing = gaps.filter(([from, to]) => !isWeekendGap(from, to));
+
+    const span = coverage.to - coverage.from;
+    const weekendTime = weekend.reduce((sum, [from, to]) => sum + to - from, 0);
+    const missingTime = missing.reduce((sum, [from, to]) => sum + to - from, 0);
+    const tradingTime = span - weekendTime;
+
+    return {
+      from: new Date(coverage.from),
+      to: new Date(coverage.to),
+      rows: coverage.rows,
+      inserted: coverage.inserted,
+      duplicates: coverage.duplicates,
+      outOfOrder: coverage.outOfOrder,
+      coveragePercent: tradingTime > 0
+        ? parseFloat((((tradingTime - missingTime) / tradingTime) * 100).toFixed(2))
+        : 100,
+      weekendGaps: weekend.length,
+      gapCount: missing.length,
+      gaps: missing.slice(0, MAX_REPORTED_GAPS).map(([from, to]) => ({
+        from: new Date(from),
+        to: new Date(to),
+        minutes: Math.round((to - from) / 60000)
+      }))
+    };
+  }
+
+  /**
+   * Store the outcome and report of an import
+   * @param {number} importId - Import ID
+   * @param {RecordParser} parser - The import's parser
+   * @param {Object} state - Import state
+   * @param {string|null} error - Why the import failed, if it did
+   * @param {number|null} gapMinutes - Smallest gap reported
+   * @returns {Promise<Object>} The import
+   */
+  async finish(importId, parser, state, error, gapMinutes = null) {
+    const barMinutes = state.timeframe ? TIMEFRAMES[state.timeframe] / 60000 : 0;
+    const threshold = (gapMinutes ? Number(gapMinutes) : Math.max(MIN_GAP_MINUTES, 3 * barMinutes)) * 60000;
+
+    const symbols = Object.fromEntries([...state.symbols].map(([symbol, coverage]) =>
+      [symbol, this.buildCoverage(coverage, threshold)]));
+    const totals = Object.values(symbols).reduce((sum, coverage) => ({
+      rows: sum.rows + coverage.rows,
+      inserted: sum.inserted + coverage.inserted,
+      duplicates: sum.duplicates + coverage.duplicates
+    }), { rows: 0, inserted: 0, duplicates: 0 });
+
+    const report = {
+      kind: state.kind,
+      gapMinutes: threshold / 60000,
+      lines: state.lines,
+      errors: state.errors,
+      symbols
+    };
+
+    await database.run(`
+      UPDATE data_imports
+      SET format = ?, timezone = ?, timeframe = ?, status = ?, rows = ?, inserted = ?,
+          duplicates = ?, skipped = ?, report = ?, error = ?, completed_at = ?
+      WHERE id = ?
+    `, [
+      parser.format, parser.timezone, state.timeframe, error ? 'FAILED' : 'COMPLETED',
+      totals.rows, totals.inserted, totals.duplicates, state.skipped,
+      JSON.stringify(report), error, new Date(), importId
+    ]);
+
+    return this.getImport(importId);
+  }
+
+  /**
+   * Convert a data_imports row
+   * @param {Object} row - Database row
+   * @returns {Object} Import
+   */
+  fromRow(row) {
+    return {
+      ...row,
+      report: row.report ? JSON.parse(row.report) : null
+    };
+  }
+
+  /**
+   * Get an import with its report
+   * @param {number} id - Import ID
+   * @returns {Promise<Object|null>} Import
+   */
+  async getImport(id) {
+    const row = await database.get('SELECT * FROM data_imports WHERE id = ?', [id]);
+    return row ? this.fromRow(row) : null;
+  }
+
+  /**
+   * List imports without their reports, newest first
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Array>} Imports
+   */
+  async getImports({ limit = 50, offset = 0 } = {}) {
+    return database.all(`
+      SELECT id, source, format, timezone, timeframe, status, rows, inserted,
+             duplicates, skipped, error, created_by, created_at, completed_at
+      FROM data_imports
+      ORDER BY created_at DESC, id DESC
+      LIMIT ? OFFSET ?
+    `, [parseInt(limit), parseInt(offset)]);
+  }
+}
+
+// Create singleton instance
+const historicalDataService = new HistoricalDataService();
+
+export default historicalDataService;
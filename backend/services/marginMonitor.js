@@ -0,0 +1,145 @@
+import { EventEmitter } from 'events';
+import dotenv from 'dotenv';
+import accountService from './accountService.js';
+import orderService from './orderService.js';
+import auditService from './auditService.js';
+
+dotenv.config();
+
+/**
+ * Margin Monitor for AlphaFxTrader
+ * Watches the margin level (equity / used margin × 100) of every account
+ * marked on a price tick. An account falling below the margin-call level
+ * gets one margin call until it recovers. At or below the stop-out level
+ * its positions are closed at market, largest loss first, until the
+ * margin level is back above the stop-out level. Liquidating trades are
+ * stored with reason STOP_OUT and every stop-out is audited.
+ *
+ * Events:
+ * - margin_call: an account fell below the margin-call level
+ * - stop_out: positions of an account were liquidated
+ */
+class MarginMonitor extends EventEmitter {
+  constructor() {
+    super();
+    this.marginCallLevel = parseFloat(process.env.MARGIN_CALL_LEVEL) || 100;
+    this.stopOutLevel = parseFloat(process.env.STOP_OUT_LEVEL) || 50;
+    this.marginCalls = new Set(); // Accounts currently below the margin-call level
+    this.liquidating = new Set(); // Accounts with a stop-out in progress
+  }
+
+  /**
+   * Check the margin level of freshly marked accounts
+   * @param {Array} accounts - Account summaries from accountService.markToMarket
+   * @returns {Promise<Array>} Stop-outs that were carried out
+   */
+  async check(accounts) {
+    const stopOuts = [];
+
+    for (const account of accounts) {
+      try {
+        const stopOut = await this.checkAccount(account);
+        if (stopOut) {
+          stopOuts.push(stopOut);
+        }
+      } catch (error) {
+        console.error(`Margin check failed for account ${account.id}:`, error.message);
+      }
+    }
+
+    return stopOuts;
+  }
+
+  /**
+   * Raise a margin call or stop out a single account
+   * @param {Object} account - Account summary
+   * @returns {Promise<Object|null>} Stop-out result, or null if none was needed
+   */
+  async checkAccount(account) {
+    if (account.marginLevel === null || account.marginLevel >= this.marginCallLevel) {
+      this.marginCalls.delete(account.id);
+      return null;
+    }
+
+    if (!this.marginCalls.has(account.id)) {
+      this.marginCalls.add(account.id);
+      this.emit('margin_call', {
+        account,
+        marginCallLevel: this.marginCallLevel,
+        stopOutLevel: this.stopOutLevel
+      });
+    }
+
+    return account.marginLevel <= this.stopOutLevel ? this.stopOut(account) : null;
+  }
+
+  /**
+   * Close an account's positions at market, largest unrealized loss first,
+   * until its margin level is above the stop-out level
+   * @param {Object} account - Account summary at or below the stop-out level
+   * @returns {Promise<Object|null>} { account, marginLevel, trades, errors }, or null if already liquidating
+   */
+  async stopOut(account) {
+    if (this.liquidating.has(account.id)) {
+      return null;
+    }
+    this.liquidating.add(account.id);
+
+    const trades = [];
+    const errors = [];
+    let summary = account;
+
+    try {
+      const positions = [...account.positions].sort((a, b) => a.unrealizedPnl - b.unrealizedPnl);
+
+      for (const position of positions) {
+        if (summary.marginLevel === null || summary.marginLevel > this.stopOutLevel) {
+          break;
+        }
+
+        try {
+          trades.push(await orderService.placeOrder({
+            symbol: position.symbol,
+            action: position.quantity > 0 ? 'SELL' : 'BUY',
+            quantity: Math.abs(position.quantity),
+            algorithm: 'STOP_OUT',
+            reason: 'STOP_OUT',
+            userId: account.userId,
+            accountId: account.id,
+            skipRiskChecks: true
+          }));
+        } catch (error) {
+          errors.push({ symbol: position.symbol, error: error.message });
+        }
+
+        summary = await accountService.getSummary(account.id);
+      }
+    } finally {
+      this.liquidating.delete(account.id);
+    }
+
+    const result = { account: summary, marginLevel: account.marginLevel, trades, errors };
+
+    await auditService.record({
+      action: 'STOP_OUT',
+      actor: 'system',
+      reason: `Account ${account.id} margin level ${account.marginLevel}% at or below stop-out level ${this.stopOutLevel}%`,
+      details: {
+        accountId: account.id,
+        marginLevel: account.marginLevel,
+        marginLevelAfter: summary.marginLevel,
+        trades: trades.map(trade => trade.id),
+        errors
+      }
+    });
+
+    this.emit('stop_out', result);
+
+    return result;
+  }
+}
+
+// Create singleton instance
+const marginMonitor = new MarginMonitor();
+
+export default marginMonitor;
@@ -0,0 +1,284 @@
+import { EventEmitter } from 'events';
+import dotenv from 'dotenv';
+import { createProvider } from '../marketData/providers.js';
+
+dotenv.config();
+
+/**
+ * Market Data Service for AlphaFxTrader
+ * Polls the primary market data provider (MARKET_DATA_PROVIDER) and fails
+ * over to the backup (MARKET_DATA_BACKUP_PROVIDER) when the primary throws
+ * or has delivered nothing for longer than the maximum price age. While on
+ * the backup the primary is probed every MARKET_DATA_RETRY_SECONDS and used
+ * again as soon as it delivers.
+ *
+ * Every symbol is stale until it gets a tick and again once its last tick
+ * is older than MARKET_DATA_MAX_AGE_SECONDS. Stale symbols are flagged to
+ * clients and cannot be traded.
+ *
+ * Events:
+ * - feed_switched: the active feed changed
+ * - staleness_changed: symbols went stale or became fresh again
+ */
+class MarketDataService extends EventEmitter {
+  constructor() {
+    super();
+    this.maxAge = (parseFloat(process.env.MARKET_DATA_MAX_AGE_SECONDS) || 15) * 1000;
+    this.retryInterval = (parseFloat(process.env.MARKET_DATA_RETRY_SECONDS) || 30) * 1000;
+    this.feeds = {}; // 'primary' / 'backup' -> feed state
+    this.active = 'primary';
+    this.failovers = 0;
+    this.lastProbeAt = 0;
+    this.lastTicks = new Map(); // symbol -> { receivedAt, feed }
+    this.stale = new Set();
+  }
+
+  /**
+   * Create and start the configured providers
+   * @param {Object} options - { request } HTTP request function for the http provider
+   */
+  async initialize({ request } = {}) {
+    const config = {
+      seed: process.env.MARKET_DATA_SEED ? parseInt(process.env.MARKET_DATA_SEED) : null,
+      file: process.env.MARKET_DATA_REPLAY_FILE,
+      speed: process.env.MARKET_DATA_REPLAY_SPEED !== undefined ? parseFloat(process.env.MARKET_DATA_REPLAY_SPEED) : 1,
+      loop: process.env.MARKET_DATA_REPLAY_LOOP === 'true',
+      url: process.env.EXCHANGE_RATE_API_URL || 'https://api.exchangerate-api.com/v4/latest',
+      request
+    };
+
+    this.feeds = { primary: await this.createFeed(process.env.MARKET_DATA_PROVIDER || 'simulator', config) };
+
+    if (process.env.MARKET_DATA_BACKUP_PROVIDER) {
+      this.feeds.backup = await this.createFeed(process.env.MARKET_DATA_BACKUP_PROVIDER, config);
+    }
+
+    this.active = 'primary';
+  }
+
+  /**
+   * Create and start a provider and its feed state
+   * @param {string} type - Provider type
+   * @param {Object} config - Provider options
+   * @returns {Promise<Object>} Feed state
+   */
+  async createFeed(type, config) {
+    const provider = createProvider(type, config);
+    if (provider.start) {
+      await provider.start();
+    }
+
+    return {
+      provider,
+      lastTickAt: Date.now(), // Grace period from start-up
+      lastError: null,
+      lastErrorAt: null,
+      errors: 0
+    };
+  }
+
+  /**
+   * Fetch ticks from a feed, recording failures
+   * @param {string} name - 'primary' or 'backup'
+   * @returns {Promise<Array|null>} Ticks, or null if the provider failed
+   */
+  async fetch(name) {
+    const feed = this.feeds[name];
+
+    try {
+      const ticks = await feed.provider.getRates();
+      if (ticks.length > 0) {
+        feed.lastTickAt = Date.now();
+      }
+      return ticks;
+    } catch (error) {
+      feed.lastError = error.message;
+      feed.lastErrorAt = Date.now();
+      feed.errors++;
+      console.error(`Market data feed ${name} (${feed.provider.type}) failed:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Check whether a feed has delivered nothing for longer than the maximum price age
+   * @param {string} name - 'primary' or 'backup'
+   * @returns {boolean} True if the feed is silent
+   */
+  isSilent(name) {
+    return Date.now() - this.feeds[name].lastTickAt > this.maxAge;
+  }
+
+  /**
+   * Make a feed the active one
+   * @param {string} name - 'primary' or 'backup'
+   * @param {string} reason - Why the feed changed
+   */
+  switchTo(name, reason) {
+    const from = this.active;
+    this.active = name;
+    if (name === 'backup') {
+      this.failovers++;
+      this.lastProbeAt = Date.now();
+    }
+
+    console.warn(`📡 Market data switched from ${from} to ${name}: ${reason}`);
+    this.emit('feed_switched', { from, to: name, provider: this.feeds[name].provider.type, reason });
+  }
+
+  /**
+   * Get the latest ticks from the active feed, failing over or back as needed.
+   * Never throws: when no feed delivers, symbols simply go stale.
+   * @returns {Promise<Array>} Price ticks
+   */
+  async getRates() {
+    let ticks = null;
+
+    // On the backup: probe the primary now and then and return to it once it delivers
+    if (this.active === 'backup' && Date.now() - this.lastProbeAt >= this.retryInterval) {
+      this.lastProbeAt = Date.now();
+      const primaryTicks = await this.fetch('primary');
+      if (primaryTicks && primaryTicks.length > 0) {
+        this.switchTo('primary', 'primary feed recovered');
+        ticks = primaryTicks;
+      }
+    }
+
+    if (!ticks) {
+      ticks = await this.fetch(this.active);
+    }
+
+    if (this.active === 'primary' && this.feeds.backup && (!ticks || this.isSilent('primary'))) {
+      const backupTicks = await this.fetch('backup');
+      if (backupTicks) {
+        this.switchTo('backup', ticks ? 'primary feed silent' : this.feeds.primary.lastError);
+        ticks = backupTicks;
+      }
+    }
+
+    ticks = ticks || [];
+    const receivedAt = Date.now();
+    ticks.forEach(tick => this.lastTicks.set(tick.symbol, { receivedAt, feed: this.active }));
+    this.updateStaleness();
+
+    return ticks;
+  }
+
+  /**
+   * Check whether a symbol's price is too old to trade on
+   * @param {string} symbol - Currency pair symbol
+   * @returns {boolean} True if the symbol has no tick younger than the maximum age
+   */
+  isStale(symbol) {
+    const last = this.lastTicks.get(symbol);
+    return !last || Date.now() - last.receivedAt > this.maxAge;
+  }
+
+  /**
+   * Get the age of a symbol's last tick
+   * @param {string} symbol - Currency pair symbol
+   * @returns {number|null} Age in milliseconds, or null if it never ticked
+   */
+  getAge(symbol) {
+    const last = this.lastTicks.get(symbol);
+    return last ? Date.now() - last.receivedAt : null;
+  }
+
+  /**
+   * Pre-trade check that an order's symbol has a fresh price
+   * @param {string} symbol - Currency pair symbol
+   * @returns {Object} { approved, rule, reason }
+   */
+  checkFreshness(symbol) {
+    if (!this.isStale(symbol)) {
+      return { approved: true };
+    }
+
+    const age = this.getAge(symbol);
+    return {
+      approved: false,
+      rule: 'STALE_PRICE',
+      reason: age === null
+        ? `No live price for ${symbol}`
+        : `Price for ${symbol} is stale (last tick ${Math.round(age / 1000)}s ago)`
+    };
+  }
+
+  /**
+   * Recompute the stale symbols and announce changes
+   */
+  updateStaleness() {
+    const stale = new Set([...this.lastTicks.keys()].filter(symbol => this.isStale(symbol)));
+    const changed = stale.size !== this.stale.size || [...stale].some(symbol => !this.stale.has(symbol));
+
+    if (changed) {
+      const fresh = [...this.stale].filter(symbol => !stale.has(symbol));
+      const newlyStale = [...stale].filter(symbol => !this.stale.has(symbol));
+      this.stale = stale;
+
+      if (newlyStale.length > 0) {
+        console.warn(`⚠️  Stale prices: ${newlyStale.join(', ')}`);
+      }
+      this.emit('staleness_changed', { stale: [...stale], fresh, newlyStale });
+    }
+  }
+
+  /**
+   * Get the active feed and stale symbols, as sent to clients
+   * @returns {Object} Market data status
+   */
+  getStatus() {
+    return {
+      active: this.active,
+      provider: this.feeds[this.active]?.provider.type || null,
+      stale: [...this.stale],
+      maxAgeSeconds: this.maxAge / 1000
+    };
+  }
+
+  /**
+   * Health of the active and backup feeds
+   * @returns {Promise<Object>} Health status
+   */
+  async healthCheck() {
+    const feeds = {};
+
+    for (const [name, feed] of Object.entries(this.feeds)) {
+      let health;
+      try {
+        health = await feed.provider.healthCheck();
+      } catch (error) {
+        health = { status: 'unhealthy', error: error.message };
+      }
+
+      feeds[name] = {
+        provider: feed.provider.type,
+        ...health,
+        lastTickAt: new Date(feed.lastTickAt),
+        lastError: feed.lastError,
+        lastErrorAt: feed.lastErrorAt ? new Date(feed.lastErrorAt) : null,
+        errors: feed.errors
+      };
+    }
+
+    const symbols = [...this.lastTicks.keys()];
+    let status = 'healthy';
+    if (symbols.length === 0 || this.stale.size === symbols.length) {
+      status = 'unhealthy';
+    } else if (this.active === 'backup' || this.stale.size > 0) {
+      status = 'degraded';
+    }
+
+    return {
+      status,
+      ...this.getStatus(),
+      failovers: this.failovers,
+      feeds
+    };
+  }
+}
+
+// Create singleton instance
+const marketDataService = new MarketDataService();
+
+export default marketDataService;
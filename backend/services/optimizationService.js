@@ -0,0 +1,377 @@
+import { EventEmitter } from 'events';
+import database from '../database/database.js';
+import backtestService from './backtestService.js';
+import strategyConfig from './strategyConfig.js';
+import strategyRegistry from '../algorithms/strategyRegistry.js';
+
+export const SORT_FIELDS = {
+  sharpe: 'sharpe_ratio DESC',
+  return: 'total_return DESC',
+  drawdown: 'max_drawdown ASC'
+};
+
+const MAX_COMBINATIONS = parseInt(process.env.OPTIMIZATION_MAX_COMBINATIONS) || 1000;
+
+/**
+ * Optimization Service for AlphaFxTrader
+ * Runs grid searches over strategy parameters as background jobs. Every
+ * combination is backtested on the same bars and stored in
+ * optimization_results; the best set can be promoted to live trading.
+ *
+ * Events:
+ * - job_progress: a combination finished
+ * - job_completed: all combinations finished
+ * - job_failed: the job stopped with an error
+ */
+class OptimizationService extends EventEmitter {
+  /**
+   * Fail jobs interrupted by a restart
+   */
+  async initialize() {
+    await database.run(`
+      UPDATE optimization_jobs
+      SET status = 'FAILED', error = 'Interrupted by server restart', completed_at = ?
+      WHERE status IN ('QUEUED', 'RUNNING')
+    `, [new Date()]);
+  }
+
+  /**
+   * Expand one parameter range into its values
+   * @param {string} name - Parameter name
+   * @param {Array|Object|number} range - Values array, { min, max, step } or a fixed value
+   * @returns {Array<number>} Parameter values
+   */
+  expandRange(name, range) {
+    if (Array.isArray(range)) {
+      if (range.length === 0 || range.some(value => !Number.isFinite(Number(value)))) {
+        throw new Error(`Invalid values for ${name}`);
+      }
+      return range.map(Number);
+    }
+
+    if (typeof range === 'object' && range !== null) {
+      const min = Number(range.min);
+      const max = Number(range.max);
+      const step = Number(range.step ?? 1);
+
+      if (!Number.isFinite(min) || !Number.isFinite(max) || !(step > 0) || min > max) {
+        throw new Error(`Invalid range for ${name}: expected { min, max, step } with min <= max and step > 0`);
+      }
+
+      const values = [];
+      // Round to avoid floating point drift on fractional steps
+      for (let i = 0; min + i * step <= max + 1e-9; i++) {
+        values.push(parseFloat((min + i * step).toFixed(8)));
+      }
+      return values;
+    }
+
+    if (Number.isFinite(Number(range))) {
+      return [Number(range)];
+    }
+
+    throw new Error(`Invalid range for ${name}`);
+  }
+
+  /**
+   * Build every valid parameter combination for a strategy
+   * @param {string} algorithm - Strategy name
+   * @param {Object} parameterRanges - Range per parameter name
+   * @param {Object} baseParameters - Values for parameters not being swept
+   * @returns {Array<Object>} Parameter combinations
+   */
+  generateCombinations(algorithm, parameterRanges, baseParameters = {}) {
+    const strategy = strategyRegistry.require(algorithm);
+    if (strategy.components || Object.keys(strategy.parameters).length === 0) {
+      throw new Error(`Optimization is not supported for algorithm: ${strategy.name}`);
+    }
+
+    const names = Object.keys(parameterRanges || {});
+    if (names.length === 0) {
+      throw new Error('parameterRanges must contain at least one parameter');
+    }
+
+    const unknown = names.filter(name => !strategy.parameters[name]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown parameters for ${strategy.name}: ${unknown.join(', ')}`);
+    }
+
+    let combinations = [{ ...baseParameters }];
+    for (const name of names) {
+      const values = this.expandRange(name, parameterRanges[name]);
+      values.forEach(value => {
+        const error = strategyRegistry.validateValue(strategy, name, value);
+        if (error) {
+          throw new Error(error);
+        }
+      });
+
+      combinations = combinations.flatMap(combination =>
+        values.map(value => ({ ...combination, [name]: value }))
+      );
+
+      if (combinations.length > MAX_COMBINATIONS * 10) {
+        break; // Fail below without materialising an enormous grid
+      }
+    }
+
+    combinations = combinations.filter(combination =>
+      strategyRegistry.satisfiesConstraints(strategy.name, combination)
+    );
+
+    if (combinations.length === 0) {
+      throw new Error('No valid parameter combinations in the given ranges');
+    }
+
+    if (combinations.length > MAX_COMBINATIONS) {
+      throw new Error(`Too many parameter combinations (max ${MAX_COMBINATIONS})`);
+    }
+
+    return combinations;
+  }
+
+  /**
+   * Build the combinations for a job request
+   * @param {Object} request - { algorithm, parameterRanges }
+   * @returns {Array<Object>} Parameter combinations
+   */
+  getJobCombinations({ algorithm, parameterRanges }) {
+    const { name } = strategyRegistry.require(algorithm);
+
+    // Parameters not being swept stay at their current live values
+    return this.generateCombinations(name, parameterRanges, strategyConfig.getParameters(name));
+  }
+
+  /**
+   * Validate an optimization request
+   * @param {Object} request - { algorithm, parameterRanges }
+   * @returns {string|null} Error message, or null when valid
+   */
+  validateJob(request) {
+    try {
+      this.getJobCombinations(request);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  /**
+   * Create an optimization job and start it in the background
+   * @param {Object} request - { algorithm, symbol, startDate, endDate, parameterRanges, settings }
+   * @param {Array} priceData - price_data rows ordered by timestamp
+   * @returns {Promise<Object>} Created job
+   */
+  async createJob({ algorithm, symbol, startDate, endDate, parameterRanges, settings = {} }, priceData) {
+    const { name } = strategyRegistry.require(algorithm);
+    const combinations = this.getJobCombinations({ algorithm, parameterRanges });
+
+    const result = await database.run(`
+      INSERT INTO optimization_jobs (
+        algorithm_name, symbol, start_date, end_date, parameter_ranges,
+        settings, status, total_combinations, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, 'QUEUED', ?, ?)
+    `, [
+      name, symbol, startDate, endDate, JSON.stringify(parameterRanges),
+      JSON.stringify(settings), combinations.length, new Date()
+    ]);
+
+    const job = await this.getJob(result.id);
+
+    // Run in the background; errors are stored on the job
+    setImmediate(() => {
+      this.runJob(job, combinations, priceData).catch(error => {
+        console.error(`Optimization job ${job.id} failed:`, error);
+      });
+    });
+
+    return job;
+  }
+
+  /**
+   * Backtest every combination, yielding to the event loop between runs
+   * @param {Object} job - Optimization job
+   * @param {Array<Object>} combinations - Parameter combinations
+   * @param {Array} priceData - price_data rows ordered by timestamp
+   */
+  async runJob(job, combinations, priceData) {
+    await database.run(`
+      UPDATE optimization_jobs SET status = 'RUNNING' WHERE id = ?
+    `, [job.id]);
+
+    try {
+      for (let i = 0; i < combinations.length; i++) {
+        const parameters = combinations[i];
+        const results = backtestService.run(priceData, {
+          ...job.settings,
+          algorithm: job.algorithm_name,
+          symbol: job.symbol,
+          parameters
+        });
+
+        await database.run(`
+          INSERT INTO optimization_results (
+            job_id, parameters, final_capital, total_return, sharpe_ratio,
+            max_drawdown, total_trades, win_rate, created_at
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+          job.id, JSON.stringify(results.parameters), results.finalCapital,
+          results.totalReturn, results.sharpeRatio, results.maxDrawdown,
+          results.totalTrades, results.winRate, new Date()
+        ]);
+
+        await database.run(`
+          UPDATE optimization_jobs SET completed_combinations = ? WHERE id = ?
+        `, [i + 1, job.id]);
+
+        this.emit('job_progress', {
+          jobId: job.id,
+          completed: i + 1,
+          total: combinations.length
+        });
+
+        await new Promise(resolve => setImmediate(resolve));
+      }
+
+      const [best] = await this.getResults(job.id, { sortBy: 'sharpe', limit: 1 });
+
+      await database.run(`
+        UPDATE optimization_jobs
+        SET status = 'COMPLETED', best_parameters = ?, completed_at = ?
+        WHERE id = ?
+      `, [JSON.stringify(best.parameters), new Date(), job.id]);
+
+      this.emit('job_completed', await this.getJob(job.id));
+    } catch (error) {
+      await database.run(`
+        UPDATE optimization_jobs
+        SET status = 'FAILED', error = ?, completed_at = ?
+        WHERE id = ?
+      `, [error.message, new Date(), job.id]);
+
+      this.emit('job_failed', { jobId: job.id, error: error.message });
+    }
+  }
+
+  /**
+   * Convert an optimization_jobs row
+   * @param {Object} row - Database row
+   * @returns {Object} Job
+   */
+  fromJobRow(row) {
+    return {
+      ...row,
+      parameter_ranges: JSON.parse(row.parameter_ranges),
+      settings: row.settings ? JSON.parse(row.settings) : {},
+      best_parameters: row.best_parameters ? JSON.parse(row.best_parameters) : null
+    };
+  }
+
+  /**
+   * Get an optimization job
+   * @param {number} id - Job ID
+   * @returns {Promise<Object|null>} Job
+   */
+  async getJob(id) {
+    const row = await database.get('SELECT * FROM optimization_jobs WHERE id = ?', [id]);
+    return row ? this.fromJobRow(row) : null;
+  }
+
+  /**
+   * List optimization jobs, newest first
+   * @param {Object} filters - { algorithm, symbol, status, limit }
+   * @returns {Promise<Array>} Jobs
+   */
+  async getJobs({ algorithm, symbol, status, limit = 50 } = {}) {
+    let whereClause = 'WHERE 1=1';
+    const params = [];
+
+    if (algorithm) {
+      whereClause += ' AND algorithm_name = ?';
+      params.push(strategyRegistry.get(algorithm)?.name ?? algorithm);
+    }
+
+    if (symbol) {
+      whereClause += ' AND symbol = ?';
+      params.push(symbol);
+    }
+
+    if (status) {
+      whereClause += ' AND status = ?';
+      params.push(status);
+    }
+
+    const rows = await database.all(`
+      SELECT * FROM optimization_jobs
+      ${whereClause}
+      ORDER BY created_at DESC
+      LIMIT ?
+    `, [...params, parseInt(limit)]);
+
+    return rows.map(row => this.fromJobRow(row));
+  }
+
+  /**
+   * Get a job's results ranked by Sharpe ratio, return or drawdown
+   * @param {number} jobId - Job ID
+   * @param {Object} options - { sortBy, limit }
+   * @returns {Promise<Array>} Ranked results
+   */
+  async getResults(jobId, { sortBy = 'sharpe', limit } = {}) {
+    const orderBy = SORT_FIELDS[sortBy] || SORT_FIELDS.sharpe;
+
+    const rows = await database.all(`
+      SELECT * FROM optimization_results
+      WHERE job_id = ?
+      ORDER BY ${orderBy}, total_return DESC
+      ${limit ? 'LIMIT ' + parseInt(limit) : ''}
+    `, [jobId]);
+
+    return rows.map((row, index) => ({
+      ...row,
+      rank: index + 1,
+      parameters: JSON.parse(row.parameters)
+    }));
+  }
+
+  /**
+   * Promote a result's parameters to live auto-trading
+   * @param {number} jobId - Job ID
+   * @param {Object} options - { resultId, sortBy, promotedBy }
+   * @returns {Promise<Object>} Live strategy configuration
+   */
+  async promote(jobId, { resultId, sortBy = 'sharpe', promotedBy }) {
+    const job = await this.getJob(jobId);
+    if (!job) {
+      throw new Error('Optimization job not found');
+    }
+
+    if (job.status !== 'COMPLETED') {
+      throw new Error(`Optimization job is ${job.status}`);
+    }
+
+    let result;
+    if (resultId) {
+      const row = await database.get(`
+        SELECT * FROM optimization_results WHERE id = ? AND job_id = ?
+      `, [resultId, jobId]);
+      result = row ? { ...row, parameters: JSON.parse(row.parameters) } : null;
+    } else {
+      [result] = await this.getResults(jobId, { sortBy, limit: 1 });
+    }
+
+    if (!result) {
+      throw new Error('Optimization result not found');
+    }
+
+    return strategyConfig.setParameters(job.algorithm_name, result.parameters, {
+      sourceJobId: job.id,
+      updatedBy: promotedBy
+    });
+  }
+}
+
+// Create singleton instance
+const optimizationService = new OptimizationService();
+
+export default optimizationService;
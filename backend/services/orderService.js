@@ -0,0 +1,414 @@
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import database from '../database/database.js';
+import positionService from './positionService.js';
+import accountService from './accountService.js';
+import riskEngine from './riskEngine.js';
+import marketDataService from './marketDataService.js';
+
+export const ORDER_TYPES = ['MARKET', 'LIMIT', 'STOP', 'STOP_LIMIT'];
+
+/**
+ * Order Service for AlphaFxTrader
+ * Places market, limit, stop and stop-limit orders and fills resting
+ * orders when incoming price ticks cross their trigger prices. Every
+ * fill is applied to the position keeper and to its account, and stores
+ * the realized P&L the account booked, in the account currency.
+ *
+ * Events:
+ * - order_placed: a resting order was accepted as PENDING
+ * - order_triggered: a stop-limit order's stop was hit and it now rests as a limit
+ * - order_filled: an order was filled
+ * - order_cancelled: a pending order was cancelled
+ * - order_rejected: a stale price, the risk engine or the account's margin refused an order
+ */
+class OrderService extends EventEmitter {
+  /**
+   * Validate an order request
+   * @param {Object} orderData - Order request
+   * @returns {string|null} Validation error message, or null when valid
+   */
+  validateOrder(orderData) {
+    const { symbol, action, quantity, orderType = 'MARKET', limitPrice, stopPrice } = orderData;
+
+    if (!symbol || !action || !quantity) {
+      return 'Missing required fields: symbol, action, quantity';
+    }
+
+    if (typeof symbol !== 'string') {
+      return 'Symbol must be a string';
+    }
+
+    if (typeof action !== 'string' || !['BUY', 'SELL'].includes(action.toUpperCase())) {
+      return 'Action must be either BUY or SELL';
+    }
+
+    // Quantities are whole units of the base currency (trades.quantity is an INTEGER)
+    if (!(Number.isInteger(Number(quantity)) && Number(quantity) > 0)) {
+      return 'Quantity must be a positive whole number';
+    }
+
+    const type = typeof orderType === 'string' ? orderType.toUpperCase() : null;
+
+    if (!ORDER_TYPES.includes(type)) {
+      return `Invalid order type. Must be one of: ${ORDER_TYPES.join(', ')}`;
+    }
+
+    if ((type === 'LIMIT' || type === 'STOP_LIMIT') && !(limitPrice > 0)) {
+      return `${type} orders require a positive limitPrice`;
+    }
+
+    if ((type === 'STOP' || type === 'STOP_LIMIT') && !(stopPrice > 0)) {
+      return `${type} orders require a positive stopPrice`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the latest stored quote for a symbol
+   * @param {string} symbol - Currency pair symbol
+   * @returns {Promise<Object|null>} Quote with bid, ask and price
+   */
+  async getLatestQuote(symbol) {
+    const priceData = await database.get(`
+      SELECT bid_price, ask_price, mid_price, timestamp
+      FROM price_data
+      WHERE symbol = ?
+      ORDER BY timestamp DESC
+      LIMIT 1
+    `, [symbol]);
+
+    if (!priceData) {
+      return null;
+    }
+
+    return {
+      symbol,
+      bid: priceData.bid_price,
+      ask: priceData.ask_price,
+      price: priceData.mid_price,
+      timestamp: priceData.timestamp
+    };
+  }
+
+  /**
+   * Place a new order on a trading account (the auto-trading account when
+   * none is given). Orders failing pre-trade risk checks or needing more
+   * than the account's free margin are stored as REJECTED with a reason.
+   * Market orders fill immediately at the latest bid/ask; other order types
+   * rest as PENDING until triggered.
+   * @param {Object} orderData - Order request
+   * @returns {Promise<Object>} Trade record
+   */
+  async placeOrder(orderData) {
+    const validationError = this.validateOrder(orderData);
+    if (validationError) {
+      throw new Error(validationError);
+    }
+
+    const quote = await this.getLatestQuote(orderData.symbol);
+    if (!quote) {
+      throw new Error(`No price data available for ${orderData.symbol}`);
+    }
+
+    const orderType = (orderData.orderType || 'MARKET').toUpperCase();
+    const now = new Date();
+
+    const order = {
+      id: uuidv4(),
+      symbol: orderData.symbol,
+      action: orderData.action.toUpperCase(),
+      quantity: Number(orderData.quantity),
+      price: null,
+      status: 'PENDING',
+      order_type: orderType,
+      limit_price: orderType === 'LIMIT' || orderType === 'STOP_LIMIT' ? parseFloat(orderData.limitPrice) : null,
+      stop_price: orderType === 'STOP' || orderType === 'STOP_LIMIT' ? parseFloat(orderData.stopPrice) : null,
+      triggered_at: null,
+      // Why a system order was placed (e.g. STOP_OUT); replaced by the rejection reason
+      reason: orderData.reason || null,
+      algorithm_used: orderData.algorithm || 'MANUAL',
+      user_id: orderData.userId || null,
+      account_id: orderData.accountId || accountService.systemAccountId,
+      // Order whose stop-loss or take-profit this order closes
+      parent_trade_id: orderData.parentTradeId || null,
+      pnl: 0,
+      created_at: now,
+      filled_at: null
+    };
+
+    // Resting orders carry their requested price until they fill
+    order.price = order.limit_price || order.stop_price;
+
+    if (orderType === 'MARKET') {
+      order.price = order.action === 'BUY' ? quote.ask : quote.bid;
+    }
+
+    // No order fills on a price the feed stopped updating
+    let riskCheck = marketDataService.checkFreshness(order.symbol);
+
+    // Pre-trade risk checks (system orders such as kill switch flattening skip them)
+    if (riskCheck.approved && !orderData.skipRiskChecks) {
+      riskCheck = await riskEngine.checkOrder(order, quote);
+    }
+
+    // Margin applies to every order; reducing a position never needs more
+    if (riskCheck.approved) {
+      riskCheck = await accountService.checkMargin(order);
+    }
+
+    if (!riskCheck.approved) {
+      order.status = 'REJECTED';
+      order.reason = riskCheck.reason;
+    } else if (orderType === 'MARKET') {
+      order.status = 'FILLED';
+      order.filled_at = now;
+    }
+
+    await database.run(`
+      INSERT INTO trades (
+        id, symbol, action, quantity, price, status, order_type, limit_price,
+        stop_price, reason, algorithm_used, user_id, account_id, parent_trade_id, pnl, created_at, filled_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      order.id, order.symbol, order.action, order.quantity, order.price,
+      order.status, order.order_type, order.limit_price, order.stop_price,
+      order.reason, order.algorithm_used, order.user_id, order.account_id, order.parent_trade_id, order.pnl, order.created_at, order.filled_at
+    ]);
+
+    if (order.status === 'REJECTED') {
+      this.emit('order_rejected', { ...order, rule: riskCheck.rule });
+      return order;
+    }
+
+    if (order.status === 'FILLED') {
+      return this.recordFill(order);
+    }
+
+    this.emit('order_placed', order);
+
+    // A resting order may already be marketable against the current quote
+    return (await this.evaluateOrder(order, quote)) || order;
+  }
+
+  /**
+   * Check whether a limit price is reached at the given market price
+   * @param {Object} order - Pending order
+   * @param {number} marketPrice - Executable price for the order side
+   * @returns {boolean} True if the limit is reached
+   */
+  isLimitReached(order, marketPrice) {
+    return order.action === 'BUY'
+      ? marketPrice <= order.limit_price
+      : marketPrice >= order.limit_price;
+  }
+
+  /**
+   * Check whether a stop price is reached at the given market price
+   * @param {Object} order - Pending order
+   * @param {number} marketPrice - Executable price for the order side
+   * @returns {boolean} True if the stop is reached
+   */
+  isStopReached(order, marketPrice) {
+    return order.action === 'BUY'
+      ? marketPrice >= order.stop_price
+      : marketPrice <= order.stop_price;
+  }
+
+  /**
+   * Evaluate a pending order against a quote, triggering or filling it
+   * @param {Object} order - Pending order
+   * @param {Object} quote - Quote with bid and ask
+   * @returns {Promise<Object|null>} Updated order, or null if nothing happened
+   */
+  async evaluateOrder(order, quote) {
+    const marketPrice = order.action === 'BUY' ? quote.ask : quote.bid;
+
+    switch (order.order_type) {
+      case 'LIMIT':
+        return this.isLimitReached(order, marketPrice)
+          ? this.fillOrder(order, marketPrice)
+          : null;
+
+      case 'STOP':
+        return this.isStopReached(order, marketPrice)
+          ? this.fillOrder(order, marketPrice)
+          : null;
+
+      case 'STOP_LIMIT': {
+        if (!order.triggered_at) {
+          if (!this.isStopReached(order, marketPrice)) {
+            return null;
+          }
+          order = await this.triggerOrder(order);
+        }
+
+        return this.isLimitReached(order, marketPrice)
+          ? this.fillOrder(order, marketPrice)
+          : order;
+      }
+
+      default:
+        return this.fillOrder(order, marketPrice);
+    }
+  }
+
+  /**
+   * Mark a stop-limit order as triggered
+   * @param {Object} order - Pending stop-limit order
+   * @returns {Promise<Object>} Triggered order
+   */
+  async triggerOrder(order) {
+    const triggeredAt = new Date();
+
+    await database.run(`
+      UPDATE trades
+      SET triggered_at = ?
+      WHERE id = ? AND status = 'PENDING'
+    `, [triggeredAt, order.id]);
+
+    const triggeredOrder = { ...order, triggered_at: triggeredAt };
+    this.emit('order_triggered', triggeredOrder);
+
+    return triggeredOrder;
+  }
+
+  /**
+   * Fill a pending order at the given price. The account's margin is
+   * checked again, since it may have changed while the order rested.
+   * @param {Object} order - Pending order
+   * @param {number} price - Fill price
+   * @returns {Promise<Object|null>} Filled or rejected order, or null if it was no longer pending
+   */
+  async fillOrder(order, price) {
+    const marginCheck = await accountService.checkMargin(order);
+    if (!marginCheck.approved) {
+      return this.rejectPendingOrder(order, marginCheck);
+    }
+
+    const filledAt = new Date();
+
+    const result = await database.run(`
+      UPDATE trades
+      SET status = 'FILLED', price = ?, filled_at = ?
+      WHERE id = ? AND status = 'PENDING'
+    `, [price, filledAt, order.id]);
+
+    if (result.changes === 0) {
+      return null;
+    }
+
+    return this.recordFill({ ...order, price, status: 'FILLED', filled_at: filledAt });
+  }
+
+  /**
+   * Reject a pending order that can no longer be filled
+   * @param {Object} order - Pending order
+   * @param {Object} check - Failed check with rule and reason
+   * @returns {Promise<Object|null>} Rejected order, or null if it was no longer pending
+   */
+  async rejectPendingOrder(order, check) {
+    const result = await database.run(`
+      UPDATE trades
+      SET status = 'REJECTED', reason = ?
+      WHERE id = ? AND status = 'PENDING'
+    `, [check.reason, order.id]);
+
+    if (result.changes === 0) {
+      return null;
+    }
+
+    const rejectedOrder = { ...order, status: 'REJECTED', reason: check.reason };
+    this.emit('order_rejected', { ...rejectedOrder, rule: check.rule });
+
+    return rejectedOrder;
+  }
+
+  /**
+   * Apply a fill to positions and its account, and store the realized P&L
+   * the account booked. The global book nets every account together, so its
+   * P&L is not the order's own.
+   * @param {Object} order - Filled order
+   * @returns {Promise<Object>} Filled order with pnl in the account currency
+   */
+  async recordFill(order) {
+    await positionService.applyFill(order);
+    const pnl = await accountService.applyFill(order);
+
+    await database.run(`
+      UPDATE trades SET pnl = ? WHERE id = ?
+    `, [pnl, order.id]);
+
+    const filledOrder = { ...order, pnl };
+    this.emit('order_filled', filledOrder);
+
+    return filledOrder;
+  }
+
+  /**
+   * Check all pending orders against a batch of price ticks
+   * @param {Array} prices - Price ticks with symbol, bid and ask
+   * @returns {Promise<Array>} Orders that were filled
+   */
+  async processPriceUpdate(prices) {
+    const pendingOrders = await database.all(`
+      SELECT * FROM trades WHERE status = 'PENDING' ORDER BY created_at ASC
+    `);
+
+    const filledOrders = [];
+
+    for (const order of pendingOrders) {
+      const quote = prices.find(price => price.symbol === order.symbol);
+      if (!quote) {
+        continue;
+      }
+
+      try {
+        const result = await this.evaluateOrder(order, quote);
+        if (result && result.status === 'FILLED') {
+          filledOrders.push(result);
+        }
+      } catch (error) {
+        console.error(`Failed to evaluate order ${order.id}:`, error.message);
+      }
+    }
+
+    return filledOrders;
+  }
+
+  /**
+   * Cancel a pending order
+   * @param {string} id - Trade ID
+   * @returns {Promise<Object|null>} Cancelled order, or null if not pending
+   */
+  async cancelOrder(id) {
+    const order = await database.get(`
+      SELECT * FROM trades WHERE id = ? AND status = 'PENDING'
+    `, [id]);
+
+    if (!order) {
+      return null;
+    }
+
+    const result = await database.run(`
+      UPDATE trades
+      SET status = 'CANCELLED'
+      WHERE id = ? AND status = 'PENDING'
+    `, [id]);
+
+    if (result.changes === 0) {
+      return null;
+    }
+
+    const cancelledOrder = { ...order, status: 'CANCELLED' };
+    this.emit('order_cancelled', cancelledOrder);
+
+    return cancelledOrder;
+  }
+}
+
+// Create singleton instance
+const orderService = new OrderService();
+
+export default orderService;
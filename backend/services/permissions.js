@@ -0,0 +1,52 @@
+// User roles, from least to most privileged
+export const ROLES = ['viewer', 'trader', 'risk_manager', 'admin'];
+
+// Role given to newly registered users; the first user becomes admin
+export const DEFAULT_ROLE = 'viewer';
+
+const TRADER_PERMISSIONS = [
+  'trades:execute',         // Place, update and cancel orders
+  'algorithms:run'          // Start backtests, optimizations and walk-forward runs
+];
+
+const RISK_MANAGER_PERMISSIONS = [
+  ...TRADER_PERMISSIONS,
+  'risk:manage',            // Create, change and delete risk rules
+  'trading:control',        // Kill switch and resume
+  'algorithms:configure',   // Change live strategy parameters and the ensemble
+  'audit:read'              // Read the audit log
+];
+
+/**
+ * Permissions granted to each role. Viewers have none: they can only read.
+ */
+export const ROLE_PERMISSIONS = {
+  viewer: [],
+  trader: TRADER_PERMISSIONS,
+  risk_manager: RISK_MANAGER_PERMISSIONS,
+  admin: [
+    ...RISK_MANAGER_PERMISSIONS,
+    'notifications:manage', // Create, mark read and delete notifications for everyone
+    'users:manage',         // List users and change their roles
+    'data:import'           // Import historical price data
+  ]
+};
+
+/**
+ * Get the permissions of a role
+ * @param {string} role - Role name
+ * @returns {Array<string>} Permissions; empty for unknown roles
+ */
+export function getPermissions(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+/**
+ * Check whether a user holds a permission
+ * @param {Object|null} user - Public user record
+ * @param {string} permission - Permission name
+ * @returns {boolean} True if the user's role grants the permission
+ */
+export function hasPermission(user, permission) {
+  return Boolean(user) && getPermissions(user.role).includes(permission);
+}
@@ -0,0 +1,258 @@
+import { EventEmitter } from 'events';
+import database from '../database/database.js';
+
+/**
+ * Position Service for AlphaFxTrader
+ * Nets BUY/SELL fills into one position per symbol, keeping a weighted
+ * average entry price, realized P&L on reducing fills and unrealized P&L
+ * marked to every price tick. P&L is expressed in the quote currency.
+ *
+ * Events:
+ * - position_update: a position changed through a fill or a new mark
+ */
+class PositionService extends EventEmitter {
+  constructor() {
+    super();
+    this.positions = new Map(); // Open and closed positions keyed by symbol
+  }
+
+  /**
+   * Load stored positions
+   */
+  async initialize() {
+    const rows = await database.all('SELECT * FROM positions');
+
+    if (rows.length === 0) {
+      await this.rebuildFromTrades();
+      return;
+    }
+
+    rows.forEach(row => {
+      this.positions.set(row.symbol, this.fromRow(row));
+    });
+  }
+
+  /**
+   * Replay all filled trades to rebuild positions from scratch
+   */
+  async rebuildFromTrades() {
+    this.positions.clear();
+
+    const trades = await database.all(`
+      SELECT * FROM trades WHERE status = 'FILLED' ORDER BY filled_at ASC
+    `);
+
+    // trades.pnl is booked per account (see accountService.rebuildPositions)
+    for (const trade of trades) {
+      await this.applyFill(trade, { silent: true });
+    }
+  }
+
+  /**
+   * Convert a database row to a position object
+   * @param {Object} row - positions table row
+   * @returns {Object} Position
+   */
+  fromRow(row) {
+    return {
+      symbol: row.symbol,
+      quantity: row.quantity,
+      averagePrice: row.average_price,
+      realizedPnl: row.realized_pnl,
+      unrealizedPnl: row.unrealized_pnl,
+      lastPrice: row.last_price,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Get a position, creating a flat one if the symbol has none
+   * @param {string} symbol - Currency pair symbol
+   * @returns {Object} Position
+   */
+  getOrCreatePosition(symbol) {
+    if (!this.positions.has(symbol)) {
+      this.positions.set(symbol, {
+        symbol,
+        quantity: 0,
+        averagePrice: 0,
+        realizedPnl: 0,
+        unrealizedPnl: 0,
+        lastPrice: null,
+        updatedAt: null
+      });
+    }
+
+    return this.positions.get(symbol);
+  }
+
+  /**
+   * Apply a fill to the symbol's net position
+   * @param {Object} trade - Filled trade with symbol, action, quantity and price
+   * @param {Object} options - { silent } suppresses the position_update event
+   * @returns {Promise<number>} Realized P&L booked by this fill
+   */
+  async applyFill(trade, { silent = false } = {}) {
+    const position = this.getOrCreatePosition(trade.symbol);
+    const realizedPnl = this.netFill(position, trade);
+
+    position.lastPrice = trade.price;
+    position.unrealizedPnl = this.calculateUnrealizedPnl(position, trade.price);
+    position.updatedAt = new Date();
+
+    await this.savePosition(position);
+
+    if (!silent) {
+      this.emit('position_update', { ...position });
+    }
+
+    return realizedPnl;
+  }
+
+  /**
+   * Net a fill into a position, updating its quantity, average entry price
+   * and realized P&L in place. Also used for per-account positions.
+   * @param {Object} position - Position with quantity, averagePrice and realizedPnl
+   * @param {Object} trade - Filled trade with action, quantity and price
+   * @returns {number} Realized P&L booked by this fill
+   */
+  netFill(position, trade) {
+    const fillQuantity = trade.action === 'BUY' ? trade.quantity : -trade.quantity;
+    const currentQuantity = position.quantity;
+    let realizedPnl = 0;
+
+    if (currentQuantity === 0 || Math.sign(currentQuantity) === Math.sign(fillQuantity)) {
+      // Opening or increasing: re-weight the average entry price
+      const totalQuantity = Math.abs(currentQuantity) + Math.abs(fillQuantity);
+      position.averagePrice = (
+        Math.abs(currentQuantity) * position.averagePrice +
+        Math.abs(fillQuantity) * trade.price
+      ) / totalQuantity;
+    } else {
+      // Reducing, closing or flipping: book P&L on the closed quantity
+      const closedQuantity = Math.min(Math.abs(currentQuantity), Math.abs(fillQuantity));
+      realizedPnl = closedQuantity * (trade.price - position.averagePrice) * Math.sign(currentQuantity);
+
+      if (Math.abs(fillQuantity) > Math.abs(currentQuantity)) {
+        position.averagePrice = trade.price;
+      } else if (Math.abs(fillQuantity) === Math.abs(currentQuantity)) {
+        position.averagePrice = 0;
+      }
+    }
+
+    position.quantity = currentQuantity + fillQuantity;
+    position.realizedPnl += realizedPnl;
+
+    return realizedPnl;
+  }
+
+  /**
+   * Calculate unrealized P&L of a position at a mark price
+   * @param {Object} position - Position
+   * @param {number} markPrice - Mark price
+   * @returns {number} Unrealized P&L
+   */
+  calculateUnrealizedPnl(position, markPrice) {
+    if (position.quantity === 0) {
+      return 0;
+    }
+
+    return position.quantity * (markPrice - position.averagePrice);
+  }
+
+  /**
+   * Mark open positions to a batch of price ticks. Longs are marked at
+   * the bid and shorts at the ask, i.e. the price they could be closed at.
+   * @param {Array} prices - Price ticks with symbol, bid and ask
+   * @returns {Promise<Array>} Positions that were re-marked
+   */
+  async markToMarket(prices) {
+    const updated = [];
+
+    for (const price of prices) {
+      const position = this.positions.get(price.symbol);
+      if (!position || position.quantity === 0) {
+        continue;
+      }
+
+      const markPrice = position.quantity > 0 ? price.bid : price.ask;
+      position.lastPrice = markPrice;
+      position.unrealizedPnl = this.calculateUnrealizedPnl(position, markPrice);
+      position.updatedAt = new Date();
+
+      await this.savePosition(position);
+      this.emit('position_update', { ...position });
+      updated.push({ ...position });
+    }
+
+    return updated;
+  }
+
+  /**
+   * Persist a position
+   * @param {Object} position - Position
+   */
+  async savePosition(position) {
+    await database.run(`
+      INSERT INTO positions (
+        symbol, quantity, average_price, realized_pnl, unrealized_pnl, last_price, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(symbol) DO UPDATE SET
+        quantity = excluded.quantity,
+        average_price = excluded.average_price,
+        realized_pnl = excluded.realized_pnl,
+        unrealized_pnl = excluded.unrealized_pnl,
+        last_price = excluded.last_price,
+        updated_at = excluded.updated_at
+    `, [
+      position.symbol, position.quantity, position.averagePrice, position.realizedPnl,
+      position.unrealizedPnl, position.lastPrice, position.updatedAt
+    ]);
+  }
+
+  /**
+   * Get all positions
+   * @param {Object} options - { openOnly } excludes flat positions
+   * @returns {Array} Positions
+   */
+  getPositions({ openOnly = false } = {}) {
+    return Array.from(this.positions.values())
+      .filter(position => !openOnly || position.quantity !== 0)
+      .map(position => ({ ...position }));
+  }
+
+  /**
+   * Get the position for a symbol
+   * @param {string} symbol - Currency pair symbol
+   * @returns {Object|null} Position
+   */
+  getPosition(symbol) {
+    const position = this.positions.get(symbol);
+    return position ? { ...position } : null;
+  }
+
+  /**
+   * Get realized and unrealized P&L totals per quote currency. P&L of pairs
+   * quoted in different currencies (e.g. JPY and USD) cannot be added up.
+   * @returns {Object} P&L totals keyed by quote currency
+   */
+  getTotals() {
+    const totals = {};
+
+    this.positions.forEach(position => {
+      const [, quoteCurrency] = position.symbol.split('/');
+      const total = totals[quoteCurrency] || (totals[quoteCurrency] = { realizedPnl: 0, unrealizedPnl: 0, totalPnl: 0 });
+
+      total.realizedPnl += position.realizedPnl;
+      total.unrealizedPnl += position.unrealizedPnl;
+      total.totalPnl = total.realizedPnl + total.unrealizedPnl;
+    });
+
+    return totals;
+  }
+}
+
+// Create singleton instance
+const positionService = new PositionService();
+
+export default positionService;
@@ -0,0 +1,461 @@
+import { EventEmitter } from 'events';
+import database from '../database/database.js';
+import orderService from './orderService.js';
+import accountService from './accountService.js';
+
+export const DISTANCE_UNITS = ['pips', 'price'];
+
+/**
+ * Get the pip size of a currency pair
+ * @param {string} symbol - Currency pair symbol
+ * @returns {number} Price change of one pip
+ */
+export function getPipSize(symbol) {
+  return symbol.endsWith('/JPY') ? 0.01 : 0.0001;
+}
+
+/**
+ * Protection Service for AlphaFxTrader
+ * Stop-loss, take-profit and trailing-stop protection for orders and open
+ * positions. Distances are given in pips or price and turned into levels
+ * from the entry price: the fill price for an order, the average price for
+ * a position. Protection on a resting order stays PENDING until the order
+ * fills.
+ *
+ * Active protection is checked on every price tick: longs against the bid,
+ * shorts against the ask. The first level hit closes the protected quantity
+ * (the whole position for position protection) at market. The closing
+ * trade carries the level as its reason and links to the protected order
+ * through parent_trade_id. Protection whose position is gone is cancelled.
+ *
+ * Events:
+ * - protection_update: protection was set, activated, moved (trailing), triggered or cancelled
+ * - protection_triggered: a level was hit and the position closed
+ */
+class ProtectionService extends EventEmitter {
+  /**
+   * Follow order fills and cancellations
+   */
+  async initialize() {
+    orderService.on('order_filled', (trade) => {
+      this.activateForTrade(trade).catch(error => {
+        console.error(`Failed to activate protection for ${trade.id}:`, error.message);
+      });
+    });
+
+    const cancelPending = (order) => {
+      this.cancelForTrade(order.id).catch(error => {
+        console.error(`Failed to cancel protection for ${order.id}:`, error.message);
+      });
+    };
+    orderService.on('order_cancelled', cancelPending);
+    orderService.on('order_rejected', cancelPending);
+  }
+
+  /**
+   * Validate protection request fields
+   * @param {Object} data - { stopLoss, takeProfit, trailingStop, distanceUnit }
+   * @returns {string|null} Validation error message, or null when valid
+   */
+  validateProtection({ stopLoss, takeProfit, trailingStop, distanceUnit = 'pips' } = {}) {
+    if (!DISTANCE_UNITS.includes(distanceUnit)) {
+      return `Invalid distanceUnit. Must be one of: ${DISTANCE_UNITS.join(', ')}`;
+    }
+
+    for (const [field, value] of Object.entries({ stopLoss, takeProfit, trailingStop })) {
+      if (value !== undefined && value !== null && !(Number(value) > 0)) {
+        return `${field} must be a positive distance`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Convert validated protection fields to price distances
+   * @param {string} symbol - Currency pair symbol
+   * @param {Object} data - { stopLoss, takeProfit, trailingStop, distanceUnit }
+   * @returns {Object|null} { stopLoss, takeProfit, trailingStop } in price, or null if none is set
+   */
+  toDistances(symbol, { stopLoss, takeProfit, trailingStop, distanceUnit = 'pips' } = {}) {
+    const scale = distanceUnit === 'pips' ? getPipSize(symbol) : 1;
+    const toDistance = value => (value === undefined || value === null ? null : Number(value) * scale);
+
+    const distances = {
+      stopLoss: toDistance(stopLoss),
+      takeProfit: toDistance(takeProfit),
+      trailingStop: toDistance(trailingStop)
+    };
+
+    return Object.values(distances).some(distance => distance !== null) ? distances : null;
+  }
+
+  /**
+   * Convert a database row to a protection object
+   * @param {Object} row - protective_stops row joined with the account's user_id
+   * @returns {Object} Protection
+   */
+  fromRow(row) {
+    let trailingStop = null;
+    if (row.trailing_anchor !== null && row.trailing_distance !== null) {
+      trailingStop = row.side === 'LONG'
+        ? row.trailing_anchor - row.trailing_distance
+        : row.trailing_anchor + row.trailing_distance;
+    }
+
+    return {
+      id: row.id,
+      accountId: row.account_id,
+      userId: row.user_id,
+      symbol: row.symbol,
+      tradeId: row.trade_id,
+      side: row.side,
+      quantity: row.quantity,
+      entryPrice: row.entry_price,
+      stopLoss: row.stop_loss,
+      takeProfit: row.take_profit,
+      trailingStop,
+      stopLossDistance: row.stop_loss_distance,
+      takeProfitDistance: row.take_profit_distance,
+      trailingDistance: row.trailing_distance,
+      status: row.status,
+      triggerType: row.trigger_type,
+      closingTradeId: row.closing_trade_id,
+      createdAt: row.created_at,
+      activatedAt: row.activated_at,
+      closedAt: row.closed_at
+    };
+  }
+
+  /**
+   * Get a protection
+   * @param {number} id - Protection id
+   * @returns {Promise<Object|null>} Protection
+   */
+  async getProtection(id) {
+    const row = await database.get(`
+      SELECT p.*, a.user_id FROM protective_stops p
+      JOIN accounts a ON a.id = p.account_id
+      WHERE p.id = ?
+    `, [id]);
+
+    return row ? this.fromRow(row) : null;
+  }
+
+  /**
+   * List an account's pending and active protection
+   * @param {number} accountId - Account id
+   * @returns {Promise<Array>} Protection
+   */
+  async getOpenProtections(accountId) {
+    const rows = await database.all(`
+      SELECT p.*, a.user_id FROM protective_stops p
+      JOIN accounts a ON a.id = p.account_id
+      WHERE p.account_id = ? AND p.status IN ('PENDING', 'ACTIVE')
+      ORDER BY p.created_at ASC
+    `, [accountId]);
+
+    return rows.map(row => this.fromRow(row));
+  }
+
+  /**
+   * Attach each trade's pending or active protection, or null, as `protection`
+   * @param {Array} trades - Trade rows
+   * @returns {Promise<Array>} The same trades with protection
+   */
+  async attachToTrades(trades) {
+    if (trades.length === 0) {
+      return trades;
+    }
+
+    const rows = await database.all(`
+      SELECT p.*, a.user_id FROM protective_stops p
+      JOIN accounts a ON a.id = p.account_id
+      WHERE p.status IN ('PENDING', 'ACTIVE') AND p.trade_id IN (${trades.map(() => '?').join(', ')})
+    `, trades.map(trade => trade.id));
+
+    const byTrade = new Map(rows.map(row => [row.trade_id, this.fromRow(row)]));
+    trades.forEach(trade => {
+      trade.protection = byTrade.get(trade.id) || null;
+    });
+
+    return trades;
+  }
+
+  /**
+   * Attach protection to an order just placed. It activates at once if the
+   * order has filled, and when the order fills otherwise. The order's status
+   * is read again once the protection is stored: a resting order can fill on
+   * a tick in between, before its fill event could find the protection.
+   * @param {Object} trade - Order returned by orderService.placeOrder
+   * @param {Object} data - Validated { stopLoss, takeProfit, trailingStop, distanceUnit }
+   * @returns {Promise<Object|null>} Protection, or null if none was requested or the order was not accepted
+   */
+  async attachToOrder(trade, data) {
+    const distances = this.toDistances(trade.symbol, data);
+    if (!distances || !['PENDING', 'FILLED'].includes(trade.status)) {
+      return null;
+    }
+
+    const result = await database.run(`
+      INSERT INTO protective_stops (
+        account_id, symbol, trade_id, quantity, stop_loss_distance,
+        take_profit_distance, trailing_distance, status, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, 'PENDING', ?)
+    `, [
+      trade.account_id, trade.symbol, trade.id, trade.quantity, distances.stopLoss,
+      distances.takeProfit, distances.trailingStop, new Date()
+    ]);
+
+    const order = await database.get('SELECT * FROM trades WHERE id = ?', [trade.id]);
+
+    if (order.status === 'FILLED') {
+      await this.activate(result.id, order.action === 'BUY' ? 'LONG' : 'SHORT', order.price);
+    } else if (order.status === 'PENDING') {
+      this.emit('protection_update', await this.getProtection(result.id));
+    } else {
+      await this.cancelProtection(result.id);
+    }
+
+    return this.getProtection(result.id);
+  }
+
+  /**
+   * Protect an account's whole open position, replacing earlier position protection
+   * @param {number} accountId - Account id
+   * @param {string} symbol - Currency pair symbol
+   * @param {Object} data - Validated { stopLoss, takeProfit, trailingStop, distanceUnit }
+   * @returns {Promise<Object|null>} Protection, or null if the account has no open position in the symbol
+   */
+  async protectPosition(accountId, symbol, data) {
+    const position = accountService.getPositions(accountId).find(open => open.symbol === symbol);
+    const distances = this.toDistances(symbol, data);
+    if (!position || !distances) {
+      return null;
+    }
+
+    const replaced = await database.all(`
+      SELECT id FROM protective_stops
+      WHERE account_id = ? AND symbol = ? AND trade_id IS NULL AND status = 'ACTIVE'
+    `, [accountId, symbol]);
+
+    for (const { id } of replaced) {
+      await this.cancelProtection(id);
+    }
+
+    const result = await database.run(`
+      INSERT INTO protective_stops (
+        account_id, symbol, stop_loss_distance, take_profit_distance,
+        trailing_distance, status, created_at
+      ) VALUES (?, ?, ?, ?, ?, 'PENDING', ?)
+    `, [accountId, symbol, distances.stopLoss, distances.takeProfit, distances.trailingStop, new Date()]);
+
+    await this.activate(result.id, position.quantity > 0 ? 'LONG' : 'SHORT', position.averagePrice);
+
+    return this.getProtection(result.id);
+  }
+
+  /**
+   * Turn a protection's distances into levels from the entry price
+   * @param {number} id - Protection id
+   * @param {string} side - 'LONG' or 'SHORT'
+   * @param {number} entryPrice - Fill or average entry price
+   */
+  async activate(id, side, entryPrice) {
+    const row = await database.get('SELECT * FROM protective_stops WHERE id = ?', [id]);
+    const direction = side === 'LONG' ? 1 : -1;
+
+    // A market order's protection can be activated by both attachToOrder and the fill event
+    const result = await database.run(`
+      UPDATE protective_stops
+      SET status = 'ACTIVE', side = ?, entry_price = ?, stop_loss = ?, take_profit = ?,
+          trailing_anchor = ?, activated_at = ?
+      WHERE id = ? AND status = 'PENDING'
+    `, [
+      side,
+      entryPrice,
+      row.stop_loss_distance !== null ? entryPrice - direction * row.stop_loss_distance : null,
+      row.take_profit_distance !== null ? entryPrice + direction * row.take_profit_distance : null,
+      row.trailing_distance !== null ? entryPrice : null,
+      new Date(),
+      id
+    ]);
+
+    if (result.changes > 0) {
+      this.emit('protection_update', await this.getProtection(id));
+    }
+  }
+
+  /**
+   * Activate the pending protection of a filled order
+   * @param {Object} trade - Filled order
+   */
+  async activateForTrade(trade) {
+    const rows = await database.all(`
+      SELECT id FROM protective_stops WHERE trade_id = ? AND status = 'PENDING'
+    `, [trade.id]);
+
+    for (const { id } of rows) {
+      await this.activate(id, trade.action === 'BUY' ? 'LONG' : 'SHORT', trade.price);
+    }
+  }
+
+  /**
+   * Cancel the pending protection of an order that will not fill
+   * @param {string} tradeId - Trade ID
+   */
+  async cancelForTrade(tradeId) {
+    const rows = await database.all(`
+      SELECT id FROM protective_stops WHERE trade_id = ? AND status = 'PENDING'
+    `, [tradeId]);
+
+    for (const { id } of rows) {
+      await this.cancelProtection(id);
+    }
+  }
+
+  /**
+   * Cancel pending or active protection
+   * @param {number} id - Protection id
+   * @returns {Promise<Object|null>} Cancelled protection, or null if it was not open
+   */
+  async cancelProtection(id) {
+    const result = await database.run(`
+      UPDATE protective_stops SET status = 'CANCELLED', closed_at = ?
+      WHERE id = ? AND status IN ('PENDING', 'ACTIVE')
+    `, [new Date(), id]);
+
+    if (result.changes === 0) {
+      return null;
+    }
+
+    const protection = await this.getProtection(id);
+    this.emit('protection_update', protection);
+
+    return protection;
+  }
+
+  /**
+   * Find the level a price hits, if any
+   * @param {Object} protection - Active protection
+   * @param {number} price - Bid for longs, ask for shorts
+   * @returns {string|null} 'STOP_LOSS', 'TRAILING_STOP', 'TAKE_PROFIT' or null
+   */
+  getTrigger(protection, price) {
+    const direction = protection.side === 'LONG' ? 1 : -1;
+    const reached = level => level !== null && direction * (price - level) <= 0;
+    const exceeded = level => level !== null && direction * (price - level) >= 0;
+
+    if (reached(protection.stopLoss)) {
+      return 'STOP_LOSS';
+    }
+    if (reached(protection.trailingStop)) {
+      return 'TRAILING_STOP';
+    }
+    if (exceeded(protection.takeProfit)) {
+      return 'TAKE_PROFIT';
+    }
+
+    return null;
+  }
+
+  /**
+   * Trail, trigger or cancel active protection against a batch of price ticks
+   * @param {Array} prices - Price ticks with symbol, bid and ask
+   * @returns {Promise<Array>} Closing trades
+   */
+  async processPriceUpdate(prices) {
+    const rows = await database.all(`
+      SELECT p.*, a.user_id FROM protective_stops p
+      JOIN accounts a ON a.id = p.account_id
+      WHERE p.status = 'ACTIVE'
+      ORDER BY p.activated_at ASC
+    `);
+
+    const closingTrades = [];
+
+    for (const row of rows) {
+      const quote = prices.find(price => price.symbol === row.symbol);
+      if (!quote) {
+        continue;
+      }
+
+      try {
+        const trade = await this.evaluate(row, quote);
+        if (trade) {
+          closingTrades.push(trade);
+        }
+      } catch (error) {
+        console.error(`Failed to evaluate protection ${row.id}:`, error.message);
+      }
+    }
+
+    return closingTrades;
+  }
+
+  /**
+   * Evaluate one active protection against a quote
+   * @param {Object} row - Active protective_stops row with user_id
+   * @param {Object} quote - Quote with bid and ask
+   * @returns {Promise<Object|null>} Closing trade, or null if no level was hit
+   */
+  async evaluate(row, quote) {
+    const position = accountService.getPositions(row.account_id).find(open => open.symbol === row.symbol);
+    const isLong = row.side === 'LONG';
+
+    // Closed or reversed by other fills: nothing left to protect
+    if (!position || (position.quantity > 0) !== isLong) {
+      await this.cancelProtection(row.id);
+      return null;
+    }
+
+    const price = isLong ? quote.bid : quote.ask;
+
+    if (row.trailing_distance !== null && (isLong ? price > row.trailing_anchor : price < row.trailing_anchor)) {
+      row.trailing_anchor = price;
+      await database.run('UPDATE protective_stops SET trailing_anchor = ? WHERE id = ?', [price, row.id]);
+      this.emit('protection_update', this.fromRow(row));
+    }
+
+    const protection = this.fromRow(row);
+    const trigger = this.getTrigger(protection, price);
+    if (!trigger) {
+      return null;
+    }
+
+    // Claim it first so an overlapping tick cannot close it twice
+    const claimed = await database.run(`
+      UPDATE protective_stops SET status = 'TRIGGERED', trigger_type = ?, closed_at = ?
+      WHERE id = ? AND status = 'ACTIVE'
+    `, [trigger, new Date(), row.id]);
+
+    if (claimed.changes === 0) {
+      return null;
+    }
+
+    const trade = await orderService.placeOrder({
+      symbol: row.symbol,
+      action: isLong ? 'SELL' : 'BUY',
+      quantity: Math.min(row.quantity ?? Infinity, Math.abs(position.quantity)),
+      algorithm: trigger,
+      reason: trigger,
+      parentTradeId: row.trade_id,
+      userId: row.user_id,
+      accountId: row.account_id,
+      skipRiskChecks: true
+    });
+
+    await database.run('UPDATE protective_stops SET closing_trade_id = ? WHERE id = ?', [trade.id, row.id]);
+
+    const triggered = await this.getProtection(row.id);
+    this.emit('protection_update', triggered);
+    this.emit('protection_triggered', { protection: triggered, trade, price });
+
+    return trade;
+  }
+}
+
+// Create singleton instance
+const protectionService = new ProtectionService();
+
+export default protectionService;
@@ -0,0 +1,224 @@
+import dotenv from 'dotenv';
+import database from '../database/database.js';
+import candleService, { TIMEFRAMES, getCandleStart } from './candleService.js';
+
+dotenv.config();
+
+const DAY = TIMEFRAMES['1D'];
+
+// Candle tiers: minute candles are rolled up into hour candles before they go
+const MINUTE_TIMEFRAMES = ['1m', '5m', '15m'];
+const HOUR_TIMEFRAMES = ['1h', '4h', '1D'];
+
+// Retention in days per table or tier; 0 keeps data forever
+const POLICIES = {
+  ticks: { env: 'RETENTION_TICK_DAYS', days: 7 },                     // Live price_data ticks
+  importedTicks: { env: 'RETENTION_IMPORTED_TICK_DAYS', days: 0 },    // Imported price_data rows
+  minuteCandles: { env: 'RETENTION_MINUTE_CANDLE_DAYS', days: 90 },   // 1m, 5m and 15m price_candles
+  hourCandles: { env: 'RETENTION_HOUR_CANDLE_DAYS', days: 0 },        // 1h, 4h and 1D price_candles
+  indicators: { env: 'RETENTION_INDICATOR_DAYS', days: 30 }           // technical_indicators
+};
+
+/**
+ * Retention Service for AlphaFxTrader
+ * Ages market data out in tiers instead of deleting it: ticks older than
+ * their retention are first downsampled into any missing 1m candles (and
+ * those into the higher timeframes), and 1m candles into 1h candles, before
+ * they are deleted. Hour candles are kept forever by default.
+ *
+ * Retention is set per table or tier in days (see POLICIES); 0 keeps data
+ * forever. Cut-offs are aligned to UTC midnight so that whole days are
+ * downsampled and deleted together.
+ */
+class RetentionService {
+  constructor() {
+    this.policies = {};
+    this.running = false;
+    this.lastRun = null;
+    this.loadPolicies();
+  }
+
+  /**
+   * Read the retention of every policy from the environment. A coarser tier
+   * is never deleted before the finer one it is built from.
+   */
+  loadPolicies() {
+    this.policies = Object.fromEntries(Object.entries(POLICIES).map(([name, { env, days }]) => {
+      const value = process.env[env] !== undefined && process.env[env] !== '' ? parseFloat(process.env[env]) : days;
+      if (!(value >= 0)) {
+        console.warn(`Invalid ${env}=${process.env[env]}; using ${days} days`);
+        return [name, days];
+      }
+      return [name, value];
+    }));
+
+    // Otherwise deleted candles would be rebuilt from the finer data on every run
+    const raise = (coarser, finer) => {
+      if (this.policies[coarser] > 0 && this.policies[coarser] < this.policies[finer]) {
+        console.warn(`${POLICIES[coarser].env} raised to ${this.policies[finer]} to match ${POLICIES[finer].env}`);
+        this.policies[coarser] = this.policies[finer];
+      }
+    };
+    raise('minuteCandles', 'ticks');
+    raise('minuteCandles', 'importedTicks');
+    raise('hourCandles', 'minuteCandles');
+  }
+
+  /**
+   * Get the cut-off of a retention, aligned to UTC midnight
+   * @param {number} days - Retention in days
+   * @returns {number} Cut-off time in milliseconds
+   */
+  getCutoff(days) {
+    return getCandleStart(Date.now() - days * DAY, '1D');
+  }
+
+  /**
+   * Downsample and delete price_data rows older than a retention. Each
+   * symbol is downsampled and deleted in one transaction, so rows stored in
+   * between (e.g. by an import) are not deleted without their candles.
+   * @param {number} days - Retention in days; 0 keeps the rows
+   * @param {string} condition - SQL condition selecting the rows the policy covers
+   * @returns {Promise<number>} Rows deleted
+   */
+  async pruneTicks(days, condition) {
+    if (!days) {
+      return 0;
+    }
+
+    const cutoff = this.getCutoff(days);
+    const symbols = await database.all(`
+      SELECT symbol, MIN(timestamp) as oldest
+      FROM price_data
+      WHERE timestamp < ? AND ${condition}
+      GROUP BY symbol
+    `, [new Date(cutoff)]);
+
+    let deleted = 0;
+
+    for (const { symbol, oldest } of symbols) {
+      await database.transaction(async () => {
+        await candleService.rebuild(symbol, oldest, cutoff - 1, { timeframes: ['1m'], overwrite: false });
+        await candleService.aggregate(symbol, '1m', oldest, cutoff - 1, { overwrite: false });
+
+        const { changes } = await database.run(`
+          DELETE FROM price_data WHERE symbol = ? AND timestamp < ? AND ${condition}
+        `, [symbol, new Date(cutoff)]);
+        deleted += changes;
+      });
+    }
+
+    return deleted;
+  }
+
+  /**
+   * Delete candles of some timeframes older than a retention, first rolling
+   * 1m candles up into any missing higher timeframe candles. Like ticks, each
+   * symbol is rolled up and deleted in one transaction.
+   * @param {number} days - Retention in days; 0 keeps the candles
+   * @param {Array<string>} timeframes - Timeframes the tier covers
+   * @returns {Promise<number>} Candles deleted
+   */
+  async pruneCandles(days, timeframes) {
+    if (!days) {
+      return 0;
+    }
+
+    const cutoff = this.getCutoff(days);
+    const symbols = await database.all(`
+      SELECT symbol, MIN(open_time) as oldest
+      FROM price_candles
+      WHERE timeframe IN (${timeframes.map(() => '?').join(', ')}) AND open_time < ?
+      GROUP BY symbol
+    `, [...timeframes, new Date(cutoff)]);
+
+    let deleted = 0;
+
+    for (const { symbol, oldest } of symbols) {
+      await database.transaction(async () => {
+        if (timeframes.includes('1m')) {
+          await candleService.aggregate(symbol, '1m', oldest, cutoff - 1, { overwrite: false });
+        }
+
+        const { changes } = await database.run(`
+          DELETE FROM price_candles
+          WHERE symbol = ? AND timeframe IN (${timeframes.map(() => '?').join(', ')}) AND open_time < ?
+        `, [symbol, ...timeframes, new Date(cutoff)]);
+        deleted += changes;
+      });
+    }
+
+    return deleted;
+  }
+
+  /**
+   * Apply every retention policy. Skipped while an import is running (here
+   * or in the import-history script): it rebuilds the candles of the rows
+   * it stored once it has them all.
+   * @returns {Promise<Object|null>} The run's summary, or null if a run is already going or skipped
+   */
+  async run() {
+    if (this.running) {
+      return null;
+    }
+
+    this.running = true;
+    const startedAt = Date.now();
+
+    try {
+      const runningImport = await database.get(`SELECT id FROM data_imports WHERE status = 'RUNNING' LIMIT 1`);
+      if (runningImport) {
+        console.log(`⏭️ Retention skipped while import ${runningImport.id} is running`);
+        return null;
+      }
+
+      const deleted = {
+        ticks: await this.pruneTicks(this.policies.ticks, 'import_id IS NULL'),
+        importedTicks: await this.pruneTicks(this.policies.importedTicks, 'import_id IS NOT NULL'),
+        minuteCandles: await this.pruneCandles(this.policies.minuteCandles, MINUTE_TIMEFRAMES),
+        hourCandles: await this.pruneCandles(this.policies.hourCandles, HOUR_TIMEFRAMES),
+        indicators: 0
+      };
+
+      if (this.policies.indicators) {
+        const { changes } = await database.run(
+          'DELETE FROM technical_indicators WHERE timestamp < ?',
+          [new Date(this.getCutoff(this.policies.indicators))]
+        );
+        deleted.indicators = changes;
+      }
+
+      const rows = {};
+      for (const table of ['price_data', 'price_candles', 'technical_indicators']) {
+        rows[table] = (await database.get(`SELECT COUNT(*) as count FROM ${table}`)).count;
+      }
+
+      this.lastRun = {
+        at: new Date(startedAt),
+        durationMs: Date.now() - startedAt,
+        deleted,
+        rows
+      };
+      return this.lastRun;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Get the retention policies and the last run, as reported by /health
+   * @returns {Object} { policies, lastRun }
+   */
+  getStatus() {
+    return {
+      policies: Object.fromEntries(Object.entries(this.policies).map(([name, days]) =>
+        [name, { days, env: POLICIES[name].env }])),
+      lastRun: this.lastRun
+    };
+  }
+}
+
+// Create singleton instance
+const retentionService = new RetentionService();
+
+export default retentionService;
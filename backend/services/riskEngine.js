@@ -0,0 +1,290 @@
+import dotenv from 'dotenv';
+import database from '../database/database.js';
+import accountService from './accountService.js';
+
+dotenv.config();
+
+export const RULE_TYPES = [
+  'MAX_ORDER_NOTIONAL',
+  'MAX_POSITION',
+  'MAX_DAILY_LOSS',
+  'MAX_ORDERS_PER_MINUTE',
+  'SYMBOL_WHITELIST'
+];
+
+/**
+ * Pre-trade Risk Engine for AlphaFxTrader
+ * Applies the active rules in risk_management_rules to every order before
+ * it is accepted. Rules with a symbol only apply to that currency pair;
+ * rules without one apply to all pairs. Position and loss rules apply to
+ * the order's own account, and amounts are in the account currency.
+ *
+ * Rule types:
+ * - MAX_ORDER_NOTIONAL: maximum value of a single order
+ * - MAX_POSITION: maximum absolute position in the symbol after the order,
+ *   in base currency units
+ * - MAX_DAILY_LOSS: once the account's realized loss today plus its
+ *   unrealized loss reaches this value, only orders that reduce a
+ *   position are accepted
+ * - MAX_ORDERS_PER_MINUTE: maximum accepted orders in a rolling minute
+ * - SYMBOL_WHITELIST: one row per tradable symbol; when any exist, other
+ *   symbols are rejected
+ */
+class RiskEngine {
+  constructor() {
+    this.enabled = process.env.RISK_MANAGEMENT_ENABLED !== 'false';
+    this.rules = [];
+  }
+
+  /**
+   * Seed default rules and load active rules
+   */
+  async initialize() {
+    const { count } = await database.get('SELECT COUNT(*) as count FROM risk_management_rules');
+    if (count === 0) {
+      await this.seedDefaultRules();
+    }
+
+    await this.loadRules();
+  }
+
+  /**
+   * Insert default rules from environment configuration
+   */
+  async seedDefaultRules() {
+    const defaults = [
+      ['Max order notional', 'MAX_ORDER_NOTIONAL', parseFloat(process.env.RISK_MAX_ORDER_NOTIONAL) || 5000000],
+      ['Max net position', 'MAX_POSITION', parseFloat(process.env.RISK_MAX_POSITION) || 2000000],
+      ['Max daily loss', 'MAX_DAILY_LOSS', parseFloat(process.env.RISK_MAX_DAILY_LOSS) || 50000],
+      ['Max orders per minute', 'MAX_ORDERS_PER_MINUTE', parseFloat(process.env.RISK_MAX_ORDERS_PER_MINUTE) || 30]
+    ];
+
+    const now = new Date();
+
+    for (const [name, type, value] of defaults) {
+      await database.run(`
+        INSERT INTO risk_management_rules (rule_name, rule_type, value, is_active, created_at, updated_at)
+        VALUES (?, ?, ?, 1, ?, ?)
+      `, [name, type, value, now, now]);
+    }
+  }
+
+  /**
+   * Reload active rules from the database
+   */
+  async loadRules() {
+    this.rules = await database.all(`
+      SELECT * FROM risk_management_rules WHERE is_active = 1
+    `);
+  }
+
+  /**
+   * Get the active rules of a type that apply to a symbol
+   * @param {string} type - Rule type
+   * @param {string} symbol - Currency pair symbol
+   * @returns {Array} Matching rules
+   */
+  getRules(type, symbol) {
+    return this.rules.filter(rule =>
+      rule.rule_type === type && (!rule.symbol || rule.symbol === symbol)
+    );
+  }
+
+  /**
+   * Check an order against all active rules
+   * @param {Object} order - Order with symbol, action, quantity and price
+   * @param {Object} quote - Latest quote for the symbol
+   * @returns {Promise<Object>} { approved, rule, reason }
+   */
+  async checkOrder(order, quote) {
+    if (!this.enabled) {
+      return { approved: true };
+    }
+
+    const account = await accountService.getAccount(order.account_id);
+    if (!account) {
+      return { approved: false, rule: 'ACCOUNT', reason: `Account ${order.account_id} not found` };
+    }
+
+    const checks = [
+      () => this.checkWhitelist(order),
+      () => this.checkOrderNotional(order, quote, account),
+      () => this.checkPosition(order, account),
+      () => this.checkDailyLoss(order, account),
+      () => this.checkOrderRate(order)
+    ];
+
+    for (const check of checks) {
+      const result = await check();
+      if (!result.approved) {
+        return result;
+      }
+    }
+
+    return { approved: true };
+  }
+
+  /**
+   * Reject symbols missing from a non-empty whitelist
+   */
+  checkWhitelist(order) {
+    const whitelist = this.rules.filter(rule => rule.rule_type === 'SYMBOL_WHITELIST');
+
+    if (whitelist.length > 0 && !whitelist.some(rule => rule.symbol === order.symbol)) {
+      return {
+        approved: false,
+        rule: 'SYMBOL_WHITELIST',
+        reason: `${order.symbol} is not on the symbol whitelist`
+      };
+    }
+
+    return { approved: true };
+  }
+
+  /**
+   * Reject orders whose notional, in the account currency, exceeds MAX_ORDER_NOTIONAL
+   */
+  checkOrderNotional(order, quote, account) {
+    const rules = this.getRules('MAX_ORDER_NOTIONAL', order.symbol);
+    if (rules.length === 0) {
+      return { approved: true };
+    }
+
+    const [, quoteCurrency] = order.symbol.split('/');
+    const price = order.price || (order.action === 'BUY' ? quote.ask : quote.bid);
+    const notional = accountService.convert(order.quantity * price, quoteCurrency, account.baseCurrency);
+
+    if (notional === null) {
+      return {
+        approved: false,
+        rule: 'MAX_ORDER_NOTIONAL',
+        reason: `No rate to convert ${order.symbol} into ${account.baseCurrency}`
+      };
+    }
+
+    for (const rule of rules) {
+      if (notional > rule.value) {
+        return {
+          approved: false,
+          rule: 'MAX_ORDER_NOTIONAL',
+          reason: `Order notional ${notional.toFixed(2)} ${account.baseCurrency} exceeds limit of ${rule.value}`
+        };
+      }
+    }
+
+    return { approved: true };
+  }
+
+  /**
+   * Reject orders that grow the account's position beyond MAX_POSITION
+   */
+  checkPosition(order, account) {
+    const position = accountService.getPosition(account.id, order.symbol);
+    const currentQuantity = position ? position.quantity : 0;
+    const fillQuantity = order.action === 'BUY' ? order.quantity : -order.quantity;
+    const resultingQuantity = Math.abs(currentQuantity + fillQuantity);
+
+    // Orders that shrink the position are always allowed
+    if (resultingQuantity <= Math.abs(currentQuantity)) {
+      return { approved: true };
+    }
+
+    for (const rule of this.getRules('MAX_POSITION', order.symbol)) {
+      if (resultingQuantity > rule.value) {
+        return {
+          approved: false,
+          rule: 'MAX_POSITION',
+          reason: `Resulting ${order.symbol} position of ${resultingQuantity} exceeds limit of ${rule.value}`
+        };
+      }
+    }
+
+    return { approved: true };
+  }
+
+  /**
+   * Reject position-increasing orders once the account's MAX_DAILY_LOSS is reached
+   */
+  async checkDailyLoss(order, account) {
+    const rules = this.getRules('MAX_DAILY_LOSS', order.symbol);
+    if (rules.length === 0 || this.isReducingOrder(order, account)) {
+      return { approved: true };
+    }
+
+    const startOfDay = new Date();
+    startOfDay.setHours(0, 0, 0, 0);
+
+    // trades.pnl is booked in the account currency
+    const realized = await database.get(`
+      SELECT SUM(pnl) as total_pnl
+      FROM trades
+      WHERE status = 'FILLED' AND account_id = ? AND filled_at >= ?
+    `, [account.id, startOfDay]);
+
+    const { unrealizedPnl } = await accountService.getSummary(account.id);
+    const dailyPnl = (realized.total_pnl || 0) + unrealizedPnl;
+
+    for (const rule of rules) {
+      if (dailyPnl <= -rule.value) {
+        return {
+          approved: false,
+          rule: 'MAX_DAILY_LOSS',
+          reason: `Daily loss of ${Math.abs(dailyPnl).toFixed(2)} ${account.baseCurrency} has reached limit of ${rule.value}`
+        };
+      }
+    }
+
+    return { approved: true };
+  }
+
+  /**
+   * Reject orders beyond MAX_ORDERS_PER_MINUTE
+   */
+  async checkOrderRate(order) {
+    const rules = this.getRules('MAX_ORDERS_PER_MINUTE', order.symbol);
+    if (rules.length === 0) {
+      return { approved: true };
+    }
+
+    const oneMinuteAgo = new Date(Date.now() - 60 * 1000);
+    const recent = await database.get(`
+      SELECT COUNT(*) as count
+      FROM trades
+      WHERE created_at >= ? AND status != 'REJECTED'
+    `, [oneMinuteAgo]);
+
+    for (const rule of rules) {
+      if (recent.count >= rule.value) {
+        return {
+          approved: false,
+          rule: 'MAX_ORDERS_PER_MINUTE',
+          reason: `Order rate limit of ${rule.value} per minute reached`
+        };
+      }
+    }
+
+    return { approved: true };
+  }
+
+  /**
+   * Check whether an order only reduces the account's existing position
+   * @param {Object} order - Order with symbol, action and quantity
+   * @param {Object} account - The order's account
+   * @returns {boolean} True if the order reduces the position
+   */
+  isReducingOrder(order, account) {
+    const position = accountService.getPosition(account.id, order.symbol);
+    if (!position || position.quantity === 0) {
+      return false;
+    }
+
+    const fillQuantity = order.action === 'BUY' ? order.quantity : -order.quantity;
+    return Math.sign(fillQuantity) !== Math.sign(position.quantity) &&
+      Math.abs(fillQuantity) <= Math.abs(position.quantity);
+  }
+}
+
+// Create singleton instance
+const riskEngine = new RiskEngine();
+
+export default riskEngine;
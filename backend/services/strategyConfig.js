@@ -0,0 +1,127 @@
+import { EventEmitter } from 'events';
+import database from '../database/database.js';
+import auditService from './auditService.js';
+import strategyRegistry from '../algorithms/strategyRegistry.js';
+
+/**
+ * Strategy Configuration for AlphaFxTrader
+ * Holds the live parameter set for each strategy. Auto-trading reads its
+ * parameters from here, so promoting an optimisation result changes live
+ * behaviour on the next trading cycle.
+ *
+ * Events:
+ * - parameters_updated: a strategy's live parameters changed
+ */
+class StrategyConfig extends EventEmitter {
+  constructor() {
+    super();
+    this.parameters = new Map(); // algorithm_name -> live config
+  }
+
+  /**
+   * Load live parameters
+   */
+  async initialize() {
+    const rows = await database.all('SELECT * FROM strategy_parameters');
+
+    this.parameters.clear();
+    rows.forEach(row => {
+      this.parameters.set(row.algorithm_name, {
+        algorithm: row.algorithm_name,
+        parameters: JSON.parse(row.parameters),
+        sourceJobId: row.source_job_id,
+        updatedBy: row.updated_by,
+        updatedAt: row.updated_at ? new Date(row.updated_at) : null
+      });
+    });
+  }
+
+  /**
+   * Get the live parameters for a strategy
+   * @param {string} algorithm - Strategy name
+   * @returns {Object} Parameters, empty when the strategy runs on defaults
+   */
+  getParameters(algorithm) {
+    const config = this.parameters.get(strategyRegistry.require(algorithm).name);
+    return config ? { ...config.parameters } : {};
+  }
+
+  /**
+   * Get every stored live configuration
+   * @returns {Array} Live strategy configurations
+   */
+  getAll() {
+    return Array.from(this.parameters.values());
+  }
+
+  /**
+   * Get the live parameters in the shape the strategy expects; composite
+   * strategies get their own options (e.g. ensemble weights) plus their
+   * components' live parameters by component key
+   * @param {string} algorithm - Strategy name or key
+   * @returns {Object} Parameter overrides for the strategy registry
+   */
+  getLiveParameters(algorithm) {
+    const strategy = strategyRegistry.require(algorithm);
+
+    if (strategy.components) {
+      return {
+        ...this.getParameters(strategy.name),
+        ...Object.fromEntries(strategy.components.map(component => [
+          strategyRegistry.require(component).key,
+          this.getParameters(component)
+        ]))
+      };
+    }
+
+    return this.getParameters(strategy.name);
+  }
+
+  /**
+   * Replace the live parameters for a strategy
+   * @param {string} algorithm - Strategy name
+   * @param {Object} parameters - New parameter set
+   * @param {Object} options - { sourceJobId, updatedBy }
+   * @returns {Promise<Object>} Stored configuration
+   */
+  async setParameters(algorithm, parameters, { sourceJobId = null, updatedBy = 'system' } = {}) {
+    const { name } = strategyRegistry.require(algorithm);
+    const previous = this.getParameters(name);
+    const updatedAt = new Date();
+
+    await database.run(`
+      INSERT INTO strategy_parameters (algorithm_name, parameters, source_job_id, updated_by, updated_at)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(algorithm_name) DO UPDATE SET
+        parameters = excluded.parameters,
+        source_job_id = excluded.source_job_id,
+        updated_by = excluded.updated_by,
+        updated_at = excluded.updated_at
+    `, [name, JSON.stringify(parameters), sourceJobId, updatedBy, updatedAt]);
+
+    const config = {
+      algorithm: name,
+      parameters: { ...parameters },
+      sourceJobId,
+      updatedBy,
+      updatedAt
+    };
+    this.parameters.set(name, config);
+
+    await auditService.record({
+      action: 'STRATEGY_PARAMETERS_UPDATED',
+      actor: updatedBy,
+      reason: sourceJobId ? `Promoted from optimization job ${sourceJobId}` : null,
+      details: { algorithm: name, previous, parameters }
+    });
+
+    this.emit('parameters_updated', config);
+
+    return config;
+  }
+}
+
+// Create singleton instance
+const strategyConfig = new StrategyConfig();
+
+export default strategyConfig;
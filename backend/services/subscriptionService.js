@@ -0,0 +1,170 @@
+// Channels clients can subscribe to per symbol
+export const CHANNELS = ['prices', 'trades', 'signals', 'notifications'];
+
+// Symbol that subscribes a client to every symbol of a channel
+export const ALL_SYMBOLS = '*';
+
+/**
+ * Subscription Service for AlphaFxTrader
+ * Tracks socket.io subscriptions as rooms named `${channel}:${symbol}`
+ * (`${channel}:*` for all symbols) and fans events out only to the
+ * sockets subscribed to them. Room membership is dropped on disconnect,
+ * so clients subscribe again after reconnecting.
+ */
+class SubscriptionService {
+  constructor() {
+    this.io = null;
+  }
+
+  /**
+   * Attach the socket.io server to fan out through
+   * @param {Server} io - socket.io server
+   */
+  attach(io) {
+    this.io = io;
+  }
+
+  /**
+   * Get the room for a channel and symbol
+   * @param {string} channel - Channel name
+   * @param {string} symbol - Currency pair symbol or '*'
+   * @returns {string} Room name
+   */
+  getRoom(channel, symbol) {
+    return `${channel}:${symbol}`;
+  }
+
+  /**
+   * Check a subscribe or unsubscribe request
+   * @param {Object} request - { channel, symbols }
+   * @returns {string|null} Error message, or null if valid
+   */
+  validateRequest(request) {
+    if (!request || !CHANNELS.includes(request.channel)) {
+      return `Invalid channel. Must be one of: ${CHANNELS.join(', ')}`;
+    }
+
+    if (request.symbols !== undefined
+      && (!Array.isArray(request.symbols) || request.symbols.some(symbol => typeof symbol !== 'string'))) {
+      return 'symbols must be an array of currency pair symbols';
+    }
+
+    return null;
+  }
+
+  /**
+   * Join a socket to channel rooms
+   * @param {Socket} socket - Client socket
+   * @param {string} channel - Channel name
+   * @param {Array<string>} symbols - Symbols (default: all)
+   * @returns {Promise<Array<string>>} Subscribed symbols
+   */
+  async subscribe(socket, channel, symbols = [ALL_SYMBOLS]) {
+    await socket.join(symbols.map(symbol => this.getRoom(channel, symbol)));
+    return symbols;
+  }
+
+  /**
+   * Remove a socket from channel rooms
+   * @param {Socket} socket - Client socket
+   * @param {string} channel - Channel name
+   * @param {Array<string>|undefined} symbols - Symbols (default: every symbol of the channel)
+   * @returns {Promise<Array<string>>} Unsubscribed symbols
+   */
+  async unsubscribe(socket, channel, symbols) {
+    const unsubscribed = symbols || this.getSubscriptions(socket)[channel] || [];
+
+    for (const symbol of unsubscribed) {
+      await socket.leave(this.getRoom(channel, symbol));
+    }
+
+    return unsubscribed;
+  }
+
+  /**
+   * Get a socket's subscribed symbols by channel
+   * @param {Socket} socket - Client socket
+   * @returns {Object} Symbols by channel
+   */
+  getSubscriptions(socket) {
+    const subscriptions = Object.fromEntries(CHANNELS.map(channel => [channel, []]));
+
+    socket.rooms.forEach(room => {
+      const separator = room.indexOf(':');
+      const channel = room.slice(0, separator);
+
+      if (separator > 0 && subscriptions[channel]) {
+        subscriptions[channel].push(room.slice(separator + 1));
+      }
+    });
+
+    return subscriptions;
+  }
+
+  /**
+   * Get the rooms an event for a symbol goes to. Events without a symbol
+   * go to every room of the channel.
+   * @param {string} channel - Channel name
+   * @param {string|null} symbol - Currency pair symbol
+   * @returns {Array<string>} Room names
+   */
+  getRooms(channel, symbol = null) {
+    if (symbol) {
+      return [this.getRoom(channel, ALL_SYMBOLS), this.getRoom(channel, symbol)];
+    }
+
+    return [...this.io.sockets.adapter.rooms.keys()].filter(room => room.startsWith(`${channel}:`));
+  }
+
+  /**
+   * Check whether any client listens to a channel for a symbol
+   * @param {string} channel - Channel name
+   * @param {string} symbol - Currency pair symbol
+   * @returns {boolean} True if at least one socket is subscribed
+   */
+  hasSubscribers(channel, symbol) {
+    const { rooms } = this.io.sockets.adapter;
+    return this.getRooms(channel, symbol).some(room => rooms.has(room));
+  }
+
+  /**
+   * Emit an event to the sockets subscribed to a channel and symbol
+   * @param {string} channel - Channel name
+   * @param {string|null} symbol - Currency pair symbol; null for every subscriber of the channel
+   * @param {string} event - Event name
+   * @param {Object} payload - Event payload
+   */
+  publish(channel, symbol, event, payload) {
+    const rooms = this.getRooms(channel, symbol);
+
+    if (rooms.length > 0) {
+      this.io.to(rooms).emit(event, payload);
+    }
+  }
+
+  /**
+   * Emit one event per socket holding only the items for its subscribed symbols
+   * @param {string} channel - Channel name
+   * @param {Array<Object>} items - Items with a symbol field
+   * @param {string} event - Event name
+   * @param {Function} buildPayload - Builds the payload from a socket's items
+   */
+  publishBatch(channel, items, event, buildPayload) {
+    const allRoom = this.getRoom(channel, ALL_SYMBOLS);
+
+    this.io.sockets.sockets.forEach(socket => {
+      const subscribed = socket.rooms.has(allRoom)
+        ? items
+        : items.filter(item => socket.rooms.has(this.getRoom(channel, item.symbol)));
+
+      if (subscribed.length > 0) {
+        socket.emit(event, buildPayload(subscribed));
+      }
+    });
+  }
+}
+
+// Create singleton instance
+const subscriptionService = new SubscriptionService();
+
+export default subscriptionService;
@@ -0,0 +1,143 @@
+import { EventEmitter } from 'events';
+import database from '../database/database.js';
+import orderService from './orderService.js';
+import accountService from './accountService.js';
+import auditService from './auditService.js';
+
+/**
+ * Trading Control for AlphaFxTrader
+ * Global kill switch for auto-trading. Killing trading halts the
+ * algorithms, cancels every PENDING order and can flatten all open
+ * positions; every kill and resume is written to the audit log.
+ *
+ * Events:
+ * - trading_halted: the kill switch was activated
+ * - trading_resumed: trading was resumed
+ */
+class TradingControl extends EventEmitter {
+  constructor() {
+    super();
+    this.halted = false;
+    this.haltedAt = null;
+    this.haltedBy = null;
+    this.haltReason = null;
+  }
+
+  /**
+   * Get the current kill switch state
+   * @returns {Object} Trading control status
+   */
+  getStatus() {
+    return {
+      halted: this.halted,
+      haltedAt: this.haltedAt,
+      haltedBy: this.haltedBy,
+      haltReason: this.haltReason
+    };
+  }
+
+  /**
+   * Activate the kill switch
+   * @param {Object} options - { triggeredBy, reason, flatten }
+   * @returns {Promise<Object>} Summary of cancelled orders and flattening trades
+   */
+  async kill({ triggeredBy, reason, flatten = false }) {
+    this.halted = true;
+    this.haltedAt = new Date();
+    this.haltedBy = triggeredBy;
+    this.haltReason = reason;
+
+    // Cancel all resting orders
+    const pendingOrders = await database.all(`
+      SELECT id FROM trades WHERE status = 'PENDING'
+    `);
+
+    const cancelledOrders = [];
+    for (const { id } of pendingOrders) {
+      const cancelled = await orderService.cancelOrder(id);
+      if (cancelled) {
+        cancelledOrders.push(cancelled.id);
+      }
+    }
+
+    // Optionally close every account's open positions at market; only
+    // filled orders count as flattened, rejected ones are errors
+    const flatteningTrades = [];
+    const flattenErrors = [];
+    if (flatten) {
+      for (const position of accountService.getOpenPositions()) {
+        try {
+          const trade = await orderService.placeOrder({
+            symbol: position.symbol,
+            action: position.quantity > 0 ? 'SELL' : 'BUY',
+            quantity: Math.abs(position.quantity),
+            algorithm: 'KILL_SWITCH',
+            accountId: position.accountId,
+            skipRiskChecks: true
+          });
+          if (trade.status === 'FILLED') {
+            flatteningTrades.push(trade.id);
+          } else {
+            flattenErrors.push({
+              accountId: position.accountId,
+              symbol: position.symbol,
+              tradeId: trade.id,
+              error: trade.reason || `Order ${trade.status}`
+            });
+          }
+        } catch (error) {
+          flattenErrors.push({ accountId: position.accountId, symbol: position.symbol, error: error.message });
+        }
+      }
+    }
+
+    const summary = {
+      cancelledOrders,
+      flatteningTrades,
+      flattenErrors,
+      flatten
+    };
+
+    await auditService.record({
+      action: 'KILL_SWITCH',
+      actor: triggeredBy,
+      reason,
+      details: summary
+    });
+
+    this.emit('trading_halted', { ...this.getStatus(), ...summary });
+
+    return { ...this.getStatus(), ...summary };
+  }
+
+  /**
+   * Deactivate the kill switch
+   * @param {Object} options - { triggeredBy, reason }
+   * @returns {Promise<Object|null>} Trading control status, or null if trading was not halted
+   */
+  async resume({ triggeredBy, reason }) {
+    if (!this.halted) {
+      return null;
+    }
+
+    this.halted = false;
+    this.haltedAt = null;
+    this.haltedBy = null;
+    this.haltReason = null;
+
+    await auditService.record({
+      action: 'RESUME_TRADING',
+      actor: triggeredBy,
+      reason
+    });
+
+    this.emit('trading_resumed', { ...this.getStatus(), resumedBy: triggeredBy, reason });
+
+    return this.getStatus();
+  }
+}
+
+// Create singleton instance
+const tradingControl = new TradingControl();
+
+export default tradingControl;
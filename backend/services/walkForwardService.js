@@ -0,0 +1,340 @@
+import { EventEmitter } from 'events';
+import database from '../database/database.js';
+import BacktestEngine, { calculateEquityStats } from '../algorithms/backtestEngine.js';
+import TradingAlgorithms from '../algorithms/tradingAlgorithms.js';
+import optimizationService from './optimizationService.js';
+import strategyRegistry from '../algorithms/strategyRegistry.js';
+
+// Lower is better only for drawdown
+const OBJECTIVES = {
+  sharpe: (a, b) => b.sharpeRatio - a.sharpeRatio || b.totalReturn - a.totalReturn,
+  return: (a, b) => b.totalReturn - a.totalReturn || b.sharpeRatio - a.sharpeRatio,
+  drawdown: (a, b) => a.maxDrawdown - b.maxDrawdown || b.totalReturn - a.totalReturn
+};
+
+/**
+ * Walk-forward Service for AlphaFxTrader
+ * Splits price history into rolling in-sample and out-of-sample windows,
+ * re-optimises on each in-sample window, trades the winning parameters on
+ * the following out-of-sample window and stitches the out-of-sample results
+ * into one equity curve.
+ *
+ * Events:
+ * - run_progress: a window finished
+ * - run_completed: all windows finished
+ * - run_failed: the run stopped with an error
+ */
+class WalkForwardService extends EventEmitter {
+  constructor() {
+    super();
+    this.tradingAlgorithms = new TradingAlgorithms();
+  }
+
+  /**
+   * Fail runs interrupted by a restart
+   */
+  async initialize() {
+    await database.run(`
+      UPDATE walk_forward_runs
+      SET status = 'FAILED', error = 'Interrupted by server restart', completed_at = ?
+      WHERE status IN ('QUEUED', 'RUNNING')
+    `, [new Date()]);
+  }
+
+  /**
+   * Split bars into in-sample / out-of-sample index ranges
+   * @param {number} totalBars - Number of bars available
+   * @param {Object} options - { inSampleBars, outOfSampleBars, stepBars, anchored }
+   * @returns {Array<Object>} Windows of { inSample: [start, end), outOfSample: [start, end) }
+   */
+  buildWindows(totalBars, { inSampleBars, outOfSampleBars, stepBars = outOfSampleBars, anchored = false }) {
+    const windows = [];
+
+    for (let start = 0; start + inSampleBars + outOfSampleBars <= totalBars; start += stepBars) {
+      const inSampleEnd = start + inSampleBars;
+      windows.push({
+        inSample: [anchored ? 0 : start, inSampleEnd],
+        outOfSample: [inSampleEnd, inSampleEnd + outOfSampleBars]
+      });
+    }
+
+    return windows;
+  }
+
+  /**
+   * Validate a walk-forward request
+   * @param {Object} request - { algorithm, parameterRanges, inSampleBars, outOfSampleBars, stepBars, optimizeBy }
+   * @returns {string|null} Error message, or null when valid
+   */
+  validateRun({ algorithm, parameterRanges, inSampleBars, outOfSampleBars, stepBars, optimizeBy = 'sharpe' }) {
+    if (!Number.isInteger(inSampleBars) || inSampleBars < 50) {
+      return 'inSampleBars must be an integer of at least 50';
+    }
+
+    if (!Number.isInteger(outOfSampleBars) || outOfSampleBars < 10) {
+      return 'outOfSampleBars must be an integer of at least 10';
+    }
+
+    if (stepBars !== undefined && (!Number.isInteger(stepBars) || stepBars < 1)) {
+      return 'stepBars must be a positive integer';
+    }
+
+    if (!OBJECTIVES[optimizeBy]) {
+      return `Invalid optimizeBy. Must be one of: ${Object.keys(OBJECTIVES).join(', ')}`;
+    }
+
+    return optimizationService.validateJob({ algorithm, parameterRanges });
+  }
+
+  /**
+   * Create a walk-forward run and start it in the background
+   * @param {Object} request - { algorithm, symbol, startDate, endDate, parameterRanges, walkForward, settings }
+   * @param {Array} priceData - price_data rows ordered by timestamp
+   * @returns {Promise<Object>} Created run
+   */
+  async createRun({ algorithm, symbol, startDate, endDate, parameterRanges, walkForward, settings = {} }, priceData) {
+    const { name } = strategyRegistry.require(algorithm);
+    const combinations = optimizationService.getJobCombinations({ algorithm, parameterRanges });
+    const windows = this.buildWindows(priceData.length, walkForward);
+
+    const result = await database.run(`
+      INSERT INTO walk_forward_runs (
+        algorithm_name, symbol, start_date, end_date, parameter_ranges,
+        settings, status, total_windows, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, 'QUEUED', ?, ?)
+    `, [
+      name, symbol, startDate, endDate, JSON.stringify(parameterRanges),
+      JSON.stringify({ ...settings, ...walkForward }), windows.length, new Date()
+    ]);
+
+    const run = await this.getRun(result.id);
+
+    // Run in the background; errors are stored on the run
+    setImmediate(() => {
+      this.executeRun(run, combinations, windows, priceData).catch(error => {
+        console.error(`Walk-forward run ${run.id} failed:`, error);
+      });
+    });
+
+    return run;
+  }
+
+  /**
+   * Optimise and test every window, yielding to the event loop between backtests
+   * @param {Object} run - Walk-forward run
+   * @param {Array<Object>} combinations - Parameter combinations
+   * @param {Array<Object>} windows - Windows from buildWindows
+   * @param {Array} priceData - price_data rows ordered by timestamp
+   */
+  async executeRun(run, combinations, windows, priceData) {
+    // settings holds both the backtest settings and the walk-forward options
+    const { optimizeBy = 'sharpe' } = run.settings;
+    const baseConfig = { ...run.settings, algorithm: run.algorithm_name, symbol: run.symbol };
+
+    await database.run(`
+      UPDATE walk_forward_runs SET status = 'RUNNING' WHERE id = ?
+    `, [run.id]);
+
+    try {
+      const windowReports = [];
+      const trades = [];
+      const equityCurve = [];
+      const initialCapital = baseConfig.initialCapital ?? 10000;
+      let capital = initialCapital;
+
+      for (let w = 0; w < windows.length; w++) {
+        const { inSample, outOfSample } = windows[w];
+        const inSampleData = priceData.slice(inSample[0], inSample[1]);
+
+        // Optimise on the in-sample window
+        const candidates = [];
+        for (const parameters of combinations) {
+          const results = new BacktestEngine({ ...baseConfig, parameters }).run(inSampleData);
+          candidates.push({ parameters: results.parameters, ...this.summarize(results) });
+          await new Promise(resolve => setImmediate(resolve));
+        }
+        const best = candidates.sort(OBJECTIVES[optimizeBy])[0];
+
+        // Trade the winner out of sample, warming indicators on the preceding bars
+        const warmUpBars = strategyRegistry.getWarmUp(run.algorithm_name, best.parameters);
+        const warmUpStart = Math.max(0, outOfSample[0] - warmUpBars);
+        const testData = priceData.slice(warmUpStart, outOfSample[1]);
+        const oos = new BacktestEngine({
+          ...baseConfig,
+          parameters: best.parameters,
+          initialCapital: capital,
+          tradeFromIndex: outOfSample[0] - warmUpStart
+        }).run(testData);
+
+        capital = oos.finalCapital;
+        trades.push(...oos.trades.map(trade => ({ ...trade, window: w + 1 })));
+        equityCurve.push(...oos.equityCurve.slice(outOfSample[0] - warmUpStart));
+
+        windowReports.push({
+          window: w + 1,
+          inSample: this.describeRange(priceData, inSample),
+          outOfSample: this.describeRange(priceData, outOfSample),
+          parameters: best.parameters,
+          inSampleResult: this.summarize(best),
+          outOfSampleResult: this.summarize(oos)
+        });
+
+        await database.run(`
+          UPDATE walk_forward_runs SET completed_windows = ? WHERE id = ?
+        `, [w + 1, run.id]);
+
+        this.emit('run_progress', { runId: run.id, completed: w + 1, total: windows.length });
+      }
+
+      const outOfSampleSummary = this.buildOutOfSampleSummary(windowReports, trades, equityCurve, initialCapital, capital);
+
+      await database.run(`
+        UPDATE walk_forward_runs
+        SET status = 'COMPLETED', windows = ?, out_of_sample = ?, equity_curve = ?,
+            trade_log = ?, completed_at = ?
+        WHERE id = ?
+      `, [
+        JSON.stringify(windowReports), JSON.stringify(outOfSampleSummary),
+        JSON.stringify(equityCurve), JSON.stringify(trades), new Date(), run.id
+      ]);
+
+      this.emit('run_completed', await this.getRun(run.id));
+    } catch (error) {
+      await database.run(`
+        UPDATE walk_forward_runs
+        SET status = 'FAILED', error = ?, completed_at = ?
+        WHERE id = ?
+      `, [error.message, new Date(), run.id]);
+
+      this.emit('run_failed', { runId: run.id, error: error.message });
+    }
+  }
+
+  /**
+   * Describe a bar index range by its timestamps
+   * @param {Array} priceData - price_data rows
+   * @param {Array<number>} range - [start, end)
+   * @returns {Object} { start, end, bars }
+   */
+  describeRange(priceData, [start, end]) {
+    return {
+      start: new Date(priceData[start].timestamp),
+      end: new Date(priceData[end - 1].timestamp),
+      bars: end - start
+    };
+  }
+
+  /**
+   * Reduce backtest results to the headline numbers
+   * @param {Object} results - Backtest results
+   * @returns {Object} Summary
+   */
+  summarize(results) {
+    return {
+      totalReturn: results.totalReturn,
+      sharpeRatio: results.sharpeRatio,
+      maxDrawdown: results.maxDrawdown,
+      totalTrades: results.totalTrades,
+      winRate: results.winRate
+    };
+  }
+
+  /**
+   * Combine the out-of-sample windows into one report
+   * @returns {Object} Stitched out-of-sample performance
+   */
+  buildOutOfSampleSummary(windowReports, trades, equityCurve, initialCapital, finalCapital) {
+    const metrics = this.tradingAlgorithms.calculatePerformanceMetrics(trades);
+    const { sharpeRatio, maxDrawdown } = calculateEquityStats(equityCurve, initialCapital);
+    const totalReturn = ((finalCapital - initialCapital) / initialCapital) * 100;
+
+    // Out-of-sample return per bar relative to in-sample return per bar;
+    // well below 1 suggests the parameters were fitted to noise
+    const inSampleReturnPerBar = windowReports.reduce(
+      (sum, w) => sum + w.inSampleResult.totalReturn / w.inSample.bars, 0
+    ) / windowReports.length;
+    const outOfSampleReturnPerBar = windowReports.reduce(
+      (sum, w) => sum + w.outOfSampleResult.totalReturn / w.outOfSample.bars, 0
+    ) / windowReports.length;
+    const efficiency = inSampleReturnPerBar > 0
+      ? parseFloat((outOfSampleReturnPerBar / inSampleReturnPerBar).toFixed(2))
+      : null;
+
+    return {
+      initialCapital,
+      finalCapital,
+      totalReturn: parseFloat(totalReturn.toFixed(2)),
+      sharpeRatio,
+      maxDrawdown,
+      efficiency,
+      metrics
+    };
+  }
+
+  /**
+   * Convert a walk_forward_runs row
+   * @param {Object} row - Database row
+   * @returns {Object} Run
+   */
+  fromRow(row) {
+    return {
+      ...row,
+      parameter_ranges: JSON.parse(row.parameter_ranges),
+      settings: row.settings ? JSON.parse(row.settings) : {},
+      windows: row.windows ? JSON.parse(row.windows) : [],
+      out_of_sample: row.out_of_sample ? JSON.parse(row.out_of_sample) : null,
+      equity_curve: row.equity_curve ? JSON.parse(row.equity_curve) : [],
+      trade_log: row.trade_log ? JSON.parse(row.trade_log) : []
+    };
+  }
+
+  /**
+   * Get a walk-forward run
+   * @param {number} id - Run ID
+   * @returns {Promise<Object|null>} Run
+   */
+  async getRun(id) {
+    const row = await database.get('SELECT * FROM walk_forward_runs WHERE id = ?', [id]);
+    return row ? this.fromRow(row) : null;
+  }
+
+  /**
+   * List walk-forward runs without their curves and trades, newest first
+   * @param {Object} filters - { algorithm, symbol, limit }
+   * @returns {Promise<Array>} Runs
+   */
+  async getRuns({ algorithm, symbol, limit = 50 } = {}) {
+    let whereClause = 'WHERE 1=1';
+    const params = [];
+
+    if (algorithm) {
+      whereClause += ' AND algorithm_name = ?';
+      params.push(strategyRegistry.get(algorithm)?.name ?? algorithm);
+    }
+
+    if (symbol) {
+      whereClause += ' AND symbol = ?';
+      params.push(symbol);
+    }
+
+    const rows = await database.all(`
+      SELECT id, algorithm_name, symbol, start_date, end_date, parameter_ranges,
+             settings, status, total_windows, completed_windows, out_of_sample,
+             error, created_at, completed_at
+      FROM walk_forward_runs
+      ${whereClause}
+      ORDER BY created_at DESC
+      LIMIT ?
+    `, [...params, parseInt(limit)]);
+
+    return rows.map(row => {
+      const { windows, equity_curve, trade_log, ...run } = this.fromRow(row);
+      return run;
+    });
+  }
+}
+
+// Create singleton instance
+const walkForwardService = new WalkForwardService();
+
+export default walkForwardService;
@@ -0,0 +1,82 @@
+import { jest } from '@jest/globals';
+import { openTestDatabase, closeTestDatabase, insertQuote } from './testDatabase.js';
+import database from '../database/database.js';
+import accountService from '../services/accountService.js';
+import positionService from '../services/positionService.js';
+import marketDataService from '../services/marketDataService.js';
+import orderService from '../services/orderService.js';
+
+describe('account P&L', () => {
+  let bob;
+  let carol;
+
+  beforeAll(async () => {
+    await openTestDatabase();
+    await insertQuote('USD/JPY', 150.00, 150.02);
+    await positionService.initialize();
+    await accountService.initialize();
+
+    jest.spyOn(marketDataService, 'checkFreshness').mockReturnValue({ approved: true });
+
+    bob = await accountService.createAccount({ userId: null, name: 'Bob', balance: 100000 });
+    carol = await accountService.createAccount({ userId: null, name: 'Carol', balance: 100000 });
+  });
+
+  afterAll(closeTestDatabase);
+
+  const place = (account, action) => orderService.placeOrder({
+    symbol: 'USD/JPY',
+    action,
+    quantity: 10000,
+    accountId: account.id
+  });
+
+  const storedPnl = async (order) =>
+    (await database.get('SELECT pnl FROM trades WHERE id = ?', [order.id])).pnl;
+
+  test('opening a position on one account books nothing, whatever other accounts hold', async () => {
+    const bobBuy = await place(bob, 'BUY');
+    const carolSell = await place(carol, 'SELL');
+
+    expect(bobBuy.status).toBe('FILLED');
+    expect(carolSell.status).toBe('FILLED');
+
+    // The global book nets Carol's sell against Bob's buy; her account does not
+    expect(positionService.getPosition('USD/JPY').quantity).toBe(0);
+    expect(carolSell.pnl).toBe(0);
+    expect(await storedPnl(carolSell)).toBe(0);
+    expect(accountService.getPositions(carol.id)).toEqual([
+      expect.objectContaining({ symbol: 'USD/JPY', quantity: -10000, averagePrice: 150.00 })
+    ]);
+  });
+
+  test('closing books realized P&L converted to the account currency', async () => {
+    const quote = await insertQuote('USD/JPY', 151.02, 151.04, new Date(Date.now() + 1000));
+    await accountService.markToMarket([quote]);
+
+    const bobSell = await place(bob, 'SELL');
+
+    // 10000 * (151.02 - 150.02) = 10000 JPY, at the USD/JPY mid of 151.03
+    const expected = Math.round(10000 / 151.03 * 100) / 100;
+    expect(bobSell.pnl).toBe(expected);
+    expect(await storedPnl(bobSell)).toBe(expected);
+
+    const account = await accountService.getAccount(bob.id);
+    expect(account.balance).toBeCloseTo(100000 + expected, 2);
+
+    const [ledger] = await accountService.getTransactions(bob.id, { limit: 1 });
+    expect(ledger).toMatchObject({ trade_id: bobSell.id, type: 'REALIZED_PNL', amount: expected });
+  });
+
+  test('applyFill nets fills per account', async () => {
+    const account = await accountService.createAccount({ userId: null, name: 'Dave', balance: 1000 });
+    const fill = { account_id: account.id, symbol: 'USD/JPY', price: 150 };
+
+    await accountService.applyFill({ ...fill, id: 'd1', action: 'BUY', quantity: 3000 }, { silent: true });
+    await accountService.applyFill({ ...fill, id: 'd2', action: 'BUY', quantity: 1000, price: 154 }, { silent: true });
+
+    expect(accountService.getPositions(account.id)).toEqual([
+      expect.objectContaining({ quantity: 4000, averagePrice: 151 })
+    ]);
+  });
+});
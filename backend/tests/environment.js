@@ -0,0 +1,13 @@
+import { TestEnvironment } from 'jest-environment-node';
+
+/**
+ * Node test environment sharing the host's Date. sqlite3 only binds Dates of
+ * its own realm as epoch milliseconds; the sandbox's would be stored as
+ * '[object Object]', unlike in the server.
+ */
+export default class DatabaseEnvironment extends TestEnvironment {
+  constructor(config, context) {
+    super(config, context);
+    this.global.Date = Date;
+  }
+}
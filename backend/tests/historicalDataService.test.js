@@ -0,0 +1,75 @@
+import { openTestDatabase, closeTestDatabase } from './testDatabase.js';
+import database from '../database/database.js';
+import historicalDataService, { isWeekendGap } from '../services/historicalDataService.js';
+
+const HEADER = 'timestamp,bid,ask';
+const tick = (time, bid) => `${time},${bid},${(bid + 0.0002).toFixed(5)}`;
+
+// Friday evening into the weekend close, then Monday with an hour missing
+const FRIDAY = [
+  tick('2024-01-05T20:28:00Z', 1.09400),
+  tick('2024-01-05T20:29:00Z', 1.09410),
+  tick('2024-01-05T20:30:00Z', 1.09420)
+];
+const MONDAY = [
+  tick('2024-01-07T22:30:00Z', 1.09430),
+  tick('2024-01-08T10:00:00Z', 1.09500),
+  tick('2024-01-08T10:01:00Z', 1.09510),
+  tick('2024-01-08T11:00:00Z', 1.09600)
+];
+
+describe('isWeekendGap', () => {
+  const at = (iso) => Date.parse(iso);
+
+  test('accepts gaps inside the Friday 20:00 to Sunday 23:00 UTC close', () => {
+    expect(isWeekendGap(at('2024-01-05T20:30:00Z'), at('2024-01-07T22:30:00Z'))).toBe(true);
+    expect(isWeekendGap(at('2024-01-05T20:00:00Z'), at('2024-01-07T23:00:00Z'))).toBe(true);
+  });
+
+  test('rejects gaps that start before the close or end after it', () => {
+    expect(isWeekendGap(at('2024-01-05T19:00:00Z'), at('2024-01-07T22:30:00Z'))).toBe(false);
+    expect(isWeekendGap(at('2024-01-05T20:30:00Z'), at('2024-01-08T10:00:00Z'))).toBe(false);
+    expect(isWeekendGap(at('2024-01-08T10:01:00Z'), at('2024-01-08T11:00:00Z'))).toBe(false);
+  });
+});
+
+describe('historical import', () => {
+  beforeAll(openTestDatabase);
+  afterAll(closeTestDatabase);
+
+  const storedRows = async () =>
+    (await database.get('SELECT COUNT(*) as count FROM price_data WHERE symbol = ?', ['EUR/USD'])).count;
+
+  test('reports gaps outside the weekend close', async () => {
+    const result = await historicalDataService.importLines([HEADER, ...FRIDAY, ...MONDAY], {
+      symbol: 'EURUSD',
+      format: 'csv'
+    });
+
+    expect(result).toMatchObject({ status: 'COMPLETED', rows: 7, inserted: 7, duplicates: 0, skipped: 0 });
+    expect(result.report).toMatchObject({ kind: 'tick', gapMinutes: 15 });
+
+    const coverage = result.report.symbols['EUR/USD'];
+    expect(coverage).toMatchObject({ rows: 7, inserted: 7, weekendGaps: 1, gapCount: 2 });
+    expect(coverage.gaps).toEqual([
+      { from: '2024-01-07T22:30:00.000Z', to: '2024-01-08T10:00:00.000Z', minutes: 690 },
+      { from: '2024-01-08T10:01:00.000Z', to: '2024-01-08T11:00:00.000Z', minutes: 59 }
+    ]);
+    expect(coverage.coveragePercent).toBeLessThan(100);
+    expect(await storedRows()).toBe(7);
+  });
+
+  test('skips rows already stored when overlapping files are imported again', async () => {
+    const result = await historicalDataService.importLines([
+      HEADER,
+      ...MONDAY,
+      tick('2024-01-08T11:01:00Z', 1.09610),
+      'not a tick'
+    ], { symbol: 'EUR/USD', format: 'csv', gapMinutes: 60 });
+
+    expect(result).toMatchObject({ status: 'COMPLETED', rows: 5, inserted: 1, duplicates: 4, skipped: 1 });
+    expect(result.report.errors).toEqual([{ line: 7, error: expect.any(String) }]);
+    expect(result.report.symbols['EUR/USD']).toMatchObject({ inserted: 1, duplicates: 4, gapCount: 1 });
+    expect(await storedRows()).toBe(8);
+  });
+});
@@ -0,0 +1,78 @@
+import database from '../database/database.js';
+import migrator from '../database/migrator.js';
+
+describe('migrator', () => {
+  beforeAll(() => database.connect(':memory:'));
+  afterAll(() => database.close());
+
+  afterEach(() => {
+    delete process.env.DB_AUTO_MIGRATE;
+  });
+
+  const tables = async () =>
+    (await database.all("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'")).map(row => row.name);
+  const columns = async (table) =>
+    (await database.all(`PRAGMA table_info(${table})`)).map(row => row.name);
+  const versions = async () =>
+    (await database.all('SELECT version FROM schema_migrations ORDER BY version')).map(row => row.version);
+
+  test('refuses to start with pending migrations when auto-migration is off', async () => {
+    process.env.DB_AUTO_MIGRATE = 'false';
+
+    await expect(migrator.startup()).rejects.toThrow('Database schema is at version 0 but this code needs 2');
+    expect(await versions()).toEqual([]);
+  });
+
+  test('applies pending migrations in order, once', async () => {
+    expect(await migrator.migrate({ to: 1 })).toEqual([{ version: 1, name: 'initial_schema' }]);
+    expect(await tables()).toEqual(expect.arrayContaining(['trades', 'price_data']));
+    expect(await tables()).not.toContain('accounts');
+
+    expect(await migrator.migrate()).toEqual([{ version: 2, name: 'application_tables' }]);
+    expect(await migrator.migrate()).toEqual([]);
+
+    expect(await versions()).toEqual([1, 2]);
+    expect(await tables()).toEqual(expect.arrayContaining(['accounts', 'audit_log', 'data_imports']));
+    expect(await columns('trades')).toEqual(expect.arrayContaining(['account_id', 'order_type']));
+  });
+
+  test('rolls back the newest migration, including the columns it added', async () => {
+    expect(await migrator.rollback()).toEqual([{ version: 2, name: 'application_tables' }]);
+
+    expect(await versions()).toEqual([1]);
+    expect(await tables()).toContain('trades');
+    expect(await tables()).not.toContain('accounts');
+    expect(await columns('trades')).not.toContain('account_id');
+    expect(await columns('price_data')).not.toContain('import_id');
+  });
+
+  test('rolls back everything down to version 0', async () => {
+    await migrator.migrate();
+
+    expect(await migrator.rollback({ to: 0 })).toEqual([
+      { version: 2, name: 'application_tables' },
+      { version: 1, name: 'initial_schema' }
+    ]);
+    expect(await tables()).toEqual(['schema_migrations']);
+  });
+
+  test('starts up by migrating to the latest version', async () => {
+    const status = await migrator.startup();
+
+    expect(status).toMatchObject({ current: 2, latest: 2, pending: [], unknown: [] });
+  });
+
+  test('refuses a database migrated by newer code', async () => {
+    await database.run(
+      'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+      [3, 'from_the_future', new Date()]
+    );
+
+    const refusal = 'Database schema is at version 3 but this code only knows up to 2; unknown migrations 3 (from_the_future)';
+    await expect(migrator.startup()).rejects.toThrow(refusal);
+    await expect(migrator.migrate()).rejects.toThrow(refusal);
+    await expect(migrator.rollback()).rejects.toThrow(refusal);
+
+    expect(await versions()).toEqual([1, 2, 3]);
+  });
+});
@@ -0,0 +1,60 @@
+import express from 'express';
+import request from 'supertest';
+import { openTestDatabase, closeTestDatabase } from './testDatabase.js';
+import database from '../database/database.js';
+import authService from '../services/authService.js';
+import notificationRoutes from '../routes/notificationRoutes.js';
+
+describe('notification read state', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/notifications', notificationRoutes);
+
+  let adminToken;
+  let viewerToken;
+  let notificationId;
+
+  beforeAll(async () => {
+    await openTestDatabase();
+    await authService.initialize();
+
+    const admin = await authService.register({ email: 'admin@example.com', password: 'password123' });
+    const viewer = await authService.register({ email: 'viewer@example.com', password: 'password123' });
+    expect([admin.role, viewer.role]).toEqual(['admin', 'viewer']);
+
+    adminToken = (await authService.issueTokens(admin)).accessToken;
+    viewerToken = (await authService.issueTokens(viewer)).accessToken;
+
+    for (const title of ['First', 'Second']) {
+      const result = await database.run(`
+        INSERT INTO notifications (type, title, message, is_read, created_at) VALUES ('SYSTEM', ?, 'test', 0, ?)
+      `, [title, new Date()]);
+      notificationId = notificationId || result.id;
+    }
+  });
+
+  afterAll(closeTestDatabase);
+
+  const unread = async () =>
+    (await database.get('SELECT COUNT(*) as count FROM notifications WHERE is_read = 0')).count;
+
+  test('viewers cannot mark shared notifications read', async () => {
+    const auth = { Authorization: `Bearer ${viewerToken}` };
+
+    expect((await request(app).put(`/api/notifications/${notificationId}/read`).set(auth)).status).toBe(403);
+    expect((await request(app).put('/api/notifications/read-all').set(auth)).status).toBe(403);
+    expect((await request(app).put('/api/notifications/read-all')).status).toBe(401);
+    expect(await unread()).toBe(2);
+  });
+
+  test('admins mark notifications read for everyone', async () => {
+    const auth = { Authorization: `Bearer ${adminToken}` };
+
+    expect((await request(app).put(`/api/notifications/${notificationId}/read`).set(auth)).status).toBe(200);
+    expect(await unread()).toBe(1);
+
+    const response = await request(app).put('/api/notifications/read-all').set(auth);
+    expect(response.body).toMatchObject({ updatedCount: 1 });
+    expect(await unread()).toBe(0);
+  });
+});
@@ -0,0 +1,97 @@
+import { jest } from '@jest/globals';
+import { openTestDatabase, closeTestDatabase, insertQuote } from './testDatabase.js';
+import accountService from '../services/accountService.js';
+import positionService from '../services/positionService.js';
+import marketDataService from '../services/marketDataService.js';
+import orderService from '../services/orderService.js';
+
+const MARKET_ORDER = { symbol: 'EUR/USD', action: 'BUY', quantity: 1000 };
+
+describe('validateOrder', () => {
+  test('accepts market, limit, stop and stop-limit orders', () => {
+    expect(orderService.validateOrder(MARKET_ORDER)).toBeNull();
+    expect(orderService.validateOrder({ ...MARKET_ORDER, action: 'sell', quantity: '2000' })).toBeNull();
+    expect(orderService.validateOrder({ ...MARKET_ORDER, orderType: 'limit', limitPrice: 1.09 })).toBeNull();
+    expect(orderService.validateOrder({ ...MARKET_ORDER, orderType: 'STOP', stopPrice: 1.11 })).toBeNull();
+    expect(orderService.validateOrder({ ...MARKET_ORDER, orderType: 'STOP_LIMIT', stopPrice: 1.11, limitPrice: 1.12 })).toBeNull();
+  });
+
+  test.each([
+    ['a missing symbol', { symbol: undefined }, /Missing required fields/],
+    ['a missing quantity', { quantity: undefined }, /Missing required fields/],
+    ['a non-string symbol', { symbol: ['EUR/USD'] }, /Symbol must be a string/],
+    ['an unknown action', { action: 'HOLD' }, /BUY or SELL/],
+    ['a non-string action', { action: 1 }, /BUY or SELL/],
+    ['a fractional quantity', { quantity: 0.5 }, /positive whole number/],
+    ['a truncatable quantity', { quantity: 1.5 }, /positive whole number/],
+    ['a negative quantity', { quantity: -100 }, /positive whole number/],
+    ['a non-numeric quantity', { quantity: 'abc' }, /positive whole number/],
+    ['an unknown order type', { orderType: 'ICEBERG' }, /Invalid order type/],
+    ['a non-string order type', { orderType: { type: 'LIMIT' } }, /Invalid order type/],
+    ['a limit order without a limit price', { orderType: 'LIMIT' }, /positive limitPrice/],
+    ['a stop-limit order without a stop price', { orderType: 'STOP_LIMIT', limitPrice: 1.1 }, /positive stopPrice/]
+  ])('rejects %s', (description, changes, message) => {
+    expect(orderService.validateOrder({ ...MARKET_ORDER, ...changes })).toMatch(message);
+  });
+});
+
+describe('placeOrder', () => {
+  let account;
+
+  beforeAll(async () => {
+    await openTestDatabase();
+    await insertQuote('EUR/USD', 1.1000, 1.1002);
+    await positionService.initialize();
+    await accountService.initialize();
+
+    jest.spyOn(marketDataService, 'checkFreshness').mockReturnValue({ approved: true });
+
+    account = await accountService.createAccount({ userId: null, name: 'Trader', balance: 100000 });
+  });
+
+  afterAll(closeTestDatabase);
+
+  test('refuses invalid orders before storing anything', async () => {
+    await expect(orderService.placeOrder({ ...MARKET_ORDER, quantity: 0.5, accountId: account.id }))
+      .rejects.toThrow('Quantity must be a positive whole number');
+  });
+
+  test('fills market orders at the ask or bid', async () => {
+    const buy = await orderService.placeOrder({ ...MARKET_ORDER, quantity: '1000', accountId: account.id });
+    const sell = await orderService.placeOrder({ ...MARKET_ORDER, action: 'SELL', accountId: account.id });
+
+    expect(buy).toMatchObject({ status: 'FILLED', quantity: 1000, price: 1.1002 });
+    expect(sell).toMatchObject({ status: 'FILLED', quantity: 1000, price: 1.1000 });
+  });
+
+  test('rests limit orders until the price reaches them', async () => {
+    const order = await orderService.placeOrder({
+      ...MARKET_ORDER,
+      orderType: 'LIMIT',
+      limitPrice: 1.0950,
+      accountId: account.id
+    });
+    expect(order).toMatchObject({ status: 'PENDING', price: 1.0950 });
+
+    expect(await orderService.processPriceUpdate([{ symbol: 'EUR/USD', bid: 1.0960, ask: 1.0962 }])).toEqual([]);
+
+    const [filled] = await orderService.processPriceUpdate([{ symbol: 'EUR/USD', bid: 1.0946, ask: 1.0948 }]);
+    expect(filled).toMatchObject({ id: order.id, status: 'FILLED', price: 1.0948 });
+  });
+
+  test('triggers stop-limit orders at the stop and fills them at the limit', async () => {
+    const order = await orderService.placeOrder({
+      ...MARKET_ORDER,
+      orderType: 'STOP_LIMIT',
+      stopPrice: 1.1050,
+      limitPrice: 1.1060,
+      accountId: account.id
+    });
+
+    expect(await orderService.processPriceUpdate([{ symbol: 'EUR/USD', bid: 1.1050, ask: 1.1070 }])).toEqual([]);
+
+    const [filled] = await orderService.processPriceUpdate([{ symbol: 'EUR/USD', bid: 1.1056, ask: 1.1058 }]);
+    expect(filled).toMatchObject({ id: order.id, status: 'FILLED', price: 1.1058 });
+    expect(filled.triggered_at).toBeTruthy();
+  });
+});
@@ -0,0 +1,84 @@
+import { openTestDatabase, closeTestDatabase } from './testDatabase.js';
+import database from '../database/database.js';
+import positionService from '../services/positionService.js';
+
+const flat = () => ({ quantity: 0, averagePrice: 0, realizedPnl: 0 });
+const trade = (action, quantity, price) => ({ action, quantity, price });
+
+describe('netFill', () => {
+  test('re-weights the average price of opening and increasing fills', () => {
+    const position = flat();
+
+    expect(positionService.netFill(position, trade('BUY', 1000, 1.10))).toBe(0);
+    expect(positionService.netFill(position, trade('BUY', 3000, 1.14))).toBe(0);
+
+    expect(position.quantity).toBe(4000);
+    expect(position.averagePrice).toBeCloseTo(1.13, 10);
+  });
+
+  test('books realized P&L on the closed quantity of a reducing fill', () => {
+    const position = flat();
+    positionService.netFill(position, trade('BUY', 4000, 1.10));
+
+    expect(positionService.netFill(position, trade('SELL', 1000, 1.12))).toBeCloseTo(20, 10);
+    expect(position).toMatchObject({ quantity: 3000, averagePrice: 1.10 });
+    expect(position.realizedPnl).toBeCloseTo(20, 10);
+  });
+
+  test('books shorts with the opposite sign', () => {
+    const position = flat();
+    positionService.netFill(position, trade('SELL', 2000, 150.00));
+
+    expect(positionService.netFill(position, trade('BUY', 2000, 149.50))).toBeCloseTo(1000, 10);
+    expect(position).toMatchObject({ quantity: 0, averagePrice: 0 });
+  });
+
+  test('opens the remainder of a flipping fill at the fill price', () => {
+    const position = flat();
+    positionService.netFill(position, trade('BUY', 1000, 1.10));
+
+    expect(positionService.netFill(position, trade('SELL', 3000, 1.09))).toBeCloseTo(-10, 10);
+    expect(position).toMatchObject({ quantity: -2000, averagePrice: 1.09 });
+  });
+
+  test('marks longs and shorts against their average price', () => {
+    expect(positionService.calculateUnrealizedPnl({ quantity: 1000, averagePrice: 1.10 }, 1.11)).toBeCloseTo(10, 10);
+    expect(positionService.calculateUnrealizedPnl({ quantity: -1000, averagePrice: 1.10 }, 1.11)).toBeCloseTo(-10, 10);
+    expect(positionService.calculateUnrealizedPnl(flat(), 1.11)).toBe(0);
+  });
+});
+
+describe('position book', () => {
+  beforeAll(openTestDatabase);
+  afterAll(closeTestDatabase);
+
+  test('stores fills and marks positions longs at the bid and shorts at the ask', async () => {
+    await positionService.applyFill({ symbol: 'EUR/USD', action: 'BUY', quantity: 1000, price: 1.1000 }, { silent: true });
+    await positionService.applyFill({ symbol: 'USD/JPY', action: 'SELL', quantity: 1000, price: 150.00 }, { silent: true });
+
+    await positionService.markToMarket([
+      { symbol: 'EUR/USD', bid: 1.1010, ask: 1.1012 },
+      { symbol: 'USD/JPY', bid: 150.40, ask: 150.50 }
+    ]);
+
+    expect(positionService.getPosition('EUR/USD')).toMatchObject({ lastPrice: 1.1010 });
+    expect(positionService.getPosition('EUR/USD').unrealizedPnl).toBeCloseTo(1, 10);
+    expect(positionService.getPosition('USD/JPY')).toMatchObject({ lastPrice: 150.50, unrealizedPnl: -500 });
+
+    const stored = await database.get('SELECT * FROM positions WHERE symbol = ?', ['USD/JPY']);
+    expect(stored).toMatchObject({ quantity: -1000, average_price: 150, unrealized_pnl: -500 });
+  });
+
+  test('totals P&L per quote currency', async () => {
+    await positionService.applyFill({ symbol: 'GBP/USD', action: 'BUY', quantity: 1000, price: 1.2500 }, { silent: true });
+    await positionService.applyFill({ symbol: 'GBP/USD', action: 'SELL', quantity: 1000, price: 1.2600 }, { silent: true });
+
+    const totals = positionService.getTotals();
+
+    expect(Object.keys(totals).sort()).toEqual(['JPY', 'USD']);
+    expect(totals.JPY).toEqual({ realizedPnl: 0, unrealizedPnl: -500, totalPnl: -500 });
+    expect(totals.USD.realizedPnl).toBeCloseTo(10, 10);
+    expect(totals.USD.unrealizedPnl).toBeCloseTo(1, 10);
+    expect(totals.USD.totalPnl).toBeCloseTo(11, 10);
+  });
+});
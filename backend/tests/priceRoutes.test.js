@@ -0,0 +1,39 @@
+import express from 'express';
+import request from 'supertest';
+import { openTestDatabase, closeTestDatabase, insertQuote } from './testDatabase.js';
+import priceRoutes from '../routes/priceRoutes.js';
+
+const HOUR = 60 * 60 * 1000;
+
+describe('price history', () => {
+  const app = express();
+  app.use('/api/prices', priceRoutes);
+
+  beforeAll(async () => {
+    await openTestDatabase();
+    await insertQuote('EUR/USD', 1.0990, 1.0992, new Date(Date.now() - 2 * 24 * HOUR));
+    await insertQuote('EUR/USD', 1.1000, 1.1002, new Date(Date.now() - 2 * HOUR));
+    await insertQuote('EUR/USD', 1.1010, 1.1012, new Date(Date.now() - 10 * 60 * 1000));
+    await insertQuote('GBP/USD', 1.2500, 1.2502, new Date(Date.now() - 10 * 60 * 1000));
+  });
+
+  afterAll(closeTestDatabase);
+
+  test.each([
+    ['1H', [1.1010]],
+    ['4H', [1.1000, 1.1010]],
+    ['1W', [1.0990, 1.1000, 1.1010]],
+    ['unknown', [1.1010]]
+  ])('returns the ticks of the last %s, oldest first', async (period, bids) => {
+    const response = await request(app).get('/api/prices/EUR%2FUSD/history').query({ period });
+
+    expect(response.status).toBe(200);
+    expect(response.body.map(tick => tick.bid)).toEqual(bids);
+  });
+
+  test('limits the number of ticks', async () => {
+    const response = await request(app).get('/api/prices/EUR%2FUSD/history').query({ period: '1W', limit: 2 });
+
+    expect(response.body.map(tick => tick.bid)).toEqual([1.0990, 1.1000]);
+  });
+});
@@ -0,0 +1,87 @@
+import { openTestDatabase, closeTestDatabase, insertQuote } from './testDatabase.js';
+import database from '../database/database.js';
+import accountService from '../services/accountService.js';
+import riskEngine from '../services/riskEngine.js';
+
+describe('risk engine', () => {
+  const quotes = {};
+
+  beforeAll(async () => {
+    await openTestDatabase();
+    quotes['EUR/USD'] = await insertQuote('EUR/USD', 1.1000, 1.1002);
+    quotes['USD/JPY'] = await insertQuote('USD/JPY', 150.00, 150.02);
+    await accountService.initialize();
+  });
+
+  afterAll(closeTestDatabase);
+
+  const useRules = (...rules) => {
+    riskEngine.rules = rules.map(([rule_type, value, symbol = null]) => ({ rule_type, value, symbol }));
+  };
+
+  const openAccount = (name) => accountService.createAccount({ userId: null, name, balance: 100000 });
+
+  const check = (account, symbol, action, quantity) => riskEngine.checkOrder(
+    { account_id: account.id, symbol, action, quantity, price: null },
+    quotes[symbol]
+  );
+
+  const fill = (account, symbol, action, quantity, price) => accountService.applyFill(
+    { id: `${account.id}-${symbol}-${action}`, account_id: account.id, symbol, action, quantity, price },
+    { silent: true }
+  );
+
+  test('measures order notional in the account currency', async () => {
+    const account = await openAccount('Notional');
+    useRules(['MAX_ORDER_NOTIONAL', 2000000]);
+
+    // 1,500,200 JPY is about 10,000 USD
+    expect(await check(account, 'USD/JPY', 'BUY', 10000)).toEqual({ approved: true });
+
+    const result = await check(account, 'EUR/USD', 'BUY', 2000000);
+    expect(result).toMatchObject({ approved: false, rule: 'MAX_ORDER_NOTIONAL' });
+    expect(result.reason).toMatch(/2200400\.00 USD exceeds limit of 2000000/);
+  });
+
+  test('limits the position of the order\'s own account', async () => {
+    const holder = await openAccount('Holder');
+    const other = await openAccount('Other');
+    useRules(['MAX_POSITION', 15000, 'EUR/USD']);
+
+    await fill(holder, 'EUR/USD', 'BUY', 10000, 1.1002);
+
+    expect(await check(other, 'EUR/USD', 'BUY', 10000)).toEqual({ approved: true });
+    expect(await check(holder, 'EUR/USD', 'BUY', 10000)).toMatchObject({ approved: false, rule: 'MAX_POSITION' });
+    // Shrinking the position always passes
+    expect(await check(holder, 'EUR/USD', 'SELL', 20000)).toEqual({ approved: true });
+  });
+
+  test('counts only the account\'s own losses towards the daily loss limit', async () => {
+    const loser = await openAccount('Loser');
+    const other = await openAccount('Bystander');
+    useRules(['MAX_DAILY_LOSS', 50000]);
+
+    await fill(loser, 'EUR/USD', 'BUY', 1000, 1.1002);
+    await database.run(`
+      INSERT INTO trades (id, symbol, action, quantity, price, status, pnl, account_id, created_at, filled_at)
+      VALUES ('loss', 'EUR/USD', 'SELL', 1000, 1.1, 'FILLED', -50000, ?, ?, ?)
+    `, [loser.id, new Date(), new Date()]);
+
+    expect(await check(other, 'EUR/USD', 'BUY', 1000)).toEqual({ approved: true });
+
+    const result = await check(loser, 'EUR/USD', 'BUY', 1000);
+    expect(result).toMatchObject({ approved: false, rule: 'MAX_DAILY_LOSS' });
+    expect(result.reason).toMatch(/Daily loss of 50000\.\d\d USD/);
+
+    // Reducing orders are still accepted
+    expect(await check(loser, 'EUR/USD', 'SELL', 1000)).toEqual({ approved: true });
+  });
+
+  test('rejects symbols off a non-empty whitelist', async () => {
+    const account = await openAccount('Whitelist');
+    useRules(['SYMBOL_WHITELIST', 1, 'EUR/USD']);
+
+    expect(await check(account, 'EUR/USD', 'BUY', 1000)).toEqual({ approved: true });
+    expect(await check(account, 'USD/JPY', 'BUY', 1000)).toMatchObject({ approved: false, rule: 'SYMBOL_WHITELIST' });
+  });
+});
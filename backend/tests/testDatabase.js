@@ -0,0 +1,39 @@
+import database from '../database/database.js';
+import migrator from '../database/migrator.js';
+
+/**
+ * Open a fresh in-memory database with the current schema. Each test file
+ * runs in its own module registry, so it gets its own database singleton.
+ * @returns {Promise<Object>} The database singleton
+ */
+export async function openTestDatabase() {
+  await database.connect(':memory:');
+  await migrator.migrate();
+  return database;
+}
+
+/**
+ * Close the test database
+ */
+export async function closeTestDatabase() {
+  await database.close();
+}
+
+/**
+ * Store a quote in price_data
+ * @param {string} symbol - Currency pair symbol
+ * @param {number} bid - Bid price
+ * @param {number} ask - Ask price
+ * @param {Date} [timestamp] - Quote time (default now)
+ * @returns {Object} Quote as { symbol, bid, ask, price }
+ */
+export async function insertQuote(symbol, bid, ask, timestamp = new Date()) {
+  const price = (bid + ask) / 2;
+
+  await database.run(`
+    INSERT INTO price_data (symbol, bid_price, ask_price, mid_price, timestamp)
+    VALUES (?, ?, ?, ?, ?)
+  `, [symbol, bid, ask, price, timestamp]);
+
+  return { symbol, bid, ask, price };
+}
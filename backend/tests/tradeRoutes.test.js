@@ -0,0 +1,53 @@
+import express from 'express';
+import request from 'supertest';
+import { openTestDatabase, closeTestDatabase } from './testDatabase.js';
+import database from '../database/database.js';
+import tradeRoutes from '../routes/tradeRoutes.js';
+
+const HOUR = 60 * 60 * 1000;
+
+describe('trade statistics', () => {
+  const app = express();
+  app.use('/api/trades', tradeRoutes);
+
+  const insertTrade = (id, symbol, pnl, ageMs) => {
+    const time = new Date(Date.now() - ageMs);
+    return database.run(`
+      INSERT INTO trades (id, symbol, action, quantity, price, status, pnl, created_at, filled_at)
+      VALUES (?, ?, 'SELL', 1000, 1.1, 'FILLED', ?, ?, ?)
+    `, [id, symbol, pnl, time, time]);
+  };
+
+  beforeAll(async () => {
+    await openTestDatabase();
+    await insertTrade('recent', 'EUR/USD', 25, 10 * 60 * 1000);
+    await insertTrade('today', 'GBP/USD', -10, 3 * HOUR);
+    await insertTrade('last-week', 'EUR/USD', 40, 3 * 24 * HOUR);
+    await insertTrade('old', 'EUR/USD', 5, 60 * 24 * HOUR);
+  });
+
+  afterAll(closeTestDatabase);
+
+  test.each([
+    ['1H', 1, 25],
+    ['1D', 2, 15],
+    ['1W', 3, 55],
+    ['1M', 3, 55],
+    ['unknown', 2, 15]
+  ])('summarises fills within %s', async (period, totalTrades, totalPnl) => {
+    const response = await request(app).get('/api/trades/stats/summary').query({ period });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ period, totalTrades, totalPnl });
+  });
+
+  test('groups the period\'s fills by symbol', async () => {
+    const response = await request(app).get('/api/trades/stats/by-symbol').query({ period: '1W' });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual([
+      expect.objectContaining({ symbol: 'EUR/USD', totalTrades: 2, totalPnl: 65, winRate: 100 }),
+      expect.objectContaining({ symbol: 'GBP/USD', totalTrades: 1, totalPnl: -10, winRate: 0 })
+    ]);
+  });
+});
@@ -0,0 +1,99 @@
+import { jest } from '@jest/globals';
+import { openTestDatabase, closeTestDatabase, insertQuote } from './testDatabase.js';
+import database from '../database/database.js';
+import accountService from '../services/accountService.js';
+import positionService from '../services/positionService.js';
+import marketDataService from '../services/marketDataService.js';
+import orderService from '../services/orderService.js';
+import tradingControl from '../services/tradingControl.js';
+
+describe('kill switch', () => {
+  let account;
+
+  beforeAll(async () => {
+    await openTestDatabase();
+    await insertQuote('EUR/USD', 1.1000, 1.1002);
+    await insertQuote('USD/JPY', 150.00, 150.02);
+    await positionService.initialize();
+    await accountService.initialize();
+
+    // USD/JPY has stopped ticking; even flattening orders are refused on it
+    jest.spyOn(marketDataService, 'checkFreshness').mockImplementation(symbol => symbol === 'USD/JPY'
+      ? { approved: false, rule: 'STALE_PRICE', reason: 'Price for USD/JPY is stale' }
+      : { approved: true });
+
+    account = await accountService.createAccount({ userId: null, name: 'Trader', balance: 100000 });
+  });
+
+  afterAll(closeTestDatabase);
+
+  const auditActions = async () =>
+    (await database.all('SELECT action FROM audit_log ORDER BY id')).map(row => row.action);
+
+  test('resuming when trading is not halted does nothing', async () => {
+    const resumed = jest.fn();
+    tradingControl.once('trading_resumed', resumed);
+
+    expect(await tradingControl.resume({ triggeredBy: 'ops', reason: 'stray' })).toBeNull();
+    expect(resumed).not.toHaveBeenCalled();
+    expect(await auditActions()).toEqual([]);
+
+    tradingControl.off('trading_resumed', resumed);
+  });
+
+  test('killing halts trading and cancels resting orders', async () => {
+    const order = await orderService.placeOrder({
+      symbol: 'EUR/USD',
+      action: 'BUY',
+      quantity: 1000,
+      orderType: 'LIMIT',
+      limitPrice: 1.0900,
+      accountId: account.id
+    });
+    expect(order.status).toBe('PENDING');
+
+    const halted = jest.fn();
+    tradingControl.once('trading_halted', halted);
+
+    const result = await tradingControl.kill({ triggeredBy: 'ops', reason: 'volatility' });
+
+    expect(result).toMatchObject({ halted: true, haltedBy: 'ops', haltReason: 'volatility', cancelledOrders: [order.id] });
+    expect(halted).toHaveBeenCalledWith(expect.objectContaining({ halted: true }));
+    expect((await database.get('SELECT status FROM trades WHERE id = ?', [order.id])).status).toBe('CANCELLED');
+  });
+
+  test('resuming after a kill lifts the halt once', async () => {
+    const result = await tradingControl.resume({ triggeredBy: 'ops', reason: 'calm' });
+
+    expect(result).toMatchObject({ halted: false, haltedBy: null, haltReason: null });
+    expect(await tradingControl.resume({ triggeredBy: 'ops', reason: 'again' })).toBeNull();
+    expect(await auditActions()).toEqual(['KILL_SWITCH', 'RESUME_TRADING']);
+  });
+
+  test('flattening counts only the positions it closed', async () => {
+    const fill = (symbol, action, price) => accountService.applyFill(
+      { id: `${symbol}-${action}`, account_id: account.id, symbol, action, quantity: 5000, price },
+      { silent: true }
+    );
+    await fill('EUR/USD', 'BUY', 1.1002);
+    await fill('USD/JPY', 'SELL', 150.00);
+
+    const result = await tradingControl.kill({ triggeredBy: 'ops', reason: 'flatten', flatten: true });
+
+    expect(result.flatteningTrades).toHaveLength(1);
+    expect(result.flattenErrors).toEqual([{
+      accountId: account.id,
+      symbol: 'USD/JPY',
+      tradeId: expect.any(String),
+      error: 'Price for USD/JPY is stale'
+    }]);
+
+    const closed = await database.get('SELECT * FROM trades WHERE id = ?', [result.flatteningTrades[0]]);
+    expect(closed).toMatchObject({ symbol: 'EUR/USD', action: 'SELL', quantity: 5000, status: 'FILLED' });
+    expect(accountService.getPositions(account.id)).toEqual([
+      expect.objectContaining({ symbol: 'USD/JPY', quantity: -5000 })
+    ]);
+
+    await tradingControl.resume({ triggeredBy: 'ops', reason: 'done' });
+  });
+});
@@ -1,41 +1,199 @@
 import React, { useState, useMemo } from 'react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
-import { TrendingUp, BarChart3, Settings } from 'lucide-react';
-import { useApp } from '../context/AppContext';
+import {
+  ComposedChart, LineChart, Line, Bar, Cell, XAxis, YAxis, CartesianGrid, Tooltip,
+  ReferenceLine, ReferenceDot, ResponsiveContainer
+} from 'recharts';
+import { BarChart3, Settings } from 'lucide-react';
+import { useApp, CHART_INDICATORS } from '../context/AppContext';
 import { format } from 'date-fns';
 
+const TIMEFRAMES = ['1m', '5m', '15m', '1h', '4h', '1D'];
+
+const CHART_TYPES = [
+  { value: 'candles', label: 'Candles' },
+  { value: 'ohlc', label: 'OHLC' },
+  { value: 'line', label: 'Line' }
+];
+
+// Strategies whose past signals can be marked on the chart
+const SIGNAL_STRATEGIES = [
+  { value: 'combined', label: 'Combined' },
+  { value: 'sma_crossover', label: 'SMA Crossover' },
+  { value: 'rsi', label: 'RSI' },
+  { value: 'bollinger', label: 'Bollinger Bands' },
+  { value: 'macd', label: 'MACD' }
+];
+
+const MA_COLORS = ['#10B981', '#F59E0B', '#8B5CF6', '#EC4899', '#14B8A6'];
+
+// One toggle per moving average loaded with the candles
+const MA_OVERLAYS = [
+  ...CHART_INDICATORS.sma.map(period => ({ key: `sma${period}`, label: `SMA(${period})`, dashed: false })),
+  ...CHART_INDICATORS.ema.map(period => ({ key: `ema${period}`, label: `EMA(${period})`, dashed: true }))
+].map((overlay, index) => ({ ...overlay, color: MA_COLORS[index % MA_COLORS.length] }));
+
+const UP_COLOR = '#10B981';
+const DOWN_COLOR = '#EF4444';
+const SIGNAL_BUY_COLOR = '#2563EB';
+const SIGNAL_SELL_COLOR = '#F97316';
+
+const TIME_FORMATS = { '1m': 'HH:mm', '5m': 'HH:mm', '15m': 'MMM d HH:mm', '1h': 'MMM d HH:mm', '4h': 'MMM d HH:mm', '1D': 'MMM d' };
+
+// Arrow with its tip at (cx, cy): pointing up for buys, down for sells. Trades
+// are filled at the fill price; signals are hollow and sit off the candle wick.
+function ArrowMarker({ cx, cy, action, color, hollow = false }) {
+  if (cx === undefined || cy === undefined) {
+    return null;
+  }
+
+  const direction = action === 'BUY' ? 1 : -1;
+  const tipY = cy + (hollow ? direction * 4 : 0);
+  const baseY = tipY + direction * 10;
+
+  return (
+    <path
+      d={`M ${cx} ${tipY} L ${cx - 6} ${baseY} L ${cx + 6} ${baseY} Z`}
+      fill={hollow ? 'none' : color}
+      stroke={color}
+      strokeWidth={1.5}
+    />
+  );
+}
+
+// Trade fields shown on the chart
+function toChartTrade(trade) {
+  return {
+    id: trade.id,
+    action: trade.action,
+    quantity: trade.quantity,
+    price: trade.price,
+    algorithm: trade.algorithm || 'MANUAL',
+    time: new Date(trade.timestamp).getTime()
+  };
+}
+
+// Draws one candle or OHLC bar into the [low, high] range bar recharts lays out
+function CandleShape({ x, y, width, height, payload, variant }) {
+  const { open, high, low, close } = payload;
+  const color = close >= open ? UP_COLOR : DOWN_COLOR;
+  const scale = high === low ? 0 : height / (high - low);
+  const priceY = (price) => y + (high - price) * scale;
+  const center = x + width / 2;
+
+  if (variant === 'ohlc') {
+    return (
+      <g stroke={color} strokeWidth={1.5}>
+        <line x1={center} x2={center} y1={y} y2={y + height} />
+        <line x1={x} x2={center} y1={priceY(open)} y2={priceY(open)} />
+        <line x1={center} x2={x + width} y1={priceY(close)} y2={priceY(close)} />
+      </g>
+    );
+  }
+
+  const bodyTop = priceY(Math.max(open, close));
+  const bodyHeight = Math.max(1, Math.abs(priceY(open) - priceY(close)));
+
+  return (
+    <g>
+      <line x1={center} x2={center} y1={y} y2={y + height} stroke={color} />
+      <rect x={x + width * 0.15} y={bodyTop} width={width * 0.7} height={bodyHeight} fill={color} stroke={color} />
+    </g>
+  );
+}
+
 function ChartPanel() {
-  const { prices, selectedPair, setSelectedPair, priceHistory } = useApp();
-  const [showSMA, setShowSMA] = useState(true);
-  const [showEMA, setShowEMA] = useState(true);
-  const [timeframe, setTimeframe] = useState('1H');
+  const {
+    prices, trades, selectedPair, setSelectedPair, chartTimeframe, setChartTimeframe,
+    chartSignalAlgorithm, setChartSignalAlgorithm, candleData
+  } = useApp();
+  const [chartType, setChartType] = useState('candles');
+  const [maOverlays, setMaOverlays] = useState([MA_OVERLAYS[0].key, MA_OVERLAYS[1].key]);
+  const [showBollinger, setShowBollinger] = useState(false);
+  const [showRSI, setShowRSI] = useState(true);
+  const [showMACD, setShowMACD] = useState(true);
+  const [showTrades, setShowTrades] = useState(true);
 
   const selectedPrice = prices.find(p => p.symbol === selectedPair);
+  const { rsi: rsiParameters, bollinger: bollingerParameters, macd: macdParameters } = candleData.indicatorParameters || {};
+
+  const signalLabel = (SIGNAL_STRATEGIES.find(strategy => strategy.value === chartSignalAlgorithm) || {}).label;
+  const formatTime = (time) => format(new Date(time), TIME_FORMATS[chartTimeframe]);
 
-  // Prepare chart data
+  // Flatten candles, their indicator values and markers into chart rows
   const chartData = useMemo(() => {
-    return priceHistory.map((point, index) => ({
-      time: format(point.time, 'HH:mm:ss'),
-      timestamp: point.time,
-      price: point.price,
-      sma: point.sma,
-      ema: point.ema,
-      index
-    }));
-  }, [priceHistory]);
-
-  const CustomTooltip = ({ active, payload, label }) => {
+    const pairTrades = trades
+      .filter(trade => trade.pair === selectedPair && trade.status === 'FILLED')
+      .map(toChartTrade);
+
+    return candleData.candles.map(candle => {
+      const { sma = {}, ema = {}, bollinger, rsi, macd } = candle.indicators || {};
+      const openTime = new Date(candle.openTime).getTime();
+      const closeTime = new Date(candle.closeTime).getTime();
+
+      return {
+        timestamp: openTime,
+        trades: pairTrades.filter(trade => trade.time >= openTime && trade.time < closeTime),
+        signals: candleData.signals.filter(signal => new Date(signal.openTime).getTime() === openTime),
+        open: candle.open,
+        high: candle.high,
+        low: candle.low,
+        close: candle.close,
+        range: [candle.low, candle.high],
+        ...Object.fromEntries(Object.entries(sma).map(([period, value]) => [`sma${period}`, value])),
+        ...Object.fromEntries(Object.entries(ema).map(([period, value]) => [`ema${period}`, value])),
+        bbUpper: bollinger ? bollinger.upper : null,
+        bbMiddle: bollinger ? bollinger.middle : null,
+        bbLower: bollinger ? bollinger.lower : null,
+        rsi: rsi ?? null,
+        macd: macd ? macd.macd : null,
+        macdSignal: macd ? macd.signal : null,
+        macdHistogram: macd ? macd.histogram : null
+      };
+    });
+  }, [candleData, trades, selectedPair]);
+
+  const toggleOverlay = (key) => {
+    setMaOverlays(current => current.includes(key) ? current.filter(k => k !== key) : [...current, key]);
+  };
+
+  const CustomTooltip = ({ active, payload, label, showMarkers = false }) => {
     if (active && payload && payload.length) {
+      const row = payload[0].payload;
+      const lines = payload.filter(entry => entry.dataKey !== 'range' && typeof entry.value === 'number');
+
       return (
-        <div className="bg-white dark:bg-gray-800 p-3 border border-gray-200 dark:border-gray-700 rounded-lg shadow-lg">
+        <div className="bg-white dark:bg-gray-800 p-3 border border-gray-200 dark:border-gray-700 rounded-lg shadow-lg max-w-xs">
           <p className="text-sm font-medium text-gray-900 dark:text-white mb-2">
-            {label}
+            {formatTime(label)}
           </p>
-          {payload.map((entry, index) => (
+          {row.open !== undefined && chartType !== 'line' && (
+            <p className="text-sm text-gray-600 dark:text-gray-300">
+              O {row.open.toFixed(5)} H {row.high.toFixed(5)} L {row.low.toFixed(5)} C {row.close.toFixed(5)}
+            </p>
+          )}
+          {lines.map((entry, index) => (
             <p key={index} className="text-sm" style={{ color: entry.color }}>
-              {entry.name}: {entry.value?.toFixed(5)}
+              {entry.name}: {entry.value.toFixed(entry.dataKey === 'rsi' ? 2 : 5)}
             </p>
           ))}
+          {showMarkers && showTrades && row.trades.map(trade => (
+            <p key={trade.id} className="text-sm mt-2" style={{ color: trade.action === 'BUY' ? UP_COLOR : DOWN_COLOR }}>
+              {trade.action} {trade.quantity.toLocaleString()} @ {trade.price.toFixed(5)}
+              <span className="text-gray-500 dark:text-gray-400"> · {trade.algorithm} · {format(new Date(trade.time), 'HH:mm:ss')}</span>
+            </p>
+          ))}
+          {showMarkers && row.signals.map((signal, index) => (
+            <div key={index} className="text-sm mt-2">
+              <p style={{ color: signal.signal === 'BUY' ? SIGNAL_BUY_COLOR : SIGNAL_SELL_COLOR }}>
+                {signalLabel} {signal.signal} · confidence {(signal.normalizedConfidence * 100).toFixed(0)}%
+              </p>
+              <ul className="list-disc list-inside text-gray-600 dark:text-gray-300">
+                {signal.reasons.map(reason => (
+                  <li key={reason}>{reason}</li>
+                ))}
+              </ul>
+            </div>
+          ))}
         </div>
       );
     }
@@ -46,6 +204,8 @@ function ChartPanel() {
     return value.toFixed(4);
   };
 
+  const visibleOverlays = MA_OVERLAYS.filter(overlay => maOverlays.includes(overlay.key));
+
   return (
     <div className="card p-6">
       {/* Chart Header */}
@@ -57,7 +217,7 @@ function ChartPanel() {
               Price Chart
             </h2>
           </div>
-          
+
           {/* Pair Selector */}
           <select
             value={selectedPair}
@@ -70,47 +230,99 @@ function ChartPanel() {
               </option>
             ))}
           </select>
+
         </div>
 
         {/* Chart Controls */}
         <div className="flex items-center space-x-4">
+          {/* Chart Type Selector */}
+          <select
+            value={chartType}
+            onChange={(e) => setChartType(e.target.value)}
+            className="input-field w-28"
+          >
+            {CHART_TYPES.map(type => (
+              <option key={type.value} value={type.value}>{type.label}</option>
+            ))}
+          </select>
+
           {/* Timeframe Selector */}
           <select
-            value={timeframe}
-            onChange={(e) => setTimeframe(e.target.value)}
+            value={chartTimeframe}
+            onChange={(e) => setChartTimeframe(e.target.value)}
             className="input-field w-20"
           >
-            <option value="1H">1H</option>
-            <option value="4H">4H</option>
-            <option value="1D">1D</option>
-            <option value="1W">1W</option>
+            {TIMEFRAMES.map(timeframe => (
+              <option key={timeframe} value={timeframe}>{timeframe}</option>
+            ))}
           </select>
 
-          {/* Chart Settings */}
-          <div className="flex items-center space-x-2">
-            <Settings className="w-4 h-4 text-gray-500" />
-            <label className="flex items-center space-x-1 text-sm">
-              <input
-                type="checkbox"
-                checked={showSMA}
-                onChange={(e) => setShowSMA(e.target.checked)}
-                className="rounded"
-              />
-              <span className="text-gray-600 dark:text-gray-400">SMA</span>
-            </label>
-            <label className="flex items-center space-x-1 text-sm">
-              <input
-                type="checkbox"
-                checked={showEMA}
-                onChange={(e) => setShowEMA(e.target.checked)}
-                className="rounded"
-              />
-              <span className="text-gray-600 dark:text-gray-400">EMA</span>
-            </label>
-          </div>
+          {/* Signal Strategy Selector */}
+          <select
+            value={chartSignalAlgorithm}
+            onChange={(e) => setChartSignalAlgorithm(e.target.value)}
+            className="input-field w-44"
+          >
+            <option value="none">No signals</option>
+            {SIGNAL_STRATEGIES.map(strategy => (
+              <option key={strategy.value} value={strategy.value}>{strategy.label} signals</option>
+            ))}
+          </select>
         </div>
       </div>
 
+      {/* Indicator Settings */}
+      <div className="flex flex-wrap items-center gap-3 mb-6 text-sm">
+        <Settings className="w-4 h-4 text-gray-500" />
+        {MA_OVERLAYS.map(overlay => (
+          <label key={overlay.key} className="flex items-center space-x-1">
+            <input
+              type="checkbox"
+              checked={maOverlays.includes(overlay.key)}
+              onChange={() => toggleOverlay(overlay.key)}
+              className="rounded"
+            />
+            <span style={{ color: overlay.color }}>{overlay.label}</span>
+          </label>
+        ))}
+        <label className="flex items-center space-x-1">
+          <input
+            type="checkbox"
+            checked={showBollinger}
+            onChange={(e) => setShowBollinger(e.target.checked)}
+            className="rounded"
+          />
+          <span className="text-gray-600 dark:text-gray-400">Bollinger</span>
+        </label>
+        <label className="flex items-center space-x-1">
+          <input
+            type="checkbox"
+            checked={showRSI}
+            onChange={(e) => setShowRSI(e.target.checked)}
+            className="rounded"
+          />
+          <span className="text-gray-600 dark:text-gray-400">RSI</span>
+        </label>
+        <label className="flex items-center space-x-1">
+          <input
+            type="checkbox"
+            checked={showMACD}
+            onChange={(e) => setShowMACD(e.target.checked)}
+            className="rounded"
+          />
+          <span className="text-gray-600 dark:text-gray-400">MACD</span>
+        </label>
+        <label className="flex items-center space-x-1">
+          <input
+            type="checkbox"
+            checked={showTrades}
+            onChange={(e) => setShowTrades(e.target.checked)}
+            className="rounded"
+          />
+          <span className="text-gray-600 dark:text-gray-400">Trades</span>
+        </label>
+      </div>
+
       {/* Current Price Info */}
       {selectedPrice && (
         <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
@@ -141,84 +353,192 @@ function ChartPanel() {
         </div>
       )}
 
-      {/* Chart */}
+      {/* Price Chart */}
       <div className="h-96">
         <ResponsiveContainer width="100%" height="100%">
-          <LineChart data={chartData} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+          <ComposedChart data={chartData} syncId="price-chart" margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
             <CartesianGrid strokeDasharray="3 3" stroke="#374151" opacity={0.3} />
-            <XAxis 
-              dataKey="time" 
+            <XAxis
+              dataKey="timestamp"
               stroke="#6B7280"
               fontSize={12}
-              tickCount={6}
+              minTickGap={30}
+              tickFormatter={formatTime}
             />
-            <YAxis 
+            <YAxis
               stroke="#6B7280"
               fontSize={12}
               tickFormatter={formatYAxis}
-              domain={['dataMin - 0.0001', 'dataMax + 0.0001']}
-            />
-            <Tooltip content={<CustomTooltip />} />
-            <Legend />
-            
-            {/* Price Line */}
-            <Line
-              type="monotone"
-              dataKey="price"
-              stroke="#3B82F6"
-              strokeWidth={2}
-              dot={false}
-              name="Price"
-              connectNulls={false}
+              domain={['auto', 'auto']}
             />
-            
-            {/* SMA Line */}
-            {showSMA && (
+            <Tooltip content={<CustomTooltip showMarkers />} />
+
+            {/* Price */}
+            {chartType === 'line' ? (
               <Line
                 type="monotone"
-                dataKey="sma"
-                stroke="#10B981"
-                strokeWidth={1.5}
+                dataKey="close"
+                stroke="#3B82F6"
+                strokeWidth={2}
                 dot={false}
-                name="SMA(20)"
-                strokeDasharray="5 5"
-                connectNulls={false}
+                name="Close"
+                isAnimationActive={false}
+              />
+            ) : (
+              <Bar
+                dataKey="range"
+                name="Price"
+                shape={<CandleShape variant={chartType} />}
+                isAnimationActive={false}
               />
             )}
-            
-            {/* EMA Line */}
-            {showEMA && (
+
+            {/* Bollinger Bands */}
+            {showBollinger && ['bbUpper', 'bbMiddle', 'bbLower'].map(key => (
               <Line
+                key={key}
                 type="monotone"
-                dataKey="ema"
-                stroke="#F59E0B"
+                dataKey={key}
+                stroke="#6366F1"
+                strokeWidth={1}
+                strokeDasharray={key === 'bbMiddle' ? '2 2' : undefined}
+                dot={false}
+                name={`BB ${key.replace('bb', '')}`}
+                isAnimationActive={false}
+              />
+            ))}
+
+            {/* Moving Averages */}
+            {visibleOverlays.map(overlay => (
+              <Line
+                key={overlay.key}
+                type="monotone"
+                dataKey={overlay.key}
+                stroke={overlay.color}
                 strokeWidth={1.5}
+                strokeDasharray={overlay.dashed ? '5 5' : undefined}
                 dot={false}
-                name="EMA(20)"
-                strokeDasharray="3 3"
-                connectNulls={false}
+                name={overlay.label}
+                isAnimationActive={false}
               />
-            )}
-          </LineChart>
+            ))}
+
+            {/* Strategy Signals */}
+            {chartData.flatMap(row => row.signals.map((signal, index) => (
+              <ReferenceDot
+                key={`signal-${row.timestamp}-${index}`}
+                x={row.timestamp}
+                y={signal.signal === 'BUY' ? row.low : row.high}
+                shape={<ArrowMarker action={signal.signal} color={signal.signal === 'BUY' ? SIGNAL_BUY_COLOR : SIGNAL_SELL_COLOR} hollow />}
+              />
+            )))}
+
+            {/* Executed Trades */}
+            {showTrades && chartData.flatMap(row => row.trades.map(trade => (
+              <ReferenceDot
+                key={`trade-${trade.id}`}
+                x={row.timestamp}
+                y={trade.price}
+                ifOverflow="extendDomain"
+                shape={<ArrowMarker action={trade.action} color={trade.action === 'BUY' ? UP_COLOR : DOWN_COLOR} />}
+              />
+            )))}
+          </ComposedChart>
         </ResponsiveContainer>
       </div>
 
+      {/* RSI Pane */}
+      {showRSI && (
+        <div className="h-32 mt-2">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={chartData} syncId="price-chart" margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#374151" opacity={0.3} />
+              <XAxis dataKey="timestamp" hide />
+              <YAxis stroke="#6B7280" fontSize={12} domain={[0, 100]} ticks={[0, 30, 50, 70, 100]} />
+              <Tooltip content={<CustomTooltip />} />
+              {rsiParameters && (
+                <>
+                  <ReferenceLine y={rsiParameters.overbought} stroke={DOWN_COLOR} strokeDasharray="3 3" />
+                  <ReferenceLine y={rsiParameters.oversold} stroke={UP_COLOR} strokeDasharray="3 3" />
+                </>
+              )}
+              <Line
+                type="monotone"
+                dataKey="rsi"
+                stroke="#8B5CF6"
+                strokeWidth={1.5}
+                dot={false}
+                name={`RSI(${rsiParameters ? rsiParameters.period : 14})`}
+                isAnimationActive={false}
+              />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+
+      {/* MACD Pane */}
+      {showMACD && (
+        <div className="h-32 mt-2">
+          <ResponsiveContainer width="100%" height="100%">
+            <ComposedChart data={chartData} syncId="price-chart" margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#374151" opacity={0.3} />
+              <XAxis dataKey="timestamp" hide />
+              <YAxis stroke="#6B7280" fontSize={12} tickFormatter={(value) => value.toFixed(5)} domain={['auto', 'auto']} />
+              <Tooltip content={<CustomTooltip />} />
+              <ReferenceLine y={0} stroke="#6B7280" />
+              <Bar dataKey="macdHistogram" name="Histogram" isAnimationActive={false}>
+                {chartData.map((row, index) => (
+                  <Cell key={index} fill={row.macdHistogram >= 0 ? UP_COLOR : DOWN_COLOR} />
+                ))}
+              </Bar>
+              <Line type="monotone" dataKey="macd" stroke="#3B82F6" strokeWidth={1.5} dot={false} name="MACD" isAnimationActive={false} />
+              <Line type="monotone" dataKey="macdSignal" stroke="#F59E0B" strokeWidth={1.5} dot={false} name="Signal" isAnimationActive={false} />
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+
       {/* Chart Legend */}
-      <div className="mt-4 flex items-center justify-center space-x-6 text-sm">
+      <div className="mt-4 flex flex-wrap items-center justify-center gap-6 text-sm">
         <div className="flex items-center space-x-2">
-          <div className="w-3 h-0.5 bg-blue-500"></div>
-          <span className="text-gray-600 dark:text-gray-400">Price</span>
+          <div className="w-3 h-3 bg-green-500"></div>
+          <div className="w-3 h-3 bg-red-500"></div>
+          <span className="text-gray-600 dark:text-gray-400">Price ({chartTimeframe})</span>
         </div>
-        {showSMA && (
+        {visibleOverlays.map(overlay => (
+          <div key={overlay.key} className="flex items-center space-x-2">
+            <div className="w-3 h-0.5" style={{ backgroundColor: overlay.color }}></div>
+            <span className="text-gray-600 dark:text-gray-400">{overlay.label}</span>
+          </div>
+        ))}
+        {showBollinger && bollingerParameters && (
+          <div className="flex items-center space-x-2">
+            <div className="w-3 h-0.5 bg-indigo-500"></div>
+            <span className="text-gray-600 dark:text-gray-400">
+              BB({bollingerParameters.period}, {bollingerParameters.stdDev})
+            </span>
+          </div>
+        )}
+        {showTrades && (
+          <div className="flex items-center space-x-2">
+            <svg width="12" height="12"><path d="M 6 1 L 1 11 L 11 11 Z" fill={UP_COLOR} /></svg>
+            <svg width="12" height="12"><path d="M 6 11 L 1 1 L 11 1 Z" fill={DOWN_COLOR} /></svg>
+            <span className="text-gray-600 dark:text-gray-400">Trades</span>
+          </div>
+        )}
+        {chartSignalAlgorithm !== 'none' && (
           <div className="flex items-center space-x-2">
-            <div className="w-3 h-0.5 bg-green-500" style={{ borderStyle: 'dashed' }}></div>
-            <span className="text-gray-600 dark:text-gray-400">SMA(20)</span>
+            <svg width="12" height="12"><path d="M 6 1 L 1 11 L 11 11 Z" fill="none" stroke={SIGNAL_BUY_COLOR} /></svg>
+            <svg width="12" height="12"><path d="M 6 11 L 1 1 L 11 1 Z" fill="none" stroke={SIGNAL_SELL_COLOR} /></svg>
+            <span className="text-gray-600 dark:text-gray-400">{signalLabel} signals</span>
           </div>
         )}
-        {showEMA && (
+        {showMACD && macdParameters && (
           <div className="flex items-center space-x-2">
-            <div className="w-3 h-0.5 bg-yellow-500" style={{ borderStyle: 'dashed' }}></div>
-            <span className="text-gray-600 dark:text-gray-400">EMA(20)</span>
+            <div className="w-3 h-0.5 bg-blue-500"></div>
+            <span className="text-gray-600 dark:text-gray-400">
+              MACD({macdParameters.fastPeriod}, {macdParameters.slowPeriod}, {macdParameters.signalPeriod})
+            </span>
           </div>
         )}
       </div>
@@ -1,10 +1,25 @@
-import React from 'react';
-import { TrendingUp, Moon, Sun, Bell, User } from 'lucide-react';
-import { useApp } from '../context/AppContext';
+import React, { useState } from 'react';
+import { TrendingUp, Moon, Sun, Bell, User, Wifi, WifiOff, LogOut } from 'lucide-react';
+import { useApp, DataModes } from '../context/AppContext';
+import { ConnectionStatus } from '../services/socketService';
+import LoginPopup from './LoginPopup';
+
+const CONNECTION_LABELS = {
+  [ConnectionStatus.CONNECTED]: 'Live',
+  [ConnectionStatus.CONNECTING]: 'Connecting',
+  [ConnectionStatus.RECONNECTING]: 'Reconnecting',
+  [ConnectionStatus.DISCONNECTED]: 'Offline'
+};
 
 function Header() {
-  const { darkMode, toggleDarkMode, notifications, toggleNotificationsPopup } = useApp();
+  const {
+    darkMode, toggleDarkMode, notifications, toggleNotificationsPopup,
+    dataMode, setDataMode, connectionStatus, tradingSession, user, logout
+  } = useApp();
+  const [showLogin, setShowLogin] = useState(false);
   const unreadNotifications = notifications.filter(n => !n.read).length;
+  const live = dataMode === DataModes.LIVE;
+  const connected = connectionStatus === ConnectionStatus.CONNECTED;
 
   return (
     <header className="bg-white dark:bg-gray-800 shadow-sm border-b border-gray-200 dark:border-gray-700">
@@ -27,6 +42,32 @@ function Header() {
 
           {/* Right Side Actions */}
           <div className="flex items-center space-x-4">
+            {/* Trading Session */}
+            {live && tradingSession && (
+              <div className="hidden md:block text-sm text-gray-500 dark:text-gray-400">
+                Session: {tradingSession.totalTrades} trades ·{' '}
+                <span className={tradingSession.totalPnl >= 0 ? 'text-green-600' : 'text-red-600'}>
+                  {tradingSession.totalPnl >= 0 ? '+' : ''}${tradingSession.totalPnl.toFixed(2)}
+                </span>
+              </div>
+            )}
+
+            {/* Data Mode Toggle */}
+            <button
+              onClick={() => setDataMode(live ? DataModes.MOCK : DataModes.LIVE)}
+              title={live ? 'Switch to mock data' : 'Switch to live backend data'}
+              className={`flex items-center space-x-1 px-2 py-1 rounded text-xs font-medium ${
+                !live
+                  ? 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200'
+                  : connected
+                    ? 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200'
+                    : 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200'
+              }`}
+            >
+              {live && !connected ? <WifiOff className="w-4 h-4" /> : <Wifi className="w-4 h-4" />}
+              <span>{live ? CONNECTION_LABELS[connectionStatus] : 'Mock data'}</span>
+            </button>
+
             {/* Notifications */}
             <div className="relative">
               <button 
@@ -54,14 +95,37 @@ function Header() {
               )}
             </button>
 
-            {/* User Profile */}
-            <div className="flex items-center space-x-2">
+            {/* User Profile; live mode needs a backend login to trade */}
+            <div className="relative flex items-center space-x-2">
               <div className="w-8 h-8 bg-gray-300 dark:bg-gray-600 rounded-full flex items-center justify-center">
                 <User className="w-4 h-4 text-gray-600 dark:text-gray-300" />
               </div>
-              <span className="text-sm font-medium text-gray-700 dark:text-gray-300">
-                Demo User
-              </span>
+              {!live ? (
+                <span className="text-sm font-medium text-gray-700 dark:text-gray-300">
+                  Demo User
+                </span>
+              ) : user ? (
+                <>
+                  <span className="text-sm font-medium text-gray-700 dark:text-gray-300">
+                    {user.name || user.email}
+                  </span>
+                  <button
+                    onClick={logout}
+                    title="Log out"
+                    className="p-1 text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 transition-colors"
+                  >
+                    <LogOut className="w-4 h-4" />
+                  </button>
+                </>
+              ) : (
+                <button
+                  onClick={() => setShowLogin(!showLogin)}
+                  className="text-sm font-medium text-blue-600 hover:text-blue-700 dark:text-blue-400"
+                >
+                  Log in
+                </button>
+              )}
+              {live && !user && showLogin && <LoginPopup onClose={() => setShowLogin(false)} />}
             </div>
           </div>
         </div>
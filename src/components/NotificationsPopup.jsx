@@ -28,6 +28,8 @@ function NotificationsPopup() {
     switch (type) {
       case 'price_alert':
         return <AlertTriangle className="w-4 h-4 text-yellow-600" />;
+      case 'risk_alert':
+        return <AlertTriangle className="w-4 h-4 text-red-600" />;
       case 'trade_executed':
         return <CheckCircle className="w-4 h-4 text-green-600" />;
       case 'system':
@@ -43,6 +45,8 @@ function NotificationsPopup() {
     switch (type) {
       case 'price_alert':
         return 'bg-yellow-50 dark:bg-yellow-900/20';
+      case 'risk_alert':
+        return 'bg-red-50 dark:bg-red-900/20';
       case 'trade_executed':
         return 'bg-green-50 dark:bg-green-900/20';
       case 'system':
@@ -58,6 +62,8 @@ function NotificationsPopup() {
     switch (type) {
       case 'price_alert':
         return 'border-yellow-200 dark:border-yellow-800';
+      case 'risk_alert':
+        return 'border-red-200 dark:border-red-800';
       case 'trade_executed':
         return 'border-green-200 dark:border-green-800';
       case 'system':
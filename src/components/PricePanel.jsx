@@ -85,6 +85,11 @@ function PricePanel() {
                 <td className="py-3 px-2">
                   <div className="font-medium text-gray-900 dark:text-white">
                     {price.symbol}
+                    {price.stale && (
+                      <span className="ml-2 px-1.5 py-0.5 rounded text-xs font-medium text-yellow-800 bg-yellow-100 dark:bg-yellow-900/30">
+                        Stale
+                      </span>
+                    )}
                   </div>
                 </td>
                 <td className="py-3 px-2 text-right font-mono text-sm text-gray-900 dark:text-white">
@@ -217,6 +217,20 @@ function TradeBlotter() {
                 </td>
                 <td className="py-3 px-2 text-right font-mono text-sm text-gray-900 dark:text-white">
                   {formatPrice(trade.price)}
+                  {/* Levels are set once the order fills */}
+                  {trade.protection && (
+                    <div className="text-xs text-gray-500 dark:text-gray-400">
+                      {[
+                        ['SL', trade.protection.stopLoss],
+                        ['TP', trade.protection.takeProfit],
+                        ['TS', trade.protection.trailingStop]
+                      ]
+                        .filter(([, level]) => level !== null && level !== undefined)
+                        .map(([label, level]) => (
+                          <div key={label}>{label} {formatPrice(level)}</div>
+                        ))}
+                    </div>
+                  )}
                 </td>
                 <td className="py-3 px-2 text-right">
                   <div className={`font-mono text-sm ${getPnlColor(trade.pnl)}`}>
@@ -3,19 +3,31 @@ import { ArrowUp, ArrowDown, DollarSign, Calculator, X, TrendingUp, TrendingDown
 import { useApp } from '../context/AppContext';
 
 function TradeExecution() {
-  const { prices, selectedPair, executeTrade, loading } = useApp();
+  const { prices, selectedPair, executeTrade, loading, user, account, hasPermission } = useApp();
   const [quantity, setQuantity] = useState(10000);
   const [action, setAction] = useState('BUY');
+  const [protection, setProtection] = useState({ stopLoss: '', takeProfit: '', trailingStop: '', distanceUnit: 'pips' });
 
   const selectedPrice = prices.find(p => p.symbol === selectedPair);
+  const canTrade = hasPermission('trades:execute');
+  // The backend refuses orders on symbols whose feed stopped updating
+  const isStale = !!selectedPrice?.stale;
 
   const handleExecuteTrade = async () => {
-    if (!selectedPrice || quantity <= 0) return;
+    if (!selectedPrice || quantity <= 0 || !canTrade || isStale) return;
 
     try {
-      await executeTrade(selectedPair, action, quantity);
+      // Blank distances are left out
+      const distances = Object.fromEntries(
+        ['stopLoss', 'takeProfit', 'trailingStop']
+          .filter(field => protection[field] !== '')
+          .map(field => [field, parseFloat(protection[field])])
+      );
+
+      await executeTrade(selectedPair, action, quantity, { ...distances, distanceUnit: protection.distanceUnit });
       // Reset form after successful trade
       setQuantity(10000);
+      setProtection(current => ({ ...current, stopLoss: '', takeProfit: '', trailingStop: '' }));
     } catch (error) {
       console.error('Trade execution failed:', error);
     }
@@ -26,6 +38,10 @@ function TradeExecution() {
     return quantity * selectedPrice.price;
   };
 
+  const formatAmount = (amount) => {
+    return `${amount.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })} ${account.baseCurrency}`;
+  };
+
   const getActionColor = (action) => {
     return action === 'BUY' ? 'text-green-600' : 'text-red-600';
   };
@@ -295,6 +311,43 @@ function TradeExecution() {
         </div>
       </div>
 
+      {/* Protective Stops (optional distances from the fill price) */}
+      <div className="mb-4">
+        <div className="flex items-center justify-between mb-2">
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+            Protection
+          </label>
+          <select
+            value={protection.distanceUnit}
+            onChange={(e) => setProtection({ ...protection, distanceUnit: e.target.value })}
+            className="text-xs border border-gray-300 dark:border-gray-600 rounded px-2 py-1 bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-300"
+          >
+            <option value="pips">Pips</option>
+            <option value="price">Price</option>
+          </select>
+        </div>
+        <div className="grid grid-cols-3 gap-2">
+          {[
+            ['stopLoss', 'Stop Loss'],
+            ['takeProfit', 'Take Profit'],
+            ['trailingStop', 'Trailing Stop']
+          ].map(([field, label]) => (
+            <div key={field}>
+              <span className="text-xs text-gray-500 dark:text-gray-400">{label}</span>
+              <input
+                type="number"
+                value={protection[field]}
+                onChange={(e) => setProtection({ ...protection, [field]: e.target.value })}
+                className="input-field"
+                placeholder="Off"
+                min="0"
+                step={protection.distanceUnit === 'pips' ? '1' : '0.0001'}
+              />
+            </div>
+          ))}
+        </div>
+      </div>
+
       {/* Trade Summary */}
       <div className="bg-gray-50 dark:bg-gray-700 p-4 rounded-lg mb-4">
         <div className="flex items-center justify-between mb-2">
@@ -311,10 +364,35 @@ function TradeExecution() {
         </div>
       </div>
 
+      {/* Trading Account (live mode) */}
+      {account && (
+        <div className="bg-gray-50 dark:bg-gray-700 p-4 rounded-lg mb-4">
+          <div className="flex items-center justify-between mb-2">
+            <span className="text-sm font-medium text-gray-700 dark:text-gray-300">{account.name}</span>
+            <span className="text-xs text-gray-500 dark:text-gray-400">1:{account.leverage}</span>
+          </div>
+          {[
+            ['Balance', account.balance],
+            ['Equity', account.equity],
+            ['Used Margin', account.usedMargin],
+            ['Free Margin', account.freeMargin]
+          ].map(([label, amount]) => (
+            <div key={label} className="flex items-center justify-between">
+              <span className="text-sm text-gray-500 dark:text-gray-400">{label}</span>
+              <span className={`font-mono ${
+                label === 'Free Margin' && amount < 0 ? 'text-red-600' : 'text-gray-900 dark:text-white'
+              }`}>
+                {formatAmount(amount)}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+
       {/* Execute Button */}
       <button
         onClick={handleExecuteTrade}
-        disabled={loading || !selectedPrice || quantity <= 0}
+        disabled={loading || !selectedPrice || quantity <= 0 || !canTrade || isStale}
         className={`w-full py-3 px-4 rounded-lg font-medium transition-colors ${
           action === 'BUY'
             ? 'bg-green-600 hover:bg-green-700 text-white disabled:bg-gray-400'
@@ -338,6 +416,21 @@ function TradeExecution() {
         )}
       </button>
 
+      {isStale && (
+        <p className="mt-2 text-xs text-center text-yellow-700 dark:text-yellow-300">
+          No live price for {selectedPair}; trading resumes when prices do
+        </p>
+      )}
+
+      {/* Live trading needs a role with the trades:execute permission */}
+      {!canTrade && (
+        <p className="mt-2 text-xs text-center text-gray-500 dark:text-gray-400">
+          {user
+            ? `Your role (${user.role}) cannot execute trades`
+            : 'Log in to execute trades'}
+        </p>
+      )}
+
       {/* Risk Warning */}
       <div className="mt-4 p-3 bg-yellow-50 dark:bg-yellow-900/20 border border-yellow-200 dark:border-yellow-800 rounded-lg">
         <p className="text-xs text-yellow-800 dark:text-yellow-200">
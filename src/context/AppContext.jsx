@@ -1,11 +1,34 @@
 import React, { createContext, useContext, useReducer, useEffect } from 'react';
 import { dataStream, mockAPI } from '../services/mockDataService';
+import {
+  priceAPI, tradeAPI, notificationAPI, algorithmAPI, authAPI, accountAPI,
+  normalizePrice, normalizeTrade, normalizeNotification
+} from '../services/apiService';
+import { socketService, ConnectionStatus } from '../services/socketService';
+import { authStorage } from '../services/authStorage';
+
+// 'mock' uses the in-browser simulator; 'live' uses the backend REST API and socket.io events
+export const DataModes = { MOCK: 'mock', LIVE: 'live' };
+const DATA_MODE_KEY = 'alphaFxTrader.dataMode';
+
+// Indicator periods requested with every candle load; the chart toggles them
+export const CHART_INDICATORS = { sma: [10, 20, 50], ema: [20, 50] };
+const CHART_CANDLES = 120;
+const CANDLE_REFRESH_MS = 5000;
 
 // Initial state
 const initialState = {
+  dataMode: localStorage.getItem(DATA_MODE_KEY) || import.meta.env.VITE_DATA_MODE || DataModes.MOCK,
+  connectionStatus: ConnectionStatus.DISCONNECTED,
+  user: authStorage.getUser(),
+  // Live mode: the logged-in user's trading account with equity and margin
+  account: null,
+  tradingSession: null,
   prices: [],
   selectedPair: 'EUR/USD',
-  priceHistory: [],
+  chartTimeframe: '1m',
+  chartSignalAlgorithm: 'combined',
+  candleData: { candles: [], indicatorParameters: null, signals: [], source: null },
   trades: [],
   notifications: [],
   showNotificationsPopup: false,
@@ -16,13 +39,27 @@ const initialState = {
 
 // Action types
 const ActionTypes = {
+  SET_DATA_MODE: 'SET_DATA_MODE',
+  SET_CONNECTION_STATUS: 'SET_CONNECTION_STATUS',
+  SET_USER: 'SET_USER',
+  SET_ACCOUNT: 'SET_ACCOUNT',
+  UPDATE_ACCOUNT: 'UPDATE_ACCOUNT',
+  SET_TRADING_SESSION: 'SET_TRADING_SESSION',
   SET_PRICES: 'SET_PRICES',
+  UPDATE_LIVE_PRICES: 'UPDATE_LIVE_PRICES',
+  SET_STALE_SYMBOLS: 'SET_STALE_SYMBOLS',
   SET_SELECTED_PAIR: 'SET_SELECTED_PAIR',
-  SET_PRICE_HISTORY: 'SET_PRICE_HISTORY',
+  SET_CHART_TIMEFRAME: 'SET_CHART_TIMEFRAME',
+  SET_CHART_SIGNAL_ALGORITHM: 'SET_CHART_SIGNAL_ALGORITHM',
+  SET_CANDLE_DATA: 'SET_CANDLE_DATA',
   ADD_TRADE: 'ADD_TRADE',
+  UPSERT_TRADE: 'UPSERT_TRADE',
+  UPDATE_TRADE_PROTECTION: 'UPDATE_TRADE_PROTECTION',
+  MERGE_TRADES: 'MERGE_TRADES',
   SET_TRADES: 'SET_TRADES',
   ADD_NOTIFICATION: 'ADD_NOTIFICATION',
   SET_NOTIFICATIONS: 'SET_NOTIFICATIONS',
+  MERGE_NOTIFICATIONS: 'MERGE_NOTIFICATIONS',
   MARK_NOTIFICATION_READ: 'MARK_NOTIFICATION_READ',
   TOGGLE_NOTIFICATIONS_POPUP: 'TOGGLE_NOTIFICATIONS_POPUP',
   TOGGLE_DARK_MODE: 'TOGGLE_DARK_MODE',
@@ -30,17 +67,72 @@ const ActionTypes = {
   SET_ERROR: 'SET_ERROR'
 };
 
+// Merge records by id, newest first; incoming records replace existing ones
+function mergeById(current, incoming, limit) {
+  const incomingIds = new Set(incoming.map(item => item.id));
+  return [...incoming, ...current.filter(item => !incomingIds.has(item.id))]
+    .sort((a, b) => b.timestamp - a.timestamp)
+    .slice(0, limit);
+}
+
 // Reducer
 function appReducer(state, action) {
   switch (action.type) {
+    case ActionTypes.SET_DATA_MODE:
+      return { ...state, dataMode: action.payload };
+    
+    case ActionTypes.SET_CONNECTION_STATUS:
+      return { ...state, connectionStatus: action.payload };
+    
+    case ActionTypes.SET_USER:
+      return { ...state, user: action.payload };
+    
+    case ActionTypes.SET_ACCOUNT:
+      return { ...state, account: action.payload };
+    
+    case ActionTypes.UPDATE_ACCOUNT:
+      // Keep showing the first account if the user has several
+      return state.account && state.account.id !== action.payload.id
+        ? state
+        : { ...state, account: action.payload };
+    
+    case ActionTypes.SET_TRADING_SESSION:
+      return { ...state, tradingSession: action.payload };
+    
     case ActionTypes.SET_PRICES:
       return { ...state, prices: action.payload };
     
+    case ActionTypes.UPDATE_LIVE_PRICES: {
+      // Merge backend ticks into the current prices, keeping symbol order
+      const prices = [...state.prices];
+      action.payload.forEach(tick => {
+        const index = prices.findIndex(price => price.symbol === tick.symbol);
+        if (index === -1) {
+          prices.push(normalizePrice(tick));
+        } else {
+          prices[index] = normalizePrice(tick, prices[index]);
+        }
+      });
+      return { ...state, prices };
+    }
+    
+    case ActionTypes.SET_STALE_SYMBOLS:
+      return {
+        ...state,
+        prices: state.prices.map(price => ({ ...price, stale: action.payload.includes(price.symbol) }))
+      };
+    
     case ActionTypes.SET_SELECTED_PAIR:
       return { ...state, selectedPair: action.payload };
     
-    case ActionTypes.SET_PRICE_HISTORY:
-      return { ...state, priceHistory: action.payload };
+    case ActionTypes.SET_CHART_TIMEFRAME:
+      return { ...state, chartTimeframe: action.payload };
+    
+    case ActionTypes.SET_CHART_SIGNAL_ALGORITHM:
+      return { ...state, chartSignalAlgorithm: action.payload };
+    
+    case ActionTypes.SET_CANDLE_DATA:
+      return { ...state, candleData: action.payload };
     
     case ActionTypes.ADD_TRADE:
       return { 
@@ -48,18 +140,48 @@ function appReducer(state, action) {
         trades: [action.payload, ...state.trades].slice(0, 100) // Keep last 100 trades
       };
     
+    case ActionTypes.UPSERT_TRADE: {
+      // Orders are updated in place as they fill, get cancelled or rejected;
+      // trade events do not carry protection, so known levels are kept
+      const exists = state.trades.some(trade => trade.id === action.payload.id);
+      return {
+        ...state,
+        trades: exists
+          ? state.trades.map(trade => (trade.id === action.payload.id
+            ? { ...action.payload, protection: action.payload.protection ?? trade.protection }
+            : trade))
+          : [action.payload, ...state.trades].slice(0, 100)
+      };
+    }
+    
+    case ActionTypes.UPDATE_TRADE_PROTECTION: {
+      // Triggered and cancelled protection is no longer shown
+      const protection = action.payload;
+      const active = ['PENDING', 'ACTIVE'].includes(protection.status) ? protection : null;
+      return {
+        ...state,
+        trades: state.trades.map(trade => (trade.id === protection.tradeId ? { ...trade, protection: active } : trade))
+      };
+    }
+    
+    case ActionTypes.MERGE_TRADES:
+      return { ...state, trades: mergeById(state.trades, action.payload, 100) };
+    
     case ActionTypes.SET_TRADES:
       return { ...state, trades: action.payload };
     
     case ActionTypes.ADD_NOTIFICATION:
       return { 
         ...state, 
-        notifications: [action.payload, ...state.notifications].slice(0, 50) // Keep last 50 notifications
+        notifications: [action.payload, ...state.notifications.filter(n => n.id !== action.payload.id)].slice(0, 50) // Keep last 50 notifications
       };
     
     case ActionTypes.SET_NOTIFICATIONS:
       return { ...state, notifications: action.payload };
     
+    case ActionTypes.MERGE_NOTIFICATIONS:
+      return { ...state, notifications: mergeById(state.notifications, action.payload, 50) };
+    
     case ActionTypes.MARK_NOTIFICATION_READ:
       return {
         ...state,
@@ -93,53 +215,209 @@ const AppContext = createContext();
 // Provider component
 export function AppProvider({ children }) {
   const [state, dispatch] = useReducer(appReducer, initialState);
+  const userId = state.user ? state.user.id : null;
+
+  // Follow logins, logouts and sessions dropped after a failed token refresh
+  useEffect(() => {
+    return authStorage.onChange((user) => {
+      dispatch({ type: ActionTypes.SET_USER, payload: user });
+    });
+  }, []);
+
+  // Load mock data and subscribe to the simulated price stream
+  useEffect(() => {
+    if (state.dataMode !== DataModes.MOCK) {
+      return undefined;
+    }
+
+    try {
+      dispatch({ type: ActionTypes.SET_LOADING, payload: true });
+      
+      // Load initial prices
+      const prices = mockAPI.getPrices();
+      dispatch({ type: ActionTypes.SET_PRICES, payload: prices });
+      
+      // Load trade history
+      const trades = mockAPI.getTradeHistory();
+      dispatch({ type: ActionTypes.SET_TRADES, payload: trades });
+      
+      // Load notifications
+      const notifications = mockAPI.getNotifications();
+      dispatch({ type: ActionTypes.SET_NOTIFICATIONS, payload: notifications });
+      
+    } catch (error) {
+      dispatch({ type: ActionTypes.SET_ERROR, payload: error.message });
+    } finally {
+      dispatch({ type: ActionTypes.SET_LOADING, payload: false });
+    }
+
+    // Subscribe to real-time price updates
+    const unsubscribe = dataStream.subscribe('getPrices', (prices) => {
+      dispatch({ type: ActionTypes.SET_PRICES, payload: prices });
+    });
+
+    return unsubscribe;
+  }, [state.dataMode]);
 
-  // Load initial data
+  // Load backend snapshots and subscribe to its socket.io channels. Every
+  // (re)subscription is answered with a snapshot, so nothing missed while
+  // reconnecting is lost. Trades need a logged-in user, and the socket is
+  // reopened when the user changes so the handshake carries their token.
   useEffect(() => {
-    const loadInitialData = async () => {
+    if (state.dataMode !== DataModes.LIVE) {
+      return undefined;
+    }
+
+    let cancelled = false;
+
+    const loadSnapshot = async () => {
       try {
         dispatch({ type: ActionTypes.SET_LOADING, payload: true });
-        
-        // Load initial prices
-        const prices = mockAPI.getPrices();
-        dispatch({ type: ActionTypes.SET_PRICES, payload: prices });
-        
-        // Load trade history
-        const trades = mockAPI.getTradeHistory();
-        dispatch({ type: ActionTypes.SET_TRADES, payload: trades });
-        
-        // Load notifications
-        const notifications = mockAPI.getNotifications();
-        dispatch({ type: ActionTypes.SET_NOTIFICATIONS, payload: notifications });
-        
-        // Load price history for selected pair
-        const priceHistory = mockAPI.getPriceHistory(state.selectedPair);
-        dispatch({ type: ActionTypes.SET_PRICE_HISTORY, payload: priceHistory });
-        
+
+        const [prices, tradeHistory, notificationList, accountList] = await Promise.all([
+          priceAPI.getPrices(),
+          userId ? tradeAPI.getTradeHistory({ limit: 100 }) : { trades: [] },
+          notificationAPI.getNotifications(),
+          userId ? accountAPI.getAccounts() : { accounts: [] }
+        ]);
+
+        // Admins and risk managers list every account; show the user's own.
+        // A user without one gets it opened on their first trade.
+        const ownAccount = accountList.accounts.find(account => account.userId === userId);
+        const account = ownAccount ? await accountAPI.getAccount(ownAccount.id) : null;
+
+        if (cancelled) return;
+
+        dispatch({ type: ActionTypes.SET_ACCOUNT, payload: account });
+
+        dispatch({ type: ActionTypes.SET_PRICES, payload: prices.map(price => normalizePrice(price)) });
+        dispatch({ type: ActionTypes.SET_TRADES, payload: tradeHistory.trades.map(normalizeTrade) });
+        dispatch({ type: ActionTypes.SET_NOTIFICATIONS, payload: notificationList.notifications.map(normalizeNotification) });
+        dispatch({ type: ActionTypes.SET_ERROR, payload: null });
       } catch (error) {
-        dispatch({ type: ActionTypes.SET_ERROR, payload: error.message });
+        if (!cancelled) {
+          dispatch({ type: ActionTypes.SET_ERROR, payload: error.message });
+        }
       } finally {
-        dispatch({ type: ActionTypes.SET_LOADING, payload: false });
+        if (!cancelled) {
+          dispatch({ type: ActionTypes.SET_LOADING, payload: false });
+        }
       }
     };
 
-    loadInitialData();
-  }, []);
+    // Clear mock data until the snapshot arrives
+    dispatch({ type: ActionTypes.SET_PRICES, payload: [] });
+    dispatch({ type: ActionTypes.SET_TRADES, payload: [] });
+    dispatch({ type: ActionTypes.SET_NOTIFICATIONS, payload: [] });
 
-  // Subscribe to real-time price updates
-  useEffect(() => {
-    const unsubscribe = dataStream.subscribe('getPrices', (prices) => {
-      dispatch({ type: ActionTypes.SET_PRICES, payload: prices });
-    });
+    const snapshotHandlers = {
+      prices: (prices) => dispatch({ type: ActionTypes.UPDATE_LIVE_PRICES, payload: prices }),
+      trades: (trades) => dispatch({ type: ActionTypes.MERGE_TRADES, payload: trades.map(normalizeTrade) }),
+      notifications: (notifications) => dispatch({
+        type: ActionTypes.MERGE_NOTIFICATIONS,
+        payload: notifications.map(normalizeNotification)
+      })
+    };
+    const channels = ['prices', 'notifications', ...(userId ? ['trades'] : [])];
 
-    return unsubscribe;
-  }, []);
+    const unsubscribers = [
+      socketService.onStatusChange((status) => {
+        dispatch({ type: ActionTypes.SET_CONNECTION_STATUS, payload: status });
+      }),
+      // The access token expired; a failed refresh logs out, which reopens the socket anonymously
+      socketService.onAuthError(async () => {
+        await authAPI.refreshToken();
+        socketService.reconnect();
+      }),
+      socketService.subscribe('snapshot', ({ channel, data }) => {
+        if (snapshotHandlers[channel]) {
+          snapshotHandlers[channel](data);
+        }
+      }),
+      priceAPI.subscribeToPrices((prices) => {
+        dispatch({ type: ActionTypes.UPDATE_LIVE_PRICES, payload: prices });
+      }),
+      socketService.subscribe('trade_update', ({ trade }) => {
+        dispatch({ type: ActionTypes.UPSERT_TRADE, payload: normalizeTrade(trade) });
+      }),
+      socketService.subscribe('notification', (notification) => {
+        dispatch({ type: ActionTypes.ADD_NOTIFICATION, payload: normalizeNotification(notification) });
+      }),
+      socketService.subscribe('trading_session_update', (session) => {
+        dispatch({ type: ActionTypes.SET_TRADING_SESSION, payload: session });
+      }),
+      // Sent only to the account's owner
+      socketService.subscribe('account_update', ({ account }) => {
+        dispatch({ type: ActionTypes.UPDATE_ACCOUNT, payload: account });
+      }),
+      // Symbols the backend feed stopped updating; they cannot be traded
+      socketService.subscribe('market_data_status', ({ stale }) => {
+        dispatch({ type: ActionTypes.SET_STALE_SYMBOLS, payload: stale });
+      }),
+      socketService.subscribe('protection_update', ({ protection }) => {
+        dispatch({ type: ActionTypes.UPDATE_TRADE_PROTECTION, payload: protection });
+      }),
+      ...channels.map(channel => socketService.subscribeChannel(channel))
+    ];
+
+    loadSnapshot();
+
+    return () => {
+      cancelled = true;
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+      socketService.disconnect();
+      dispatch({ type: ActionTypes.SET_CONNECTION_STATUS, payload: ConnectionStatus.DISCONNECTED });
+      dispatch({ type: ActionTypes.SET_TRADING_SESSION, payload: null });
+      dispatch({ type: ActionTypes.SET_ACCOUNT, payload: null });
+    };
+  }, [state.dataMode, userId]);
 
-  // Update price history when selected pair changes
+  // Load candles with indicators and strategy signals for the chart: computed by
+  // the backend in live mode, by the simulator in mock mode
   useEffect(() => {
-    const priceHistory = mockAPI.getPriceHistory(state.selectedPair);
-    dispatch({ type: ActionTypes.SET_PRICE_HISTORY, payload: priceHistory });
-  }, [state.selectedPair]);
+    let cancelled = false;
+    const live = state.dataMode === DataModes.LIVE;
+    const options = { limit: CHART_CANDLES, ...CHART_INDICATORS };
+    const signalOptions = { algorithm: state.chartSignalAlgorithm, limit: CHART_CANDLES };
+    // Signal history comes from the algorithm API, which needs a logged-in user in live mode
+    const showSignals = state.chartSignalAlgorithm !== 'none' && (!live || userId !== null);
+
+    const loadCandles = async () => {
+      let data = null;
+
+      if (live) {
+        try {
+          const [candles, signalHistory] = await Promise.all([
+            priceAPI.getCandles(state.selectedPair, state.chartTimeframe, { ...options, indicators: true }),
+            showSignals ? algorithmAPI.getSignalHistory(state.selectedPair, state.chartTimeframe, signalOptions) : null
+          ]);
+
+          data = { ...candles, signals: signalHistory ? signalHistory.signals : [], source: 'api' };
+        } catch (error) {
+          // Keep the last candles; the next refresh retries
+          return;
+        }
+      } else {
+        data = {
+          ...mockAPI.getCandles(state.selectedPair, state.chartTimeframe, options),
+          signals: showSignals ? mockAPI.getSignalHistory(state.selectedPair, state.chartTimeframe, signalOptions).signals : [],
+          source: 'mock'
+        };
+      }
+
+      if (!cancelled) {
+        dispatch({ type: ActionTypes.SET_CANDLE_DATA, payload: data });
+      }
+    };
+
+    loadCandles();
+    const interval = setInterval(loadCandles, CANDLE_REFRESH_MS);
+
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [state.dataMode, state.selectedPair, state.chartTimeframe, state.chartSignalAlgorithm, userId]);
 
   // Actions
   const actions = {
@@ -147,10 +425,54 @@ export function AppProvider({ children }) {
       dispatch({ type: ActionTypes.SET_SELECTED_PAIR, payload: pair });
     },
 
-    executeTrade: async (pair, action, quantity) => {
+    setChartTimeframe: (timeframe) => {
+      dispatch({ type: ActionTypes.SET_CHART_TIMEFRAME, payload: timeframe });
+    },
+
+    setChartSignalAlgorithm: (algorithm) => {
+      dispatch({ type: ActionTypes.SET_CHART_SIGNAL_ALGORITHM, payload: algorithm });
+    },
+
+    setDataMode: (mode) => {
+      localStorage.setItem(DATA_MODE_KEY, mode);
+      dispatch({ type: ActionTypes.SET_DATA_MODE, payload: mode });
+    },
+
+    login: async (email, password) => {
+      // The auth storage listener updates the user
+      await authAPI.login({ email, password });
+    },
+
+    // Mock mode allows everything; live mode follows the backend role's permissions
+    hasPermission: (permission) => {
+      if (state.dataMode !== DataModes.LIVE) {
+        return true;
+      }
+
+      return Boolean(state.user && state.user.permissions && state.user.permissions.includes(permission));
+    },
+
+    logout: async () => {
+      try {
+        await authAPI.logout();
+      } catch (error) {
+        // The local session is already cleared
+      }
+    },
+
+    // protection: optional { stopLoss, takeProfit, trailingStop, distanceUnit }
+    executeTrade: async (pair, action, quantity, protection = {}) => {
       try {
         dispatch({ type: ActionTypes.SET_LOADING, payload: true });
-        const trade = await mockAPI.executeTrade(pair, action, quantity);
+
+        // The backend broadcasts its own trade_update and notification events
+        if (state.dataMode === DataModes.LIVE) {
+          const trade = normalizeTrade(await tradeAPI.executeTrade({ pair, action, quantity, ...protection }));
+          dispatch({ type: ActionTypes.UPSERT_TRADE, payload: trade });
+          return trade;
+        }
+
+        const trade = await mockAPI.executeTrade(pair, action, quantity, protection);
         dispatch({ type: ActionTypes.ADD_TRADE, payload: trade });
         
         // Add notification
@@ -172,8 +494,20 @@ export function AppProvider({ children }) {
       }
     },
 
-    markNotificationRead: (id) => {
+    markNotificationRead: async (id) => {
       dispatch({ type: ActionTypes.MARK_NOTIFICATION_READ, payload: id });
+
+      // Read state is shared, so only users who manage notifications store it;
+      // for everyone else (and logged out) it is only kept locally
+      const canManage = Boolean(state.user && state.user.permissions &&
+        state.user.permissions.includes('notifications:manage'));
+      if (state.dataMode === DataModes.LIVE && canManage) {
+        try {
+          await notificationAPI.markAsRead(id);
+        } catch (error) {
+          dispatch({ type: ActionTypes.SET_ERROR, payload: error.message });
+        }
+      }
     },
 
     toggleNotificationsPopup: () => {
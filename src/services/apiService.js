@@ -1,25 +1,65 @@
-// API service for future backend integration
-// This file contains placeholder functions that will be replaced with actual API calls
+// API service for backend integration
+// Functions still marked TODO have no backend route yet and throw
 
-const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+import { socketService } from './socketService';
+import { authStorage } from './authStorage';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
+
+// Shared by concurrent requests that hit an expired access token
+let refreshing = null;
+
+// Exchange the stored refresh token for new tokens; clears the session if it was rejected
+function refreshSession() {
+  if (!refreshing) {
+    refreshing = fetch(`${API_BASE_URL}/auth/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken: authStorage.getRefreshToken() })
+    })
+      .then(async (response) => {
+        if (!response.ok) {
+          authStorage.clear();
+          return false;
+        }
+
+        authStorage.setSession(await response.json());
+        return true;
+      })
+      .catch(() => false)
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+
+  return refreshing;
+}
 
 // Helper function for API calls
-async function apiCall(endpoint, options = {}) {
+async function apiCall(endpoint, options = {}, retryOnExpiry = true) {
   const url = `${API_BASE_URL}${endpoint}`;
+  const accessToken = authStorage.getAccessToken();
   const config = {
     headers: {
       'Content-Type': 'application/json',
-      // Add authentication headers here when implementing
-      // 'Authorization': `Bearer ${getAuthToken()}`,
+      ...(accessToken ? { 'Authorization': `Bearer ${accessToken}` } : {})
     },
     ...options,
   };
 
   try {
     const response = await fetch(url, config);
+
+    // Access tokens are short-lived; refresh once and retry
+    if (response.status === 401 && accessToken && retryOnExpiry && authStorage.getRefreshToken()) {
+      if (await refreshSession()) {
+        return apiCall(endpoint, options, false);
+      }
+    }
     
     if (!response.ok) {
-      throw new Error(`API Error: ${response.status} ${response.statusText}`);
+      const body = await response.json().catch(() => ({}));
+      throw new Error(`API Error: ${response.status} ${body.error || response.statusText}`);
     }
     
     return await response.json();
@@ -33,16 +73,24 @@ async function apiCall(endpoint, options = {}) {
 export const priceAPI = {
   // Get current prices for all currency pairs
   getPrices: async () => {
-    // TODO: Replace with actual API call
-    // return apiCall('/prices');
-    throw new Error('Backend API not implemented yet. Using mock data.');
+    return apiCall('/prices');
   },
 
-  // Get price history for a specific pair
-  getPriceHistory: async (symbol, timeframe = '1H', limit = 100) => {
-    // TODO: Replace with actual API call
-    // return apiCall(`/prices/${symbol}/history?timeframe=${timeframe}&limit=${limit}`);
-    throw new Error('Backend API not implemented yet. Using mock data.');
+  // Get raw price ticks of a pair over the last 1H, 4H, 1D or 1W
+  getPriceHistory: async (symbol, period = '1H', limit = 100) => {
+    const params = new URLSearchParams({ period, limit });
+    return apiCall(`/prices/${encodeURIComponent(symbol)}/history?${params.toString()}`);
+  },
+
+  // Get OHLC candles, optionally with indicator values computed by the backend
+  getCandles: async (symbol, timeframe = '1m', { limit = 200, indicators = false, sma, ema } = {}) => {
+    const params = new URLSearchParams({ timeframe, limit });
+
+    if (indicators) params.append('indicators', 'true');
+    if (sma) params.append('sma', sma.join(','));
+    if (ema) params.append('ema', ema.join(','));
+
+    return apiCall(`/prices/${encodeURIComponent(symbol)}/candles?${params.toString()}`);
   },
 
   // Get moving averages for a specific pair
@@ -52,17 +100,9 @@ export const priceAPI = {
     throw new Error('Backend API not implemented yet. Using mock data.');
   },
 
-  // Subscribe to real-time price updates via WebSocket
+  // Subscribe to real-time price updates over socket.io; returns an unsubscribe function
   subscribeToPrices: (callback) => {
-    // TODO: Implement WebSocket connection
-    // const ws = new WebSocket(`${WS_BASE_URL}/prices`);
-    // ws.onmessage = (event) => {
-    //   const data = JSON.parse(event.data);
-    //   callback(data);
-    // };
-    // return () => ws.close();
-    console.log('WebSocket subscription not implemented yet. Using mock data stream.');
-    return () => {};
+    return socketService.subscribe('price_update', ({ prices }) => callback(prices));
   }
 };
 
@@ -70,20 +110,21 @@ export const priceAPI = {
 export const tradeAPI = {
   // Execute a trade
   executeTrade: async (tradeData) => {
-    const { pair, action, quantity, price } = tradeData;
-    
-    // TODO: Replace with actual API call
-    // return apiCall('/trades', {
-    //   method: 'POST',
-    //   body: JSON.stringify({
-    //     pair,
-    //     action,
-    //     quantity,
-    //     price,
-    //     timestamp: new Date().toISOString()
-    //   })
-    // });
-    throw new Error('Backend API not implemented yet. Using mock data.');
+    const { pair, action, quantity, stopLoss, takeProfit, trailingStop, distanceUnit } = tradeData;
+
+    // Market order at the backend's latest quote, with optional protection distances
+    return apiCall('/trades', {
+      method: 'POST',
+      body: JSON.stringify({
+        symbol: pair,
+        action,
+        quantity,
+        stopLoss,
+        takeProfit,
+        trailingStop,
+        distanceUnit
+      })
+    });
   },
 
   // Get trade history
@@ -91,31 +132,48 @@ export const tradeAPI = {
     const { pair, action, startDate, endDate, limit = 100 } = filters;
     const params = new URLSearchParams();
     
-    if (pair) params.append('pair', pair);
+    if (pair) params.append('symbol', pair);
     if (action) params.append('action', action);
     if (startDate) params.append('startDate', startDate);
     if (endDate) params.append('endDate', endDate);
     if (limit) params.append('limit', limit);
 
-    // TODO: Replace with actual API call
-    // return apiCall(`/trades?${params.toString()}`);
-    throw new Error('Backend API not implemented yet. Using mock data.');
+    return apiCall(`/trades?${params.toString()}`);
   },
 
   // Get trade statistics
   getTradeStats: async (period = '1D') => {
-    // TODO: Replace with actual API call
-    // return apiCall(`/trades/stats?period=${period}`);
-    throw new Error('Backend API not implemented yet. Using mock data.');
+    return apiCall(`/trades/stats/summary?period=${encodeURIComponent(period)}`);
   },
 
   // Cancel a pending trade
   cancelTrade: async (tradeId) => {
-    // TODO: Replace with actual API call
-    // return apiCall(`/trades/${tradeId}`, {
-    //   method: 'DELETE'
-    // });
-    throw new Error('Backend API not implemented yet. Using mock data.');
+    return apiCall(`/trades/${encodeURIComponent(tradeId)}`, {
+      method: 'DELETE'
+    });
+  }
+};
+
+// Trading account API endpoints
+export const accountAPI = {
+  // List accounts visible to the logged-in user
+  getAccounts: async () => {
+    return apiCall('/accounts');
+  },
+
+  // Get an account with equity, used margin and free margin
+  getAccount: async (accountId) => {
+    return apiCall(`/accounts/${accountId}`);
+  }
+};
+
+// Algorithm-related API endpoints
+export const algorithmAPI = {
+  // Get the BUY/SELL signals a strategy gave at past candle closes
+  getSignalHistory: async (symbol, timeframe = '1m', { algorithm = 'combined', limit = 200 } = {}) => {
+    const params = new URLSearchParams({ algorithm, timeframe, limit });
+
+    return apiCall(`/algorithms/signals/${encodeURIComponent(symbol)}/history?${params.toString()}`);
   }
 };
 
@@ -150,27 +208,21 @@ export const userAPI = {
 export const notificationAPI = {
   // Get notifications
   getNotifications: async (unreadOnly = false) => {
-    // TODO: Replace with actual API call
-    // return apiCall(`/notifications?unreadOnly=${unreadOnly}`);
-    throw new Error('Backend API not implemented yet. Using mock data.');
+    return apiCall(`/notifications${unreadOnly ? '?isRead=false' : ''}`);
   },
 
   // Mark notification as read
   markAsRead: async (notificationId) => {
-    // TODO: Replace with actual API call
-    // return apiCall(`/notifications/${notificationId}/read`, {
-    //   method: 'PUT'
-    // });
-    throw new Error('Backend API not implemented yet. Using mock data.');
+    return apiCall(`/notifications/${notificationId}/read`, {
+      method: 'PUT'
+    });
   },
 
   // Mark all notifications as read
   markAllAsRead: async () => {
-    // TODO: Replace with actual API call
-    // return apiCall('/notifications/read-all', {
-    //   method: 'PUT'
-    // });
-    throw new Error('Backend API not implemented yet. Using mock data.');
+    return apiCall('/notifications/read-all', {
+      method: 'PUT'
+    });
   },
 
   // Create price alert
@@ -218,47 +270,115 @@ export const marketAPI = {
 
 // Authentication API endpoints
 export const authAPI = {
-  // Login
+  // Login; the returned tokens are stored and sent with later requests
   login: async (credentials) => {
     const { email, password } = credentials;
     
-    // TODO: Replace with actual API call
-    // return apiCall('/auth/login', {
-    //   method: 'POST',
-    //   body: JSON.stringify({ email, password })
-    // });
-    throw new Error('Backend API not implemented yet. Using mock data.');
+    const session = await apiCall('/auth/login', {
+      method: 'POST',
+      body: JSON.stringify({ email, password })
+    });
+    authStorage.setSession(session);
+    return session.user;
   },
 
-  // Logout
+  // Logout; the local session is cleared even if the backend is unreachable
   logout: async () => {
-    // TODO: Replace with actual API call
-    // return apiCall('/auth/logout', {
-    //   method: 'POST'
-    // });
-    throw new Error('Backend API not implemented yet. Using mock data.');
+    const refreshToken = authStorage.getRefreshToken();
+    authStorage.clear();
+
+    if (refreshToken) {
+      await apiCall('/auth/logout', {
+        method: 'POST',
+        body: JSON.stringify({ refreshToken })
+      });
+    }
   },
 
   // Refresh token
   refreshToken: async () => {
-    // TODO: Replace with actual API call
-    // return apiCall('/auth/refresh', {
-    //   method: 'POST'
-    // });
-    throw new Error('Backend API not implemented yet. Using mock data.');
+    return refreshSession();
   },
 
   // Register
   register: async (userData) => {
-    // TODO: Replace with actual API call
-    // return apiCall('/auth/register', {
-    //   method: 'POST',
-    //   body: JSON.stringify(userData)
-    // });
-    throw new Error('Backend API not implemented yet. Using mock data.');
+    const { email, password, name } = userData;
+
+    const session = await apiCall('/auth/register', {
+      method: 'POST',
+      body: JSON.stringify({ email, password, name })
+    });
+    authStorage.setSession(session);
+    return session.user;
+  },
+
+  // Get the logged-in user
+  getCurrentUser: async () => {
+    return apiCall('/auth/me');
   }
 };
 
+// Convert backend records to the shapes the dashboard components use
+
+// Price tick; history, change and moving averages continue from the previous tick
+export function normalizePrice(price, previous = null) {
+  const history = [...(previous ? previous.history : []), price.price].slice(-100);
+  const period = 20;
+  const multiplier = 2 / (period + 1);
+  const sma = history.length >= period
+    ? history.slice(-period).reduce((acc, value) => acc + value, 0) / period
+    : price.sma ?? null;
+  const ema = history.length >= period
+    ? history.reduce((acc, value) => value * multiplier + acc * (1 - multiplier))
+    : price.ema ?? null;
+
+  return {
+    symbol: price.symbol,
+    bid: price.bid,
+    ask: price.ask,
+    price: price.price,
+    change: previous ? parseFloat(((price.price - previous.price) / previous.price * 100).toFixed(2)) : 0,
+    timestamp: new Date(price.timestamp),
+    // Set by the backend when the feed stopped updating the symbol; a fresh tick clears it
+    stale: price.stale ?? false,
+    sma: sma !== null ? parseFloat(sma.toFixed(5)) : null,
+    ema: ema !== null ? parseFloat(ema.toFixed(5)) : null,
+    history
+  };
+}
+
+// Trade record from /api/trades or a trade_update event
+export function normalizeTrade(trade) {
+  return {
+    id: trade.id,
+    timestamp: new Date(trade.filled_at || trade.created_at),
+    pair: trade.symbol,
+    action: trade.action,
+    quantity: trade.quantity,
+    price: trade.price,
+    status: trade.status,
+    pnl: trade.pnl || 0,
+    algorithm: trade.algorithm_used,
+    reason: trade.reason,
+    parentTradeId: trade.parent_trade_id,
+    // Pending or active SL/TP levels; undefined when the record does not carry them
+    protection: trade.protection
+  };
+}
+
+// Notification record from /api/notifications or a notification event
+export function normalizeNotification(notification) {
+  return {
+    id: notification.id,
+    type: notification.type.toLowerCase(),
+    title: notification.title,
+    message: notification.message,
+    symbol: notification.symbol,
+    timestamp: new Date(notification.timestamp || notification.created_at),
+    read: Boolean(notification.is_read)
+  };
+}
+
 // Utility functions for API integration
 export const apiUtils = {
   // Check if API is available
@@ -299,6 +419,7 @@ export const apiUtils = {
 export default {
   priceAPI,
   tradeAPI,
+  algorithmAPI,
   userAPI,
   notificationAPI,
   marketAPI,
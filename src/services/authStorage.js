@@ -0,0 +1,43 @@
+// Keeps the logged-in user's tokens in localStorage for the REST and socket.io clients
+
+const AUTH_KEY = 'alphaFxTrader.auth';
+
+const listeners = new Set();
+
+function read() {
+  try {
+    return JSON.parse(localStorage.getItem(AUTH_KEY));
+  } catch (error) {
+    return null;
+  }
+}
+
+export const authStorage = {
+  // { user, accessToken, refreshToken } or null
+  getSession: () => read(),
+
+  getUser: () => read()?.user || null,
+
+  getAccessToken: () => read()?.accessToken || null,
+
+  getRefreshToken: () => read()?.refreshToken || null,
+
+  // Store a session returned by login, register or refresh
+  setSession: ({ user, accessToken, refreshToken }) => {
+    localStorage.setItem(AUTH_KEY, JSON.stringify({ user, accessToken, refreshToken }));
+    listeners.forEach(callback => callback(user));
+  },
+
+  clear: () => {
+    localStorage.removeItem(AUTH_KEY);
+    listeners.forEach(callback => callback(null));
+  },
+
+  // Listen to login and logout; returns an unsubscribe function
+  onChange: (callback) => {
+    listeners.add(callback);
+    return () => listeners.delete(callback);
+  }
+};
+
+export default authStorage;
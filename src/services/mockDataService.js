@@ -46,7 +46,107 @@ function calculateEMA(prices, period = 20) {
   return ema;
 }
 
+// Candle length per timeframe in milliseconds (same timeframes as the backend)
+const TIMEFRAME_MS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '4h': 4 * 60 * 60 * 1000,
+  '1D': 24 * 60 * 60 * 1000
+};
+
+// Repeatable pseudo-random number in [0, 1) for a seed
+function seededRandom(seed) {
+  const x = Math.sin(seed) * 10000;
+  return x - Math.floor(x);
+}
+
+// Indicator series, aligned to the input and null until warmed up
+function smaSeries(values, period) {
+  return values.map((_, i) => (i + 1 < period ? null : calculateSMA(values.slice(0, i + 1), period)));
+}
+
+function emaSeries(values, period) {
+  const multiplier = 2 / (period + 1);
+  let ema = null;
+
+  return values.map((value, i) => {
+    if (value === null || i + 1 < period) return null;
+    ema = ema === null
+      ? calculateSMA(values.slice(0, i + 1), period)
+      : (value * multiplier) + (ema * (1 - multiplier));
+    return ema;
+  });
+}
+
+function bollingerSeries(values, period = 20, stdDev = 2) {
+  return values.map((_, i) => {
+    if (i + 1 < period) return null;
+    const window = values.slice(i + 1 - period, i + 1);
+    const middle = window.reduce((acc, value) => acc + value, 0) / period;
+    const deviation = Math.sqrt(window.reduce((acc, value) => acc + (value - middle) ** 2, 0) / period);
+    return { upper: middle + stdDev * deviation, middle, lower: middle - stdDev * deviation };
+  });
+}
+
+function rsiSeries(values, period = 14) {
+  let averageGain = 0;
+  let averageLoss = 0;
+
+  return values.map((value, i) => {
+    if (i === 0) return null;
+    const change = value - values[i - 1];
+    const gain = Math.max(change, 0);
+    const loss = Math.max(-change, 0);
+
+    if (i <= period) {
+      averageGain += gain / period;
+      averageLoss += loss / period;
+      if (i < period) return null;
+    } else {
+      averageGain = (averageGain * (period - 1) + gain) / period;
+      averageLoss = (averageLoss * (period - 1) + loss) / period;
+    }
+
+    return averageLoss === 0 ? 100 : 100 - 100 / (1 + averageGain / averageLoss);
+  });
+}
+
+function macdSeries(values, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+  const fast = emaSeries(values, fastPeriod);
+  const slow = emaSeries(values, slowPeriod);
+  const macd = values.map((_, i) => (slow[i] === null ? null : fast[i] - slow[i]));
+  const firstMacd = macd.findIndex(value => value !== null);
+  const signal = [
+    ...new Array(firstMacd).fill(null),
+    ...emaSeries(macd.slice(firstMacd), signalPeriod)
+  ];
+
+  return macd.map((value, i) => (value === null ? null : {
+    macd: value,
+    signal: signal[i],
+    histogram: signal[i] === null ? null : value - signal[i]
+  }));
+}
+
 // Generate mock trade
+// Stop-loss, take-profit and trailing-stop levels from distances in pips or price
+function calculateProtection(pair, action, price, { stopLoss, takeProfit, trailingStop, distanceUnit = 'pips' } = {}) {
+  const scale = distanceUnit === 'pips' ? (pair.endsWith('/JPY') ? 0.01 : 0.0001) : 1;
+  const direction = action === 'BUY' ? 1 : -1;
+  const level = (distance, sign) => (distance ? parseFloat((price + sign * direction * distance * scale).toFixed(5)) : null);
+
+  const protection = {
+    status: 'ACTIVE',
+    stopLoss: level(stopLoss, -1),
+    takeProfit: level(takeProfit, 1),
+    trailingStop: level(trailingStop, -1)
+  };
+
+  return protection.stopLoss || protection.takeProfit || protection.trailingStop ? protection : null;
+}
+
 function generateMockTrade() {
   const pair = CURRENCY_PAIRS[Math.floor(Math.random() * CURRENCY_PAIRS.length)];
   const action = Math.random() > 0.5 ? 'BUY' : 'SELL';
@@ -111,17 +211,164 @@ export const mockAPI = {
     }));
   },
 
+  // Get OHLC candles with indicators, in the same shape as the backend candles endpoint
+  getCandles: (symbol, timeframe = '1m', { limit = 200, sma = [10, 20], ema = [] } = {}) => {
+    const pair = CURRENCY_PAIRS.find(p => p.symbol === symbol) || CURRENCY_PAIRS[0];
+    const length = TIMEFRAME_MS[timeframe];
+    const volatility = 0.0004 * Math.sqrt(length / TIMEFRAME_MS['1m']);
+    const count = limit + 100; // Extra candles to warm up the indicators
+    const lastOpen = Math.floor(Date.now() / length) * length;
+    const seed = symbol.charCodeAt(0) + symbol.charCodeAt(4);
+
+    const closeAt = (index) => pair.basePrice * (1 +
+      volatility * (6 * Math.sin(index / 25) + 3 * Math.sin(index / 7) + 4 * (seededRandom(index + seed) - 0.5)));
+
+    const candles = Array.from({ length: count }, (_, i) => {
+      const openTime = lastOpen - (count - 1 - i) * length;
+      const index = openTime / length;
+      const open = closeAt(index - 1);
+      const close = i === count - 1 ? generatePriceMovement(closeAt(index), volatility) : closeAt(index);
+      const wick = pair.basePrice * volatility * seededRandom(index * 3 + seed);
+
+      return {
+        symbol,
+        timeframe,
+        openTime: new Date(openTime),
+        closeTime: new Date(openTime + length),
+        open,
+        high: Math.max(open, close) + wick,
+        low: Math.min(open, close) - wick * seededRandom(index * 7 + seed),
+        close,
+        tickCount: Math.round(length / 5000),
+        complete: i < count - 1
+      };
+    });
+
+    const indicatorParameters = {
+      sma,
+      ema,
+      bollinger: { period: 20, stdDev: 2 },
+      rsi: { period: 14, overbought: 70, oversold: 30 },
+      macd: { fastPeriod: 12, slowPeriod: 26, signalPeriod: 9 }
+    };
+    const closes = candles.map(candle => candle.close);
+    const smaValues = Object.fromEntries(sma.map(period => [period, smaSeries(closes, period)]));
+    const emaValues = Object.fromEntries(ema.map(period => [period, emaSeries(closes, period)]));
+    const bollinger = bollingerSeries(closes);
+    const rsi = rsiSeries(closes);
+    const macd = macdSeries(closes);
+
+    return {
+      symbol,
+      timeframe,
+      indicatorParameters,
+      candles: candles.map((candle, i) => ({
+        ...candle,
+        indicators: {
+          sma: Object.fromEntries(sma.map(period => [period, smaValues[period][i]])),
+          ema: Object.fromEntries(ema.map(period => [period, emaValues[period][i]])),
+          bollinger: bollinger[i],
+          rsi: rsi[i],
+          macd: macd[i]
+        }
+      })).slice(-limit)
+    };
+  },
+
+  // Get signal changes at candle closes, in the same shape as the backend signal history
+  getSignalHistory: (symbol, timeframe = '1m', { algorithm = 'combined', limit = 200 } = {}) => {
+    const { candles } = mockAPI.getCandles(symbol, timeframe, { limit: limit + 1, sma: [10, 20] });
+
+    // Simplified versions of the backend strategies, evaluated on the mock indicators
+    const strategies = {
+      sma_crossover: (current, previous) => {
+        const diff = current.sma[10] - current.sma[20];
+        const previousDiff = previous.sma[10] - previous.sma[20];
+        if (previousDiff <= 0 && diff > 0) return { signal: 'BUY', confidence: 0.5, reason: 'Bullish SMA crossover' };
+        if (previousDiff >= 0 && diff < 0) return { signal: 'SELL', confidence: 0.5, reason: 'Bearish SMA crossover' };
+        return null;
+      },
+      rsi: (current) => {
+        if (current.rsi > 70) return { signal: 'SELL', confidence: Math.min(1, (current.rsi - 70) / 12), reason: 'RSI overbought' };
+        if (current.rsi < 30) return { signal: 'BUY', confidence: Math.min(1, (30 - current.rsi) / 12), reason: 'RSI oversold' };
+        return null;
+      },
+      bollinger: (current, previous, close) => {
+        if (!current.bollinger) return null;
+        if (close >= current.bollinger.upper) return { signal: 'SELL', confidence: 0.6, reason: 'Price at upper Bollinger Band' };
+        if (close <= current.bollinger.lower) return { signal: 'BUY', confidence: 0.6, reason: 'Price at lower Bollinger Band' };
+        return null;
+      },
+      macd: (current, previous) => {
+        if (!current.macd || !previous.macd || current.macd.histogram === null || previous.macd.histogram === null) return null;
+        if (previous.macd.histogram <= 0 && current.macd.histogram > 0) return { signal: 'BUY', confidence: 0.5, reason: 'Bullish MACD signal-line crossover' };
+        if (previous.macd.histogram >= 0 && current.macd.histogram < 0) return { signal: 'SELL', confidence: 0.5, reason: 'Bearish MACD signal-line crossover' };
+        return null;
+      }
+    };
+
+    const evaluate = (current, previous, close) => {
+      if (algorithm !== 'combined') {
+        const signal = strategies[algorithm] && strategies[algorithm](current, previous, close);
+        return signal ? { ...signal, reasons: [signal.reason] } : null;
+      }
+
+      const votes = Object.values(strategies)
+        .map(strategy => strategy(current, previous, close))
+        .filter(Boolean);
+      const score = votes.reduce((sum, vote) => sum + (vote.signal === 'BUY' ? 1 : -1) * vote.confidence, 0) / 4;
+
+      if (Math.abs(score) < 0.1) return null;
+
+      const direction = score > 0 ? 'BUY' : 'SELL';
+      return {
+        signal: direction,
+        confidence: parseFloat(Math.abs(score).toFixed(4)),
+        reasons: votes.filter(vote => vote.signal === direction).map(vote => vote.reason)
+      };
+    };
+
+    const signals = [];
+    let previousSignal = 'HOLD';
+
+    // The forming candle is left out, as in the backend
+    candles.slice(0, -1).forEach((candle, i) => {
+      if (i === 0) return;
+
+      const signal = evaluate(candle.indicators, candles[i - 1].indicators, candle.close);
+
+      if (signal && signal.signal !== previousSignal) {
+        signals.push({
+          openTime: candle.openTime,
+          timestamp: candle.closeTime,
+          price: candle.close,
+          signal: signal.signal,
+          confidence: signal.confidence,
+          normalizedConfidence: signal.confidence,
+          reasons: signal.reasons
+        });
+      }
+
+      previousSignal = signal ? signal.signal : 'HOLD';
+    });
+
+    return { symbol, timeframe, algorithm, signals };
+  },
+
   // Execute a trade
-  executeTrade: (pair, action, quantity) => {
+  executeTrade: (pair, action, quantity, protection) => {
+    const price = generatePriceMovement(CURRENCY_PAIRS.find(p => p.symbol === pair)?.basePrice || 1.0);
     const trade = {
       id: `T${Date.now()}${Math.floor(Math.random() * 1000)}`,
       timestamp: new Date(),
       pair,
       action,
       quantity,
-      price: generatePriceMovement(CURRENCY_PAIRS.find(p => p.symbol === pair)?.basePrice || 1.0),
+      price,
       status: 'FILLED',
-      pnl: (Math.random() - 0.5) * 1000
+      pnl: (Math.random() - 0.5) * 1000,
+      // Levels are shown but not monitored by the simulator
+      protection: calculateProtection(pair, action, price, protection)
     };
     
     return Promise.resolve(trade);
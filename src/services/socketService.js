@@ -0,0 +1,149 @@
+// Socket.io client for the backend's real-time events
+import { io } from 'socket.io-client';
+import { authStorage } from './authStorage';
+
+const SOCKET_URL = import.meta.env.VITE_SOCKET_URL || 'http://localhost:3001';
+
+// Connection states reported to status listeners
+export const ConnectionStatus = {
+  DISCONNECTED: 'disconnected',
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected',
+  RECONNECTING: 'reconnecting'
+};
+
+// Wraps a single shared connection. The server only sends channel events
+// (prices, trades, signals, notifications) for symbols the client subscribed
+// to; channel subscriptions are sent again after every reconnect, and each
+// one is answered with a 'snapshot' event. The connection retries with
+// backoff until disconnect() is called. The stored access token is sent
+// with every handshake; without one the connection is anonymous.
+export class SocketService {
+  constructor(url = SOCKET_URL) {
+    this.url = url;
+    this.socket = null;
+    this.status = ConnectionStatus.DISCONNECTED;
+    this.statusListeners = new Set();
+    this.authErrorListeners = new Set();
+    this.channels = new Map(); // channel -> subscribed symbols
+  }
+
+  connect() {
+    if (this.socket) {
+      return this.socket;
+    }
+
+    this.setStatus(ConnectionStatus.CONNECTING);
+
+    this.socket = io(this.url, {
+      auth: (callback) => {
+        const token = authStorage.getAccessToken();
+        callback(token ? { token } : {});
+      },
+      reconnection: true,
+      reconnectionAttempts: Infinity,
+      reconnectionDelay: 1000,
+      reconnectionDelayMax: 10000
+    });
+
+    this.socket.on('connect', () => {
+      // Rooms do not survive a reconnect
+      this.channels.forEach((symbols, channel) => {
+        this.socket.emit('subscribe', { channel, symbols });
+      });
+      this.setStatus(ConnectionStatus.CONNECTED);
+    });
+
+    this.socket.on('disconnect', (reason) => {
+      this.setStatus(ConnectionStatus.RECONNECTING);
+
+      // The client does not retry on its own after a server-side disconnect
+      if (reason === 'io server disconnect') {
+        this.socket.connect();
+      }
+    });
+
+    this.socket.on('connect_error', (error) => {
+      this.setStatus(ConnectionStatus.RECONNECTING);
+
+      // Refused by the server (e.g. an expired token); the client does not retry on its own
+      if (!this.socket.active) {
+        this.authErrorListeners.forEach(callback => callback(error));
+      }
+    });
+
+    return this.socket;
+  }
+
+  disconnect() {
+    if (this.socket) {
+      this.socket.removeAllListeners();
+      this.socket.disconnect();
+      this.socket = null;
+    }
+
+    this.channels.clear();
+
+    this.setStatus(ConnectionStatus.DISCONNECTED);
+  }
+
+  // Listen to a server event; returns an unsubscribe function
+  subscribe(event, callback) {
+    const socket = this.connect();
+    socket.on(event, callback);
+
+    return () => {
+      if (this.socket === socket) {
+        socket.off(event, callback);
+      }
+    };
+  }
+
+  // Subscribe to a server channel for some symbols ('*' for all); returns an unsubscribe function
+  subscribeChannel(channel, symbols = ['*']) {
+    const socket = this.connect();
+    this.channels.set(channel, symbols);
+
+    if (socket.connected) {
+      socket.emit('subscribe', { channel, symbols });
+    }
+
+    return () => {
+      if (this.socket === socket && this.channels.get(channel) === symbols) {
+        this.channels.delete(channel);
+        socket.emit('unsubscribe', { channel });
+      }
+    };
+  }
+
+  // Retry a connection the server refused, e.g. after refreshing the access token
+  reconnect() {
+    if (this.socket && !this.socket.connected) {
+      this.socket.connect();
+    }
+  }
+
+  // Listen to handshakes the server refused; returns an unsubscribe function
+  onAuthError(callback) {
+    this.authErrorListeners.add(callback);
+    return () => this.authErrorListeners.delete(callback);
+  }
+
+  // Listen to connection state changes; returns an unsubscribe function
+  onStatusChange(callback) {
+    this.statusListeners.add(callback);
+    callback(this.status);
+
+    return () => this.statusListeners.delete(callback);
+  }
+
+  setStatus(status) {
+    this.status = status;
+    this.statusListeners.forEach(callback => callback(status));
+  }
+}
+
+// Create singleton instance
+export const socketService = new SocketService();
+
+export default socketService;